@@ -26,6 +26,8 @@ const activityLogSchema = new mongoose.Schema(
         "document_uploaded",
         "support_ticket_created",
         "job_cancelled",
+        "job_disputed",
+        "job_dispute_resolved",
         "verification_document_uploaded",
         "refund_processed",
         "premium_subscription",
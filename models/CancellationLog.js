@@ -7,6 +7,7 @@ const cancellationLogSchema = new mongoose.Schema(
     contractorName: String,
     workerPhone: String,
     workerName: String,
+    workerPhones: { type: [String], default: undefined }, // every hired worker on multi-worker jobs
     // Who cancelled
     cancelledBy: {
       type: String,
@@ -68,6 +69,7 @@ const cancellationLogSchema = new mongoose.Schema(
 cancellationLogSchema.index({ jobId: 1 });
 cancellationLogSchema.index({ contractorPhone: 1, cancelledAt: -1 });
 cancellationLogSchema.index({ workerPhone: 1, cancelledAt: -1 });
+cancellationLogSchema.index({ workerPhones: 1, cancelledAt: -1 });
 cancellationLogSchema.index({ cancelledAt: -1 });
 
 module.exports = mongoose.model("CancellationLog", cancellationLogSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// A contractor's preferred worker - built from past jobs rated 4+ stars,
+// used to send "direct offers" before normal dispatch
+const favoriteWorkerSchema = new mongoose.Schema(
+  {
+    contractorPhone: { type: String, required: true, index: true },
+    workerPhone: { type: String, required: true },
+    workerName: String,
+    ratedJobs: { type: Number, default: 0 }, // jobs with this worker rated 4+ stars
+    avgStars: Number, // average over those jobs
+    lastStars: Number,
+    lastJobId: String,
+    lastRatedAt: Date,
+    // Removed by the contractor - history rebuilds won't add the worker back
+    removed: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+favoriteWorkerSchema.index({ contractorPhone: 1, workerPhone: 1 }, { unique: true });
+
+module.exports = mongoose.model("FavoriteWorker", favoriteWorkerSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// A client-supplied Idempotency-Key and the response it produced - see utils/idempotency.js
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  scope: { type: String, required: true }, // phone of the caller (keys are per user)
+  method: String,
+  path: String, // route the key was first used on
+  requestHash: String, // sha256 of the request body
+  status: { type: String, enum: ["in_progress", "completed"], default: "in_progress" },
+  lockedAt: { type: Date, default: Date.now }, // when the current attempt started
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  // Retention: MongoDB removes the key after this (TTL index below)
+  expiresAt: { type: Date, required: true },
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// One document per offer sent to a worker - keeps the score breakdown so we can
+// later explain why a given worker was picked for a job
+const jobOfferSchema = new mongoose.Schema(
+  {
+    jobId: { type: String, required: true, index: true },
+    workerPhone: { type: String, required: true, index: true },
+    workerName: String,
+    // Dispatch strategy that ranked this worker
+    strategy: { type: String, required: true },
+    mode: { type: String, enum: ["sequential", "broadcast", "direct"], default: "sequential" },
+    rank: Number, // 1 = top candidate for this round
+    candidatesConsidered: Number,
+    score: Number,
+    scoreBreakdown: {
+      // e.g. { skill: 40, distance: 32, rating: 45, fairness: 0, premium: 0 }
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    distanceKm: Number,
+    status: {
+      type: String,
+      enum: ["offered", "accepted", "declined", "expired", "withdrawn"],
+      default: "offered",
+    },
+    offeredAt: { type: Date, default: Date.now },
+    expiresAt: Date, // worker must respond before this, then the next round runs
+    respondedAt: Date,
+  },
+  { timestamps: true }
+);
+
+jobOfferSchema.index({ jobId: 1, offeredAt: -1 });
+jobOfferSchema.index({ workerPhone: 1, offeredAt: -1 });
+jobOfferSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("JobOffer", jobOfferSchema);
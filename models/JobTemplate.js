@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Recurring job series - the template scheduler posts a real Job for every occurrence
+const jobTemplateSchema = new mongoose.Schema(
+  {
+    contractorPhone: { type: String, required: true, index: true },
+    contractorName: String,
+    // Job fields copied onto every occurrence (amount is per worker)
+    title: { type: String, required: true },
+    description: String,
+    workerType: String,
+    amount: Number,
+    pricing: { type: mongoose.Schema.Types.Mixed, default: undefined }, // validated by services/jobPricing.js
+    lat: Number,
+    lon: Number,
+    workersNeeded: { type: Number, default: 1, min: 1 },
+    dispatchStrategy: String,
+    dispatchMode: { type: String, enum: ["sequential", "broadcast"] },
+    broadcastSize: Number,
+    // See utils/recurrence.js
+    recurrence: {
+      frequency: { type: String, enum: ["daily", "weekdays", "weekly"], required: true },
+      daysOfWeek: [Number], // 0 = Sunday, weekly only
+      startTime: { type: String, required: true }, // "HH:mm"
+      startDate: Date,
+      until: Date,
+    },
+    status: {
+      type: String,
+      enum: ["active", "paused", "ended"],
+      default: "active",
+    },
+    nextOccurrenceAt: Date, // start time of the next job to post (null once the series is over)
+    lastOccurrenceAt: Date, // start time of the latest job posted
+    lastJobId: String,
+    jobsPosted: { type: Number, default: 0 },
+    skippedOccurrences: { type: Number, default: 0 },
+    consecutiveFailures: { type: Number, default: 0 },
+    lastError: String,
+    endedAt: Date,
+  },
+  { timestamps: true }
+);
+
+jobTemplateSchema.index({ status: 1, nextOccurrenceAt: 1 });
+
+module.exports = mongoose.model("JobTemplate", jobTemplateSchema);
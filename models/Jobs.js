@@ -1,32 +1,170 @@
 const mongoose = require('mongoose');
 
+// ✅ Snapshot of worker data when accepted (shared by single-worker jobs and slots)
+const acceptedWorkerDefinition = {
+  id: String,
+  name: String,
+  phone: String,
+  skills: [String],
+  profilePhoto: String,
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: [Number], // [longitude, latitude]
+  }
+};
+
+// ✅ Worker's rating of the contractor (tags like paid_on_time, safe_site, respectful)
+const contractorRatingDefinition = {
+  stars: { type: Number, min: 1, max: 5 },
+  tags: { type: [String], default: undefined },
+  feedback: String,
+  ratedAt: Date,
+  ratedBy: String, // worker phone
+};
+
+// ✅ Worker check-in/out reported from the job site (see services/attendanceGeofence.js)
+const checkpointDefinition = {
+  at: Date,
+  lat: Number,
+  lon: Number,
+  accuracyMeters: Number,
+  distanceMeters: Number, // from job lat/lon
+  withinGeofence: Boolean,
+};
+
+// ✅ Amount owed on hourly / daily / per-unit jobs - settled by /jobs/pay/:id once both sides confirm
+const payableDefinition = {
+  quantity: Number, // hours, days or units
+  overtimeHours: Number, // daily pricing only
+  amount: Number,
+  breakdown: String, // e.g. "6.5h × ₹120"
+  proposedBy: String, // phone
+  proposedAt: Date,
+  contractorConfirmedAt: Date,
+  workerConfirmedAt: Date,
+};
+
+// ✅ Job amount held from the contractor's wallet while a worker holds the job (see services/jobEscrow.js)
+const escrowDefinition = {
+  amount: Number, // held at acceptance
+  status: { type: String, enum: ['held', 'settling', 'released', 'refunded'] }, // settling: claimed by a payment/refund in flight
+  heldAt: Date,
+  settledAt: Date,
+  paidAmount: Number, // released: amount settled (may differ from the amount held)
+  platformFee: Number, // released: kept by the platform
+  workerAmount: Number, // released: paid to the worker / refunded: cancellation compensation
+  refundedAmount: Number, // returned to the contractor
+  policy: String, // refunded: cancellation policy applied
+};
+
+// ✅ One slot per worker on multi-worker (bulk hiring) jobs.
+// Field names mirror the per-worker fields on the job so routes can treat both alike.
+const jobSlotSchema = new mongoose.Schema({
+  slotNumber: Number,
+  status: { type: String, enum: ['open', 'filled', 'closed'], default: 'open' },
+  acceptedBy: String, // worker phone
+  acceptedWorker: acceptedWorkerDefinition,
+  acceptedAt: Date,
+  attendanceStatus: String,
+  attendanceTime: Date,
+  checkIn: checkpointDefinition,
+  checkOut: checkpointDefinition,
+  hoursWorked: Number, // check-in to check-out
+  attendanceFlags: { type: [String], default: undefined }, // e.g. check_in_outside_geofence, marked_without_check_in
+  payable: payableDefinition,
+  escrow: escrowDefinition,
+  paymentStatus: String,
+  paymentMode: String,
+  paymentTime: Date,
+  timeSpentMinutes: Number,
+  rating: {
+    stars: { type: Number, min: 1, max: 5 },
+    feedback: String,
+    ratedAt: Date,
+    ratedBy: String,
+  },
+  contractorRating: contractorRatingDefinition,
+}, { _id: false });
+
+// ✅ One entry per status change (see services/jobLifecycle.js for allowed transitions)
+const statusHistorySchema = new mongoose.Schema({
+  status: String, // status entered
+  actor: {
+    phone: String,
+    name: String,
+    role: { type: String, enum: ['contractor', 'worker', 'admin', 'system'] },
+  },
+  note: String,
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
 const jobSchema = new mongoose.Schema({
   // Note: MongoDB auto-generates _id (ObjectId). No need for custom id field.
   title: { type: String, required: true },
   description: String,
   workerType: String,
-  amount: Number,
+  amount: Number, // per worker for multi-worker jobs (estimate when priced per hour/day/unit)
+  // ✅ How the worker is paid (see services/jobPricing.js) - absent means a flat amount
+  pricing: {
+    model: { type: String, enum: ['fixed', 'hourly', 'daily', 'per_unit'] },
+    rate: Number, // ₹ per hour / day / unitSize units
+    unitSize: Number, // per_unit: rate applies per this many units (e.g. 100)
+    unitLabel: String, // per_unit: e.g. "bricks"
+    hoursPerDay: Number, // daily: standard day before overtime
+    overtimeRate: Number, // daily: ₹ per overtime hour
+    estimatedQuantity: Number,
+  },
   contractorName: String,
   contractorPhone: String, // ✅ Store contractor phone for filtering
   lat: Number,
   lon: Number,
-  date: { type: Date, default: Date.now },
-  status: { type: String, default: 'pending' },
-  acceptedBy: String,
-  acceptedWorker: { // ✅ Snapshot of worker data when accepted
-    id: String,
-    name: String,
-    phone: String,
-    skills: [String],
-    profilePhoto: String,
-    location: {
-      type: { type: String, enum: ["Point"], default: "Point" },
-      coordinates: [Number], // [longitude, latitude]
-    }
+  city: String, // ✅ Contractor's city at posting time (used for per-city dispatch strategy)
+  dispatchStrategy: String, // ✅ Optional per-job override: nearest | best-score | round-robin | premium-priority
+  dispatchMode: { type: String, enum: ['sequential', 'broadcast'] }, // ✅ Optional per-job override of DISPATCH_MODE
+  broadcastSize: Number, // ✅ Workers offered at once in broadcast mode
+  // ✅ Rehire: offer to the contractor's favourite workers first, normal dispatch after the timeout
+  directOffer: {
+    workerPhones: { type: [String], default: undefined },
+    timeoutSeconds: Number,
+    status: { type: String, enum: ['pending', 'offered', 'accepted', 'expired', 'skipped'] },
+    offeredAt: Date,
   },
+  date: { type: Date, default: Date.now }, // job start time (future-dated jobs are scheduled)
+  templateId: { type: String, index: true }, // ✅ Recurring job template this job was posted from
+  dispatchStartsAt: Date, // ✅ Scheduled jobs stay dormant until this time (job date minus lead time)
+  reminders: {
+    eveningBeforeAt: Date,
+    eveningBeforeSentAt: Date,
+    hourBeforeAt: Date,
+    hourBeforeSentAt: Date,
+  },
+  status: {
+    type: String,
+    enum: ['posted', 'offered', 'accepted', 'en_route', 'arrived', 'in_progress', 'completed', 'paid', 'rated', 'cancelled', 'disputed'],
+    default: 'posted',
+  },
+  statusHistory: [statusHistorySchema],
+  acceptedBy: String,
+  acceptedWorker: acceptedWorkerDefinition,
+  // ✅ Bulk hiring: jobs needing more than one worker use slots instead of acceptedBy/acceptedWorker
+  workersNeeded: { type: Number, default: 1, min: 1 },
+  filledSlots: { type: Number, default: 0 },
+  slots: { type: [jobSlotSchema], default: undefined },
   declinedBy: [String],
+  // Dispatch state (persisted so a restart can resume offering)
+  dispatchAttempts: { type: Number, default: 0 }, // number of dispatch rounds run
+  lastDispatchAt: Date,
+  nextDispatchAt: Date, // when the next round (offer timeout / retry) is due
+  emptyDispatchRounds: { type: Number, default: 0 }, // rounds that found no available worker
+  searchRadiusKm: Number, // radius ring used by the latest round
   attendanceStatus: String,
   attendanceTime: Date,
+  checkIn: checkpointDefinition,
+  checkOut: checkpointDefinition,
+  hoursWorked: Number, // check-in to check-out
+  attendanceFlags: { type: [String], default: undefined }, // e.g. check_in_outside_geofence, marked_without_check_in
+  payable: payableDefinition,
+  escrow: escrowDefinition,
   paymentStatus: String,
   paymentMode: String,
   paymentTime: Date,
@@ -40,6 +178,8 @@ const jobSchema = new mongoose.Schema({
     ratedAt: Date, // when rating was given
     ratedBy: String, // contractor name/phone who rated
   },
+  // Worker rates contractor (each slot carries its own on multi-worker jobs)
+  contractorRating: contractorRatingDefinition,
 }, { timestamps: true });
 
 module.exports = mongoose.model('Job', jobSchema);
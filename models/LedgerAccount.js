@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// One account in the double-entry ledger - a user's wallet or a platform account.
+// balancePaise is a cache of the account's postings (see services/ledger.js).
+const ledgerAccountSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true }, // "user:<phone>", "platform:fees", ...
+    kind: {
+      type: String,
+      enum: ["user", "platform_fee", "escrow", "payout_clearing", "gateway", "opening_balance", "suspense"],
+      required: true,
+    },
+    ownerPhone: { type: String, index: true }, // user accounts only
+    // Side that increases the balance: credit for wallets/liabilities/revenue, debit for assets
+    normalSide: { type: String, enum: ["debit", "credit"], required: true },
+    balancePaise: { type: Number, default: 0 },
+    version: { type: Number, default: 0 }, // bumped on every balance change, for compare-and-set repairs
+    lastEntryAt: Date,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("LedgerAccount", ledgerAccountSchema);
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// Immutable journal entry: balanced debit/credit postings across ledger accounts.
+// Mistakes are corrected with a reversing entry, never by editing (see services/ledger.js).
+const postingSchema = new mongoose.Schema(
+  {
+    accountCode: { type: String, required: true },
+    side: { type: String, enum: ["debit", "credit"], required: true },
+    amountPaise: { type: Number, required: true, min: 1 }, // integer paise
+  },
+  { _id: false }
+);
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "opening_balance", // wallet balance carried over from before the ledger
+        "deposit",
+        "withdrawal",
+        "job_post_fee",
+        "job_post_fee_refund",
+        "premium_subscription",
+        "job_payment",
+        "escrow_hold", // job amount held from the contractor when a worker accepts
+        "escrow_release", // held amount paid out to the worker, minus the platform fee
+        "escrow_refund", // held amount returned on cancellation (may compensate the worker)
+        "gateway_refund", // deposit refunded to the payer through the payment gateway
+        "reconciliation_adjustment", // wallet corrected to match the gateway (see services/paymentReconciliation.js)
+        "payout", // wallet to payout clearing while a payout batch line is sent to the bank
+        "payout_settlement", // payout clearing to the gateway once the bank confirms the payout
+        "reversal",
+      ],
+      required: true,
+    },
+    description: String,
+    postings: {
+      type: [postingSchema],
+      validate: {
+        validator(postings) {
+          const total = (side) => postings.filter((p) => p.side === side).reduce((sum, p) => sum + p.amountPaise, 0);
+          return postings.length >= 2 && total("debit") === total("credit");
+        },
+        message: "Ledger entry postings must balance",
+      },
+    },
+    reference: {
+      jobId: String,
+      workerPhone: String, // escrow entries: the worker the amount is held for
+      orderId: String, // Razorpay order
+      paymentId: String, // Razorpay payment
+      planId: String,
+      payoutBatchId: String,
+    },
+    reversalOf: { type: mongoose.Schema.Types.ObjectId, ref: "LedgerEntry" },
+    // Set on entries driven by an external event (e.g. "razorpay:payment:<id>") so the
+    // same event can't be booked twice, however many times it is delivered
+    dedupeKey: String,
+    createdBy: String, // phone of the user/admin, or "system"
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ledgerEntrySchema.index({ "postings.accountCode": 1, createdAt: -1 });
+ledgerEntrySchema.index({ "reference.jobId": 1 });
+ledgerEntrySchema.index({ "reference.orderId": 1 });
+ledgerEntrySchema.index({ "reference.paymentId": 1 });
+ledgerEntrySchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } });
+
+const IMMUTABLE_MESSAGE = "Ledger entries are immutable - post a reversing entry instead";
+
+ledgerEntrySchema.pre("save", function () {
+  if (!this.isNew) throw new Error(IMMUTABLE_MESSAGE);
+});
+
+ledgerEntrySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  function () {
+    throw new Error(IMMUTABLE_MESSAGE);
+  }
+);
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
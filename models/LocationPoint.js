@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// One location fix from a worker while hired on an active job - see services/locationTrail.js
+const locationPointSchema = new mongoose.Schema({
+  jobId: { type: String, required: true },
+  workerPhone: { type: String, required: true },
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true }, // [longitude, latitude]
+  },
+  accuracyMeters: Number,
+  jobStatus: String, // job status when recorded (en_route, in_progress, ...)
+  recordedAt: { type: Date, default: Date.now },
+  // Retention: MongoDB removes the point after this (TTL index below)
+  expiresAt: { type: Date, required: true },
+});
+
+locationPointSchema.index({ jobId: 1, workerPhone: 1, recordedAt: 1 });
+locationPointSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LocationPoint", locationPointSchema);
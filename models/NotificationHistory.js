@@ -12,9 +12,11 @@ const notificationHistorySchema = new mongoose.Schema(
         "job_accepted",
         "job_rejected",
         "job_cancelled",
+        "job_reminder",
         "attendance_required",
         "payment_sent",
         "payment_received",
+        "payout_completed",
         "rating_received",
         "rating_given",
         "message",
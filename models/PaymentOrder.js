@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// A Razorpay order we created and what it pays for, so a payment reported later by
+// the client or a webhook is settled against our record - see services/paymentSettlement.js
+const paymentOrderSchema = new mongoose.Schema(
+  {
+    orderId: { type: String, required: true, unique: true }, // Razorpay order id
+    purpose: { type: String, enum: ["wallet_deposit", "job_payment"], required: true },
+    phone: { type: String, required: true, index: true }, // payer
+    jobId: String, // job_payment only
+    workerPhone: String, // job_payment only: who gets the money
+    amount: { type: Number, required: true }, // rupees
+    currency: { type: String, default: "INR" },
+    status: { type: String, enum: ["created", "paid", "failed"], default: "created" },
+    paymentId: String, // Razorpay payment that settled the order
+    paidAt: Date,
+    settledVia: { type: String, enum: ["client", "webhook", "reconciliation"] },
+    failureReason: String, // last failed attempt (the order stays payable)
+    failedAt: Date,
+    refunds: [
+      {
+        refundId: String,
+        amount: Number, // rupees
+        processedAt: Date,
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+paymentOrderSchema.index({ paymentId: 1 });
+
+module.exports = mongoose.model("PaymentOrder", paymentOrderSchema);
@@ -10,7 +10,8 @@ const payoutBatchSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    // pending -> processing -> completed | partially_failed (see services/payoutProcessor.js)
+    enum: ['pending', 'processing', 'completed', 'partially_failed', 'failed', 'cancelled'],
     default: 'pending'
   },
   totalAmount: { type: Number, default: 0 },
@@ -22,13 +23,21 @@ const payoutBatchSchema = new mongoose.Schema({
       earningsAmount: Number,
       deductions: Number,
       netAmount: Number,
-      transactionId: String,
+      earningIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'WorkerEarnings' }], // earnings this line pays
+      transactionId: String, // payout id at the provider
+      referenceId: String, // our id for the current attempt (provider idempotency key)
+      utr: String, // bank reference once paid
       status: {
         type: String,
-        enum: ['pending', 'success', 'failed', 'manual_review'],
+        // processing: sent, waiting for the provider; manual_review: out of retries or can't be sent
+        enum: ['pending', 'processing', 'success', 'failed', 'manual_review'],
         default: 'pending'
       },
       failureReason: String,
+      attempts: { type: Number, default: 0 },
+      lastAttemptAt: Date,
+      nextRetryAt: Date, // failed lines are retried automatically from then
+      paidAt: Date,
       bankDetails: {
         accountName: String,
         accountNumber: String,
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// One reconciliation run of wallet deposits against Razorpay and the discrepancies it
+// found - see services/paymentReconciliation.js
+const reconciliationItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      "missing_credit", // captured at Razorpay, never credited to the wallet
+      "not_captured", // credited to the wallet, but Razorpay has no captured payment for it
+      "no_gateway_payment", // deposit credited without any Razorpay payment
+      "duplicate_credit", // the same payment credited more than once
+      "amount_mismatch", // credited amount differs from the captured amount
+      "not_settled", // captured, but not in any Razorpay settlement after the grace period
+    ],
+    required: true,
+  },
+  status: { type: String, enum: ["open", "resolving", "resolved", "dismissed"], default: "open" },
+  phone: String, // wallet owner
+  orderId: String,
+  paymentId: String,
+  ledgerEntryId: { type: mongoose.Schema.Types.ObjectId, ref: "LedgerEntry" }, // the wallet credit in question
+  gatewayStatus: String, // Razorpay payment status ("not_found" if Razorpay doesn't know it)
+  gatewayAmount: Number, // rupees
+  walletAmount: Number, // rupees
+  detail: String,
+  suggestedAction: { type: String, enum: ["credit", "reverse", "adjust", "acknowledge"] },
+  resolution: {
+    action: String, // the suggested action, or "dismiss"
+    note: String,
+    resolvedBy: String,
+    resolvedAt: Date,
+    ledgerEntryId: { type: mongoose.Schema.Types.ObjectId, ref: "LedgerEntry" }, // entry posted to fix it
+  },
+});
+
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    periodStart: { type: Date, required: true }, // deposits made in [periodStart, periodEnd)
+    periodEnd: { type: Date, required: true },
+    trigger: { type: String, enum: ["scheduled", "manual"], required: true },
+    triggeredBy: String, // admin phone for manual runs
+    status: { type: String, enum: ["running", "completed", "failed"], default: "running" },
+    error: String,
+    summary: {
+      gatewayPayments: Number, // deposit payments captured at Razorpay in the period
+      gatewayAmount: Number,
+      walletDeposits: Number, // wallet deposit credits in the period
+      walletAmount: Number,
+      matched: Number,
+      settlementChecked: Number, // captured payments old enough to be settled
+      settled: Number,
+      settledFees: Number, // Razorpay fees + tax on those settlements
+      discrepancies: Number,
+    },
+    items: [reconciliationItemSchema],
+    startedAt: { type: Date, default: Date.now },
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// One scheduled run per period, however many servers run the scheduler
+reconciliationReportSchema.index(
+  { periodStart: 1, periodEnd: 1 },
+  { unique: true, partialFilterExpression: { trigger: "scheduled" } }
+);
+reconciliationReportSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model("ReconciliationReport", reconciliationReportSchema);
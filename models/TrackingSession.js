@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Live location sharing for one hired worker on one job - see services/trackingSessions.js
+const trackingSessionSchema = new mongoose.Schema(
+  {
+    jobId: { type: String, required: true },
+    workerPhone: { type: String, required: true, index: true },
+    contractorPhone: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["active", "arrived", "ended"],
+      default: "active",
+    },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }, // stops forwarding after this even if the worker never arrives
+    lastLocation: {
+      lat: Number,
+      lon: Number,
+      at: Date,
+    },
+    // Last few fixes, used to estimate speed
+    recentPoints: [{ lat: Number, lon: Number, at: Date, _id: false }],
+    distanceMeters: Number, // straight line to the job site
+    speedMps: Number,
+    etaSeconds: Number, // null while the worker isn't moving
+    arrivingNotifiedAt: Date,
+    arrivedAt: Date,
+    endedAt: Date,
+    endReason: String, // arrived | attendance | checked_in | declined | cancelled | restarted
+  },
+  { timestamps: true }
+);
+
+trackingSessionSchema.index({ jobId: 1, workerPhone: 1 }, { unique: true });
+trackingSessionSchema.index({ workerPhone: 1, status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("TrackingSession", trackingSessionSchema);
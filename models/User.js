@@ -49,6 +49,13 @@ const userSchema = new mongoose.Schema({
   },
   // Leaderboard points for premium users
   points: { type: Number, default: 0 },
+  // ✅ Contractors: aggregated worker ratings (see services/contractorReputation.js)
+  contractorReputation: {
+    avgRating: { type: Number, default: 0 },
+    ratingCount: { type: Number, default: 0 },
+    tagCounts: { type: mongoose.Schema.Types.Mixed, default: {} }, // e.g. { paid_on_time: 12, late_payment: 1 }
+    updatedAt: Date,
+  },
 }, { timestamps: true });
 
 // create 2dsphere index for location queries
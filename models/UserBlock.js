@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// One user (contractor or worker) blocking another - enforced both ways in dispatch
+const userBlockSchema = new mongoose.Schema(
+  {
+    blockerPhone: { type: String, required: true, index: true },
+    blockerRole: { type: String, enum: ["contractor", "worker"], required: true },
+    blockedPhone: { type: String, required: true, index: true },
+    reason: String,
+    jobId: String, // job the bad experience happened on (optional)
+  },
+  { timestamps: true }
+);
+
+userBlockSchema.index({ blockerPhone: 1, blockedPhone: 1 }, { unique: true });
+
+module.exports = mongoose.model("UserBlock", userBlockSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// A webhook delivery exactly as received (raw body and signature), kept so it can be
+// inspected and replayed - see services/razorpayWebhooks.js
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ["razorpay"], required: true },
+    eventId: { type: String, required: true }, // provider's event id (x-razorpay-event-id), or a hash of the body
+    event: { type: String, index: true }, // e.g. "payment.captured"
+    rawBody: { type: String, required: true },
+    signature: String,
+    payload: mongoose.Schema.Types.Mixed, // parsed body
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+    },
+    outcome: String, // what processing did, for the admin view
+    attempts: { type: Number, default: 0 },
+    lastError: String,
+    receivedAt: { type: Date, default: Date.now },
+    deliveries: Number, // times the provider sent it
+    processedAt: Date,
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -2,10 +2,25 @@ const mongoose = require("mongoose");
 
 const workerSchema = new mongoose.Schema({
   phone: { type: String, required: true, unique: true },
+  name: { type: String, default: "" },
+  profilePhoto: { type: String, default: null },
   skills: { type: [String], default: [] },
-  rating: { type: Number, default: 5 },
+  rating: { type: Number, default: 5 }, // mirrors reputation.avgRating once rated
+  // Kept up to date by services/workerReputation.js
+  reputation: {
+    avgRating: { type: Number, default: null },
+    ratingCount: { type: Number, default: 0 },
+    ratingTotal: { type: Number, default: 0 },
+    jobsCompleted: { type: Number, default: 0 }, // marked Present
+    noShowCount: { type: Number, default: 0 },
+    cancellationCount: { type: Number, default: 0 },
+    completionRate: { type: Number, default: 0 }, // percent
+    cancellationRate: { type: Number, default: 0 }, // percent
+    updatedAt: Date,
+  },
   isAvailable: { type: Boolean, default: true },
   socketId: { type: String, default: "" },
+  socketServer: { type: String, default: "" }, // SERVER_ID of the process holding socketId
 
   location: {
     type: { type: String, enum: ["Point"], default: "Point" },
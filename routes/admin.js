@@ -1,26 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const { authenticateToken } = require('../utils/auth');
+const { authenticateToken, checkAdmin } = require('../utils/auth');
 
 // Models
 const User = require('../models/User');
 const Worker = require('../models/Worker');
 const Job = require('../models/Jobs');
-const Wallet = require('../models/Wallet');
+const LedgerAccount = require('../models/LedgerAccount');
 const BankAccount = require('../models/BankAccount');
 const VerificationDocument = require('../models/VerificationDocument');
 const ActivityLog = require('../models/ActivityLog');
 const CityLeaderboard = require('../models/CityLeaderboard');
 const SupportTicket = require('../models/SupportTicket');
-
-// Middleware to check admin role
-const checkAdmin = (req, res, next) => {
-    if (!req.user || req.user.role !== 'admin') {
-        return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-    next();
-};
+const JobOffer = require('../models/JobOffer');
+const UserBlock = require('../models/UserBlock');
+const WebhookEvent = require('../models/WebhookEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { TRANSITIONS, actorFromUser, transitionJob } = require('../services/jobLifecycle');
+const { getBlockCounts } = require('../services/blocklist');
+const { recalculateWorkerReputation } = require('../services/workerReputation');
+const { refundJobOnCancel } = require('../services/jobEscrow');
+const { payDisputedJob } = require('../services/jobPayment');
+const { toRupees, getTrialBalance, recomputeBalance } = require('../services/ledger');
+const { getTrailGeoJSON } = require('../services/locationTrail');
+const { replayEvent } = require('../services/razorpayWebhooks');
+const { startOfDay, runReconciliation, resolveItem } = require('../services/paymentReconciliation');
 
 // ============================
 // REGISTER - Create new admin user
@@ -98,10 +103,13 @@ router.get('/dashboard', authenticateToken, checkAdmin, async (req, res) => {
         const totalUsers = await User.countDocuments({ role: 'contractor' });
         const totalWorkers = await Worker.countDocuments();
         const totalJobs = await Job.countDocuments();
-        const completedJobs = await Job.countDocuments({ status: 'completed', paymentStatus: 'Paid' });
+        const completedJobs = await Job.countDocuments({ status: { $in: ['paid', 'rated'] } });
         
-        const wallets = await Wallet.find().select('balance');
-        const totalWalletBalance = wallets.reduce((sum, w) => sum + (w.balance || 0), 0);
+        const [walletTotals] = await LedgerAccount.aggregate([
+            { $match: { kind: 'user' } },
+            { $group: { _id: null, balancePaise: { $sum: '$balancePaise' } } }
+        ]);
+        const totalWalletBalance = toRupees(walletTotals?.balancePaise);
         
         const verifiedUsers = await User.countDocuments({ 'verificationStatus': 'approved' });
         
@@ -249,15 +257,25 @@ router.get('/dashboard', authenticateToken, checkAdmin, async (req, res) => {
 // ============================
 router.get('/users', authenticateToken, checkAdmin, async (req, res) => {
     try {
-        const users = await User.find({ role: 'contractor' })
+        // ?role=worker lists workers instead; ?minBlocks=N keeps users blocked at least N times (trust review)
+        const role = req.query.role === 'worker' ? 'worker' : 'contractor';
+        const minBlocks = Number(req.query.minBlocks) || 0;
+
+        const users = await User.find({ role })
             .select('phone name email role createdAt')
             .limit(100)
-            .sort({ createdAt: -1 });
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const blockCounts = await getBlockCounts(users.map(u => u.phone));
+        const usersWithBlocks = users
+            .map(u => ({ ...u, blocksReceived: blockCounts.get(u.phone).received, blocksMade: blockCounts.get(u.phone).made }))
+            .filter(u => u.blocksReceived >= minBlocks);
 
         res.json({
             success: true,
-            count: users.length,
-            users
+            count: usersWithBlocks.length,
+            users: usersWithBlocks
         });
     } catch (error) {
         console.error('Users error:', error);
@@ -282,8 +300,11 @@ router.get('/workers', authenticateToken, checkAdmin, async (req, res) => {
                     phone: worker.phone,
                     name: user?.name || '-',
                     workerType: user?.role || 'worker',
-                    avgRating: worker.rating || 0,
-                    jobsCompleted: worker.jobsCompleted || 0,
+                    avgRating: worker.reputation?.avgRating || 0,
+                    ratingCount: worker.reputation?.ratingCount || 0,
+                    jobsCompleted: worker.reputation?.jobsCompleted || 0,
+                    noShowCount: worker.reputation?.noShowCount || 0,
+                    cancellationRate: worker.reputation?.cancellationRate || 0,
                     skills: worker.skills || [],
                     isVerified: user?.isVerified || false,
                     isAvailable: worker.isAvailable,
@@ -304,12 +325,33 @@ router.get('/workers', authenticateToken, checkAdmin, async (req, res) => {
     }
 });
 
+// ============================
+// WORKER REPUTATION - Rebuild from job and cancellation history
+// ============================
+router.post('/workers/:phone/recalculate-reputation', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const worker = await recalculateWorkerReputation(req.params.phone);
+        if (!worker) {
+            return res.status(404).json({ success: false, message: 'Worker not found' });
+        }
+
+        res.json({ success: true, rating: worker.rating, reputation: worker.reputation });
+    } catch (error) {
+        console.error('Recalculate reputation error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 // ============================
 // JOBS - Get all jobs
 // ============================
 router.get('/jobs', authenticateToken, checkAdmin, async (req, res) => {
     try {
-        const jobs = await Job.find()
+        // ?attendanceFlagged=true - jobs with check-ins/attendance outside the geofence
+        const filter = req.query.attendanceFlagged === 'true'
+            ? { $or: [{ 'attendanceFlags.0': { $exists: true } }, { 'slots.attendanceFlags.0': { $exists: true } }] }
+            : {};
+        const jobs = await Job.find(filter)
             .limit(100)
             .sort({ createdAt: -1 });
 
@@ -324,6 +366,97 @@ router.get('/jobs', authenticateToken, checkAdmin, async (req, res) => {
     }
 });
 
+// ============================
+// JOB OFFERS - Dispatch history with score breakdown
+// ============================
+router.get('/jobs/:jobId/offers', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const offers = await JobOffer.find({ jobId: req.params.jobId })
+            .sort({ offeredAt: 1 });
+
+        res.json({
+            success: true,
+            count: offers.length,
+            offers
+        });
+    } catch (error) {
+        console.error('Job offers error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ============================
+// JOB LOCATION TRAIL - GeoJSON for dispute review (?workerPhone= for one worker)
+// ============================
+router.get('/jobs/:jobId/location-trail', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.jobId).select('lat lon');
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+
+        const trail = await getTrailGeoJSON(job, { workerPhone: req.query.workerPhone });
+        res.json(trail);
+    } catch (error) {
+        console.error('Location trail error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ============================
+// JOB DISPUTES - Resolve by moving the job on (or cancelling it)
+// ============================
+router.post('/jobs/:jobId/resolve-dispute', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        if (!TRANSITIONS.disputed.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${TRANSITIONS.disputed.join(', ')}` });
+        }
+
+        let job;
+        if (status === 'paid') {
+            // Resolving as paid pays the worker(s) from escrow, like /jobs/pay does
+            job = await Job.findById(req.params.jobId);
+            if (!job) {
+                return res.status(400).json({ success: false, message: 'Job not found or not disputed' });
+            }
+            const { error, statusCode, paid } = await payDisputedJob(job, { actor: actorFromUser(req.user), createdBy: req.user.phone });
+            if (error) {
+                return res.status(statusCode).json({ success: false, message: error, paid });
+            }
+        } else {
+            job = await transitionJob(req.params.jobId, status, actorFromUser(req.user), {
+                note: note || 'dispute resolved',
+                from: ['disputed'],
+            });
+            if (!job) {
+                return res.status(400).json({ success: false, message: 'Job not found or not disputed' });
+            }
+        }
+
+        // Cancelling a disputed job returns any held job amount to the contractor
+        if (status === 'cancelled') {
+            await refundJobOnCancel(job, { cancelledBy: 'admin', createdBy: req.user.phone });
+        }
+
+        await ActivityLog.create({
+            userId: req.user.id || req.user.phone,
+            phone: req.user.phone,
+            action: 'job_dispute_resolved',
+            jobId: job._id.toString(),
+            description: `Dispute resolved: job moved to ${status}`,
+            status: 'success',
+            metadata: { status, note }
+        });
+
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Resolve dispute error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 // ============================
 // BANK ACCOUNTS - Get all pending
 // ============================
@@ -548,10 +681,21 @@ router.post('/verifications/:docId/reject', authenticateToken, checkAdmin, async
 // ============================
 router.get('/wallets/summary', authenticateToken, checkAdmin, async (req, res) => {
     try {
-        const wallets = await Wallet.find()
-            .select('userId phone userName balance createdAt updatedAt')
+        const accounts = await LedgerAccount.find({ kind: 'user' })
+            .select('ownerPhone balancePaise createdAt updatedAt')
             .limit(100)
-            .sort({ balance: -1 });
+            .sort({ balancePaise: -1 })
+            .lean();
+
+        const users = await User.find({ phone: { $in: accounts.map(a => a.ownerPhone) } }).select('phone name').lean();
+        const nameByPhone = new Map(users.map(u => [u.phone, u.name]));
+        const wallets = accounts.map(a => ({
+            phone: a.ownerPhone,
+            userName: nameByPhone.get(a.ownerPhone),
+            balance: toRupees(a.balancePaise),
+            createdAt: a.createdAt,
+            updatedAt: a.updatedAt
+        }));
 
         res.json({
             success: true,
@@ -564,6 +708,151 @@ router.get('/wallets/summary', authenticateToken, checkAdmin, async (req, res) =
     }
 });
 
+// ============================
+// LEDGER - Trial balance & balance repair
+// ============================
+router.get('/ledger/trial-balance', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, ...(await getTrialBalance()) });
+    } catch (error) {
+        console.error('Trial balance error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Rebuild an account's cached balance from its postings (e.g. "user:9876543210")
+router.post('/ledger/accounts/:code/recompute', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const result = await recomputeBalance(req.params.code);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Recompute balance error:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// ============================
+// WEBHOOKS - Stored Razorpay events & replay
+// ============================
+router.get('/webhooks/razorpay', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const { status, event } = req.query;
+        const query = { provider: 'razorpay' };
+        if (status) query.status = status;
+        if (event) query.event = event;
+
+        const events = await WebhookEvent.find(query)
+            .select('-rawBody -signature')
+            .sort({ receivedAt: -1 })
+            .limit(Math.min(Number(req.query.limit) || 100, 500))
+            .lean();
+
+        res.json({ success: true, count: events.length, events });
+    } catch (error) {
+        console.error('Webhook events error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Re-run a stored event through the handlers (they're idempotent, so replaying a processed event is a no-op)
+router.post('/webhooks/razorpay/:id/replay', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const { event, error, statusCode } = await replayEvent(req.params.id, { io: req.app.get('io') });
+        if (error) return res.status(statusCode).json({ success: false, message: error });
+
+        res.json({
+            success: event.status !== 'failed',
+            event: { id: event._id, event: event.event, status: event.status, outcome: event.outcome, lastError: event.lastError, attempts: event.attempts }
+        });
+    } catch (error) {
+        console.error('Webhook replay error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ============================
+// RECONCILIATION - Wallet deposits vs Razorpay
+// ============================
+router.get('/reconciliation/reports', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.status) query.status = req.query.status;
+
+        const reports = await ReconciliationReport.find(query)
+            .select('-items')
+            .sort({ periodStart: -1, startedAt: -1 })
+            .limit(Math.min(Number(req.query.limit) || 60, 365))
+            .lean();
+
+        res.json({ success: true, count: reports.length, reports });
+    } catch (error) {
+        console.error('Reconciliation reports error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Discrepancy report (?itemStatus=open to hide what's been handled)
+router.get('/reconciliation/reports/:reportId', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const report = await ReconciliationReport.findById(req.params.reportId).lean();
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Report not found' });
+        }
+        if (req.query.itemStatus) {
+            report.items = report.items.filter((item) => item.status === req.query.itemStatus);
+        }
+
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Reconciliation report error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Run now for a day ({ date: "2025-01-31" }) or a range ({ from, to }); defaults to yesterday
+router.post('/reconciliation/run', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const { date, from, to } = req.body;
+        let periodStart;
+        let periodEnd;
+        if (from && to) {
+            periodStart = new Date(from);
+            periodEnd = new Date(to);
+        } else {
+            periodStart = startOfDay(date ? new Date(date) : new Date(Date.now() - 24 * 60 * 60 * 1000));
+            periodEnd = new Date(periodStart.getTime() + 24 * 60 * 60 * 1000);
+        }
+        if (isNaN(periodStart) || isNaN(periodEnd)) {
+            return res.status(400).json({ success: false, message: 'Invalid date' });
+        }
+
+        const { report, error, statusCode } = await runReconciliation({ periodStart, periodEnd, trigger: 'manual', triggeredBy: req.user.phone });
+        if (error) return res.status(statusCode).json({ success: false, message: error });
+
+        res.json({ success: report.status === 'completed', report });
+    } catch (error) {
+        console.error('Reconciliation run error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// One-click fix: applies the item's suggested action (or { action: "dismiss", note })
+router.post('/reconciliation/reports/:reportId/items/:itemId/resolve', authenticateToken, checkAdmin, async (req, res) => {
+    try {
+        const { item, error, statusCode } = await resolveItem(req.params.reportId, req.params.itemId, {
+            action: req.body.action,
+            note: req.body.note,
+            resolvedBy: req.user.phone
+        });
+        if (error) return res.status(statusCode).json({ success: false, message: error });
+
+        res.json({ success: true, item });
+    } catch (error) {
+        console.error('Reconciliation resolve error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 // ============================
 // ACTIVITY LOGS
 // ============================
@@ -597,7 +886,13 @@ router.get('/users/:phone', authenticateToken, checkAdmin, async (req, res) => {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
 
-        res.json({ success: true, user });
+        // Blocks both ways - repeated blocks from different people are a trust signal
+        const [blocksReceived, blocksMade] = await Promise.all([
+            UserBlock.find({ blockedPhone: user.phone }).sort({ createdAt: -1 }),
+            UserBlock.find({ blockerPhone: user.phone }).sort({ createdAt: -1 })
+        ]);
+
+        res.json({ success: true, user, blocks: { received: blocksReceived, made: blocksMade } });
     } catch (error) {
         console.error('User fetch error:', error);
         res.status(500).json({ success: false, message: error.message });
@@ -0,0 +1,68 @@
+// routes/blocks.js
+// Contractors block workers and workers block contractors - see services/blocklist.js
+const express = require("express");
+const router = express.Router();
+const { authenticateToken } = require("../utils/auth");
+const UserBlock = require("../models/UserBlock");
+const User = require("../models/User");
+const { blockUser, unblockUser } = require("../services/blocklist");
+
+// GET users I have blocked
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const blocks = await UserBlock.find({ blockerPhone: req.user.phone }).sort({ createdAt: -1 });
+    res.json({ success: true, blocks });
+  } catch (err) {
+    console.error("Fetch blocks error:", err);
+    res.status(500).json({ success: false, message: "Error fetching blocked users" });
+  }
+});
+
+// Block a user: { phone, reason, jobId }
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const { phone, reason, jobId } = req.body;
+
+    if (!["contractor", "worker"].includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: "Only contractors and workers can block users" });
+    }
+    if (!phone) {
+      return res.status(400).json({ success: false, message: "phone required" });
+    }
+    if (phone === req.user.phone) {
+      return res.status(400).json({ success: false, message: "You can't block yourself" });
+    }
+
+    const blockedUser = await User.findOne({ phone }).select("role");
+    if (!blockedUser) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    // Blocks are between a contractor and a worker
+    if (blockedUser.role === req.user.role) {
+      return res.status(400).json({ success: false, message: `A ${req.user.role} can only block the other side` });
+    }
+
+    const block = await blockUser(req.user, phone, { reason, jobId });
+    console.log(`🚫 ${req.user.role} ${req.user.phone} blocked ${phone}`);
+    res.json({ success: true, block });
+  } catch (err) {
+    console.error("Block user error:", err);
+    res.status(500).json({ success: false, message: "Error blocking user" });
+  }
+});
+
+// Unblock a user
+router.delete("/:phone", authenticateToken, async (req, res) => {
+  try {
+    const removed = await unblockUser(req.user.phone, req.params.phone);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: "Block not found" });
+    }
+    res.json({ success: true, message: "User unblocked" });
+  } catch (err) {
+    console.error("Unblock user error:", err);
+    res.status(500).json({ success: false, message: "Error unblocking user" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+// routes/jobTemplates.js
+// Recurring job series for contractors - jobs are posted by services/jobTemplateScheduler.js
+const express = require("express");
+const router = express.Router();
+const { authenticateToken } = require("../utils/auth");
+const JobTemplate = require("../models/JobTemplate");
+const Job = require("../models/Jobs");
+const User = require("../models/User");
+const { validateJobInput, canHireInBulk } = require("../services/jobPosting");
+const { computeNextOccurrence } = require("../services/jobTemplateScheduler");
+const { parseRecurrence, getNextOccurrence } = require("../utils/recurrence");
+
+// Job fields a template carries (and can be edited)
+const TEMPLATE_JOB_FIELDS = [
+  "title",
+  "description",
+  "workerType",
+  "amount",
+  "pricing",
+  "lat",
+  "lon",
+  "workersNeeded",
+  "dispatchStrategy",
+  "dispatchMode",
+  "broadcastSize",
+];
+
+function pickJobFields(source) {
+  const fields = {};
+  TEMPLATE_JOB_FIELDS.forEach((key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+  });
+  return fields;
+}
+
+// Validate job fields the same way POST /jobs/post does (premium check included)
+async function validateTemplateJob(fields, phone) {
+  const { values, error } = validateJobInput(fields);
+  if (error) return { error, statusCode: 400 };
+
+  if (values.workersNeeded > 1) {
+    const contractor = await User.findOne({ phone }).select("premiumPlan");
+    if (!canHireInBulk(contractor)) {
+      return { error: "Bulk hiring requires an active premium plan", statusCode: 403 };
+    }
+  }
+  return { values };
+}
+
+async function findOwnTemplate(req, res) {
+  const template = await JobTemplate.findOne({ _id: req.params.id, contractorPhone: req.user.phone });
+  if (!template) {
+    res.status(404).json({ success: false, message: "Template not found" });
+    return null;
+  }
+  return template;
+}
+
+// ========== ROUTES ==========
+
+// Create a recurring job series
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const fields = pickJobFields(req.body);
+    const { values, error, statusCode } = await validateTemplateJob(fields, req.user.phone);
+    if (error) return res.status(statusCode).json({ success: false, message: error });
+
+    const { rule, error: recurrenceError } = parseRecurrence(req.body.recurrence);
+    if (recurrenceError) return res.status(400).json({ success: false, message: recurrenceError });
+
+    const nextOccurrenceAt = getNextOccurrence(rule, new Date());
+    if (!nextOccurrenceAt) {
+      return res.status(400).json({ success: false, message: "Recurrence has no upcoming occurrences" });
+    }
+
+    const template = await JobTemplate.create({
+      ...fields,
+      workersNeeded: values.workersNeeded,
+      contractorPhone: req.user.phone,
+      contractorName: req.user.name,
+      recurrence: rule,
+      nextOccurrenceAt,
+    });
+
+    console.log(`🔁 Job template ${template._id} created by ${req.user.phone} (${rule.frequency} at ${rule.startTime})`);
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error("Create job template error:", err);
+    res.status(500).json({ success: false, message: "Error creating job template" });
+  }
+});
+
+// List own templates
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const templates = await JobTemplate.find({ contractorPhone: req.user.phone }).sort({ createdAt: -1 });
+    res.json({ success: true, templates });
+  } catch (err) {
+    console.error("List job templates error:", err);
+    res.status(500).json({ success: false, message: "Error fetching job templates" });
+  }
+});
+
+// Template with the jobs it posted
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    const jobs = await Job.find({ templateId: template._id.toString() }).sort({ date: -1 }).limit(30);
+    res.json({ success: true, template, jobs });
+  } catch (err) {
+    console.error("Fetch job template error:", err);
+    res.status(500).json({ success: false, message: "Error fetching job template" });
+  }
+});
+
+// Edit job fields and/or recurrence - applies to occurrences not posted yet
+router.put("/:id", authenticateToken, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+    if (template.status === "ended") {
+      return res.status(400).json({ success: false, message: "This series has ended" });
+    }
+
+    const fields = pickJobFields(req.body);
+    const merged = { ...pickJobFields(template.toObject()), ...fields };
+    const { values, error, statusCode } = await validateTemplateJob(merged, req.user.phone);
+    if (error) return res.status(statusCode).json({ success: false, message: error });
+
+    Object.assign(template, fields, { workersNeeded: values.workersNeeded });
+
+    if (req.body.recurrence) {
+      const { rule, error: recurrenceError } = parseRecurrence(req.body.recurrence);
+      if (recurrenceError) return res.status(400).json({ success: false, message: recurrenceError });
+      template.recurrence = rule;
+    }
+
+    if (template.status === "active") {
+      template.nextOccurrenceAt = computeNextOccurrence(template);
+      if (!template.nextOccurrenceAt) {
+        return res.status(400).json({ success: false, message: "Recurrence has no upcoming occurrences" });
+      }
+    }
+
+    await template.save();
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error("Update job template error:", err);
+    res.status(500).json({ success: false, message: "Error updating job template" });
+  }
+});
+
+// Pause a series - no jobs are posted until it is resumed
+router.post("/:id/pause", authenticateToken, async (req, res) => {
+  try {
+    const template = await JobTemplate.findOneAndUpdate(
+      { _id: req.params.id, contractorPhone: req.user.phone, status: "active" },
+      { $set: { status: "paused", nextOccurrenceAt: null } },
+      { new: true }
+    );
+    if (!template) {
+      return res.status(400).json({ success: false, message: "Template not found or not active" });
+    }
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error("Pause job template error:", err);
+    res.status(500).json({ success: false, message: "Error pausing job template" });
+  }
+});
+
+// Resume a paused series from the next occurrence (occurrences while paused are not posted)
+router.post("/:id/resume", authenticateToken, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+    if (template.status !== "paused") {
+      return res.status(400).json({ success: false, message: "Only paused series can be resumed" });
+    }
+
+    const nextOccurrenceAt = computeNextOccurrence(template);
+    if (!nextOccurrenceAt) {
+      return res.status(400).json({ success: false, message: "Recurrence has no upcoming occurrences" });
+    }
+
+    template.status = "active";
+    template.nextOccurrenceAt = nextOccurrenceAt;
+    template.consecutiveFailures = 0;
+    template.lastError = null;
+    await template.save();
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error("Resume job template error:", err);
+    res.status(500).json({ success: false, message: "Error resuming job template" });
+  }
+});
+
+// End a series for good - jobs already posted stay (cancel them individually if needed)
+router.post("/:id/end", authenticateToken, async (req, res) => {
+  try {
+    const template = await JobTemplate.findOneAndUpdate(
+      { _id: req.params.id, contractorPhone: req.user.phone, status: { $ne: "ended" } },
+      { $set: { status: "ended", nextOccurrenceAt: null, endedAt: new Date() } },
+      { new: true }
+    );
+    if (!template) {
+      return res.status(400).json({ success: false, message: "Template not found or already ended" });
+    }
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error("End job template error:", err);
+    res.status(500).json({ success: false, message: "Error ending job template" });
+  }
+});
+
+module.exports = router;
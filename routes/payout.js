@@ -1,11 +1,11 @@
 const express = require('express');
-const { authenticateToken } = require('../utils/auth');
+const { authenticateToken, checkAdmin } = require('../utils/auth');
+const { idempotent } = require('../utils/idempotency');
 const WorkerEarnings = require('../models/WorkerEarnings');
 const PayoutBatch = require('../models/PayoutBatch');
-const Wallet = require('../models/Wallet');
-const NotificationHistory = require('../models/NotificationHistory');
 const ActivityLog = require('../models/ActivityLog');
 const User = require('../models/User');
+const { processBatch, retryLines } = require('../services/payoutProcessor');
 
 const router = express.Router();
 
@@ -104,7 +104,10 @@ router.get('/worker/payouts', authenticateToken, async (req, res) => {
         week: batch.payoutWeek,
         status: batch.status,
         amount: workerData?.netAmount,
+        lineStatus: workerData?.status,
         transactionId: workerData?.transactionId,
+        utr: workerData?.utr,
+        paidAt: workerData?.paidAt,
         completedAt: batch.completedAt,
         failureReason: workerData?.failureReason
       };
@@ -158,9 +161,8 @@ router.get('/worker/earnings/detailed', authenticateToken, async (req, res) => {
 // ========== ADMIN ROUTES (PAYOUT MANAGEMENT) ==========
 
 // ✅ POST: Create weekly payout batch
-router.post('/admin/create-payout-batch', authenticateToken, async (req, res) => {
+router.post('/admin/create-payout-batch', authenticateToken, checkAdmin, idempotent, async (req, res) => {
   try {
-    // Check if user is admin (add admin check based on your auth system)
     const { year, week } = req.body;
 
     if (!year || !week) {
@@ -214,6 +216,7 @@ router.post('/admin/create-payout-batch', authenticateToken, async (req, res) =>
         earningsAmount: data.earningsAmount,
         deductions: data.deductions,
         netAmount: data.earningsAmount - data.deductions,
+        earningIds: data.jobs,
         status: 'pending',
         bankDetails: {} // To be filled by worker or admin
       });
@@ -261,7 +264,7 @@ router.post('/admin/create-payout-batch', authenticateToken, async (req, res) =>
 });
 
 // ✅ GET: Admin view all payout batches
-router.get('/admin/payouts', authenticateToken, async (req, res) => {
+router.get('/admin/payouts', authenticateToken, checkAdmin, async (req, res) => {
   try {
     const { status, year, week } = req.query;
 
@@ -287,7 +290,7 @@ router.get('/admin/payouts', authenticateToken, async (req, res) => {
 });
 
 // ✅ GET: Admin view single payout batch details
-router.get('/admin/payouts/:batchId', authenticateToken, async (req, res) => {
+router.get('/admin/payouts/:batchId', authenticateToken, checkAdmin, async (req, res) => {
   try {
     const batch = await PayoutBatch.findOne({ batchId: req.params.batchId });
 
@@ -305,79 +308,56 @@ router.get('/admin/payouts/:batchId', authenticateToken, async (req, res) => {
   }
 });
 
-// ✅ POST: Admin mark payout as completed (TEST MODE)
-router.post('/admin/payouts/:batchId/complete', authenticateToken, async (req, res) => {
+// ✅ POST: Admin pay out a batch (send pending lines, retry due failures, check on pending payouts)
+// /complete is kept for older admin clients; it used to mark everything paid in test mode
+async function processPayoutBatch(req, res) {
   try {
-    const { batchId } = req.params;
-
-    const batch = await PayoutBatch.findOne({ batchId });
-    if (!batch) {
-      return res.status(404).json({ success: false, message: 'Payout batch not found' });
+    const result = await processBatch(req.params.batchId, { processedBy: req.user.phone });
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error });
     }
 
-    // Update batch status
-    batch.status = 'completed';
-    batch.completedAt = new Date();
-    
-    // Mark all workers as success (in test mode)
-    batch.workers.forEach(worker => {
-      worker.status = 'success';
-      worker.transactionId = `TXN_TEST_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    res.json({
+      success: true,
+      message: `Payout batch is ${result.batch.status}`,
+      batch: result.batch
     });
+  } catch (error) {
+    console.error('❌ Error processing payout batch:', error);
+    res.status(500).json({ success: false, message: 'Error processing payout batch', error: error.message });
+  }
+}
 
-    await batch.save();
+router.post('/admin/payouts/:batchId/process', authenticateToken, checkAdmin, idempotent, processPayoutBatch);
+router.post('/admin/payouts/:batchId/complete', authenticateToken, checkAdmin, idempotent, processPayoutBatch);
 
-    // Update WorkerEarnings status
-    const week = batch.payoutWeek;
-    await WorkerEarnings.updateMany(
-      {
-        'payoutWeek.year': week.year,
-        'payoutWeek.week': week.week,
-        status: { $in: ['earned', 'payout_requested'] }
-      },
-      { status: 'payout_completed' }
-    );
-
-    // Create notifications for all workers
-    for (const worker of batch.workers) {
-      await NotificationHistory.create({
-        recipientPhone: worker.workerPhone,
-        type: 'payout_completed',
-        title: 'Payout Completed',
-        body: `You received ₹${worker.netAmount} in your bank account. Transaction ID: ${worker.transactionId}`,
-        isRead: false,
-        timestamp: new Date()
-      });
+// ✅ POST: Admin retry failed worker lines now
+// Body: { workerPhones?: [String] (default: all failed lines), includeManualReview?: Boolean }
+router.post('/admin/payouts/:batchId/retry', authenticateToken, checkAdmin, idempotent, async (req, res) => {
+  try {
+    const { workerPhones, includeManualReview } = req.body || {};
+    if (workerPhones !== undefined && !Array.isArray(workerPhones)) {
+      return res.status(400).json({ success: false, message: 'workerPhones must be an array' });
     }
 
-    // Log activity
-    await ActivityLog.create({
-      userPhone: req.user.phone,
-      action: 'payout_batch_completed',
-      details: {
-        batchId,
-        totalAmount: batch.totalAmount,
-        totalWorkers: batch.totalWorkers
-      },
-      timestamp: new Date()
+    const result = await retryLines(req.params.batchId, {
+      workerPhones,
+      includeManualReview: includeManualReview === true,
+      processedBy: req.user.phone
     });
-
-    console.log(`✅ Payout batch completed: ${batchId}, Amount: ₹${batch.totalAmount}`);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error });
+    }
 
     res.json({
       success: true,
-      message: 'Payout batch completed successfully',
-      batch: {
-        batchId,
-        status: batch.status,
-        totalAmount: batch.totalAmount,
-        totalWorkers: batch.totalWorkers,
-        completedAt: batch.completedAt
-      }
+      message: `Retried ${result.retried} line(s); payout batch is ${result.batch.status}`,
+      retried: result.retried,
+      batch: result.batch
     });
   } catch (error) {
-    console.error('❌ Error completing payout batch:', error);
-    res.status(500).json({ success: false, message: 'Error completing payout batch', error: error.message });
+    console.error('❌ Error retrying payout batch:', error);
+    res.status(500).json({ success: false, message: 'Error retrying payout batch', error: error.message });
   }
 });
 
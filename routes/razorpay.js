@@ -1,53 +1,74 @@
 const express = require('express');
-const crypto = require('crypto');
-const Razorpay = require('razorpay');
+const mongoose = require('mongoose');
 const { authenticateToken } = require('../utils/auth');
-const Wallet = require('../models/Wallet');
+const { idempotent } = require('../utils/idempotency');
 const Job = require('../models/Jobs');
-const NotificationHistory = require('../models/NotificationHistory');
-const WorkerEarnings = require('../models/WorkerEarnings');
-const ActivityLog = require('../models/ActivityLog');
+const PaymentOrder = require('../models/PaymentOrder');
+const { getAssignment } = require('../utils/jobSlots');
+const { getRazorpayClient } = require('../services/razorpayClient');
+const { recordOrder, settleJobPayment } = require('../services/paymentSettlement');
+const { verifyPayment } = require('../services/paymentVerification');
+const { getPaymentBlocker } = require('../services/jobPayment');
+const { getPayAmount } = require('../services/jobPricing');
+const { toPaise } = require('../services/ledger');
 
 const router = express.Router();
 
-// Initialize Razorpay with test keys
-const keyId = process.env.RAZORPAY_KEY_ID || 'rzp_test_1OfZbdvUlF5zWV';
-const keySecret = process.env.RAZORPAY_KEY_SECRET || 'WhhqhokMn6PvdKJBANGNNnBu';
-
-console.log('✅ Razorpay initialized with Key ID:', keyId.substring(0, 15) + '...');
-
-const razorpay = new Razorpay({
-  key_id: keyId,
-  key_secret: keySecret
-});
-
 // ✅ Create Payment Order
-router.post('/create-order', authenticateToken, async (req, res) => {
+router.post('/create-order', authenticateToken, idempotent, async (req, res) => {
   try {
-    const { jobId, amount, workerPhone, workerName } = req.body;
+    const { jobId, amount, workerPhone } = req.body;
 
     if (!jobId || !amount || !workerPhone) {
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ success: false, message: 'Invalid amount' });
+    }
+
+    // Only the job's contractor can pay, and only a worker who holds the job
+    const job = mongoose.isValidObjectId(jobId) ? await Job.findById(jobId) : null;
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (job.contractorPhone !== req.user.phone) {
+      return res.status(403).json({ success: false, message: 'Only the contractor can pay for this job' });
+    }
+    const assignment = getAssignment(job, workerPhone);
+    if (!assignment?.acceptedBy) {
+      return res.status(400).json({ success: false, message: 'This worker has not accepted the job' });
+    }
+    // Same checks as paying from the wallet, so an order can't be created for a worker who can't be paid
+    const blocker = getPaymentBlocker(job, assignment);
+    if (blocker) {
+      return res.status(blocker.statusCode).json({ success: false, message: blocker.error });
+    }
+    const payAmount = Number(getPayAmount(job, assignment));
+    if (toPaise(amount) !== toPaise(payAmount)) {
+      return res.status(400).json({ success: false, message: `The amount payable for this worker is ₹${payAmount}` });
+    }
 
-    console.log('📝 Creating Razorpay order for amount:', amount, 'with key_id:', process.env.RAZORPAY_KEY_ID);
+    const client = getRazorpayClient();
+    console.log('📝 Creating Razorpay order for amount:', amount, `(${client.mode})`);
 
     // Create short receipt (max 40 chars) - use just last 8 chars of jobId
-    const shortJobId = jobId.substring(jobId.length - 8);
+    const shortJobId = String(jobId).substring(String(jobId).length - 8);
     const receipt = `job_${shortJobId}`;
 
     // Create Razorpay order
-    const order = await razorpay.orders.create({
+    const order = await client.createOrder({
       amount: Math.round(amount * 100), // Convert to paise
       currency: 'INR',
       receipt: receipt,
       notes: {
-        jobId,
-        workerPhone,
-        workerName
+        jobId: String(jobId),
+        workerPhone: assignment.acceptedBy,
+        workerName: assignment.acceptedWorker?.name || ''
       }
     });
 
+    await recordOrder(order, { purpose: 'job_payment', phone: req.user.phone, jobId: String(jobId), workerPhone: assignment.acceptedBy });
+
     console.log('✅ Razorpay order created:', order.id);
 
     res.status(200).json({
@@ -55,7 +76,7 @@ router.post('/create-order', authenticateToken, async (req, res) => {
       orderId: order.id,
       amount: order.amount,
       currency: order.currency,
-      key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_1OfZbdvUlF5zWV'
+      key_id: client.keyId
     });
   } catch (error) {
     console.error('Failed to create Razorpay order:', error);
@@ -64,154 +85,43 @@ router.post('/create-order', authenticateToken, async (req, res) => {
 });
 
 // ✅ Verify Payment & Update Wallet
-router.post('/verify-payment', authenticateToken, async (req, res) => {
+// Only the ids and signature are read from the request: the amount and the worker come from the order we recorded
+router.post('/verify-payment', authenticateToken, idempotent, async (req, res) => {
   try {
-    const { orderId, paymentId, signature, jobId, amount, workerPhone } = req.body;
-
-    // For test mode - skip signature verification if it's a test payment
-    const isTestPayment = paymentId && paymentId.includes('test');
-    
-    if (!isTestPayment) {
-      // Verify signature for real payments
-      const body = orderId + '|' + paymentId;
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || 'WhhqhokMn6PvdKJBANGNNnBu')
-        .update(body)
-        .digest('hex');
-
-      if (expectedSignature !== signature) {
-        return res.status(400).json({ success: false, message: 'Invalid payment signature' });
-      }
-    }
-
-    console.log('✅ Payment verified for order:', orderId);
-
-    // Get job details for earnings calculation
-    const job = await Job.findById(jobId);
-    if (!job) {
-      return res.status(404).json({ success: false, message: 'Job not found' });
-    }
-
-    // Calculate current week for payout tracking
-    const now = new Date();
-    const weekNumber = Math.ceil((now.getDate() + new Date(now.getFullYear(), 0, 1).getDay()) / 7);
-    const weekStart = new Date(now);
-    weekStart.setDate(now.getDate() - now.getDay());
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekStart.getDate() + 6);
-
-    // 1️⃣ Create WorkerEarnings record (tracks individual job earnings)
-    const workerEarning = new WorkerEarnings({
-      workerPhone: workerPhone,
-      jobId: jobId,
-      amount: amount,
-      status: 'earned',
-      earnedAt: new Date(),
-      payoutWeek: {
-        year: now.getFullYear(),
-        week: weekNumber,
-        startDate: weekStart,
-        endDate: weekEnd
-      },
-      contractorName: job.contractorName,
-      contractorPhone: job.contractorPhone,
-      jobTitle: job.title
+    const { orderId, paymentId, signature } = req.body;
+
+    const { order, error, statusCode } = await verifyPayment({
+      orderId,
+      paymentId,
+      signature,
+      phone: req.user.phone,
+      purpose: 'job_payment'
     });
-    await workerEarning.save();
-    console.log(`💰 WorkerEarnings record created:`, workerEarning._id);
-
-    // 2️⃣ Update worker's wallet (for immediate display of available balance)
-    let workerWallet = await Wallet.findOne({ phone: workerPhone });
-    if (!workerWallet) {
-      workerWallet = new Wallet({ phone: workerPhone, balance: 0 });
+    if (error) {
+      return res.status(statusCode).json({ success: false, message: error });
     }
 
-    workerWallet.balance += amount;
-    workerWallet.transactions.push({
-      type: 'payment',
-      amount: amount,
-      date: new Date(),
-      jobId: jobId,
-      description: `Payment for: ${job.title}`
-    });
-    await workerWallet.save();
-    console.log(`✅ Worker wallet updated: ${workerPhone} received ₹${amount}`);
-
-    // 3️⃣ Create ActivityLog record
-    await ActivityLog.create({
-      userId: workerPhone,
-      phone: workerPhone,
-      action: 'payment_received',
-      description: `Received ₹${amount} for job: ${job.title}`,
-      jobId: jobId,
-      status: 'success'
-    });
+    console.log('✅ Payment verified for order:', orderId);
 
-    // 4️⃣ Update job payment status
-    const updatedJob = await Job.findByIdAndUpdate(
-      jobId,
-      { paymentStatus: 'Paid', paymentTime: new Date() },
-      { new: true }
+    // Booked once per payment, whether this or the payment.captured webhook gets here first
+    const result = await settleJobPayment(
+      { orderId, paymentId, jobId: order.jobId, workerPhone: order.workerPhone, amount: order.amount, createdBy: req.user.phone },
+      { io: req.app.get('io') }
     );
-
-    // 5️⃣ Create notification for worker
-    const notification = await NotificationHistory.create({
-      recipientPhone: workerPhone,
-      type: 'payment_received',
-      title: 'Payment Received',
-      body: `You received ₹${amount} for job: ${updatedJob.title}`,
-      isRead: false,
-      timestamp: new Date()
-    });
-
-    console.log(`📢 Notification created for ${workerPhone}:`, notification._id);
-
-    // Emit socket event to notify worker in real-time
-    const io = req.app.get('io');
-    if (io) {
-      // Find all sockets for this worker and notify them
-      const sockets = Array.from(io.sockets.sockets.values());
-      let targetSocketFound = false;
-      
-      sockets.forEach((socket) => {
-        // Check both socket.user.phone (from JWT) and socket.data.user.phone
-        const socketWorkerPhone = socket.user?.phone || socket.data?.user?.phone;
-        if (socketWorkerPhone === workerPhone) {
-          socket.emit('walletUpdated', {
-            phone: workerPhone,
-            balance: workerWallet.balance,
-            message: `Payment received: ₹${amount}`
-          });
-          socket.emit('notificationReceived', {
-            recipientPhone: workerPhone,
-            notification
-          });
-          targetSocketFound = true;
-          console.log(`📤 Sent wallet & notification events to socket ${socket.id} for worker ${workerPhone}`);
-        }
-      });
-      
-      if (!targetSocketFound) {
-        console.log(`⚠️ No connected socket found for worker ${workerPhone}, using broadcast`);
-        io.emit('walletUpdated', {
-          phone: workerPhone,
-          balance: workerWallet.balance,
-          message: `Payment received: ₹${amount}`
-        });
-        io.emit('notificationReceived', {
-          recipientPhone: workerPhone,
-          notification
-        });
-      }
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error });
+    }
+    if (result.reason) {
+      return res.status(409).json({ success: false, message: result.reason, walletCredited: true });
     }
-
-    console.log(`📬 Notification created for ${workerPhone}:`, notification._id);
 
     res.status(200).json({
       success: true,
       message: 'Payment verified and wallet updated',
-      walletBalance: workerWallet.balance,
-      notificationId: notification._id
+      amount: order.amount,
+      workerPhone: result.workerPhone,
+      walletBalance: result.walletBalance,
+      notificationId: result.notificationId
     });
   } catch (error) {
     console.error('Payment verification failed:', error);
@@ -219,4 +129,27 @@ router.post('/verify-payment', authenticateToken, async (req, res) => {
   }
 });
 
+// ✅ Sandbox: pay an order without Checkout (only when the server runs the fake gateway, RAZORPAY_MODE=fake)
+// Returns what Checkout would hand the app, to be sent to verify-payment / deposit/verify as usual
+router.post('/sandbox/pay', authenticateToken, async (req, res) => {
+  try {
+    const client = getRazorpayClient();
+    if (client.mode !== 'fake') {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+
+    const order = await PaymentOrder.findOne({ orderId: req.body.orderId }).lean();
+    if (!order || order.phone !== req.user.phone) {
+      return res.status(404).json({ success: false, message: 'Payment order not found' });
+    }
+
+    const { payment, signature } = await client.capturePayment(order.orderId);
+    console.log(`🧪 Sandbox payment ${payment.id} captured for order ${order.orderId}`);
+    res.json({ success: true, orderId: order.orderId, paymentId: payment.id, signature });
+  } catch (error) {
+    console.error('Sandbox payment failed:', error);
+    res.status(500).json({ success: false, message: 'Sandbox payment failed', error: error.message });
+  }
+});
+
 module.exports = router;
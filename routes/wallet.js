@@ -2,19 +2,23 @@
 const express = require("express");
 const router = express.Router();
 const { authenticateToken } = require("../utils/auth");
-const Wallet = require("../models/Wallet");
+const { idempotent } = require("../utils/idempotency");
 const BankAccount = require("../models/BankAccount");
+const {
+  getWalletView,
+  getWalletTransactions,
+  debitWithdrawal,
+} = require("../services/walletOperations");
+const { getRazorpayClient } = require("../services/razorpayClient");
+const { recordOrder, settleDeposit } = require("../services/paymentSettlement");
+const { verifyPayment } = require("../services/paymentVerification");
 
 // ========== GET ROUTES ==========
 
 // GET wallet
 router.get("/", authenticateToken, async (req, res) => {
   try {
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    if (!wallet) {
-      wallet = new Wallet({ phone: req.user.phone, balance: 0 });
-      await wallet.save();
-    }
+    const wallet = await getWalletView(req.user.phone, { limit: req.query.limit });
     res.json({ success: true, wallet });
   } catch (err) {
     console.error('Wallet fetch error:', err);
@@ -25,18 +29,14 @@ router.get("/", authenticateToken, async (req, res) => {
 // GET transactions
 router.get("/transactions", authenticateToken, async (req, res) => {
   try {
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    if (!wallet) {
-      return res.json({ success: true, transactions: [] });
-    }
-    
-    const formattedTransactions = wallet.transactions.map((t) => ({
-      id: t._id,
-      type: t.type === "deposit" || t.type === "credit" ? "credit" : t.type === "refund" ? "refund" : "debit",
-      description: t.description || `${t.type.charAt(0).toUpperCase() + t.type.slice(1)}`,
-      amount: t.amount,
+    const transactions = await getWalletTransactions(req.user.phone, {
+      limit: req.query.limit,
+      before: req.query.before,
+    });
+
+    const formattedTransactions = transactions.map((t) => ({
+      ...t,
       date: new Date(t.date).toLocaleDateString("en-IN"),
-      status: "completed",
     }));
     
     res.json({ success: true, transactions: formattedTransactions });
@@ -77,7 +77,7 @@ router.get("/bank-account", authenticateToken, async (req, res) => {
 // ========== DEPOSIT ROUTES ==========
 
 // ✅ CREATE DEPOSIT ORDER (Razorpay)
-router.post("/deposit/create-order", authenticateToken, async (req, res) => {
+router.post("/deposit/create-order", authenticateToken, idempotent, async (req, res) => {
   try {
     const { amount } = req.body;
     
@@ -85,13 +85,8 @@ router.post("/deposit/create-order", authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, message: "Minimum deposit is ₹100" });
     }
     
-    const Razorpay = require('razorpay');
-    const razorpay = new Razorpay({
-      key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_RsQNKDLMYY0pMB',
-      key_secret: process.env.RAZORPAY_KEY_SECRET || 'gEmds37w05xlxtfcwYcdTWUi'
-    });
-
-    const order = await razorpay.orders.create({
+    const client = getRazorpayClient();
+    const order = await client.createOrder({
       amount: Math.round(amount * 100),
       currency: 'INR',
       receipt: `deposit_${req.user.phone}_${Date.now()}`,
@@ -101,6 +96,8 @@ router.post("/deposit/create-order", authenticateToken, async (req, res) => {
       }
     });
 
+    await recordOrder(order, { purpose: 'wallet_deposit', phone: req.user.phone });
+
     console.log(`💰 Deposit order created: ${order.id}, Amount: ₹${amount}`);
 
     res.json({
@@ -108,7 +105,7 @@ router.post("/deposit/create-order", authenticateToken, async (req, res) => {
       orderId: order.id,
       amount: order.amount,
       currency: order.currency,
-      key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_RsQNKDLMYY0pMB'
+      key_id: client.keyId
     });
   } catch (err) {
     console.error('Deposit order creation error:', err);
@@ -117,44 +114,36 @@ router.post("/deposit/create-order", authenticateToken, async (req, res) => {
 });
 
 // ✅ VERIFY & COMPLETE DEPOSIT
-router.post("/deposit/verify", authenticateToken, async (req, res) => {
+router.post("/deposit/verify", authenticateToken, idempotent, async (req, res) => {
   try {
-    const { orderId, paymentId, signature, amount } = req.body;
-    const crypto = require('crypto');
-
-    // Verify signature
-    const body = orderId + '|' + paymentId;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || 'gEmds37w05xlxtfcwYcdTWUi')
-      .update(body)
-      .digest('hex');
-
-    if (expectedSignature !== signature) {
-      return res.status(400).json({ success: false, message: 'Invalid payment signature' });
+    const { orderId, paymentId, signature } = req.body;
+
+    // The amount credited is the one on our order record, confirmed with Razorpay
+    const { order, error, statusCode } = await verifyPayment({
+      orderId,
+      paymentId,
+      signature,
+      phone: req.user.phone,
+      purpose: 'wallet_deposit'
+    });
+    if (error) {
+      return res.status(statusCode).json({ success: false, message: error });
     }
 
     console.log(`✅ Deposit verified for order: ${orderId}`);
 
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    if (!wallet) {
-      wallet = new Wallet({ phone: req.user.phone, balance: 0 });
-    }
-
-    wallet.balance += Number(amount);
-    wallet.transactions.push({
-      type: 'deposit',
-      amount: Number(amount),
-      date: new Date(),
-      description: `Wallet deposit via Razorpay`
+    // Credited once per payment, whether this or the payment.captured webhook gets here first
+    const { walletBalance } = await settleDeposit({
+      orderId,
+      paymentId,
+      phone: order.phone,
+      amount: order.amount,
     });
-    await wallet.save();
-
-    console.log(`✅ Wallet updated: ${req.user.phone} deposited ₹${amount}`);
 
     res.json({
       success: true,
       message: 'Deposit successful',
-      walletBalance: wallet.balance
+      walletBalance
     });
   } catch (err) {
     console.error('Deposit verification error:', err);
@@ -241,7 +230,7 @@ router.post("/bank-account/add", authenticateToken, async (req, res) => {
 // ========== WITHDRAWAL ROUTES ==========
 
 // ✅ WITHDRAW to bank account (requires bank account)
-router.post("/withdraw", authenticateToken, async (req, res) => {
+router.post("/withdraw", authenticateToken, idempotent, async (req, res) => {
   try {
     const { amount } = req.body;
     
@@ -272,25 +261,13 @@ router.post("/withdraw", authenticateToken, async (req, res) => {
       });
     }
 
-    // Check wallet balance
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    if (!wallet) {
-      return res.status(404).json({ success: false, message: "Wallet not found" });
-    }
-    
-    if (wallet.balance < amount) {
-      return res.status(400).json({ success: false, message: "Insufficient balance" });
-    }
-
-    // Deduct from wallet
-    wallet.balance -= Number(amount);
-    wallet.transactions.push({ 
-      type: "withdraw", 
-      amount: Number(amount), 
-      date: new Date(),
+    // Deduct from wallet (balance is checked before posting)
+    const withdrawal = await debitWithdrawal(req.user.phone, Number(amount), {
       description: `Withdrawal to bank account ending in ${bankAccount.maskedAccount.slice(-4)}`
     });
-    await wallet.save();
+    if (withdrawal.error) {
+      return res.status(400).json({ success: false, message: withdrawal.error });
+    }
 
     console.log(`✅ Withdrawal initiated: ${req.user.phone}, Amount: ₹${amount}, Account: ${bankAccount.maskedAccount}`);
 
@@ -303,7 +280,7 @@ router.post("/withdraw", authenticateToken, async (req, res) => {
     res.json({ 
       success: true, 
       message: "Withdrawal initiated. Amount will be transferred to your bank account within 2-4 hours.",
-      walletBalance: wallet.balance,
+      walletBalance: withdrawal.balance,
       withdrawalAmount: amount,
       bankAccount: bankAccount.maskedAccount
     });
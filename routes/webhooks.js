@@ -0,0 +1,48 @@
+// routes/webhooks.js
+// Provider callbacks. Mounted before express.json() in server.js: signatures are computed
+// over the exact bytes received, so these routes read the raw body themselves.
+const express = require("express");
+const router = express.Router();
+const { verifySignature, recordEvent, processEvent } = require("../services/razorpayWebhooks");
+
+// ✅ Razorpay webhook (payments, refunds, payouts)
+router.post("/razorpay", express.raw({ type: "*/*", limit: "1mb" }), async (req, res) => {
+  try {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error("❌ RAZORPAY_WEBHOOK_SECRET is not set - rejecting Razorpay webhook");
+      return res.status(500).json({ success: false, message: "Webhook not configured" });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+    const signature = req.get("x-razorpay-signature");
+    if (!verifySignature(rawBody, signature, secret)) {
+      console.warn("⚠️ Razorpay webhook with an invalid signature rejected");
+      return res.status(400).json({ success: false, message: "Invalid signature" });
+    }
+
+    const { event, error, statusCode } = await recordEvent({
+      rawBody,
+      signature,
+      eventId: req.get("x-razorpay-event-id"),
+    });
+    if (error) return res.status(statusCode).json({ success: false, message: error });
+
+    // Redelivery of an event we already handled
+    if (["processed", "ignored"].includes(event.status)) {
+      return res.json({ success: true, status: event.status, duplicate: true });
+    }
+
+    const processed = await processEvent(event, { io: req.app.get("io") });
+    if (processed.status === "failed") {
+      // Non-2xx makes Razorpay retry; the event is also stored for a manual replay
+      return res.status(500).json({ success: false, message: "Event could not be processed" });
+    }
+    res.json({ success: true, status: processed.status });
+  } catch (err) {
+    console.error("Razorpay webhook error:", err);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+module.exports = router;
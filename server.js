@@ -2,22 +2,37 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
+const os = require("os");
 const http = require("http");
 const { Server } = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const { createClient } = require("redis");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
 const rateLimit = require("express-rate-limit");
 // const { v4: uuidv4 } = require("uuid"); // No longer needed - using MongoDB _id
 const { getDistanceFromLatLonInKm } = require("./utils/distance");
 const { authenticateToken } = require("./utils/auth"); // ✅ Centralized auth middleware
+const { idempotent, beginIdempotentRequest, finishIdempotentRequest } = require("./utils/idempotency");
 const multer = require("multer"); // ✅ For profile photo uploads
 const mongoose = require("mongoose");
 const WorkerModel = require("./models/Worker");
 const { findNearbyWorkers } = require("./services/matchingService");
+const {
+  rankWorkers,
+  isValidStrategy,
+  resolveDispatchMode,
+  getSearchRadiusKm,
+  DISPATCH_MODES,
+  MAX_EMPTY_ROUNDS,
+} = require("./services/dispatchEngine");
 
 // ---------------- CONFIG ----------------
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || "supersecretkey";
+// Names this process on Worker.socketServer so a restart can clear the socket ids it left behind.
+// Set it per process when the hostname is not stable (e.g. containers).
+const SERVER_ID = process.env.SERVER_ID || `${os.hostname()}:${PORT}`;
 
 // ---------------- MONGODB CONNECTION ----------------
 mongoose.connect(process.env.MONGO_URI || "mongodb://127.0.0.1:27017/kaamwale")
@@ -34,6 +49,20 @@ mongoose.connect(process.env.MONGO_URI || "mongodb://127.0.0.1:27017/kaamwale")
     } catch (err) {
       console.warn("Note: Could not drop old id index (may not exist):", err.message);
     }
+
+    // ✅ Sockets this server held before a restart are gone - don't offer jobs to them
+    try {
+      const stale = await WorkerModel.updateMany(
+        { socketServer: SERVER_ID, socketId: { $ne: "" } },
+        { $set: { socketId: "", isAvailable: false } }
+      );
+      if (stale.modifiedCount) console.log(`🧹 Cleared ${stale.modifiedCount} stale worker sockets from ${SERVER_ID}`);
+    } catch (err) {
+      console.error("Error clearing stale worker sockets:", err);
+    }
+
+    // ✅ Resume dispatch for jobs left pending by the previous process
+    await recoverPendingDispatch();
   })
   .catch((err) => console.error("MongoDB connection error:", err));
 
@@ -42,7 +71,6 @@ mongoose.connect(process.env.MONGO_URI || "mongodb://127.0.0.1:27017/kaamwale")
 // Use centralized models in ./models/*.js
 const User = require("./models/User");
 const ContractorStats = require("./models/ContractorStats");
-const Wallet = require("./models/Wallet"); // ✅ Import from models folder to avoid duplication
 const Job = require("./models/Jobs"); // ✅ Import Job model from centralized models folder
 // ✅ NEW: Critical collections for production readiness
 const ActivityLog = require("./models/ActivityLog");
@@ -50,6 +78,32 @@ const SupportTicket = require("./models/SupportTicket");
 const VerificationDocument = require("./models/VerificationDocument");
 const CancellationLog = require("./models/CancellationLog");
 const NotificationHistory = require("./models/NotificationHistory");
+const JobOffer = require("./models/JobOffer");
+const {
+  isMultiWorkerJob,
+  getOpenSlotCount,
+  getAcceptedPhones,
+  getAssignment,
+} = require("./utils/jobSlots");
+const {
+  OPEN_STATES,
+  ACTIVE_STATES,
+  SYSTEM_ACTOR,
+  canTransition,
+  actorFromUser,
+  buildHistoryEntry,
+  applyTransition,
+  transitionJob,
+  describeInvalidTransition,
+  migrateLegacyStatuses,
+} = require("./services/jobLifecycle");
+const {
+  parseJobStart,
+  getDispatchStartTime,
+  isDormant,
+  dispatchStartedFilter,
+  getReminderTimes,
+} = require("./services/jobScheduling");
 
 
 
@@ -62,10 +116,36 @@ const io = new Server(server, {
   cors: { origin: "*", methods: ["GET", "POST"] },
 });
 
+// ✅ With REDIS_URL set, io.to() reaches sockets on every server process (Redis adapter).
+// Without it delivery stays within this process, so run a single server.
+async function attachSocketAdapter() {
+  if (!process.env.REDIS_URL) {
+    console.warn("⚠️ REDIS_URL not set - Socket.IO events only reach sockets on this process");
+    return;
+  }
+  console.log("🔌 Connecting Socket.IO Redis adapter...");
+  try {
+    const pubClient = createClient({ url: process.env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    pubClient.on("error", (err) => console.error("Redis pub client error:", err));
+    subClient.on("error", (err) => console.error("Redis sub client error:", err));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+    console.log("✅ Socket.IO Redis adapter connected");
+  } catch (err) {
+    console.error("Socket.IO Redis adapter error (delivery limited to this process):", err);
+  }
+}
+
 // ✅ Attach io to app so routes can access it
 app.set('io', io);
 
 app.use(cors());
+
+// ✅ Mount provider webhooks before the JSON parser (they verify signatures over the raw body)
+const webhookRoutes = require("./routes/webhooks");
+app.use("/webhooks", webhookRoutes);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use("/uploads", express.static(path.join(__dirname, "uploads"))); // ✅ serve uploaded images
@@ -79,6 +159,14 @@ app.use("/wallet", walletRoutes);
 const razorpayRoutes = require("./routes/razorpay");
 app.use("/api/payment", razorpayRoutes);
 
+// ✅ Mount recurring job template routes
+const jobTemplateRoutes = require("./routes/jobTemplates");
+app.use("/job-templates", jobTemplateRoutes);
+
+// ✅ Mount contractor/worker block list routes
+const blockRoutes = require("./routes/blocks");
+app.use("/blocks", blockRoutes);
+
 // ✅ Mount leaderboard routes
 const leaderboardRoutes = require("./routes/leaderboardRoutes");
 app.use("/leaderboard", leaderboardRoutes);
@@ -93,6 +181,56 @@ app.use("/admin", adminRoutes);
 
 // ✅ Import and start leaderboard scheduler
 const { startLeaderboardScheduler } = require("./services/leaderboardScheduler");
+const { startJobReminderScheduler } = require("./services/jobReminderScheduler");
+const { startJobTemplateScheduler } = require("./services/jobTemplateScheduler");
+const { startReconciliationScheduler } = require("./services/paymentReconciliation");
+const { startPayoutScheduler } = require("./services/payoutProcessor");
+const { JOB_POST_FEE, postJob } = require("./services/jobPosting");
+const FavoriteWorker = require("./models/FavoriteWorker");
+const { recordRating, rebuildFromHistory, getFavorites } = require("./services/favoriteWorkers");
+const { getBlockedPhones, isBlockedBetween } = require("./services/blocklist");
+const {
+  CONTRACTOR_RATING_TAGS,
+  refreshContractorReputation,
+  getContractorReputation,
+} = require("./services/contractorReputation");
+const {
+  recordWorkerRating,
+  recordAttendance,
+  recordWorkerCancellation,
+} = require("./services/workerReputation");
+const {
+  GEOFENCE_RADIUS_METERS,
+  ATTENDANCE_FLAGS,
+  parseCoordinates,
+  buildCheckpoint,
+  getHoursWorked,
+  getManualAttendanceFlag,
+  addAttendanceFlag,
+} = require("./services/attendanceGeofence");
+const {
+  computePayable,
+  resolveWorkQuantities,
+  requiresConfirmation,
+  isPayableConfirmed,
+} = require("./services/jobPricing");
+const {
+  startTrackingSession,
+  endTrackingSession,
+  getActiveSessions,
+  recordSessionLocation,
+} = require("./services/trackingSessions");
+const { recordTrailPoint } = require("./services/locationTrail");
+const {
+  ensureWallet,
+  getWalletBalance,
+  chargeJobPostFee,
+  refundJobPostFee,
+  chargePremiumSubscription,
+  migrateWalletBalances,
+} = require("./services/walletOperations");
+const { holdEscrow, refundEscrow, refundJobOnCancel } = require("./services/jobEscrow");
+const { payWorker } = require("./services/jobPayment");
 
 // Ensure uploads folder exists
 const fs = require("fs").promises;
@@ -112,9 +250,10 @@ const loginLimiter = rateLimit({
 });
 
 // ---------------- CONNECTED WORKERS TRACKING ----------------
-const connectedWorkers = new Map(); // Map to store: socketId -> { name, phone, lat, lon, workerType }
-// Track which jobs should receive forwarded worker location updates: jobId -> expiryTimestamp
-const trackingJobs = new Map();
+// Per-process cache of sockets on THIS server: socketId -> { name, phone, lat, lon, workerType }
+// Dispatch matching reads the Worker collection instead ($geoNear), so it sees workers on every process
+// (offers reach them through the Socket.IO adapter - see the io setup)
+const connectedWorkers = new Map();
 // Track pending jobs with auto-decline timeouts: jobId -> timeoutId
 const pendingJobTimeouts = new Map();
 
@@ -132,8 +271,8 @@ async function updateContractorStats(phone) {
     
     const jobsPosted = todayJobs.length;
     const jobsCompleted = todayJobs.filter(j => j.attendanceStatus && j.paymentStatus === 'Paid').length;
-    const workersList = [...new Set(todayJobs.map(j => j.acceptedBy).filter(Boolean))];
-    const totalSpending = todayJobs.reduce((sum, j) => sum + (Number(j.amount) || 0), 0);
+    const workersList = [...new Set(todayJobs.flatMap(j => getAcceptedPhones(j)))];
+    const totalSpending = todayJobs.reduce((sum, j) => sum + (Number(j.amount) || 0) * (j.workersNeeded || 1), 0);
     
     let stats = await ContractorStats.findOne({ phone, date: today });
     if (stats) {
@@ -213,7 +352,10 @@ async function emitJobUpdatedToUsers(job, userIdentifiers = []) {
       }
     }
     
-    console.log(`✅ emitJobUpdatedToUsers complete - sent to ${sentSockets.size} sockets`);
+    // ✅ Third: users connected to other server processes, through their user rooms
+    if (ids.length) io.to(ids.map((id) => `user:${id}`)).except([...sentSockets]).emit("jobUpdated", job);
+
+    console.log(`✅ emitJobUpdatedToUsers complete - sent to ${sentSockets.size} local sockets`);
   } catch (e) {
     console.error('Error emitting targeted jobUpdated:', e);
     // fallback to broadcast if something goes wrong
@@ -221,7 +363,386 @@ async function emitJobUpdatedToUsers(job, userIdentifiers = []) {
   }
 }
 
-// ✅ HELPER: Offer job to next available worker (dynamic + skip declined)
+// ✅ HELPER: Update the status of the latest open offer for a worker on a job
+async function markJobOffer(jobId, workerPhone, status) {
+  try {
+    await JobOffer.findOneAndUpdate(
+      { jobId: jobId.toString(), workerPhone, status: "offered" },
+      { $set: { status, respondedAt: new Date() } },
+      { sort: { offeredAt: -1 } }
+    );
+  } catch (e) {
+    console.error(`Error marking job offer ${status}:`, e);
+  }
+}
+
+// ✅ HELPER: Which of these workers already hold an unpaid job (single-worker or a bulk-hiring slot)?
+async function findWorkersWithUnpaidJobs(phones) {
+  const jobs = await Job.find({
+    $or: [
+      { acceptedBy: { $in: phones }, paymentStatus: { $ne: "Paid" } },
+      { slots: { $elemMatch: { acceptedBy: { $in: phones }, paymentStatus: { $ne: "Paid" } } } },
+    ],
+  }).select('acceptedBy paymentStatus slots').lean();
+
+  const busy = new Set();
+  for (const job of jobs) {
+    if (job.acceptedBy && job.paymentStatus !== "Paid") busy.add(job.acceptedBy);
+    for (const slot of job.slots || []) {
+      if (slot.acceptedBy && slot.paymentStatus !== "Paid") busy.add(slot.acceptedBy);
+    }
+  }
+  return new Set(phones.filter((p) => busy.has(p)));
+}
+
+// ✅ HELPER: Emit an event to a connected worker by phone (socketId persisted on Worker model)
+async function emitToWorker(phone, event, payload) {
+  const worker = await WorkerModel.findOne({ phone }).select('socketId').lean();
+  if (worker?.socketId) {
+    io.to(worker.socketId).emit(event, payload);
+  }
+}
+
+// ✅ HELPER: Emit an event to every socket of an authenticated user (contractors included).
+// Sockets join their user room on handshake (rooms span processes through the adapter - see the io setup).
+function emitToUser(phone, event, payload) {
+  if (phone) io.to(`user:${phone}`).emit(event, payload);
+}
+
+// ✅ HELPER: Withdraw every other open offer once a job is taken (broadcast mode losers)
+async function withdrawOpenOffers(jobId, exceptPhone) {
+  try {
+    const openOffers = await JobOffer.find({
+      jobId: jobId.toString(),
+      status: "offered",
+      workerPhone: { $ne: exceptPhone },
+    });
+    if (openOffers.length === 0) return;
+
+    await JobOffer.updateMany(
+      { _id: { $in: openOffers.map((o) => o._id) } },
+      { $set: { status: "withdrawn", respondedAt: new Date() } }
+    );
+
+    for (const offer of openOffers) {
+      await emitToWorker(offer.workerPhone, "jobOfferWithdrawn", {
+        jobId: jobId.toString(),
+        reason: "accepted_by_another_worker",
+      });
+    }
+    console.log(`🚫 Withdrew ${openOffers.length} open offers for job ${jobId}`);
+  } catch (e) {
+    console.error('Error withdrawing open job offers:', e);
+  }
+}
+
+// ✅ HELPER: Cancel any scheduled dispatch round for a job (in memory + persisted)
+async function clearScheduledDispatch(jobId) {
+  const key = jobId.toString();
+  if (pendingJobTimeouts.has(key)) {
+    clearTimeout(pendingJobTimeouts.get(key));
+    pendingJobTimeouts.delete(key);
+  }
+  try {
+    await Job.updateOne({ _id: key }, { $set: { nextDispatchAt: null } });
+  } catch (e) {
+    console.error('Error clearing scheduled dispatch:', e);
+  }
+}
+
+// ✅ HELPER: Schedule the next dispatch round for a job.
+// The run time is saved on the job so the recovery pass can resume it after a restart.
+// Every server process recovers pending jobs, so several may hold a timer for the same round:
+// whichever fires first claims the round by clearing nextDispatchAt, and the others skip it.
+// Scheduled jobs can be days away - longer than setTimeout allows - so long waits re-arm in steps.
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+function armDispatchTimer(key, runAt) {
+  if (pendingJobTimeouts.has(key)) {
+    clearTimeout(pendingJobTimeouts.get(key));
+  }
+
+  const timeoutId = setTimeout(async () => {
+    pendingJobTimeouts.delete(key);
+    try {
+      const jobCheck = await Job.findById(key).select('status nextDispatchAt');
+      if (!jobCheck || !OPEN_STATES.includes(jobCheck.status) || !jobCheck.nextDispatchAt) return;
+      if (jobCheck.nextDispatchAt.getTime() - Date.now() > 1000) {
+        armDispatchTimer(key, jobCheck.nextDispatchAt);
+        return;
+      }
+
+      const claimed = await Job.findOneAndUpdate(
+        { _id: key, status: { $in: OPEN_STATES }, nextDispatchAt: jobCheck.nextDispatchAt },
+        { $set: { nextDispatchAt: null } },
+        { new: true }
+      );
+      if (!claimed) return; // another process ran (or rescheduled) this round
+
+      // Expire offers whose response window has passed so those workers are skipped
+      const expired = await JobOffer.updateMany(
+        { jobId: key, status: "offered", expiresAt: { $lte: new Date(Date.now() + 1000) } },
+        { $set: { status: "expired", respondedAt: new Date() } }
+      );
+      console.log(`🔄 Dispatch round for job ${key} (${expired.modifiedCount} offers expired)...`);
+      await offerJobToNextWorker(claimed);
+    } catch (e) {
+      console.error('Error in scheduled dispatch:', e);
+    }
+  }, Math.min(Math.max(runAt.getTime() - Date.now(), 0), MAX_TIMER_MS));
+  pendingJobTimeouts.set(key, timeoutId);
+}
+
+async function scheduleDispatch(jobId, delayMs) {
+  const key = jobId.toString();
+  const runAt = new Date(Date.now() + delayMs);
+  try {
+    await Job.updateOne({ _id: key }, { $set: { nextDispatchAt: runAt } });
+  } catch (e) {
+    console.error('Error persisting dispatch schedule:', e);
+  }
+  armDispatchTimer(key, runAt);
+}
+
+// ✅ HELPER: Resume dispatch after a restart for every job still pending,
+// and rebuild the tracking map from persisted expiry times.
+// Safe to run on every server process - each round is claimed once (see scheduleDispatch).
+async function recoverPendingDispatch() {
+  try {
+    const now = new Date();
+    // Workers need a moment to reconnect their sockets before we offer anything
+    const RECOVERY_GRACE_MS = (Number(process.env.DISPATCH_RECOVERY_GRACE_SECONDS) || 15) * 1000;
+
+    // Offers that ran out while the server was down (or pre-date expiry tracking)
+    await JobOffer.updateMany(
+      { status: "offered", $or: [{ expiresAt: { $lte: now } }, { expiresAt: null }] },
+      { $set: { status: "expired", respondedAt: now } }
+    );
+
+    // Jobs saved as 'pending' before the lifecycle states existed become 'posted'
+    await migrateLegacyStatuses();
+
+    // Wallets saved before the ledger get their balance carried over once
+    await migrateWalletBalances();
+
+    const pendingJobs = await Job.find({ status: { $in: OPEN_STATES } }).select('_id nextDispatchAt');
+    for (const job of pendingJobs) {
+      // Still-open offers keep their window; otherwise use the saved retry time
+      const openOffer = await JobOffer.findOne({ jobId: job._id.toString(), status: "offered" })
+        .sort({ expiresAt: -1 });
+      const resumeAt = openOffer?.expiresAt || job.nextDispatchAt;
+      const delayMs = Math.max(resumeAt ? resumeAt.getTime() - now.getTime() : 0, RECOVERY_GRACE_MS);
+      await scheduleDispatch(job._id, delayMs);
+    }
+
+    console.log(`♻️ Dispatch recovery: resumed ${pendingJobs.length} pending jobs`);
+  } catch (e) {
+    console.error('Error recovering pending dispatch:', e);
+  }
+}
+
+// ✅ HELPER: Stop hiring for the remaining open slots of a bulk-hiring job and let it
+// proceed with the workers already hired (partially filled)
+async function closeOpenSlots(job, reason, actor = SYSTEM_ACTOR) {
+  const jobId = job._id.toString();
+  const updated = await transitionJob(jobId, 'accepted', actor, {
+    note: reason,
+    from: OPEN_STATES,
+    filter: { filledSlots: { $gt: 0 } },
+    set: { nextDispatchAt: null, 'slots.$[open].status': 'closed' },
+    arrayFilters: [{ 'open.status': 'open' }],
+  });
+  if (!updated) return null;
+
+  await clearScheduledDispatch(jobId);
+  await withdrawOpenOffers(jobId, null);
+
+  try {
+    await NotificationHistory.create({
+      recipientPhone: updated.contractorPhone,
+      type: 'job_accepted',
+      title: `Hiring Closed: ${updated.title}`,
+      body: `${updated.filledSlots} of ${updated.workersNeeded} workers hired. Remaining slots were closed.`,
+      jobId,
+      metadata: {
+        jobTitle: updated.title,
+        amount: updated.amount,
+        actionRequired: false,
+      },
+      deepLink: `contractor/jobs/${jobId}`,
+      pushNotificationSent: false,
+    });
+  } catch (e) {
+    console.error('Error creating slots closed notification:', e);
+  }
+
+  await emitJobUpdatedToUsers(updated, [updated.contractorName, updated.contractorPhone, ...getAcceptedPhones(updated)]);
+  console.log(`🔒 Closed open slots for job ${jobId} (${reason}): ${updated.filledSlots}/${updated.workersNeeded} filled`);
+  return updated;
+}
+
+// ✅ HELPER: Give up on a job nobody could be found for - cancel it, refund the posting fee
+// and tell the contractor
+async function cancelJobNoWorkersAvailable(job) {
+  try {
+    // Only cancel if still waiting for a worker (a worker may have accepted meanwhile)
+    const cancelledJob = await transitionJob(job._id, 'cancelled', SYSTEM_ACTOR, {
+      note: 'no_workers_available',
+      from: OPEN_STATES,
+      set: { nextDispatchAt: null },
+    });
+    if (!cancelledJob) return;
+    await clearScheduledDispatch(cancelledJob._id);
+
+    const jobId = cancelledJob._id.toString();
+    const cancelledAt = new Date();
+
+    await CancellationLog.create({
+      jobId,
+      contractorPhone: cancelledJob.contractorPhone,
+      contractorName: cancelledJob.contractorName,
+      cancelledBy: 'system',
+      reason: 'no_workers_available',
+      reasonDescription: `No worker accepted after ${cancelledJob.emptyDispatchRounds} search rounds up to ${cancelledJob.searchRadiusKm}km`,
+      jobAmount: cancelledJob.amount,
+      refundAmount: JOB_POST_FEE,
+      refundToPhone: cancelledJob.contractorPhone,
+      jobPostedAt: cancelledJob.createdAt,
+      cancelledAt,
+      timeFromPostingToCancellation: Math.round((cancelledAt - cancelledJob.createdAt) / 60000),
+      cancellationPolicy: 'auto_cancel_no_workers',
+      policyExplanation: 'Posting fee refunded in full when no worker could be found',
+    });
+
+    // Refund the posting fee
+    await refundJobPostFee(cancelledJob.contractorPhone, JOB_POST_FEE, {
+      jobId,
+      description: `Refund: no workers available for ${cancelledJob.title}`,
+    });
+
+    await NotificationHistory.create({
+      recipientPhone: cancelledJob.contractorPhone,
+      type: 'job_cancelled',
+      title: `No Workers Found: ${cancelledJob.title}`,
+      body: `We couldn't find an available worker nearby. Your job was cancelled and ₹${JOB_POST_FEE} was refunded to your wallet.`,
+      jobId,
+      metadata: {
+        jobTitle: cancelledJob.title,
+        amount: JOB_POST_FEE,
+        actionRequired: false,
+      },
+      deepLink: `contractor/jobs/${jobId}`,
+      pushNotificationSent: false,
+    });
+
+    await ActivityLog.create({
+      userId: cancelledJob.contractorPhone,
+      phone: cancelledJob.contractorPhone,
+      action: 'job_cancelled',
+      jobId,
+      description: 'Job auto-cancelled: no workers available',
+      status: 'success',
+      metadata: { reason: 'no_workers_available', refundAmount: JOB_POST_FEE },
+    });
+
+    io.emit('jobCancelled', {
+      ...cancelledJob.toObject(),
+      _id: jobId,
+      id: jobId,
+      status: 'cancelled',
+      cancelledBy: 'system',
+      cancelledAt,
+    });
+    await emitJobUpdatedToUsers(cancelledJob, [cancelledJob.contractorName, cancelledJob.contractorPhone]);
+
+    console.log(`🛑 Job ${jobId} auto-cancelled (no workers available). Refunded ₹${JOB_POST_FEE}`);
+  } catch (e) {
+    console.error('Error auto-cancelling job with no workers:', e);
+  }
+}
+
+// ✅ HELPER: Start dispatch for a newly posted job - right away, or at its dispatch time
+// if it is scheduled further ahead than the lead time
+async function startJobDispatch(job) {
+  if (isDormant(job)) {
+    const delayMs = job.dispatchStartsAt.getTime() - Date.now();
+    await scheduleDispatch(job._id, delayMs);
+    console.log(`🗓️ Job ${job._id} scheduled for ${job.date.toISOString()} - dispatch starts ${job.dispatchStartsAt.toISOString()}`);
+    return;
+  }
+  await offerJobToNextWorker(job);
+}
+
+// ✅ HELPER: Rehire - offer the job to the contractor's chosen favourite workers first,
+// wherever they are. Returns false when none of them can take it right now.
+async function sendDirectOffers(job) {
+  const claimed = await Job.findOneAndUpdate(
+    { _id: job._id, 'directOffer.status': 'pending' },
+    { $set: { 'directOffer.status': 'offered', 'directOffer.offeredAt': new Date() } },
+    { new: true }
+  );
+  if (!claimed) return true; // another round already sent them
+
+  const blockedPhones = await getBlockedPhones(claimed.contractorPhone);
+  const phones = (claimed.directOffer.workerPhones || []).filter((p) => !blockedPhones.has(p));
+  const [workers, onlineUsers, busyPhoneSet] = await Promise.all([
+    WorkerModel.find({ phone: { $in: phones }, isAvailable: true, socketId: { $nin: ['', null] } }).lean(),
+    User.find({ phone: { $in: phones }, isAvailable: true }).select('phone').lean(),
+    findWorkersWithUnpaidJobs(phones),
+  ]);
+  const onlinePhones = new Set(onlineUsers.map((u) => u.phone));
+  const reachable = workers.filter((w) => onlinePhones.has(w.phone) && !busyPhoneSet.has(w.phone));
+
+  if (reachable.length === 0) {
+    await Job.updateOne({ _id: job._id }, { $set: { 'directOffer.status': 'skipped' } });
+    console.log(`⭐ No favourite worker available for job ${job._id} - falling back to normal dispatch`);
+    return false;
+  }
+
+  const timeoutSeconds = claimed.directOffer.timeoutSeconds || 120;
+  const contractorReputation = await getContractorReputation(claimed.contractorPhone);
+  const expiresAt = new Date(Date.now() + timeoutSeconds * 1000);
+  for (const [index, worker] of reachable.entries()) {
+    const [lon, lat] = worker.location?.coordinates || [];
+    const distance = lat !== undefined
+      ? Math.round(getDistanceFromLatLonInKm(job.lat, job.lon, lat, lon) * 10) / 10
+      : null;
+
+    try {
+      await JobOffer.create({
+        jobId: job._id.toString(),
+        workerPhone: worker.phone,
+        workerName: worker.name || worker.phone,
+        strategy: 'direct-offer',
+        mode: 'direct',
+        rank: index + 1,
+        candidatesConsidered: phones.length,
+        distanceKm: distance,
+        expiresAt,
+      });
+    } catch (e) {
+      console.error('Error recording direct offer:', e);
+    }
+
+    io.to(worker.socketId).emit("newJob", {
+      ...claimed.toObject(),
+      distance,
+      contractorReputation,
+      directOffer: true,
+      offeredToCount: reachable.length,
+      offerExpiresAt: expiresAt,
+    });
+  }
+
+  if (claimed.status === 'posted') {
+    await transitionJob(job._id, 'offered', SYSTEM_ACTOR, { note: 'direct offer to favourites' });
+  }
+  await scheduleDispatch(job._id, timeoutSeconds * 1000);
+  console.log(`⭐ Direct offer for job ${job._id} sent to ${reachable.length} favourite worker(s) (${timeoutSeconds}s)`);
+  return true;
+}
+
+// ✅ HELPER: Offer job to next available worker(s) (ranked by dispatch strategy + skip declined)
+// sequential mode offers to one worker at a time, broadcast mode to the top N at once
 async function offerJobToNextWorker(job) {
   try {
     const declinedWorkerNames = job.declinedBy || [];
@@ -231,99 +752,152 @@ async function offerJobToNextWorker(job) {
       clearTimeout(pendingJobTimeouts.get(job._id.toString()));
       pendingJobTimeouts.delete(job._id.toString());
     }
+
+    // ✅ Rehire: favourite workers get the first offer, normal dispatch takes over after the timeout
+    if (job.directOffer?.status === 'pending') {
+      if (await sendDirectOffers(job)) return;
+    } else if (job.directOffer?.status === 'offered') {
+      await Job.updateOne({ _id: job._id, 'directOffer.status': 'offered' }, { $set: { 'directOffer.status': 'expired' } });
+      console.log(`⭐ Direct offer for job ${job._id} expired - falling back to normal dispatch`);
+    }
+
+    await Job.updateOne(
+      { _id: job._id },
+      { $inc: { dispatchAttempts: 1 }, $set: { lastDispatchAt: new Date() } }
+    );
     
-    // ✅ DYNAMIC: Find nearby workers RIGHT NOW (not from stored list)
-    const currentNearbyWorkers = findNearbyWorkers(
+    // ✅ Radius ring widens with every round that found nobody
+    const emptyRounds = job.emptyDispatchRounds || 0;
+    const radiusKm = getSearchRadiusKm(emptyRounds);
+
+    // ✅ Workers who already let an offer for this job expire (or declined it) are not asked again
+    const previousOffers = await JobOffer.find({ jobId: job._id.toString() }).select('workerPhone');
+    const alreadyOffered = [...new Set(previousOffers.map((o) => o.workerPhone))];
+    // ✅ Workers the contractor blocked (or who blocked the contractor) never get the offer
+    const blockedPhones = await getBlockedPhones(job.contractorPhone);
+
+    // ✅ DYNAMIC: Find nearby workers RIGHT NOW with a $geoNear query on the Worker collection
+    const currentNearbyWorkers = await findNearbyWorkers(
       { lat: job.lat, lon: job.lon, workerType: job.workerType },
-      connectedWorkers
+      radiusKm,
+      { excludePhones: [...alreadyOffered, ...blockedPhones] }
     );
+
+    // ✅ Rank candidates with the job's dispatch strategy (per job → per city → default)
+    const { strategy, ranked } = await rankWorkers(job, currentNearbyWorkers, { radiusKm });
+    const { mode, size } = resolveDispatchMode(job);
     
-    console.log(`🔍 Dynamic search: Found ${currentNearbyWorkers.length} nearby workers (${declinedWorkerNames.length} declined)`);
+    console.log(`🔍 Dynamic search (${radiusKm}km): Found ${currentNearbyWorkers.length} nearby workers (${declinedWorkerNames.length} declined), strategy: ${strategy}, mode: ${mode}`);
+
+    // ✅ Batch availability checks for all candidates (one query each instead of one per worker)
+    const candidatePhones = ranked.map((w) => w.phone);
+    const [onlineUsers, busyPhoneSet] = await Promise.all([
+      // Is worker online/available in USER model (primary source of truth)?
+      User.find({ phone: { $in: candidatePhones }, isAvailable: true }).select('phone').lean(),
+      // Does the worker have an unpaid job?
+      findWorkersWithUnpaidJobs(candidatePhones),
+    ]);
+    const onlinePhones = new Set(onlineUsers.map((u) => u.phone));
+
+    // ✅ Bulk hiring: offer at least as many workers as there are open slots
+    const roundSize = isMultiWorkerJob(job) ? Math.max(size, getOpenSlotCount(job)) : size;
     
-    // Find first worker who hasn't declined AND doesn't have unpaid jobs AND is ONLINE
-    let nextWorker = null;
-    for (const worker of currentNearbyWorkers) {
+    // Pick best-ranked workers who haven't declined AND don't have unpaid jobs AND are ONLINE
+    const selectedWorkers = [];
+    for (const worker of ranked) {
+      if (selectedWorkers.length >= roundSize) break;
+
       if (declinedWorkerNames.includes(worker.name)) {
         continue; // Skip declined workers
       }
       
-      // ✅ CHECK: Is worker online/available in USER model (primary source of truth)?
-      const userRecord = await User.findOne({ phone: worker.phone });
-      if (!userRecord || !userRecord.isAvailable) {
-        console.log(`🔴 Worker ${worker.name} (${worker.phone}) is OFFLINE in User model (isAvailable: ${userRecord?.isAvailable}), skipping...`);
+      if (!onlinePhones.has(worker.phone)) {
+        console.log(`🔴 Worker ${worker.name} (${worker.phone}) is OFFLINE in User model, skipping...`);
         continue; // Skip offline workers
       }
       
-      // ✅ CHECK: Does this worker have an unpaid job?
-      const hasUnpaidJob = await Job.findOne({
-        acceptedBy: worker.phone, // ✅ Check by phone, not name
-        paymentStatus: { $ne: "Paid" }
-      });
-      
-      if (hasUnpaidJob) {
+      if (busyPhoneSet.has(worker.phone)) {
         console.log(`⏭️ Worker ${worker.name} (${worker.phone}) has unpaid job, skipping...`);
         continue; // Skip workers with unpaid jobs
       }
       
       // This worker is available!
-      nextWorker = worker;
-      break;
+      selectedWorkers.push(worker);
     }
     
-    if (!nextWorker) {
-      // No available worker right now - just wait and retry
-      console.log(`⏳ No available workers for job ${job._id} - will retry when workers come online`);
+    if (selectedWorkers.length === 0) {
+      // No available worker in this ring - widen the radius next round, give up after too many
+      const updatedRounds = emptyRounds + 1;
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { emptyDispatchRounds: updatedRounds, searchRadiusKm: radiusKm } }
+      );
+
+      if (updatedRounds >= MAX_EMPTY_ROUNDS) {
+        console.log(`🛑 No available workers for job ${job._id} after ${updatedRounds} rounds - giving up`);
+        const latestJob = await Job.findById(job._id);
+        if (latestJob.filledSlots > 0) {
+          // Bulk hiring: go ahead with the workers already hired
+          await closeOpenSlots(latestJob, 'no_workers_available');
+        } else {
+          await cancelJobNoWorkersAvailable(latestJob);
+        }
+        return;
+      }
+
+      console.log(`⏳ No available workers for job ${job._id} within ${radiusKm}km (round ${updatedRounds}/${MAX_EMPTY_ROUNDS}) - next search ${getSearchRadiusKm(updatedRounds)}km`);
       
       // Retry in 30 seconds
       const RETRY_SECONDS = 30;
-      const retryTimeoutId = setTimeout(async () => {
-        try {
-          const jobCheck = await Job.findById(job._id);
-          if (jobCheck && jobCheck.status === 'pending') {
-            console.log(`🔄 Retrying search for job ${job._id}...`);
-            await offerJobToNextWorker(jobCheck);
-          }
-        } catch (e) {
-          console.error('Error in job retry timeout:', e);
-        }
-      }, RETRY_SECONDS * 1000);
-      
-      pendingJobTimeouts.set(job._id.toString(), retryTimeoutId);
+      await scheduleDispatch(job._id, RETRY_SECONDS * 1000);
       return;
     }
     
-    // Found a worker! Offer the job
-    console.log(`📤 Offering job ${job._id} to worker: ${nextWorker.name} (distance: ${nextWorker.distance}km)`);
+    await Job.updateOne({ _id: job._id }, { $set: { searchRadiusKm: radiusKm } });
+    if (job.status === 'posted') {
+      await transitionJob(job._id, 'offered', SYSTEM_ACTOR, { note: `${mode} via ${strategy}` });
+    }
+
+    // Found worker(s)! Offer the job
+    const WORKER_TIMEOUT_SECONDS = 60;
+    const expiresAt = new Date(Date.now() + WORKER_TIMEOUT_SECONDS * 1000);
+    // Workers see how the contractor is rated before accepting
+    const contractorReputation = await getContractorReputation(job.contractorPhone);
+    for (const nextWorker of selectedWorkers) {
+      console.log(`📤 Offering job ${job._id} to worker: ${nextWorker.name} (distance: ${nextWorker.distance}km, score: ${nextWorker.score})`);
+
+      // ✅ Record the offer with its score breakdown (why this worker got it)
+      try {
+        await JobOffer.create({
+          jobId: job._id.toString(),
+          workerPhone: nextWorker.phone,
+          workerName: nextWorker.name,
+          strategy,
+          mode,
+          rank: ranked.indexOf(nextWorker) + 1,
+          candidatesConsidered: ranked.length,
+          score: nextWorker.score,
+          scoreBreakdown: nextWorker.scoreBreakdown,
+          distanceKm: nextWorker.distance,
+          expiresAt,
+        });
+      } catch (e) {
+        console.error('Error recording job offer:', e);
+      }
 
-    const workerSocket = io.sockets.sockets.get(nextWorker.socketId);
-    if (workerSocket) {
-      workerSocket.emit("newJob", {
+      io.to(nextWorker.socketId).emit("newJob", {
         ...job.toObject(),
         distance: nextWorker.distance,
+        contractorReputation,
         totalNearbyWorkers: currentNearbyWorkers.length,
+        offeredToCount: selectedWorkers.length,
+        offerExpiresAt: expiresAt,
       });
-      
-      // Set timeout - if worker doesn't respond, try next one
-      const WORKER_TIMEOUT_SECONDS = 60;
-      const timeoutId = setTimeout(async () => {
-        try {
-          const jobCheck = await Job.findById(job._id);
-          if (jobCheck && jobCheck.status === 'pending') {
-            console.log(`⏱️ Worker ${nextWorker.name} timeout - trying next worker...`);
-            await offerJobToNextWorker(jobCheck);
-          }
-        } catch (e) {
-          console.error('Error in job timeout:', e);
-        }
-      }, WORKER_TIMEOUT_SECONDS * 1000);
-      
-      pendingJobTimeouts.set(job._id.toString(), timeoutId);
-      console.log(`⏳ Timeout set for ${nextWorker.name} (${WORKER_TIMEOUT_SECONDS}s)`);
-    } else {
-      // Worker not connected - try next one
-      console.log(`⚠️ Worker ${nextWorker.name} not connected, trying next...`);
-      await offerJobToNextWorker(job);
     }
+      
+    // Set timeout - if nobody responds, the offers expire and the next worker(s) are tried
+    await scheduleDispatch(job._id, WORKER_TIMEOUT_SECONDS * 1000);
+    console.log(`⏳ Timeout set for ${selectedWorkers.map((w) => w.name).join(', ')} (${WORKER_TIMEOUT_SECONDS}s)`);
   } catch (e) {
     console.error('Error offering job to next worker:', e);
   }
@@ -344,6 +918,7 @@ io.use(async (socket, next) => {
       const user = jwt.verify(token, JWT_SECRET);
       socket.user = user; // { name, phone, role }
       socket.data.user = user; // ✅ Also store in socket.data for easy access
+      if (user?.phone) socket.join(`user:${user.phone}`); // targeted events (see emitToUser)
 
       // Re-associate previous session if any (persisted in Worker model)
       if (user && user.phone) {
@@ -351,6 +926,7 @@ io.use(async (socket, next) => {
           const existing = await WorkerModel.findOne({ phone: user.phone });
           if (existing) {
             existing.socketId = socket.id;
+            existing.socketServer = SERVER_ID;
             // ✅ IMPORTANT: When worker reconnects, mark them as available
             // Only set to true if they had it true before OR first time connecting
             if (!existing.isAvailable) {
@@ -446,9 +1022,14 @@ io.on("connection", (socket) => {
           console.error("Error fetching user profile photo for worker:", e);
         }
 
+        const workerUpdate = { $set: { name, socketId: socket.id, socketServer: SERVER_ID, location: loc, profilePhoto } };
+        if (workerType) {
+          // Keep the declared work type in skills so $geoNear skill filtering can match it
+          workerUpdate.$addToSet = { skills: workerType };
+        }
         const updated = await WorkerModel.findOneAndUpdate(
           { phone },
-          { $set: { name, socketId: socket.id, location: loc, profilePhoto } },
+          workerUpdate,
           { upsert: true, new: true, setDefaultsOnInsert: true }
         );
 
@@ -491,37 +1072,50 @@ io.on("connection", (socket) => {
       if (user.phone) {
         const updatedWorker = await WorkerModel.findOneAndUpdate(
           { phone: user.phone },
-          { $set: { location: { type: "Point", coordinates: [lon || 0, lat || 0] }, socketId: socket.id } },
+          { $set: { location: { type: "Point", coordinates: [lon || 0, lat || 0] }, socketId: socket.id, socketServer: SERVER_ID } },
           { upsert: false, new: true }
         );
 
-        // If this worker is accepted on any active job, forward the updated location to contractor(s) while tracking is active
+        // Keep the trail for any job the worker is hired on (for dispute review)
+        try {
+          await recordTrailPoint(user.phone, { lat, lon, accuracy: locationData?.accuracy });
+        } catch (e) {
+          console.error('Error recording location trail:', e);
+        }
+
+        // Forward to the contractor of each job this worker is travelling to (never broadcast)
         try {
-          if (updatedWorker) {
-            const workerIdStr = updatedWorker._id.toString();
-            const job = await Job.findOne({ 'acceptedWorker.id': workerIdStr, status: 'accepted' });
-            if (job) {
-              const expiry = trackingJobs.get(job._id.toString());
-              const now = Date.now();
-              if (expiry && now < expiry && !job.attendanceStatus) {
-                // update job.acceptedWorker.location and emit jobUpdated
-                job.acceptedWorker = job.acceptedWorker || {};
-                job.acceptedWorker.location = updatedWorker.location;
-                await job.save();
-                // Targeted: notify contractor and accepted worker only
-                await emitJobUpdatedToUsers(job, [job.contractorName, job.contractorPhone || job.contractorName]);
-                console.log(`🔄 Forwarded updated location for worker ${workerIdStr} on job ${job._id}`);
+          if (updatedWorker && Number.isFinite(Number(lat)) && Number.isFinite(Number(lon))) {
+            const sessions = await getActiveSessions(user.phone);
+            for (const session of sessions) {
+              const job = await Job.findById(session.jobId).select('lat lon title status contractorPhone contractorName');
+              if (!job || !ACTIVE_STATES.includes(job.status)) {
+                await endTrackingSession(session.jobId, user.phone, 'job_inactive');
+                continue;
               }
-            }
 
-            // ✅ ALSO: Emit workerLocationUpdate for dashboard modal real-time tracking
-            // This allows contractors viewing the job modal to see live location updates
-            io.emit("workerLocationUpdate", {
-              phone: user.phone,
-              location: updatedWorker.location,
-              timestamp: new Date(),
-            });
-            console.log(`📡 Emitted workerLocationUpdate for ${user.phone}`);
+              const result = await recordSessionLocation(session, job, { lat, lon });
+              if (!result) continue;
+              const tracking = {
+                jobId: session.jobId,
+                phone: user.phone,
+                location: updatedWorker.location,
+                distanceMeters: result.session.distanceMeters,
+                speedMps: result.session.speedMps,
+                etaSeconds: result.session.etaSeconds,
+                timestamp: new Date(),
+              };
+
+              emitToUser(job.contractorPhone, "workerLocationUpdate", tracking);
+              if (result.arriving) {
+                emitToUser(job.contractorPhone, "workerArriving", { ...tracking, jobTitle: job.title });
+                console.log(`🚶 Worker ${user.phone} arriving at job ${job._id} (${tracking.distanceMeters}m, ETA ${tracking.etaSeconds}s)`);
+              }
+              if (result.arrived) {
+                emitToUser(job.contractorPhone, "workerArrived", { ...tracking, jobTitle: job.title });
+                console.log(`📍 Worker ${user.phone} arrived at job ${job._id}`);
+              }
+            }
           }
         } catch (e) {
           console.error('Error forwarding worker location to job:', e);
@@ -537,6 +1131,7 @@ io.on("connection", (socket) => {
    */
   socket.on("postJobSocket", (job) => {
     (async () => {
+      let idempotencyRecord = null;
       try {
         console.log("New job via socket:", job.title);
         // Require authenticated contractor on socket
@@ -547,33 +1142,54 @@ io.on("connection", (socket) => {
           return;
         }
 
-        // Minimal validation
-        const { title, description, workerType, amount, lat, lon, date } = job || {};
-        if (!title || !lat || !lon) {
-          socket.emit('error', { success: false, message: 'Missing required job fields' });
-          return;
-        }
-
-        // Ensure contractor has wallet and sufficient balance if logic desired (mirror /jobs/post)
-        try {
-          let wallet = await Wallet.findOne({ phone: user.phone });
-          if (!wallet) {
-            wallet = new Wallet({ phone: user.phone });
-            await wallet.save();
+        // Retries carry the same idempotencyKey (like the Idempotency-Key header on /jobs/post)
+        const { idempotencyKey, ...jobFields } = job || {};
+        if (idempotencyKey !== undefined) {
+          const { record, replay, error } = await beginIdempotentRequest({
+            key: idempotencyKey,
+            scope: user.phone,
+            method: 'SOCKET',
+            path: 'postJobSocket',
+            body: jobFields,
+          });
+          if (error) {
+            socket.emit('error', { success: false, message: error });
+            return;
           }
-          if (wallet.balance < 25) {
-            socket.emit('error', { success: false, message: 'Insufficient balance to post job' });
+          if (replay) {
+            socket.emit(replay.status < 400 ? 'postedJob' : 'error', replay.body);
             return;
           }
+          idempotencyRecord = record;
+        }
+        // Emit the result, storing it first for replay when an idempotencyKey was given
+        const reply = async (event, payload, status) => {
+          if (idempotencyRecord) await finishIdempotentRequest(idempotencyRecord, status, payload);
+          socket.emit(event, payload);
+        };
 
-          // Deduct posting fee
-          wallet.balance -= 25;
-          wallet.transactions.push({ type: 'job_post_fee', amount: 25, date: new Date() });
-          await wallet.save();
-        } catch (werr) {
-          console.error('Error ensuring wallet for socket job post:', werr);
+        // Minimal validation
+        const { title, description, workerType, amount, lat, lon, date, dispatchStrategy, dispatchMode, broadcastSize } = job || {};
+        if (!title || !lat || !lon) {
+          await reply('error', { success: false, message: 'Missing required job fields' }, 400);
+          return;
+        }
+        if (dispatchStrategy && !isValidStrategy(dispatchStrategy)) {
+          await reply('error', { success: false, message: `Unknown dispatch strategy: ${dispatchStrategy}` }, 400);
+          return;
+        }
+        if (dispatchMode && !DISPATCH_MODES.includes(dispatchMode)) {
+          await reply('error', { success: false, message: `Unknown dispatch mode: ${dispatchMode}` }, 400);
+          return;
+        }
+        const { startAt, error: dateError } = parseJobStart(date);
+        if (dateError) {
+          await reply('error', { success: false, message: dateError }, 400);
+          return;
         }
 
+        const contractor = await User.findOne({ phone: user.phone }).select('city');
+
         const newJob = new Job({
           title,
           description,
@@ -582,26 +1198,41 @@ io.on("connection", (socket) => {
           contractorName: user.name || user.phone,
           lat,
           lon,
-          date: date || new Date(),
-          status: 'pending',
+          city: contractor?.city || '',
+          dispatchStrategy,
+          dispatchMode,
+          broadcastSize,
+          date: startAt,
+          dispatchStartsAt: getDispatchStartTime(startAt),
+          reminders: getReminderTimes(startAt),
+          status: 'posted',
+          statusHistory: [buildHistoryEntry('posted', actorFromUser(user))],
           declinedBy: [],
         });
+
+        // Charge the posting fee (ledger entry points at the job)
+        const { error: feeError } = await chargeJobPostFee(user.phone, JOB_POST_FEE, { jobId: newJob._id.toString(), description: `Job post fee: ${title}` });
+        if (feeError) {
+          await reply('error', { success: false, message: 'Insufficient balance to post job' }, 400);
+          return;
+        }
         await newJob.save();
 
         console.log(`📢 Job ${newJob._id} posted. Will search for nearby workers when offering...`);
 
-        // ✅ Start offering to nearby workers (dynamic search)
+        // ✅ Start offering to nearby workers (dynamic search) - scheduled jobs wait for their dispatch time
         try {
-          await offerJobToNextWorker(newJob);
+          await startJobDispatch(newJob);
         } catch (e) {
           console.error('Error offering job after socket post:', e);
         }
 
         // Acknowledge to contractor socket
-        socket.emit('postedJob', { success: true, job: newJob });
+        await reply('postedJob', { success: true, job: newJob }, 200);
       } catch (e) {
         console.error('Error handling postJobSocket:', e);
         try { socket.emit('error', { success: false, message: 'Internal server error' }); } catch (err) {}
+        if (idempotencyRecord) finishIdempotentRequest(idempotencyRecord, 500).catch(() => {});
       }
     })();
   });
@@ -683,11 +1314,7 @@ app.post("/users/register", async (req, res) => {
     const newUser = new User({ name, phone, password: hashedPassword, role });
     await newUser.save();
 
-    let wallet = await Wallet.findOne({ phone });
-    if (!wallet) {
-      wallet = new Wallet({ phone });
-      await wallet.save();
-    }
+    await ensureWallet(phone);
 
     // ✅ NEW: Create Worker record for worker role users
     if (role === "worker") {
@@ -846,12 +1473,7 @@ app.post("/login", loginLimiter, async (req, res) => {
     await user.save();
 
     // Ensure wallet exists
-    let wallet = await Wallet.findOne({ phone: user.phone });
-    if (!wallet) {
-      wallet = new Wallet({ phone: user.phone });
-      await wallet.save();
-      console.log(`✅ Auto-created wallet for ${user.phone} on login`);
-    }
+    await ensureWallet(user.phone);
 
     const response = {
       success: true,
@@ -922,7 +1544,7 @@ app.get("/users/profile", authenticateToken, async (req, res) => {
 });
 
 // ✅ POST: Subscribe to premium plan (simple)
-app.post("/premium/subscribe", authenticateToken, async (req, res) => {
+app.post("/premium/subscribe", authenticateToken, idempotent, async (req, res) => {
   try {
     const { planId } = req.body;
     const user = await User.findOne({ phone: req.user.phone });
@@ -938,36 +1560,16 @@ app.post("/premium/subscribe", authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid plan" });
     }
 
-    // Check wallet balance
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    
-    // Create wallet if it doesn't exist
-    if (!wallet) {
-      wallet = new Wallet({
-        phone: req.user.phone,
-        balance: 0,
-        transactions: [],
-      });
-      await wallet.save();
-    }
-    
-    if (wallet.balance < planPrice) {
+    // Deduct from wallet
+    await ensureWallet(req.user.phone);
+    const charge = await chargePremiumSubscription(req.user.phone, planPrice, { planId });
+    if (charge.error) {
       return res.status(400).json({
         success: false,
-        message: `Insufficient balance. You have ₹${wallet.balance}, but plan costs ₹${planPrice}`,
+        message: `Insufficient balance. You have ₹${charge.balance}, but plan costs ₹${planPrice}`,
       });
     }
 
-    // Deduct from wallet
-    wallet.balance -= planPrice;
-    wallet.transactions.push({
-      type: "premium_subscription",
-      amount: planPrice,
-      planId: planId,
-      date: new Date(),
-    });
-    await wallet.save();
-
     // Update user premium plan
     const startDate = new Date();
     const endDate = new Date(startDate.getTime() + 30 * 24 * 60 * 60 * 1000); // 30 days
@@ -995,7 +1597,7 @@ app.post("/premium/subscribe", authenticateToken, async (req, res) => {
       success: true,
       message: `Successfully subscribed to ${planId} plan`,
       premiumPlan: user.premiumPlan,
-      newBalance: wallet.balance,
+      newBalance: await getWalletBalance(req.user.phone),
     });
   } catch (err) {
     res.status(500).json({ success: false, message: "Subscription failed" });
@@ -1067,75 +1669,17 @@ app.post("/premium/cancel", authenticateToken, async (req, res) => {
 // ✅ GET: Get wallet balance
 app.get("/wallet/balance", authenticateToken, async (req, res) => {
   try {
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    
-    if (!wallet) {
-      wallet = new Wallet({
-        phone: req.user.phone,
-        balance: 0,
-        transactions: [],
-      });
-      await wallet.save();
-    }
+    await ensureWallet(req.user.phone);
 
     res.json({
       success: true,
-      balance: wallet.balance,
+      balance: await getWalletBalance(req.user.phone),
     });
   } catch (err) {
     res.status(500).json({ success: false, message: "Failed to get balance" });
   }
 });
 
-// ✅ GET transactions for contractor
-app.get("/wallet/transactions", authenticateToken, async (req, res) => {
-  try {
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    
-    if (!wallet) {
-      return res.json({ success: true, transactions: [] });
-    }
-    
-    // Sort transactions by date (most recent first)
-    const sortedTransactions = wallet.transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-    
-    // Format transactions for frontend
-    const formattedTransactions = sortedTransactions.map((t) => {
-      const transactionDate = new Date(t.date);
-      
-      // Explicit date formatting
-      const day = String(transactionDate.getDate()).padStart(2, '0');
-      const month = String(transactionDate.getMonth() + 1).padStart(2, '0');
-      const year = transactionDate.getFullYear();
-      const dateStr = `${day}/${month}/${year}`;
-      
-      // Explicit time formatting
-      let hours = transactionDate.getHours();
-      const minutes = String(transactionDate.getMinutes()).padStart(2, '0');
-      const seconds = String(transactionDate.getSeconds()).padStart(2, '0');
-      const ampm = hours >= 12 ? 'PM' : 'AM';
-      hours = hours % 12;
-      hours = hours ? hours : 12; // the hour '0' should be '12'
-      const hoursStr = String(hours).padStart(2, '0');
-      const timeStr = `${hoursStr}:${minutes}:${seconds} ${ampm}`;
-      
-      return {
-        id: t._id,
-        type: t.type === "deposit" || t.type === "credit" ? "credit" : t.type === "refund" ? "refund" : "debit",
-        description: t.description || `${t.type.charAt(0).toUpperCase() + t.type.slice(1)}`,
-        amount: t.amount,
-        date: `${dateStr} ${timeStr}`,
-        status: "completed",
-      };
-    });
-    
-    res.json({ success: true, transactions: formattedTransactions });
-  } catch (err) {
-    console.error('Transactions fetch error:', err);
-    res.status(500).json({ success: false, message: "Error fetching transactions" });
-  }
-});
-
 // ✅ GET: Get premium plans list
 app.get("/premium/plans", async (req, res) => {
   try {
@@ -1372,49 +1916,18 @@ app.post('/auth/logout', async (req, res) => {
 
 
 // ---------------- JOB ROUTES ----------------
-app.post("/jobs/post", authenticateToken, async (req, res) => {
+app.post("/jobs/post", authenticateToken, idempotent, async (req, res) => {
   try {
-    const { title, description, workerType, amount, lat, lon, date } = req.body;
-    const contractorName = req.user.name;
-
-    if (!title || !lat || !lon)
-      return res.status(400).json({ success: false, message: "Missing required fields" });
-
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    if (!wallet) {
-      wallet = new Wallet({ phone: req.user.phone });
-      await wallet.save();
-    }
-
-    if (wallet.balance < 200)
-      return res.status(400).json({
-        success: false,
-        message: "Insufficient wallet balance to post job (min ₹200 required)"
-      });
-
-    wallet.balance -= 25;
-    wallet.transactions.push({
-      type: "job_post_fee",
-      amount: 25,
-      date: new Date(),
-    });
-    await wallet.save();
+    const { title, lat, lon, workerType } = req.body;
 
-    const newJob = new Job({
-      // ✅ MongoDB auto-generates _id - no need for custom id field
-      title,
-      description,
-      workerType,
-      amount,
-      contractorName,
-      contractorPhone: req.user.phone, // ✅ Also store phone for reference
-      lat,
-      lon,
-      date: date || new Date(),
-      status: "pending",
-      declinedBy: [],
-    });
-    await newJob.save();
+    // Validation, premium check for bulk hiring and the posting fee live in the posting service
+    const { job: newJob, wallet, error, statusCode } = await postJob(
+      req.user,
+      req.body,
+      { actor: actorFromUser(req.user) }
+    );
+    if (error)
+      return res.status(statusCode).json({ success: false, message: error });
 
     console.log(`📢 New job posted: ${title} (ID: ${newJob._id}) at (${lat}, ${lon}) - type: ${workerType}`);
 
@@ -1424,9 +1937,9 @@ app.post("/jobs/post", authenticateToken, async (req, res) => {
     // ✅ Job posted successfully
     console.log(`📢 Job ${newJob._id} posted at (${lat}, ${lon})`);
 
-    // ✅ Start offering to nearby workers (dynamic search)
+    // ✅ Start offering to nearby workers (dynamic search) - scheduled jobs wait for their dispatch time
     try {
-      await offerJobToNextWorker(newJob);
+      await startJobDispatch(newJob);
     } catch (e) {
       console.error('Error offering job after HTTP post:', e);
     }
@@ -1435,7 +1948,9 @@ app.post("/jobs/post", authenticateToken, async (req, res) => {
       success: true, 
       job: newJob, 
       wallet,
-      message: "Job posted. Searching for nearby workers..."
+      message: isDormant(newJob)
+        ? `Job scheduled. We'll start finding workers at ${newJob.dispatchStartsAt.toISOString()}`
+        : "Job posted. Searching for nearby workers..."
     });
   } catch (err) {
     console.error(err);
@@ -1444,7 +1959,7 @@ app.post("/jobs/post", authenticateToken, async (req, res) => {
 });
 
 // ---------------- ACCEPT / DECLINE ----------------
-app.post("/jobs/accept/:id", authenticateToken, async (req, res) => {
+app.post("/jobs/accept/:id", authenticateToken, idempotent, async (req, res) => {
   try {
     const jobId = req.params.id;
     const workerName = req.user.name;
@@ -1453,10 +1968,12 @@ app.post("/jobs/accept/:id", authenticateToken, async (req, res) => {
     console.log(`✅ Accept request for job: ${jobId} by worker: ${workerName} (phone: ${workerPhone})`);
 
     // ✅ CHECK: Worker cannot accept multiple simultaneous jobs
-    // Find if worker has any unpaid job
+    // Find if worker has any unpaid job (single-worker job or bulk-hiring slot)
     const hasUnpaidJob = await Job.findOne({
-      acceptedBy: workerPhone, // ✅ Check by phone
-      paymentStatus: { $ne: "Paid" }  // Any job that's not paid yet
+      $or: [
+        { acceptedBy: workerPhone, paymentStatus: { $ne: "Paid" } }, // ✅ Check by phone
+        { slots: { $elemMatch: { acceptedBy: workerPhone, paymentStatus: { $ne: "Paid" } } } },
+      ]
     });
 
     if (hasUnpaidJob) {
@@ -1467,6 +1984,23 @@ app.post("/jobs/accept/:id", authenticateToken, async (req, res) => {
       });
     }
 
+    const jobRecord = await Job.findById(jobId).select('workersNeeded contractorPhone amount title status dispatchStartsAt');
+    if (!jobRecord) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+    // ✅ Only a job that is being dispatched can be accepted (checked again in the claim below)
+    if (!OPEN_STATES.includes(jobRecord.status)) {
+      return res.status(400).json({ success: false, message: "Job already accepted or not found" });
+    }
+    if (isDormant(jobRecord)) {
+      return res.status(400).json({ success: false, message: "This job isn't open for workers yet" });
+    }
+
+    // ✅ Blocked pairs never work together, whichever side blocked
+    if (await isBlockedBetween(jobRecord.contractorPhone, workerPhone)) {
+      return res.status(403).json({ success: false, message: "You can't accept jobs from this contractor" });
+    }
+
     // Build acceptedWorker snapshot (if worker record exists)
     let acceptedWorkerSnapshot = null;
     try {
@@ -1487,19 +2021,64 @@ app.post("/jobs/accept/:id", authenticateToken, async (req, res) => {
       console.error("Error fetching worker record for accept snapshot:", e);
     }
 
-    // Atomic update: only accept if status is still 'pending'
-    const updated = await Job.findOneAndUpdate(
-      { _id: jobId, status: "pending" },
-      { $set: { status: "accepted", acceptedBy: workerPhone, acceptedWorker: acceptedWorkerSnapshot, acceptedAt: new Date() } }, // ✅ Use phone
-      { new: true }
-    );
-
-    if (!updated) {
-      console.log(`❌ Job ${jobId} was already taken or not found`);
-      return res.status(400).json({ success: false, message: "Job already accepted or not found" });
-    }
+    // ✅ Hold the job amount from the contractor's wallet before claiming, so an accepted job is always funded
+    const { escrow, error: escrowError } = await holdEscrow(jobRecord, workerPhone);
+    if (escrowError) {
+      return res.status(400).json({ success: false, message: escrowError });
+    }
+
+    let updated;
+    if (isMultiWorkerJob(jobRecord)) {
+      // Bulk hiring: atomically claim the first open slot (never two slots for the same worker)
+      updated = await Job.findOneAndUpdate(
+        { _id: jobId, status: { $in: OPEN_STATES }, ...dispatchStartedFilter(), slots: { $elemMatch: { status: "open" } }, "slots.acceptedBy": { $ne: workerPhone } },
+        {
+          $set: {
+            "slots.$.status": "filled",
+            "slots.$.acceptedBy": workerPhone,
+            "slots.$.acceptedWorker": acceptedWorkerSnapshot,
+            "slots.$.acceptedAt": new Date(),
+            "slots.$.escrow": escrow,
+          },
+          $inc: { filledSlots: 1 },
+        },
+        { new: true }
+      );
+
+      // Last slot filled - the job is fully staffed
+      if (updated && updated.filledSlots >= updated.workersNeeded) {
+        updated = await transitionJob(jobId, "accepted", actorFromUser(req.user), {
+          note: `all ${updated.workersNeeded} slots filled`,
+          set: { nextDispatchAt: null },
+        }) || updated;
+      }
+    } else {
+      // Atomic update: only accept if the job is still open, not dormant and nobody holds it.
+      // In broadcast mode several workers race here - exactly one conditional update can match.
+      updated = await transitionJob(jobId, "accepted", actorFromUser(req.user), {
+        filter: { acceptedBy: null, ...dispatchStartedFilter() },
+        set: { acceptedBy: workerPhone, acceptedWorker: acceptedWorkerSnapshot, acceptedAt: new Date(), nextDispatchAt: null, escrow }, // ✅ Use phone
+      });
+    }
+
+    if (!updated) {
+      // Lost the race - give the contractor their money back
+      await refundEscrow(jobRecord, { acceptedBy: workerPhone, escrow }, { cancelledBy: "system", unassigned: true, description: `Returned: ${jobRecord.title} (not accepted)` });
+      console.log(`❌ Job ${jobId} was already taken or not found`);
+      return res.status(400).json({ success: false, message: "Job already accepted or not found" });
+    }
+
+    const isFullyStaffed = updated.status === "accepted";
+    const assignment = getAssignment(updated, workerPhone);
 
-    console.log(`✅ Job accepted successfully by ${workerName} (phone: ${workerPhone})`);
+    console.log(`✅ Job accepted successfully by ${workerName} (phone: ${workerPhone})${isMultiWorkerJob(updated) ? ` - slot ${assignment?.slotNumber}, ${updated.filledSlots}/${updated.workersNeeded} filled` : ''}`);
+    await markJobOffer(updated._id, workerPhone, "accepted");
+    if (updated.directOffer?.workerPhones?.includes(workerPhone)) {
+      await Job.updateOne({ _id: updated._id }, { $set: { "directOffer.status": "accepted" } });
+    }
+    if (isFullyStaffed) {
+      await withdrawOpenOffers(updated._id, workerPhone);
+    }
     
     // ✅ Create notification for contractor
     try {
@@ -1528,11 +2107,11 @@ app.post("/jobs/accept/:id", authenticateToken, async (req, res) => {
     
     // ✅ Create notification for worker - confirming they accepted the job
     try {
-      if (updated.acceptedWorker && updated.acceptedWorker.phone) {
+      if (assignment?.acceptedWorker && assignment.acceptedWorker.phone) {
         const jobTitle = updated.title;
         const amount = updated.amount;
         await NotificationHistory.create({
-          recipientPhone: updated.acceptedWorker.phone,
+          recipientPhone: assignment.acceptedWorker.phone,
           senderPhone: updated.contractorPhone,
           senderName: updated.contractorName || 'Contractor',
           type: 'job_accepted',
@@ -1565,18 +2144,17 @@ app.post("/jobs/accept/:id", authenticateToken, async (req, res) => {
     };
     await emitJobUpdatedToUsers(acceptPayload, [updated.contractorName, workerName]);
     
-    // ✅ Cancel worker timeout since job was accepted
-    if (pendingJobTimeouts.has(jobId)) {
+    // ✅ Cancel worker timeout since job was accepted (bulk hiring keeps dispatching until every slot is filled)
+    if (isFullyStaffed && pendingJobTimeouts.has(jobId)) {
       clearTimeout(pendingJobTimeouts.get(jobId));
       pendingJobTimeouts.delete(jobId);
       console.log(`✅ Cancelled timeout for accepted job ${jobId}`);
     }
     
-    // Start forwarding location updates for this job for a limited time (10 minutes)
+    // Share the worker's location (distance + ETA) with the contractor until they arrive
     try {
-      const TRACK_MINUTES = Number(process.env.TRACK_MINUTES) || 10;
-      trackingJobs.set(jobId, Date.now() + TRACK_MINUTES * 40 * 1000);
-      console.log(`🚩 Started location tracking for job ${jobId} for ${TRACK_MINUTES} minutes`);
+      await startTrackingSession(updated, workerPhone);
+      console.log(`🚩 Started location tracking for job ${jobId} (${workerPhone})`);
     } catch (e) {
       console.error("Error starting tracking for job", e);
     }
@@ -1587,7 +2165,7 @@ app.post("/jobs/accept/:id", authenticateToken, async (req, res) => {
   }
 });
 
-app.post("/jobs/decline/:id", authenticateToken, async (req, res) => {
+app.post("/jobs/decline/:id", authenticateToken, idempotent, async (req, res) => {
   try {
     const jobId = req.params.id;
     const workerName = req.user.name;
@@ -1602,30 +2180,58 @@ app.post("/jobs/decline/:id", authenticateToken, async (req, res) => {
       return res.status(404).json({ success: false, message: "Job not found" });
     }
 
-    if (!job.declinedBy.includes(workerName)) {
-      job.declinedBy.push(workerName);
-    }
-    
-    // If job was accepted by this worker, reset status to pending and clear tracking
-    if (job.acceptedBy === workerName && job.status === "accepted") {
-      job.status = "pending";
+    const actor = actorFromUser(req.user);
+    const heldAssignment = getAcceptedPhones(job).includes(req.user.phone) ? getAssignment(job, req.user.phone) : null;
+    // Copy the held amount before the assignment is cleared
+    const heldEscrow = heldAssignment?.escrow?.status === "held"
+      ? { acceptedBy: req.user.phone, escrow: { amount: heldAssignment.escrow.amount, status: "held", heldAt: heldAssignment.escrow.heldAt } }
+      : null;
+
+    // A hired worker backing out sends the job back to dispatch - only allowed before work starts
+    if (heldAssignment && isMultiWorkerJob(job)) {
+      // Bulk hiring: free this worker's slot and reopen the job for dispatch
+      if (!OPEN_STATES.includes(job.status) && !applyTransition(job, "posted", actor, `slot ${heldAssignment.slotNumber} declined`)) {
+        return res.status(400).json({ success: false, message: describeInvalidTransition(job.status, "posted") });
+      }
+      heldAssignment.status = "open";
+      heldAssignment.acceptedBy = null;
+      heldAssignment.acceptedWorker = null;
+      heldAssignment.acceptedAt = null;
+      heldAssignment.attendanceStatus = undefined;
+      heldAssignment.attendanceTime = undefined;
+      heldAssignment.escrow = undefined;
+      job.filledSlots = Math.max((job.filledSlots || 1) - 1, 0);
+    } else if (heldAssignment) {
+      if (!applyTransition(job, "posted", actor, "declined after accepting")) {
+        return res.status(400).json({ success: false, message: describeInvalidTransition(job.status, "posted") });
+      }
       job.acceptedBy = null;
       job.acceptedWorker = null;
       job.acceptedAt = null;
-      // Stop tracking location for this declined job
-      if (trackingJobs.has(jobId)) {
-        trackingJobs.delete(jobId);
-      }
+      job.escrow = undefined;
+    }
+
+    if (!job.declinedBy.includes(workerName)) {
+      job.declinedBy.push(workerName);
+    }
+    await markJobOffer(job._id, req.user.phone, "declined");
+
+    // Worker backed out - the held amount goes back to the contractor in full (claimed before the slot is cleared)
+    if (heldEscrow) {
+      await refundEscrow(job, heldEscrow, { cancelledBy: "worker", createdBy: req.user.phone });
     }
     
     await job.save();
+    if (heldAssignment) {
+      await endTrackingSession(jobId, req.user.phone, 'declined');
+    }
 
     console.log(`✅ Job declined successfully by ${workerName}`);
     // Targeted: notify contractor and declining worker only
     await emitJobUpdatedToUsers(job, [job.contractorName, workerName]);
     
     // ✅ SIMPLIFIED: Move to next worker in sequence
-    if (job.status === 'pending') {
+    if (OPEN_STATES.includes(job.status)) {
       try {
         await offerJobToNextWorker(job);
       } catch (e) {
@@ -1657,10 +2263,15 @@ app.post("/jobs/nearby", authenticateToken, async (req, res) => {
     if (hasActiveUnpaidJob) {
       return res.json([]);
     }
+
+    // ✅ Hide jobs from contractors this worker blocked (or who blocked this worker)
+    const blockedPhones = await getBlockedPhones(req.user.phone);
     
     const availableJobs = jobs.filter(
       (j) =>
-        j.status !== "accepted" &&
+        OPEN_STATES.includes(j.status) &&
+        !blockedPhones.has(j.contractorPhone) &&
+        !isDormant(j) &&
         (!workerType || j.workerType?.toLowerCase() === workerType?.toLowerCase()) &&
         !(j.declinedBy && j.declinedBy.includes(workerName))
     );
@@ -1706,7 +2317,9 @@ app.get("/jobs/my-accepted", authenticateToken, async (req, res) => {
     const workerPhone = req.user.phone;
     
     // Get all jobs accepted by this worker (using phone, not name) - explicitly include all fields
-    const jobs = await Job.find({ acceptedBy: workerPhone }).lean(); // ✅ Use phone
+    const jobs = await Job.find({
+      $or: [{ acceptedBy: workerPhone }, { "slots.acceptedBy": workerPhone }], // ✅ Use phone (bulk hiring: filled slot)
+    }).lean();
     
     // Log jobs with rating info for debugging
     jobs.forEach((job) => {
@@ -1748,6 +2361,16 @@ app.get("/worker/:phone", authenticateToken, async (req, res) => {
       isAvailable: worker.isAvailable || false,
       profilePhoto: user?.profilePhoto || null,
       skills: worker.skills || [],
+      rating: worker.rating,
+      reputation: {
+        avgRating: worker.reputation?.avgRating ?? null,
+        ratingCount: worker.reputation?.ratingCount || 0,
+        jobsCompleted: worker.reputation?.jobsCompleted || 0,
+        completionRate: worker.reputation?.completionRate || 0,
+        noShowCount: worker.reputation?.noShowCount || 0,
+        cancellationCount: worker.reputation?.cancellationCount || 0,
+        cancellationRate: worker.reputation?.cancellationRate || 0,
+      },
     });
   } catch (err) {
     console.error("Failed to fetch worker details", err);
@@ -1759,24 +2382,56 @@ app.get("/worker/:phone", authenticateToken, async (req, res) => {
 app.post("/jobs/attendance/:id", authenticateToken, async (req, res) => {
   try {
     const jobId = req.params.id;
-    const { status } = req.body;
+    const { status, workerPhone } = req.body;
 
     const job = await Job.findById(jobId);
     if (!job) return res.status(404).json({ message: "Job not found" });
+    // Present unlocks payment and cancellation compensation, so only the contractor (or an admin) marks it
+    if (job.contractorPhone !== req.user.phone && req.user.role !== "admin") {
+      return res.status(403).json({ success: false, message: "Only the contractor who posted this job can mark attendance" });
+    }
 
-    job.attendanceStatus = status;
-    job.attendanceTime = new Date();
+    // Bulk hiring: attendance is marked per worker slot
+    const assignment = getAssignment(job, workerPhone);
+    if (!assignment) {
+      return res.status(400).json({ success: false, message: "workerPhone of an accepted worker is required for this job" });
+    }
+
+    if (!ACTIVE_STATES.includes(job.status)) {
+      return res.status(400).json({ success: false, message: `Attendance can't be marked while the job is ${job.status.replace('_', ' ')}` });
+    }
+    if (!["Present", "Absent"].includes(status)) {
+      return res.status(400).json({ success: false, message: "status must be Present or Absent" });
+    }
+
+    const previousAttendance = assignment.attendanceStatus;
+    assignment.attendanceStatus = status;
+    assignment.attendanceTime = new Date();
+    // Present without an on-site check-in from the worker is flagged for disputes
+    if (status === "Present") {
+      addAttendanceFlag(assignment, getManualAttendanceFlag(assignment));
+    }
+    // A present worker means work has started
+    if (status === "Present" && job.status !== "in_progress") {
+      applyTransition(job, "in_progress", actorFromUser(req.user), "attendance marked");
+    }
     await job.save();
 
-    // Stop tracking location for this job when attendance is set
     try {
-      if (trackingJobs.has(jobId)) trackingJobs.delete(jobId);
+      await recordAttendance(assignment.acceptedBy, status, previousAttendance);
+    } catch (e) {
+      console.error('Error updating worker reputation:', e);
+    }
+
+    // Stop tracking location for this worker when attendance is set
+    try {
+      await endTrackingSession(jobId, assignment.acceptedBy, 'attendance');
     } catch (e) {
       console.error("Error clearing tracking for job on attendance:", e);
     }
 
     // Targeted: notify contractor and accepted worker about attendance change
-    await emitJobUpdatedToUsers(job, [job.contractorName, job.acceptedBy || job.contractorName]);
+    await emitJobUpdatedToUsers(job, [job.contractorName, assignment.acceptedBy || job.contractorName]);
     return res.json({ success: true, job });
   } catch (err) {
     console.error(err);
@@ -1784,82 +2439,252 @@ app.post("/jobs/attendance/:id", authenticateToken, async (req, res) => {
   }
 });
 
-app.post("/jobs/pay/:id", authenticateToken, async (req, res) => {
+// Worker checks in from the job site - inside the geofence marks them Present and starts the job
+app.post("/jobs/:id/check-in", authenticateToken, async (req, res) => {
+  try {
+    const coords = parseCoordinates(req.body);
+    if (coords.error) return res.status(400).json({ success: false, message: coords.error });
+
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, message: "Job not found" });
+
+    const assignment = getAssignment(job, req.user.phone);
+    if (!assignment) {
+      return res.status(403).json({ success: false, message: "You are not hired on this job" });
+    }
+    if (!ACTIVE_STATES.includes(job.status)) {
+      return res.status(400).json({ success: false, message: `Can't check in while the job is ${job.status.replace('_', ' ')}` });
+    }
+    if (assignment.checkIn?.withinGeofence) {
+      return res.status(400).json({ success: false, message: "Already checked in" });
+    }
+
+    const checkIn = buildCheckpoint(job, { ...coords, accuracy: req.body.accuracy });
+    assignment.checkIn = checkIn;
+
+    if (checkIn.withinGeofence) {
+      const previousAttendance = assignment.attendanceStatus;
+      assignment.attendanceStatus = "Present";
+      assignment.attendanceTime = checkIn.at;
+      if (job.status !== "in_progress") {
+        applyTransition(job, "in_progress", actorFromUser(req.user), "worker checked in on site");
+      }
+      await job.save();
+      await endTrackingSession(job._id, req.user.phone, 'checked_in');
+
+      try {
+        await recordAttendance(req.user.phone, "Present", previousAttendance);
+      } catch (e) {
+        console.error('Error updating worker reputation:', e);
+      }
+    } else {
+      // Kept as evidence; the contractor can still mark attendance, which will be flagged
+      addAttendanceFlag(assignment, ATTENDANCE_FLAGS.CHECK_IN_OUTSIDE);
+      await job.save();
+    }
+
+    console.log(`📍 Worker ${req.user.phone} checked in to job ${job._id}: ${checkIn.distanceMeters}m from site (${checkIn.withinGeofence ? 'inside' : 'OUTSIDE'} ${GEOFENCE_RADIUS_METERS}m fence)`);
+    await emitJobUpdatedToUsers(job, [job.contractorName, job.contractorPhone, req.user.phone]);
+    return res.json({
+      success: true,
+      withinGeofence: checkIn.withinGeofence,
+      distanceMeters: checkIn.distanceMeters,
+      geofenceRadiusMeters: GEOFENCE_RADIUS_METERS,
+      message: checkIn.withinGeofence
+        ? "Checked in"
+        : `You are ${checkIn.distanceMeters}m from the job site - check-in recorded but not counted as attendance`,
+      job,
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+// Worker checks out - records the hours actually worked
+app.post("/jobs/:id/check-out", authenticateToken, async (req, res) => {
+  try {
+    const coords = parseCoordinates(req.body);
+    if (coords.error) return res.status(400).json({ success: false, message: coords.error });
+
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, message: "Job not found" });
+
+    const assignment = getAssignment(job, req.user.phone);
+    if (!assignment) {
+      return res.status(403).json({ success: false, message: "You are not hired on this job" });
+    }
+    if (!assignment.checkIn?.at) {
+      return res.status(400).json({ success: false, message: "Check in before checking out" });
+    }
+    if (assignment.checkOut?.at) {
+      return res.status(400).json({ success: false, message: "Already checked out" });
+    }
+    if (job.status === "cancelled") {
+      return res.status(400).json({ success: false, message: "Job is cancelled" });
+    }
+
+    const checkOut = buildCheckpoint(job, { ...coords, accuracy: req.body.accuracy });
+    assignment.checkOut = checkOut;
+    assignment.hoursWorked = getHoursWorked(assignment.checkIn, checkOut);
+    if (!checkOut.withinGeofence) {
+      addAttendanceFlag(assignment, ATTENDANCE_FLAGS.CHECK_OUT_OUTSIDE);
+    }
+    await job.save();
+
+    console.log(`📍 Worker ${req.user.phone} checked out of job ${job._id} after ${assignment.hoursWorked}h (${checkOut.distanceMeters}m from site)`);
+    await emitJobUpdatedToUsers(job, [job.contractorName, job.contractorPhone, req.user.phone]);
+    return res.json({
+      success: true,
+      hoursWorked: assignment.hoursWorked,
+      withinGeofence: checkOut.withinGeofence,
+      distanceMeters: checkOut.distanceMeters,
+      job,
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+// -------- PAYABLE AMOUNT (hourly / daily / per-unit jobs) --------
+// Contractor or worker proposes what is owed; the other side confirms before /jobs/pay/:id
+function resolvePayableParty(job, user, workerPhone) {
+  if (user.phone === job.contractorPhone) {
+    return { role: "contractor", assignment: getAssignment(job, workerPhone) };
+  }
+  return { role: "worker", assignment: getAssignment(job, user.phone) };
+}
+
+app.post("/jobs/:id/payable", authenticateToken, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, message: "Job not found" });
+
+    if (!requiresConfirmation(job)) {
+      return res.status(400).json({ success: false, message: "This job pays a flat amount" });
+    }
+    const { role, assignment } = resolvePayableParty(job, req.user, req.body.workerPhone);
+    if (!assignment) {
+      return res.status(403).json({ success: false, message: "Only the contractor or a hired worker can propose the payable amount" });
+    }
+    if (assignment.attendanceStatus !== "Present" || assignment.paymentStatus === "Paid") {
+      return res.status(400).json({ success: false, message: "Payable can only be set for present, unpaid workers" });
+    }
+    if (!["in_progress", "completed"].includes(job.status)) {
+      return res.status(400).json({ success: false, message: `Payable can't be set while the job is ${job.status.replace('_', ' ')}` });
+    }
+
+    const work = resolveWorkQuantities(job.pricing, assignment, req.body);
+    if (work.error) return res.status(400).json({ success: false, message: work.error });
+
+    const now = new Date();
+    assignment.payable = {
+      ...computePayable(job.pricing, work),
+      proposedBy: req.user.phone,
+      proposedAt: now,
+      // A new proposal needs the other side to confirm again
+      contractorConfirmedAt: role === "contractor" ? now : null,
+      workerConfirmedAt: role === "worker" ? now : null,
+    };
+    await job.save();
+
+    console.log(`🧮 Payable for job ${job._id} (${assignment.acceptedBy}) proposed by ${role}: ₹${assignment.payable.amount} (${assignment.payable.breakdown})`);
+    await emitJobUpdatedToUsers(job, [job.contractorName, job.contractorPhone, assignment.acceptedBy]);
+    return res.json({ success: true, payable: assignment.payable, job });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+app.post("/jobs/:id/payable/confirm", authenticateToken, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, message: "Job not found" });
+
+    const { role, assignment } = resolvePayableParty(job, req.user, req.body.workerPhone);
+    if (!assignment) {
+      return res.status(403).json({ success: false, message: "Only the contractor or a hired worker can confirm the payable amount" });
+    }
+    if (!assignment.payable?.proposedAt) {
+      return res.status(400).json({ success: false, message: "No payable amount has been proposed yet" });
+    }
+    // Guard against confirming an amount the other side has just changed
+    if (req.body.amount !== undefined && Number(req.body.amount) !== assignment.payable.amount) {
+      return res.status(409).json({ success: false, message: "The payable amount has changed - please review it again", payable: assignment.payable });
+    }
+
+    assignment.payable[role === "contractor" ? "contractorConfirmedAt" : "workerConfirmedAt"] = new Date();
+    await job.save();
+
+    await emitJobUpdatedToUsers(job, [job.contractorName, job.contractorPhone, assignment.acceptedBy]);
+    return res.json({ success: true, payable: assignment.payable, readyToPay: isPayableConfirmed(assignment), job });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ success: false, message: "Internal server error" });
+  }
+});
+
+app.post("/jobs/pay/:id", authenticateToken, idempotent, async (req, res) => {
   try {
     const jobId = req.params.id;
-    const { mode } = req.body;
+    const { mode, workerPhone } = req.body;
 
     const job = await Job.findById(jobId);
     if (!job) return res.status(404).json({ message: "Job not found" });
+    if (job.contractorPhone !== req.user.phone && req.user.role !== "admin") {
+      return res.status(403).json({ success: false, message: "Only the contractor who posted this job can pay for it" });
+    }
 
-    if (job.attendanceStatus !== "Present") {
-      return res.status(400).json({ success: false, message: "Payment allowed only for PRESENT workers" });
+    // Bulk hiring: each worker slot is paid separately
+    const assignment = getAssignment(job, workerPhone);
+    if (!assignment) {
+      return res.status(400).json({ success: false, message: "workerPhone of an accepted worker is required for this job" });
     }
 
-    job.paymentStatus = "Paid";
-    job.paymentMode = mode;
-    job.paymentTime = new Date();
-    
-    // Calculate time spent from acceptance to payment
-    if (job.acceptedAt) {
-      const timeSpentMs = job.paymentTime - job.acceptedAt;
-      job.timeSpentMinutes = Math.round(timeSpentMs / 60000); // Convert milliseconds to minutes
+    // ✅ Release the held amount to the worker (minus the platform fee); a shortfall comes from the contractor's wallet
+    const { escrow, payAmount, error: paymentError, statusCode } = await payWorker(job, assignment, {
+      mode,
+      actor: actorFromUser(req.user),
+      createdBy: req.user.phone,
+    });
+    if (paymentError) {
+      return res.status(statusCode).json({ success: false, message: paymentError });
     }
-    
-    await job.save();
 
     // ✅ CREATE NOTIFICATION FOR WORKER - PAYMENT SENT (only to the accepted worker)
     try {
-      if (job.acceptedWorker && job.acceptedWorker.phone) {
+      if (assignment.acceptedWorker && assignment.acceptedWorker.phone) {
         await NotificationHistory.create({
-          recipientPhone: job.acceptedWorker.phone,
+          recipientPhone: assignment.acceptedWorker.phone,
           senderPhone: req.user.phone,
           senderName: req.user.name || job.contractorName || 'Contractor',
           type: 'payment_received',
-          title: `Payment Received: ₹${job.amount}`,
-          body: `Payment for ${job.title} has been transferred to your wallet`,
+          title: `Payment Received: ₹${escrow.workerAmount}`,
+          body: `Payment for ${job.title} has been transferred to your wallet (₹${payAmount} less ₹${escrow.platformFee} platform fee)`,
           jobId: job._id.toString(),
           metadata: {
             jobTitle: job.title,
-            amount: job.amount,
+            amount: escrow.workerAmount,
             actionRequired: false
           },
           deepLink: `worker/wallet`,
           pushNotificationSent: false,
         });
-        console.log(`📬 Payment notification sent to worker ${job.acceptedWorker.name}`);
+        console.log(`📬 Payment notification sent to worker ${assignment.acceptedWorker.name}`);
       }
     } catch (e) {
       console.error('Error creating payment notification:', e);
     }
 
-    // ✅ ADD PAYMENT TRANSACTION TO WORKER'S WALLET
-    try {
-      let workerWallet = await Wallet.findOne({ phone: job.acceptedBy });
-      if (!workerWallet) {
-        workerWallet = new Wallet({ phone: job.acceptedBy, balance: 0 });
-      }
-      
-      const oldBalance = workerWallet.balance;
-      // Add payment transaction
-      workerWallet.balance += Number(job.amount);
-      workerWallet.transactions.push({
-        type: "payment",
-        amount: Number(job.amount),
-        date: new Date(),
-      });
-      
-      await workerWallet.save();
-      console.log(`💰 Added ₹${job.amount} to worker ${job.acceptedBy}'s wallet. Balance: ₹${oldBalance} → ₹${workerWallet.balance}`);
-    } catch (walletErr) {
-      console.error('❌ Error updating worker wallet after payment:', walletErr);
-    }
+    console.log(`💰 Paid ₹${escrow.workerAmount} to worker ${assignment.acceptedBy}'s wallet. Balance: ₹${await getWalletBalance(assignment.acceptedBy)}`);
 
     // ✅ AUTO-UPDATE CONTRACTOR STATS AFTER PAYMENT
-    await updateContractorStats(req.user.phone);
+    await updateContractorStats(job.contractorPhone);
 
     // Targeted: notify contractor and worker about payment
-    await emitJobUpdatedToUsers(job, [job.contractorName, job.acceptedBy || job.contractorName]);
+    await emitJobUpdatedToUsers(job, [job.contractorName, assignment.acceptedBy || job.contractorName]);
     return res.json({ success: true, message: "Payment successful", job });
   } catch (err) {
     console.error(err);
@@ -1871,7 +2696,7 @@ app.post("/jobs/pay/:id", authenticateToken, async (req, res) => {
 app.post("/jobs/rate/:id", authenticateToken, async (req, res) => {
   try {
     const jobId = req.params.id;
-    const { stars, feedback } = req.body;
+    const { stars, feedback, workerPhone } = req.body;
 
     console.log(`⭐ Rating request: Job ${jobId}, Stars: ${stars}, Feedback: ${feedback}`);
 
@@ -1882,37 +2707,66 @@ app.post("/jobs/rate/:id", authenticateToken, async (req, res) => {
 
     const job = await Job.findById(jobId); // ✅ Fixed: Use MongoDB _id
     if (!job) return res.status(404).json({ message: "Job not found" });
+    if (job.contractorPhone !== req.user.phone && req.user.role !== "admin") {
+      return res.status(403).json({ success: false, message: "Only the contractor who posted this job can rate its workers" });
+    }
+
+    // Bulk hiring: each worker slot is rated separately
+    const assignment = getAssignment(job, workerPhone);
+    if (!assignment) {
+      return res.status(400).json({ message: "workerPhone of an accepted worker is required for this job" });
+    }
 
     // Only allow rating if job is paid
-    if (job.paymentStatus !== "Paid") {
+    if (assignment.paymentStatus !== "Paid" || !["completed", "paid", "rated"].includes(job.status)) {
       return res.status(400).json({ message: "Can only rate jobs that have been paid" });
     }
 
     // Only allow rating if worker was marked present
-    if (job.attendanceStatus !== "Present") {
+    if (assignment.attendanceStatus !== "Present") {
       return res.status(400).json({ message: "Can only rate workers marked as Present" });
     }
 
-    // Store rating in job
-    job.rating = {
+    // Store rating in job (or the worker's slot)
+    const previousStars = assignment.rating?.stars || null;
+    assignment.rating = {
       stars: parseInt(stars),
       feedback: feedback || "",
       ratedAt: new Date(),
       ratedBy: req.user.phone || job.contractorName,
     };
 
+    // Job is rated once every hired worker has a rating
+    const allRated = assignment === job || job.slots.filter((s) => s.acceptedBy).every((s) => s.rating && s.rating.stars);
+    if (allRated && job.status === "paid") {
+      applyTransition(job, "rated", actorFromUser(req.user), `${stars} stars`);
+    }
+
     await job.save();
     
+    // ✅ 4+ stars puts the worker on the contractor's favourites for rehiring
+    try {
+      await recordRating(job.contractorPhone, { phone: assignment.acceptedBy, name: assignment.acceptedWorker?.name }, parseInt(stars), jobId);
+    } catch (e) {
+      console.error('Error updating favourite workers:', e);
+    }
+
+    try {
+      await recordWorkerRating(assignment.acceptedBy, parseInt(stars), previousStars);
+    } catch (e) {
+      console.error('Error updating worker reputation:', e);
+    }
+
     // ✅ Reload job from DB to ensure rating is persisted
     const updatedJob = await Job.findById(jobId);
-    console.log(`✅ Rating saved for job ${jobId}:`, updatedJob?.rating);
+    console.log(`✅ Rating saved for job ${jobId}:`, assignment.rating);
     
     // ✅ CREATE NOTIFICATION FOR WORKER - RATING RECEIVED (only to the accepted worker)
     try {
-      if (job.acceptedWorker && job.acceptedWorker.phone) {
+      if (assignment.acceptedWorker && assignment.acceptedWorker.phone) {
         const ratingText = `${stars} star${stars > 1 ? 's' : ''}`;
         await NotificationHistory.create({
-          recipientPhone: job.acceptedWorker.phone,
+          recipientPhone: assignment.acceptedWorker.phone,
           senderPhone: req.user.phone,
           senderName: req.user.name || job.contractorName || 'Contractor',
           type: 'rating_received',
@@ -1927,14 +2781,14 @@ app.post("/jobs/rate/:id", authenticateToken, async (req, res) => {
           deepLink: `worker/profile`,
           pushNotificationSent: false,
         });
-        console.log(`📬 Rating notification sent to worker ${job.acceptedWorker.name}`);
+        console.log(`📬 Rating notification sent to worker ${assignment.acceptedWorker.name}`);
       }
     } catch (e) {
       console.error('Error creating rating notification:', e);
     }
 
     // Targeted: notify contractor and worker about rating
-    await emitJobUpdatedToUsers(updatedJob || job, [job.contractorName, job.acceptedBy || job.contractorName]);
+    await emitJobUpdatedToUsers(updatedJob || job, [job.contractorName, assignment.acceptedBy || job.contractorName]);
     console.log(`📤 Sent targeted jobUpdated event with rating`);
     return res.json({ 
       success: true, 
@@ -1947,74 +2801,85 @@ app.post("/jobs/rate/:id", authenticateToken, async (req, res) => {
   }
 });
 
-// ---------------- WALLET ROUTES ----------------
-app.get("/wallet", authenticateToken, async (req, res) => {
+// -------- WORKER RATES CONTRACTOR --------
+app.post("/jobs/:id/rate-contractor", authenticateToken, async (req, res) => {
   try {
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    
-    // Auto-create if missing
-    if (!wallet) {
-      wallet = new Wallet({ phone: req.user.phone });
-      await wallet.save();
-      console.log(`✅ Auto-created wallet for ${req.user.phone} on GET /wallet`);
-    }
+    const { stars, feedback } = req.body;
+    const tags = Array.isArray(req.body.tags) ? [...new Set(req.body.tags)] : [];
 
-    return res.json({ success: true, wallet });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ success: false, message: "Internal server error" });
-  }
-});
+    if (req.user.role !== "worker") {
+      return res.status(403).json({ success: false, message: "Only workers can rate contractors" });
+    }
+    const starCount = parseInt(stars);
+    if (!starCount || starCount < 1 || starCount > 5) {
+      return res.status(400).json({ success: false, message: "Rating must be between 1 and 5 stars" });
+    }
+    const unknownTags = tags.filter((t) => !CONTRACTOR_RATING_TAGS.includes(t));
+    if (unknownTags.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown tags: ${unknownTags.join(", ")}`,
+        allowedTags: CONTRACTOR_RATING_TAGS,
+      });
+    }
 
-app.post("/wallet/deposit", authenticateToken, async (req, res) => {
-  try {
-    const { amount } = req.body;
-    if (!amount || amount <= 0) return res.status(400).json({ success: false, message: "Invalid amount" });
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, message: "Job not found" });
 
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    // Auto-create if missing
-    if (!wallet) {
-      wallet = new Wallet({ phone: req.user.phone });
-      await wallet.save();
-      console.log(`✅ Auto-created wallet for ${req.user.phone} on DEPOSIT`);
+    // Only a worker who actually worked the job can rate it
+    const assignment = getAssignment(job, req.user.phone);
+    if (!assignment) {
+      return res.status(403).json({ success: false, message: "You did not work on this job" });
+    }
+    if (job.status === "cancelled" || assignment.attendanceStatus !== "Present") {
+      return res.status(400).json({ success: false, message: "Can only rate contractors for jobs you were present at" });
     }
 
-    wallet.balance += Number(amount);
-    wallet.transactions.push({ type: "deposit", amount, date: new Date() });
-    await wallet.save();
-
-    return res.json({ success: true, wallet, message: "Deposit successful" });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ success: false, message: "Internal server error" });
-  }
-});
+    assignment.contractorRating = {
+      stars: starCount,
+      tags,
+      feedback: feedback || "",
+      ratedAt: new Date(),
+      ratedBy: req.user.phone,
+    };
+    await job.save();
 
-app.post("/wallet/withdraw", authenticateToken, async (req, res) => {
-  try {
-    const { amount } = req.body;
-    if (!amount || amount <= 0) return res.status(400).json({ success: false, message: "Invalid amount" });
+    const reputation = await refreshContractorReputation(job.contractorPhone);
+    console.log(`⭐ Worker ${req.user.phone} rated contractor ${job.contractorPhone}: ${starCount} stars (now ${reputation.avgRating} from ${reputation.ratingCount})`);
 
-    let wallet = await Wallet.findOne({ phone: req.user.phone });
-    // Auto-create if missing
-    if (!wallet) {
-      wallet = new Wallet({ phone: req.user.phone });
-      await wallet.save();
-      console.log(`✅ Auto-created wallet for ${req.user.phone} on WITHDRAW`);
+    try {
+      const ratingText = `${starCount} star${starCount > 1 ? "s" : ""}`;
+      await NotificationHistory.create({
+        recipientPhone: job.contractorPhone,
+        senderPhone: req.user.phone,
+        senderName: req.user.name || "Worker",
+        type: "rating_received",
+        title: `Rating Received: ${ratingText}`,
+        body: feedback || `A worker rated you ${ratingText} for ${job.title}`,
+        jobId: job._id.toString(),
+        metadata: {
+          rating: starCount,
+          tags,
+          jobTitle: job.title,
+          actionRequired: false,
+        },
+        deepLink: `contractor/profile`,
+        pushNotificationSent: false,
+      });
+    } catch (e) {
+      console.error("Error creating contractor rating notification:", e);
     }
-    if (wallet.balance < amount) return res.status(400).json({ success: false, message: "Insufficient balance" });
-
-    wallet.balance -= Number(amount);
-    wallet.transactions.push({ type: "withdraw", amount, date: new Date() });
-    await wallet.save();
 
-    return res.json({ success: true, wallet, message: "Withdrawal successful" });
+    return res.json({ success: true, message: "Rating submitted successfully", contractorReputation: reputation });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ success: false, message: "Internal server error" });
   }
 });
 
+// ---------------- WALLET ROUTES ----------------
+// GET /wallet, /wallet/transactions, /wallet/withdraw and deposits (Razorpay order + verify) live in routes/wallet.js
+
 // ----------------CONTRACTOR STATS ----------------
 // Save/Update contractor daily stats (called after job completion or manually)
 app.post('/contractor/stats/save', authenticateToken, async (req, res) => {
@@ -2120,6 +2985,66 @@ app.get('/contractor/stats/range', authenticateToken, async (req, res) => {
   }
 });
 
+// ---------------- FAVOURITE WORKERS (REHIRE) ----------------
+// Workers the contractor rated 4+ stars - usable as directOfferTo / preferFavorites on /jobs/post
+app.get('/contractor/favorites', authenticateToken, async (req, res) => {
+  try {
+    // First visit: seed the list from the contractor's rated job history
+    if (!(await FavoriteWorker.exists({ contractorPhone: req.user.phone }))) {
+      await rebuildFromHistory(req.user.phone);
+    }
+    const favorites = await getFavorites(req.user.phone);
+    return res.json({ success: true, favorites });
+  } catch (err) {
+    console.error('Fetch favourites error', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Rebuild favourites from rated job history
+app.post('/contractor/favorites/rebuild', authenticateToken, async (req, res) => {
+  try {
+    const count = await rebuildFromHistory(req.user.phone);
+    const favorites = await getFavorites(req.user.phone);
+    return res.json({ success: true, count, favorites });
+  } catch (err) {
+    console.error('Rebuild favourites error', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Remove a favourite (stays removed across rebuilds until restored)
+app.delete('/contractor/favorites/:workerPhone', authenticateToken, async (req, res) => {
+  try {
+    const favorite = await FavoriteWorker.findOneAndUpdate(
+      { contractorPhone: req.user.phone, workerPhone: req.params.workerPhone },
+      { $set: { removed: true } },
+      { new: true }
+    );
+    if (!favorite) return res.status(404).json({ success: false, message: 'Favourite not found' });
+    return res.json({ success: true, favorite });
+  } catch (err) {
+    console.error('Remove favourite error', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Restore a removed favourite
+app.post('/contractor/favorites/:workerPhone/restore', authenticateToken, async (req, res) => {
+  try {
+    const favorite = await FavoriteWorker.findOneAndUpdate(
+      { contractorPhone: req.user.phone, workerPhone: req.params.workerPhone },
+      { $set: { removed: false } },
+      { new: true }
+    );
+    if (!favorite) return res.status(404).json({ success: false, message: 'Favourite not found' });
+    return res.json({ success: true, favorite });
+  } catch (err) {
+    console.error('Restore favourite error', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
 // Auto-save stats endpoint (call this when job is completed/paid)
 app.post('/contractor/stats/update-from-jobs', authenticateToken, async (req, res) => {
   try {
@@ -2378,7 +3303,7 @@ app.get('/verification/status', authenticateToken, async (req, res) => {
 });
 
 // ---------- CANCELLATION LOG ENDPOINTS ----------
-app.post('/jobs/cancel/:id', authenticateToken, async (req, res) => {
+app.post('/jobs/cancel/:id', authenticateToken, idempotent, async (req, res) => {
   try {
     const { reason, reasonDescription } = req.body;
     const jobId = req.params.id;
@@ -2387,36 +3312,56 @@ app.post('/jobs/cancel/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Cancellation reason required' });
     }
 
-    const job = await Job.findById(jobId);
+    let job = await Job.findById(jobId);
     if (!job) {
       return res.status(404).json({ success: false, message: 'Job not found' });
     }
 
     // Determine who is cancelling
+    const acceptedPhones = getAcceptedPhones(job);
     let cancelledBy = 'admin';
     if (req.user.phone === job.contractorPhone) cancelledBy = 'contractor';
-    if (req.user.phone === job.acceptedBy) cancelledBy = 'worker';
+    if (acceptedPhones.includes(req.user.phone)) cancelledBy = 'worker';
+    // An admin cancel refunds the contractor in full, so it takes an actual admin
+    if (cancelledBy === 'admin' && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only the contractor, the hired worker or an admin can cancel this job' });
+    }
+
+    // Bulk hiring: a worker leaving one slot must not cancel the job for everyone else
+    if (cancelledBy === 'worker' && isMultiWorkerJob(job)) {
+      return res.status(400).json({ success: false, message: 'Use decline to leave a multi-worker job' });
+    }
 
-    // ✅ CORRECT REFUND LOGIC:
-    // - When contractor cancels BEFORE acceptance: refund only ₹25 platform fee (that was deducted)
-    // - When contractor cancels AFTER acceptance: no refund (worker already agreed to do job, contractor pays)
-    // - When worker cancels: no refund (worker forfeited job)
-    let refundAmount = 0;
-    let cancellationFee = 0;
+    if (!canTransition(job.status, 'cancelled')) {
+      return res.status(400).json({ success: false, message: describeInvalidTransition(job.status, 'cancelled') });
+    }
 
-    if (cancelledBy === 'contractor' && !job.acceptedBy) {
-      // No worker accepted yet - refund only the ₹25 platform fee that was deducted
-      refundAmount = 25;
+    // Claim the cancellation atomically - a concurrent cancel/accept/payment makes this fail,
+    // so refunds below run once
+    const cancelledJob = await transitionJob(job._id, 'cancelled', actorFromUser(req.user), { note: reason, from: [job.status] });
+    if (!cancelledJob) {
+      return res.status(409).json({ success: false, message: 'The job changed while cancelling - please refresh and try again' });
     }
-    // If worker accepted and then either cancels, or contractor cancels: NO REFUND
-    // The ₹25 platform fee and job amount stay with platform/contractor
+
+    // ✅ REFUND LOGIC:
+    // - When contractor cancels BEFORE acceptance: refund the ₹25 posting fee
+    // - Once a worker accepted, the ₹25 fee stays with the platform and the held job amount is
+    //   returned under the cancellation policy (a late contractor cancel compensates the worker,
+    //   see services/jobEscrow.js)
+    const hiredPhones = getAcceptedPhones(cancelledJob); // includes a slot filled while cancelling
+    const postFeeRefund = cancelledBy === 'contractor' && hiredPhones.length === 0 ? JOB_POST_FEE : 0;
+    // Settle from the cancelled job (the policy still looks at the status before cancelling)
+    const escrowSettlement = await refundJobOnCancel(cancelledJob, { cancelledBy, jobStatus: job.status, createdBy: req.user.phone });
+    const refundAmount = postFeeRefund + escrowSettlement.refunded;
+    const cancellationFee = escrowSettlement.compensation;
 
     // Log cancellation
     const cancellation = new CancellationLog({
       jobId,
       contractorPhone: job.contractorPhone,
       contractorName: job.contractorName,
-      workerPhone: job.acceptedBy,
+      workerPhone: hiredPhones[0] || null,
+      workerPhones: isMultiWorkerJob(job) ? hiredPhones : undefined,
       cancelledBy,
       reason,
       reasonDescription,
@@ -2424,29 +3369,33 @@ app.post('/jobs/cancel/:id', authenticateToken, async (req, res) => {
       cancellationFee,
       refundAmount,
       refundToPhone: job.contractorPhone,
+      cancellationPolicy: escrowSettlement.policy || undefined,
+      policyExplanation: escrowSettlement.explanation || undefined,
       cancelledAt: new Date(),
     });
 
     await cancellation.save();
 
-    // Update job status
-    job.status = 'cancelled';
-    await job.save();
+    job = cancelledJob;
+    await clearScheduledDispatch(jobId);
+    await endTrackingSession(jobId, null, 'cancelled');
 
-    // ✅ Process refund ONLY when contractor cancels before acceptance
-    if (refundAmount > 0 && cancelledBy === 'contractor' && !job.acceptedBy) {
-      let wallet = await Wallet.findOne({ phone: job.contractorPhone });
-      if (!wallet) {
-        wallet = new Wallet({ phone: job.contractorPhone });
+    if (cancelledBy === 'worker') {
+      try {
+        await recordWorkerCancellation(req.user.phone);
+      } catch (e) {
+        console.error('Error updating worker reputation:', e);
       }
-      wallet.balance += refundAmount;
-      wallet.transactions.push({
-        type: 'refund',
-        amount: refundAmount,
-        date: new Date(),
+    }
+
+    // ✅ Refund the posting fee ONLY when contractor cancels before acceptance
+    if (postFeeRefund > 0) {
+      await refundJobPostFee(job.contractorPhone, postFeeRefund, {
+        jobId: job._id.toString(),
+        description: `Refund: ${job.title} cancelled`,
+        createdBy: req.user.phone,
       });
-      await wallet.save();
-      console.log(`💰 Refunded ₹${refundAmount} to contractor ${job.contractorPhone}`);
+      console.log(`💰 Refunded ₹${postFeeRefund} to contractor ${job.contractorPhone}`);
     }
 
     // ✅ EMIT CANCELLATION EVENT TO ALL USERS
@@ -2488,12 +3437,121 @@ app.post('/jobs/cancel/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Progress updates on a hired job: worker reports en route / arrived / started / done,
+// contractor can mark it started or done. Transitions are checked by the job lifecycle.
+const PROGRESS_STATUSES_BY_ROLE = {
+  worker: ['en_route', 'arrived', 'in_progress', 'completed'],
+  contractor: ['in_progress', 'completed'],
+};
+
+app.post('/jobs/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    let role = null;
+    if (req.user.phone === job.contractorPhone) role = 'contractor';
+    if (getAcceptedPhones(job).includes(req.user.phone)) role = 'worker';
+    if (!role) {
+      return res.status(403).json({ success: false, message: 'Only the contractor or a hired worker can update this job' });
+    }
+    if (!PROGRESS_STATUSES_BY_ROLE[role].includes(status)) {
+      return res.status(400).json({ success: false, message: `A ${role} can set status to: ${PROGRESS_STATUSES_BY_ROLE[role].join(', ')}` });
+    }
+
+    const updated = await transitionJob(job._id, status, { ...actorFromUser(req.user), role }, { note });
+    if (!updated) {
+      return res.status(400).json({ success: false, message: describeInvalidTransition(job.status, status) });
+    }
+
+    // Heading out restarts location sharing (e.g. the accept-time session ran out on a scheduled job)
+    if (status === 'en_route' && role === 'worker') {
+      await startTrackingSession(updated, req.user.phone);
+    }
+
+    await emitJobUpdatedToUsers(updated, [updated.contractorName, updated.contractorPhone, ...getAcceptedPhones(updated)]);
+    console.log(`🔁 Job ${updated._id} moved ${job.status} → ${status} by ${role} ${req.user.phone}`);
+    res.json({ success: true, job: updated });
+  } catch (err) {
+    console.error('Job status update error:', err);
+    res.status(500).json({ success: false, message: 'Error updating job status' });
+  }
+});
+
+// Contractor or hired worker raises a dispute once work has started; an admin resolves it
+app.post('/jobs/:id/dispute', authenticateToken, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'Dispute reason required' });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (req.user.phone !== job.contractorPhone && !getAcceptedPhones(job).includes(req.user.phone)) {
+      return res.status(403).json({ success: false, message: 'Only the contractor or a hired worker can dispute this job' });
+    }
+
+    const updated = await transitionJob(job._id, 'disputed', actorFromUser(req.user), { note: reason });
+    if (!updated) {
+      return res.status(400).json({ success: false, message: describeInvalidTransition(job.status, 'disputed') });
+    }
+
+    await ActivityLog.create({
+      userId: req.user._id || req.user.phone,
+      phone: req.user.phone,
+      action: 'job_disputed',
+      jobId: updated._id.toString(),
+      description: `Job disputed: ${reason}`,
+      status: 'success',
+      metadata: { reason, previousStatus: job.status },
+    });
+
+    await emitJobUpdatedToUsers(updated, [updated.contractorName, updated.contractorPhone, ...getAcceptedPhones(updated)]);
+    res.json({ success: true, job: updated });
+  } catch (err) {
+    console.error('Job dispute error:', err);
+    res.status(500).json({ success: false, message: 'Error raising dispute' });
+  }
+});
+
+// Bulk hiring: contractor stops hiring for the remaining open slots and keeps the workers already hired
+app.post('/jobs/:id/close-slots', authenticateToken, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (job.contractorPhone !== req.user.phone) {
+      return res.status(403).json({ success: false, message: 'Only the contractor who posted this job can close its slots' });
+    }
+    if (!isMultiWorkerJob(job)) {
+      return res.status(400).json({ success: false, message: 'Only multi-worker jobs have slots' });
+    }
+
+    const updated = await closeOpenSlots(job, 'contractor_closed', actorFromUser(req.user));
+    if (!updated) {
+      return res.status(400).json({ success: false, message: 'Job must be pending with at least one worker hired' });
+    }
+    res.json({ success: true, job: updated });
+  } catch (err) {
+    console.error('Close slots error:', err);
+    res.status(500).json({ success: false, message: 'Error closing slots' });
+  }
+});
+
 app.get('/jobs/cancellations', authenticateToken, async (req, res) => {
   try {
     const cancellations = await CancellationLog.find({
       $or: [
         { contractorPhone: req.user.phone },
-        { workerPhone: req.user.phone }
+        { workerPhone: req.user.phone },
+        { workerPhones: req.user.phone }
       ]
     })
       .sort({ cancelledAt: -1 })
@@ -2662,9 +3720,17 @@ app.put('/workers/availability', authenticateToken, async (req, res) => {
 // ✅ Start leaderboard scheduler when server starts
 setTimeout(() => {
   startLeaderboardScheduler();
+  startJobReminderScheduler({ emitToWorker });
+  startJobTemplateScheduler({ startJobDispatch });
+  startReconciliationScheduler();
+  startPayoutScheduler();
 }, 2000); // Wait 2 seconds for DB to stabilize
 
 // ---------------- START SERVER ----------------
-server.listen(PORT, "0.0.0.0", () => {
-  console.log(`Server running with Socket.io on port ${PORT}`);
+// Attach the adapter before accepting sockets so every connection joins the shared rooms
+// (with REDIS_URL set the server waits here until Redis is reachable)
+attachSocketAdapter().then(() => {
+  server.listen(PORT, "0.0.0.0", () => {
+    console.log(`Server running with Socket.io on port ${PORT} (${SERVER_ID})`);
+  });
 });
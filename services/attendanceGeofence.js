@@ -0,0 +1,89 @@
+/**
+ * Attendance Geofence
+ * Workers check in and out from their phone; the reported coordinates are
+ * measured against the job site (job.lat / job.lon). Anything recorded away
+ * from the site, or attendance marked without an on-site check-in, is flagged
+ * on the assignment so payment disputes have evidence to go on.
+ *
+ * Config:
+ * - GEOFENCE_RADIUS_METERS: how far from the job site a check-in/out still counts (default 200)
+ */
+
+const { getDistanceFromLatLonInKm } = require('../utils/distance');
+
+const GEOFENCE_RADIUS_METERS = Number(process.env.GEOFENCE_RADIUS_METERS) || 200;
+
+const ATTENDANCE_FLAGS = {
+  CHECK_IN_OUTSIDE: 'check_in_outside_geofence',
+  CHECK_OUT_OUTSIDE: 'check_out_outside_geofence',
+  MARKED_WITHOUT_CHECK_IN: 'marked_without_check_in',
+  MARKED_AFTER_OUTSIDE_CHECK_IN: 'marked_after_outside_check_in',
+};
+
+/**
+ * Validate reported coordinates
+ * @returns {Object} { lat, lon } or { error }
+ */
+function parseCoordinates(body = {}) {
+  const lat = Number(body.lat);
+  const lon = Number(body.lon);
+  if (body.lat === undefined || body.lon === undefined || !Number.isFinite(lat) || !Number.isFinite(lon) ||
+      Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return { error: 'Valid lat and lon are required' };
+  }
+  return { lat, lon };
+}
+
+/**
+ * Build a check-in/out record for coordinates reported at the job site
+ * @param {Object} job - needs lat/lon
+ * @param {Object} coords - { lat, lon, accuracy }
+ */
+function buildCheckpoint(job, coords, at = new Date()) {
+  const distanceMeters = Math.round(getDistanceFromLatLonInKm(job.lat, job.lon, coords.lat, coords.lon) * 1000);
+  return {
+    at,
+    lat: coords.lat,
+    lon: coords.lon,
+    accuracyMeters: Number.isFinite(Number(coords.accuracy)) ? Number(coords.accuracy) : undefined,
+    distanceMeters,
+    withinGeofence: distanceMeters <= GEOFENCE_RADIUS_METERS,
+  };
+}
+
+/**
+ * Hours between check-in and check-out (two decimals)
+ */
+function getHoursWorked(checkIn, checkOut) {
+  if (!checkIn?.at || !checkOut?.at) return null;
+  const ms = new Date(checkOut.at).getTime() - new Date(checkIn.at).getTime();
+  return Math.max(0, Math.round((ms / 3600000) * 100) / 100);
+}
+
+/**
+ * Flag to record when a contractor marks a worker present, or null if the check-in backs it up
+ */
+function getManualAttendanceFlag(assignment) {
+  if (!assignment.checkIn?.at) return ATTENDANCE_FLAGS.MARKED_WITHOUT_CHECK_IN;
+  if (!assignment.checkIn.withinGeofence) return ATTENDANCE_FLAGS.MARKED_AFTER_OUTSIDE_CHECK_IN;
+  return null;
+}
+
+/**
+ * Add a flag to a job or slot assignment (once)
+ */
+function addAttendanceFlag(assignment, flag) {
+  if (!flag) return;
+  const flags = assignment.attendanceFlags || [];
+  if (!flags.includes(flag)) assignment.attendanceFlags = [...flags, flag];
+}
+
+module.exports = {
+  GEOFENCE_RADIUS_METERS,
+  ATTENDANCE_FLAGS,
+  parseCoordinates,
+  buildCheckpoint,
+  getHoursWorked,
+  getManualAttendanceFlag,
+  addAttendanceFlag,
+};
@@ -0,0 +1,92 @@
+/**
+ * Blocklist
+ * Mutual blocks between contractors and workers. A block by either side
+ * keeps the pair apart: no offers, no nearby listing, no accepting.
+ */
+
+const UserBlock = require('../models/UserBlock');
+const FavoriteWorker = require('../models/FavoriteWorker');
+
+/**
+ * Phones that are blocked by, or have blocked, the given user
+ * @param {String} phone
+ * @returns {Promise<Set>}
+ */
+async function getBlockedPhones(phone) {
+  if (!phone) return new Set();
+  const blocks = await UserBlock.find({ $or: [{ blockerPhone: phone }, { blockedPhone: phone }] })
+    .select('blockerPhone blockedPhone')
+    .lean();
+  return new Set(blocks.map((b) => (b.blockerPhone === phone ? b.blockedPhone : b.blockerPhone)));
+}
+
+/**
+ * True if either user has blocked the other
+ */
+async function isBlockedBetween(phoneA, phoneB) {
+  if (!phoneA || !phoneB) return false;
+  const block = await UserBlock.exists({
+    $or: [
+      { blockerPhone: phoneA, blockedPhone: phoneB },
+      { blockerPhone: phoneB, blockedPhone: phoneA },
+    ],
+  });
+  return Boolean(block);
+}
+
+/**
+ * Block a user. A contractor blocking a worker also drops them from favourites.
+ * @param {Object} blocker - { phone, role }
+ * @param {String} blockedPhone
+ * @param {Object} details - { reason, jobId }
+ */
+async function blockUser(blocker, blockedPhone, details = {}) {
+  const block = await UserBlock.findOneAndUpdate(
+    { blockerPhone: blocker.phone, blockedPhone },
+    {
+      $set: { blockerRole: blocker.role === 'contractor' ? 'contractor' : 'worker', reason: details.reason, jobId: details.jobId },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (blocker.role === 'contractor') {
+    await FavoriteWorker.updateOne({ contractorPhone: blocker.phone, workerPhone: blockedPhone }, { $set: { removed: true } });
+  }
+  return block;
+}
+
+async function unblockUser(blockerPhone, blockedPhone) {
+  const result = await UserBlock.deleteOne({ blockerPhone, blockedPhone });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Block counts per user for admin trust reviews
+ * @param {Array} phones
+ * @returns {Promise<Map>} phone -> { received, made }
+ */
+async function getBlockCounts(phones) {
+  const [received, made] = await Promise.all([
+    UserBlock.aggregate([
+      { $match: { blockedPhone: { $in: phones } } },
+      { $group: { _id: '$blockedPhone', count: { $sum: 1 } } },
+    ]),
+    UserBlock.aggregate([
+      { $match: { blockerPhone: { $in: phones } } },
+      { $group: { _id: '$blockerPhone', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const counts = new Map(phones.map((p) => [p, { received: 0, made: 0 }]));
+  received.forEach((r) => { counts.get(r._id).received = r.count; });
+  made.forEach((m) => { counts.get(m._id).made = m.count; });
+  return counts;
+}
+
+module.exports = {
+  getBlockedPhones,
+  isBlockedBetween,
+  blockUser,
+  unblockUser,
+  getBlockCounts,
+};
@@ -0,0 +1,91 @@
+/**
+ * Contractor Reputation
+ * Aggregates worker → contractor ratings (job.contractorRating, or per slot on
+ * bulk-hiring jobs) into a reputation cached on the contractor's User document.
+ * Shown to workers on job offers and used as the leaderboard's rating input.
+ */
+
+const Job = require('../models/Jobs');
+const User = require('../models/User');
+
+// Positive and negative tags a worker can attach to a contractor rating
+const CONTRACTOR_RATING_TAGS = [
+  'paid_on_time',
+  'safe_site',
+  'respectful',
+  'clear_instructions',
+  'late_payment',
+  'unsafe_site',
+  'disrespectful',
+];
+
+/**
+ * All worker ratings a contractor has received
+ * @param {Array} jobs - the contractor's jobs (needs contractorRating and slots)
+ * @returns {Array} [{ stars, tags }]
+ */
+function collectContractorRatings(jobs) {
+  const ratings = [];
+  for (const job of jobs) {
+    if (job.contractorRating?.stars) ratings.push(job.contractorRating);
+    (job.slots || []).forEach((slot) => {
+      if (slot.contractorRating?.stars) ratings.push(slot.contractorRating);
+    });
+  }
+  return ratings;
+}
+
+/**
+ * Average stars and tag counts for a set of ratings
+ */
+function summarizeRatings(ratings) {
+  const tagCounts = {};
+  ratings.forEach((r) => (r.tags || []).forEach((tag) => {
+    tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+  }));
+
+  const avgRating = ratings.length > 0
+    ? ratings.reduce((sum, r) => sum + r.stars, 0) / ratings.length
+    : 0;
+
+  return {
+    avgRating: Math.round(avgRating * 10) / 10,
+    ratingCount: ratings.length,
+    tagCounts,
+  };
+}
+
+/**
+ * Recompute and cache a contractor's reputation (call after every new rating)
+ */
+async function refreshContractorReputation(contractorPhone) {
+  const jobs = await Job.find({
+    contractorPhone,
+    $or: [
+      { 'contractorRating.stars': { $exists: true } },
+      { 'slots.contractorRating.stars': { $exists: true } },
+    ],
+  })
+    .select('contractorRating slots')
+    .lean();
+
+  const reputation = { ...summarizeRatings(collectContractorRatings(jobs)), updatedAt: new Date() };
+  await User.updateOne({ phone: contractorPhone }, { $set: { contractorReputation: reputation } });
+  return reputation;
+}
+
+/**
+ * Cached reputation for the job offer payload
+ */
+async function getContractorReputation(contractorPhone) {
+  const user = await User.findOne({ phone: contractorPhone }).select('contractorReputation').lean();
+  return user?.contractorReputation || { avgRating: 0, ratingCount: 0, tagCounts: {} };
+}
+
+module.exports = {
+  CONTRACTOR_RATING_TAGS,
+  collectContractorRatings,
+  summarizeRatings,
+  refreshContractorReputation,
+  getContractorReputation,
+};
@@ -0,0 +1,218 @@
+/**
+ * Dispatch Engine
+ * Ranks candidate workers for a job using a named strategy.
+ *
+ * Every strategy is built from the same score components so that the
+ * breakdown stored on each JobOffer is comparable across strategies:
+ * - skill:    40 if the worker has the job's workerType as a skill
+ * - distance: 0-50, closer is better (scaled to the search radius)
+ * - rating:   worker rating × 10 (defaults to 3 stars when unknown)
+ * - fairness: 0-60, minutes since the worker was last offered a job
+ * - premium:  100 for workers on an active premium plan
+ *
+ * Strategy can be chosen per job (job.dispatchStrategy), per city
+ * (DISPATCH_CITY_STRATEGIES="pune:round-robin,mumbai:premium-priority")
+ * or globally (DISPATCH_DEFAULT_STRATEGY).
+ *
+ * Dispatch mode decides how many ranked workers get the offer at once:
+ * - sequential: one worker at a time (default)
+ * - broadcast:  top N workers at once, first acceptance wins
+ *
+ * Search radius widens through DISPATCH_RADIUS_RINGS_KM (default "3,5,10,20")
+ * with each round that finds nobody; after DISPATCH_MAX_EMPTY_ROUNDS such
+ * rounds the job is given up on.
+ */
+
+const Worker = require('../models/Worker');
+const User = require('../models/User');
+const JobOffer = require('../models/JobOffer');
+
+const DEFAULT_RADIUS_KM = 5;
+const FAIRNESS_CAP_MINUTES = 60;
+
+// Parse "3,5,10,20" into ascending ring radii
+function parseRadiusRings(value) {
+  const rings = (value || '')
+    .split(',')
+    .map((r) => Number(r))
+    .filter((r) => r > 0)
+    .sort((a, b) => a - b);
+  return rings.length > 0 ? rings : [3, 5, 10, 20];
+}
+
+const RADIUS_RINGS_KM = parseRadiusRings(process.env.DISPATCH_RADIUS_RINGS_KM);
+const MAX_EMPTY_ROUNDS = Number(process.env.DISPATCH_MAX_EMPTY_ROUNDS) || 12;
+
+const STRATEGIES = {
+  // Previous behaviour: closest worker first
+  nearest: (c) => ({ distance: c.distance }),
+  // Skill match + distance + rating
+  'best-score': (c) => ({ skill: c.skill, distance: c.distance, rating: c.rating }),
+  // Workers who have waited longest since their last offer go first; distance breaks ties
+  'round-robin': (c) => ({ fairness: c.fairness, distance: c.distance / 10 }),
+  // Premium workers always outrank free ones, then best-score order
+  'premium-priority': (c) => ({ premium: c.premium, skill: c.skill, distance: c.distance, rating: c.rating }),
+};
+
+const DISPATCH_MODES = ['sequential', 'broadcast'];
+const DEFAULT_DISPATCH_MODE = DISPATCH_MODES.includes(process.env.DISPATCH_MODE)
+  ? process.env.DISPATCH_MODE
+  : 'sequential';
+const DEFAULT_BROADCAST_SIZE = Number(process.env.DISPATCH_BROADCAST_SIZE) || 3;
+const MAX_BROADCAST_SIZE = 10;
+
+const DEFAULT_STRATEGY = STRATEGIES[process.env.DISPATCH_DEFAULT_STRATEGY]
+  ? process.env.DISPATCH_DEFAULT_STRATEGY
+  : 'best-score';
+
+// Parse "city:strategy,city:strategy" into { city: strategy }
+function parseCityStrategies(value) {
+  const map = {};
+  (value || '').split(',').forEach((pair) => {
+    const [city, strategy] = pair.split(':').map((s) => s && s.trim().toLowerCase());
+    if (city && STRATEGIES[strategy]) map[city] = strategy;
+  });
+  return map;
+}
+
+const CITY_STRATEGIES = parseCityStrategies(process.env.DISPATCH_CITY_STRATEGIES);
+
+/**
+ * Register a custom strategy
+ * @param {String} name - strategy name used in job.dispatchStrategy / city config
+ * @param {Function} fn - (components, candidate, job) => { componentName: points }
+ */
+function registerStrategy(name, fn) {
+  if (typeof fn !== 'function') throw new Error(`Strategy ${name} must be a function`);
+  STRATEGIES[name] = fn;
+}
+
+function isValidStrategy(name) {
+  return Boolean(name && STRATEGIES[name]);
+}
+
+/**
+ * Pick the strategy for a job: job override → city override → default
+ */
+function resolveStrategyName(job) {
+  if (isValidStrategy(job.dispatchStrategy)) return job.dispatchStrategy;
+  const city = job.city?.toLowerCase();
+  if (city && CITY_STRATEGIES[city]) return CITY_STRATEGIES[city];
+  return DEFAULT_STRATEGY;
+}
+
+/**
+ * Pick dispatch mode for a job: job override → default
+ * @returns {Object} { mode, size } - size = how many workers get each round of offers
+ */
+function resolveDispatchMode(job) {
+  const mode = DISPATCH_MODES.includes(job.dispatchMode) ? job.dispatchMode : DEFAULT_DISPATCH_MODE;
+  if (mode !== 'broadcast') return { mode, size: 1 };
+
+  const requested = Number(job.broadcastSize) || DEFAULT_BROADCAST_SIZE;
+  return { mode, size: Math.min(Math.max(requested, 1), MAX_BROADCAST_SIZE) };
+}
+
+/**
+ * Search radius for a job after N rounds that found no available worker
+ * (stays on the widest ring once all rings are used)
+ */
+function getSearchRadiusKm(emptyRounds = 0) {
+  return RADIUS_RINGS_KM[Math.min(emptyRounds, RADIUS_RINGS_KM.length - 1)];
+}
+
+function hasActivePremium(user) {
+  const plan = user?.premiumPlan;
+  return Boolean(plan && plan.type && plan.type !== 'free' && plan.expiryDate && new Date(plan.expiryDate) > new Date());
+}
+
+/**
+ * Compute raw score components for one candidate
+ */
+function getScoreComponents(candidate, job, profile, radiusKm) {
+  const workerType = job.workerType?.toLowerCase();
+  const skills = (profile.worker?.skills || []).map((s) => s.toLowerCase());
+  const skillMatch = Boolean(workerType) &&
+    (skills.includes(workerType) || candidate.workerType?.toLowerCase() === workerType);
+
+  const minutesSinceLastOffer = profile.lastOfferedAt
+    ? (Date.now() - new Date(profile.lastOfferedAt).getTime()) / 60000
+    : FAIRNESS_CAP_MINUTES;
+
+  return {
+    skill: skillMatch ? 40 : 0,
+    distance: Math.max(0, (radiusKm - candidate.distance) * (50 / radiusKm)),
+    rating: (profile.worker?.rating || 3) * 10,
+    fairness: Math.min(minutesSinceLastOffer, FAIRNESS_CAP_MINUTES),
+    premium: hasActivePremium(profile.user) ? 100 : 0,
+  };
+}
+
+/**
+ * Rank nearby workers for a job
+ * @param {Object} job - Job document
+ * @param {Array} candidates - output of findNearbyWorkers()
+ * @param {Object} options - { strategy, radiusKm }
+ * @returns {Object} { strategy, ranked: [{ ...candidate, score, scoreBreakdown }] } best first
+ */
+async function rankWorkers(job, candidates, options = {}) {
+  const strategy = isValidStrategy(options.strategy) ? options.strategy : resolveStrategyName(job);
+  const radiusKm = options.radiusKm || DEFAULT_RADIUS_KM;
+
+  if (!candidates || candidates.length === 0) {
+    return { strategy, ranked: [] };
+  }
+
+  const phones = candidates.map((c) => c.phone).filter(Boolean);
+  const [workers, users, lastOffers] = await Promise.all([
+    Worker.find({ phone: { $in: phones } }).select('phone skills rating').lean(),
+    User.find({ phone: { $in: phones } }).select('phone premiumPlan').lean(),
+    JobOffer.aggregate([
+      { $match: { workerPhone: { $in: phones } } },
+      { $group: { _id: '$workerPhone', lastOfferedAt: { $max: '$offeredAt' } } },
+    ]),
+  ]);
+
+  const workersByPhone = new Map(workers.map((w) => [w.phone, w]));
+  const usersByPhone = new Map(users.map((u) => [u.phone, u]));
+  const lastOfferByPhone = new Map(lastOffers.map((o) => [o._id, o.lastOfferedAt]));
+
+  const ranked = candidates.map((candidate) => {
+    const profile = {
+      worker: workersByPhone.get(candidate.phone),
+      user: usersByPhone.get(candidate.phone),
+      lastOfferedAt: lastOfferByPhone.get(candidate.phone),
+    };
+    const components = getScoreComponents(candidate, job, profile, radiusKm);
+    const breakdown = STRATEGIES[strategy](components, candidate, job);
+
+    // Round each component to 1 decimal for readable offer logs
+    const scoreBreakdown = {};
+    let score = 0;
+    for (const [key, value] of Object.entries(breakdown)) {
+      scoreBreakdown[key] = Math.round(value * 10) / 10;
+      score += value;
+    }
+
+    return { ...candidate, score: Math.round(score * 10) / 10, scoreBreakdown };
+  });
+
+  // Highest score first, nearest first on ties
+  ranked.sort((a, b) => b.score - a.score || a.distance - b.distance);
+
+  return { strategy, ranked };
+}
+
+module.exports = {
+  rankWorkers,
+  registerStrategy,
+  resolveStrategyName,
+  resolveDispatchMode,
+  getSearchRadiusKm,
+  isValidStrategy,
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  DISPATCH_MODES,
+  RADIUS_RINGS_KM,
+  MAX_EMPTY_ROUNDS,
+};
@@ -0,0 +1,142 @@
+/**
+ * Favourite Workers
+ * Keeps each contractor's preferred workers: anyone they rated 4+ stars.
+ * The list is updated on every rating and can be rebuilt from job history.
+ */
+
+const FavoriteWorker = require('../models/FavoriteWorker');
+const Job = require('../models/Jobs');
+
+const FAVORITE_MIN_STARS = 4;
+const MAX_DIRECT_OFFER_WORKERS = 10;
+
+/**
+ * Record a rating a contractor gave - adds/updates the favourite when it's 4+ stars
+ */
+async function recordRating(contractorPhone, worker, stars, jobId) {
+  if (!contractorPhone || !worker?.phone || stars < FAVORITE_MIN_STARS) return null;
+
+  const existing = await FavoriteWorker.findOne({ contractorPhone, workerPhone: worker.phone });
+  if (existing?.removed) return null;
+
+  // Re-rating the same job replaces its stars instead of counting it twice
+  const isRerate = existing?.lastJobId === jobId;
+  const ratedJobs = (existing?.ratedJobs || 0) + (isRerate ? 0 : 1);
+  const previousTotal = (existing?.avgStars || 0) * (existing?.ratedJobs || 0) - (isRerate ? existing.lastStars || 0 : 0);
+  const avgStars = (previousTotal + stars) / ratedJobs;
+
+  return FavoriteWorker.findOneAndUpdate(
+    { contractorPhone, workerPhone: worker.phone },
+    {
+      $set: {
+        workerName: worker.name || existing?.workerName,
+        ratedJobs,
+        avgStars: Math.round(avgStars * 10) / 10,
+        lastStars: stars,
+        lastJobId: jobId,
+        lastRatedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Rebuild a contractor's favourites from their rated job history
+ * (single-worker jobs and bulk-hiring slots). Removed favourites stay removed.
+ * @returns {Promise<Number>} number of favourites after the rebuild
+ */
+async function rebuildFromHistory(contractorPhone) {
+  const jobs = await Job.find({
+    contractorPhone,
+    $or: [
+      { 'rating.stars': { $gte: FAVORITE_MIN_STARS } },
+      { slots: { $elemMatch: { 'rating.stars': { $gte: FAVORITE_MIN_STARS } } } },
+    ],
+  })
+    .select('acceptedBy acceptedWorker rating slots')
+    .sort({ 'rating.ratedAt': 1 })
+    .lean();
+
+  const byWorker = new Map();
+  const addRating = (phone, name, rating, jobId) => {
+    if (!phone || !rating?.stars || rating.stars < FAVORITE_MIN_STARS) return;
+    const entry = byWorker.get(phone) || { name, stars: [], lastJobId: null, lastRatedAt: null };
+    entry.name = name || entry.name;
+    entry.stars.push(rating.stars);
+    entry.lastJobId = jobId;
+    entry.lastRatedAt = rating.ratedAt;
+    byWorker.set(phone, entry);
+  };
+
+  for (const job of jobs) {
+    const jobId = job._id.toString();
+    addRating(job.acceptedBy, job.acceptedWorker?.name, job.rating, jobId);
+    (job.slots || []).forEach((slot) => addRating(slot.acceptedBy, slot.acceptedWorker?.name, slot.rating, jobId));
+  }
+
+  const removed = await FavoriteWorker.find({ contractorPhone, removed: true }).select('workerPhone').lean();
+  const removedPhones = new Set(removed.map((f) => f.workerPhone));
+
+  for (const [workerPhone, entry] of byWorker) {
+    if (removedPhones.has(workerPhone)) continue;
+    const avgStars = entry.stars.reduce((sum, s) => sum + s, 0) / entry.stars.length;
+    await FavoriteWorker.findOneAndUpdate(
+      { contractorPhone, workerPhone },
+      {
+        $set: {
+          workerName: entry.name,
+          ratedJobs: entry.stars.length,
+          avgStars: Math.round(avgStars * 10) / 10,
+          lastStars: entry.stars[entry.stars.length - 1],
+          lastJobId: entry.lastJobId,
+          lastRatedAt: entry.lastRatedAt,
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  return FavoriteWorker.countDocuments({ contractorPhone, removed: false });
+}
+
+/**
+ * Contractor's favourites, best rated first
+ */
+async function getFavorites(contractorPhone) {
+  return FavoriteWorker.find({ contractorPhone, removed: false }).sort({ avgStars: -1, ratedJobs: -1 });
+}
+
+/**
+ * Resolve who gets a direct offer for a new job
+ * @param {String} contractorPhone
+ * @param {Object} input - { directOfferTo: [phones] } or { preferFavorites: true }
+ * @returns {Promise<Object>} { workerPhones } (empty when not requested) or { error }
+ */
+async function resolveDirectOfferWorkers(contractorPhone, input = {}) {
+  const { directOfferTo, preferFavorites } = input;
+  if (!preferFavorites && !(Array.isArray(directOfferTo) && directOfferTo.length > 0)) {
+    return { workerPhones: [] };
+  }
+
+  const favorites = await getFavorites(contractorPhone);
+  const favoritePhones = favorites.map((f) => f.workerPhone);
+
+  if (Array.isArray(directOfferTo) && directOfferTo.length > 0) {
+    const notFavorite = directOfferTo.filter((phone) => !favoritePhones.includes(phone));
+    if (notFavorite.length > 0) {
+      return { error: `Direct offers can only go to favourite workers (not: ${notFavorite.join(', ')})` };
+    }
+    return { workerPhones: [...new Set(directOfferTo)].slice(0, MAX_DIRECT_OFFER_WORKERS) };
+  }
+
+  return { workerPhones: favoritePhones.slice(0, MAX_DIRECT_OFFER_WORKERS) };
+}
+
+module.exports = {
+  FAVORITE_MIN_STARS,
+  recordRating,
+  rebuildFromHistory,
+  getFavorites,
+  resolveDirectOfferWorkers,
+};
@@ -0,0 +1,280 @@
+/**
+ * Job Escrow
+ * When a worker accepts, the job amount is held from the contractor's wallet in the
+ * platform escrow account, so the worker knows the money is there. Paying the job
+ * releases it to the worker minus the platform fee; cancelling returns it to the
+ * contractor, or splits it with the worker when the contractor cancels late.
+ * Multi-worker jobs hold one amount per slot.
+ *
+ * Each held amount is settled exactly once: a payment or refund first claims it with a
+ * conditional update (held -> settling) on the job, so concurrent pay/cancel/decline
+ * requests can't release the same money twice.
+ *
+ * Cancellation policy (contractor cancels after a worker accepted):
+ * - within CANCEL_GRACE_MINUTES of acceptance: full refund
+ * - later, before the worker is on site: LATE_CANCEL_COMPENSATION_PERCENT goes to the worker
+ * - worker already on site (in-fence check-in or marked Present): ON_SITE_CANCEL_COMPENSATION_PERCENT
+ * A worker backing out, an admin or the system cancelling always refunds the contractor in full.
+ *
+ * Config:
+ * - PLATFORM_FEE_PERCENT (default 10)
+ * - CANCEL_GRACE_MINUTES (default 15)
+ * - LATE_CANCEL_COMPENSATION_PERCENT (default 20)
+ * - ON_SITE_CANCEL_COMPENSATION_PERCENT (default 50)
+ */
+
+const Job = require('../models/Jobs');
+const { toPaise, toRupees } = require('./ledger');
+const { holdJobEscrow, releaseJobEscrow, refundJobEscrow } = require('./walletOperations');
+
+const envNumber = (name, fallback) => (process.env[name] !== undefined && Number.isFinite(Number(process.env[name])) ? Number(process.env[name]) : fallback);
+
+const PLATFORM_FEE_PERCENT = envNumber('PLATFORM_FEE_PERCENT', 10);
+const CANCEL_GRACE_MINUTES = envNumber('CANCEL_GRACE_MINUTES', 15);
+const LATE_CANCEL_COMPENSATION_PERCENT = envNumber('LATE_CANCEL_COMPENSATION_PERCENT', 20);
+const ON_SITE_CANCEL_COMPENSATION_PERCENT = envNumber('ON_SITE_CANCEL_COMPENSATION_PERCENT', 50);
+
+const CANCELLATION_POLICIES = {
+  FULL_REFUND: 'full_refund',
+  GRACE_PERIOD: 'grace_period',
+  LATE_CANCEL: 'late_cancel',
+  ON_SITE_CANCEL: 'on_site_cancel',
+};
+
+// Percentage of an amount, rounded to the paisa
+function percentOf(amount, percent) {
+  return toRupees(Math.round((toPaise(amount) * percent) / 100));
+}
+
+/**
+ * Amount held per worker (job.amount is the per-worker figure, an estimate on priced jobs)
+ */
+function getEscrowAmount(job) {
+  const amount = Number(job.amount);
+  return Number.isFinite(amount) && amount > 0 ? amount : 0;
+}
+
+function isHeld(assignment) {
+  return assignment?.escrow?.status === 'held';
+}
+
+/**
+ * Replace a worker's escrow record if it is still in one of `fromStatuses`
+ * (null matches jobs accepted before escrow existed)
+ * @returns {Promise<Boolean>} true if this call changed it
+ */
+async function setEscrowIf(job, workerPhone, fromStatuses, escrow) {
+  const isMulti = (job.workersNeeded || 1) > 1;
+  const status = { $in: fromStatuses };
+  const filter = isMulti
+    ? { _id: job._id, slots: { $elemMatch: { acceptedBy: workerPhone, 'escrow.status': status } } }
+    : { _id: job._id, acceptedBy: workerPhone, 'escrow.status': status };
+  const result = await Job.updateOne(filter, { $set: { [isMulti ? 'slots.$.escrow' : 'escrow']: escrow } });
+  return result.modifiedCount === 1;
+}
+
+function toRecord(escrow) {
+  return escrow ? { amount: escrow.amount, status: escrow.status, heldAt: escrow.heldAt } : {};
+}
+
+/**
+ * Hold the job amount for a worker who is about to take the job
+ * @returns {Promise<Object>} { escrow } to store on the assignment (null when there is nothing to hold) or { error }
+ */
+async function holdEscrow(job, workerPhone) {
+  const amount = getEscrowAmount(job);
+  if (!amount) return { escrow: null };
+
+  const jobId = job._id.toString();
+  const { error } = await holdJobEscrow(job.contractorPhone, amount, {
+    jobId,
+    workerPhone,
+    description: `Held for: ${job.title}`,
+  });
+  if (error) return { error: "The contractor's wallet doesn't cover this job yet" };
+
+  console.log(`🔒 Escrow: held ₹${amount} from ${job.contractorPhone} for job ${jobId} (${workerPhone})`);
+  return { escrow: { amount, status: 'held', heldAt: new Date() } };
+}
+
+/**
+ * Pay a worker from escrow. Jobs accepted before escrow existed have nothing held,
+ * so the whole amount comes from the contractor's wallet.
+ * @param {Object} job
+ * @param {Object} assignment - job or slot (see utils/jobSlots.js)
+ * @param {Number} payAmount - amount settled for this worker
+ * @param {String} createdBy - phone of whoever paid
+ * @returns {Promise<Object>} { escrow } (the settled record, also saved on the job) or { error, statusCode }
+ */
+async function releaseEscrow(job, assignment, payAmount, createdBy) {
+  const workerPhone = assignment.acceptedBy;
+  const heldAmount = isHeld(assignment) ? assignment.escrow.amount : 0;
+  const platformFee = percentOf(payAmount, PLATFORM_FEE_PERCENT);
+  const jobId = job._id.toString();
+
+  const previous = toRecord(assignment.escrow);
+  const claimed = await setEscrowIf(job, workerPhone, ['held', null], { ...previous, status: 'settling' });
+  if (!claimed) return { error: 'This worker has already been paid', statusCode: 409 };
+  // Nothing was paid - put the record back so the payment can be tried again
+  const unclaim = () => setEscrowIf(job, workerPhone, ['settling'], previous.status ? previous : { status: null });
+
+  let posted;
+  try {
+    posted = await releaseJobEscrow({
+      contractorPhone: job.contractorPhone,
+      workerPhone: assignment.acceptedBy,
+      heldAmount,
+      payAmount,
+      platformFee,
+      jobId,
+      description: `Payment for: ${job.title}`,
+      createdBy,
+    });
+  } catch (err) {
+    await unclaim();
+    throw err;
+  }
+  if (posted.error) {
+    await unclaim();
+    return { error: "Your wallet balance doesn't cover this payment", statusCode: 400 };
+  }
+
+  const workerAmount = toRupees(toPaise(payAmount) - toPaise(platformFee));
+  const escrow = {
+    amount: heldAmount,
+    status: 'released',
+    heldAt: previous.heldAt,
+    settledAt: new Date(),
+    paidAmount: payAmount,
+    platformFee,
+    workerAmount,
+    refundedAmount: Math.max(toRupees(toPaise(heldAmount) - toPaise(payAmount)), 0),
+  };
+  await setEscrowIf(job, workerPhone, ['settling'], escrow);
+
+  console.log(`🔓 Escrow: released ₹${payAmount} for job ${jobId} - ₹${workerAmount} to ${workerPhone}, ₹${platformFee} platform fee`);
+  return { escrow };
+}
+
+/**
+ * How a held amount is split when the job is cancelled
+ * @param {Object} job
+ * @param {Object} assignment - job or slot holding the escrow
+ * @param {String} cancelledBy - contractor | worker | admin | system
+ * @param {Object} options - { jobStatus, now } jobStatus: status before cancelling (defaults to job.status)
+ * @returns {Object} { policy, compensation, explanation }
+ */
+function getCancellationTerms(job, assignment, cancelledBy, options = {}) {
+  const { jobStatus = job.status, now = new Date() } = options;
+  const amount = assignment.escrow?.amount || 0;
+  if (cancelledBy !== 'contractor') {
+    return { policy: CANCELLATION_POLICIES.FULL_REFUND, compensation: 0, explanation: `Cancelled by ${cancelledBy} - full refund to the contractor` };
+  }
+
+  const onSite = assignment.checkIn?.withinGeofence || assignment.attendanceStatus === 'Present' ||
+    (assignment === job && ['arrived', 'in_progress'].includes(jobStatus));
+  if (onSite) {
+    return {
+      policy: CANCELLATION_POLICIES.ON_SITE_CANCEL,
+      compensation: percentOf(amount, ON_SITE_CANCEL_COMPENSATION_PERCENT),
+      explanation: `Cancelled after the worker reached the site - ${ON_SITE_CANCEL_COMPENSATION_PERCENT}% paid to the worker`,
+    };
+  }
+
+  const minutesSinceAccept = assignment.acceptedAt ? (now - new Date(assignment.acceptedAt)) / 60000 : 0;
+  if (minutesSinceAccept <= CANCEL_GRACE_MINUTES) {
+    return { policy: CANCELLATION_POLICIES.GRACE_PERIOD, compensation: 0, explanation: `Cancelled within ${CANCEL_GRACE_MINUTES} minutes of acceptance - full refund` };
+  }
+  return {
+    policy: CANCELLATION_POLICIES.LATE_CANCEL,
+    compensation: percentOf(amount, LATE_CANCEL_COMPENSATION_PERCENT),
+    explanation: `Cancelled more than ${CANCEL_GRACE_MINUTES} minutes after acceptance - ${LATE_CANCEL_COMPENSATION_PERCENT}% paid to the worker`,
+  };
+}
+
+/**
+ * Return a worker's held amount to the contractor under the cancellation policy
+ * @param {Object} job
+ * @param {Object} assignment - job or slot; { acceptedBy, escrow } also works for a hold that never became an assignment
+ * @param {Object} options - { cancelledBy, jobStatus, createdBy, description, unassigned }
+ *   unassigned: the hold was never stored on the job (lost accept race), so there is nothing to claim
+ * @returns {Promise<Object|null>} { escrow, explanation } with the settled record (also saved on the job),
+ *   or null if nothing was held or another request settled it first
+ */
+async function refundEscrow(job, assignment, options = {}) {
+  if (!isHeld(assignment)) return null;
+
+  const workerPhone = assignment.acceptedBy;
+  const previous = toRecord(assignment.escrow);
+  if (!options.unassigned && !(await setEscrowIf(job, workerPhone, ['held'], { ...previous, status: 'settling' }))) {
+    return null;
+  }
+
+  const { policy, compensation, explanation } = getCancellationTerms(job, assignment, options.cancelledBy || 'system', { jobStatus: options.jobStatus });
+  const amount = assignment.escrow.amount;
+  const jobId = job._id.toString();
+
+  try {
+    await refundJobEscrow({
+      contractorPhone: job.contractorPhone,
+      workerPhone: assignment.acceptedBy,
+      amount,
+      workerCompensation: compensation,
+      jobId,
+      description: options.description || (compensation > 0
+        ? `Cancelled: ${job.title} (₹${compensation} to worker)`
+        : `Returned: ${job.title}`),
+      createdBy: options.createdBy,
+    });
+  } catch (err) {
+    // Nothing was returned - keep the amount held so the refund can be tried again
+    if (!options.unassigned) await setEscrowIf(job, workerPhone, ['settling'], previous);
+    throw err;
+  }
+
+  const refundedAmount = toRupees(toPaise(amount) - toPaise(compensation));
+  console.log(`↩️ Escrow: returned ₹${refundedAmount} to ${job.contractorPhone} for job ${jobId}${compensation > 0 ? `, ₹${compensation} to ${assignment.acceptedBy}` : ''} (${policy})`);
+  const escrow = {
+    amount,
+    status: 'refunded',
+    heldAt: previous.heldAt,
+    settledAt: new Date(),
+    workerAmount: compensation,
+    refundedAmount,
+    policy,
+  };
+  if (!options.unassigned) await setEscrowIf(job, workerPhone, ['settling'], escrow);
+  return { escrow, explanation };
+}
+
+/**
+ * Settle every held amount on a cancelled job (one per filled slot on multi-worker jobs).
+ * The records are saved on the job and copied onto the in-memory assignments.
+ * @returns {Promise<Object>} { refunded, compensation, policy, explanation } totals for the cancellation log
+ */
+async function refundJobOnCancel(job, options = {}) {
+  const assignments = (job.workersNeeded || 1) > 1 ? (job.slots || []).filter((s) => s.acceptedBy) : [job];
+  const totals = { refunded: 0, compensation: 0, policy: null, explanation: null };
+
+  for (const assignment of assignments) {
+    const settled = await refundEscrow(job, assignment, options);
+    if (!settled) continue;
+    assignment.escrow = settled.escrow;
+    totals.refunded = toRupees(toPaise(totals.refunded) + toPaise(settled.escrow.refundedAmount));
+    totals.compensation = toRupees(toPaise(totals.compensation) + toPaise(settled.escrow.workerAmount));
+    totals.policy = settled.escrow.policy;
+    totals.explanation = settled.explanation;
+  }
+  return totals;
+}
+
+module.exports = {
+  PLATFORM_FEE_PERCENT,
+  CANCELLATION_POLICIES,
+  getEscrowAmount,
+  holdEscrow,
+  releaseEscrow,
+  getCancellationTerms,
+  refundEscrow,
+  refundJobOnCancel,
+};
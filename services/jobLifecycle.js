@@ -0,0 +1,171 @@
+/**
+ * Job Lifecycle
+ * Single place that decides which job status changes are allowed.
+ *
+ *   posted → offered → accepted → en_route → arrived → in_progress → completed → paid → rated
+ *
+ * plus:
+ * - cancelled: any time before work starts
+ * - disputed:  raised once the worker has arrived, resolved by an admin
+ * - accepted/en_route → posted: the hired worker backed out, the job goes back to dispatch
+ *
+ * Every change is appended to job.statusHistory as { status, actor, note, at },
+ * so the previous status of an entry is simply the entry before it.
+ */
+
+const Job = require('../models/Jobs');
+
+const JOB_STATES = [
+  'posted',
+  'offered',
+  'accepted',
+  'en_route',
+  'arrived',
+  'in_progress',
+  'completed',
+  'paid',
+  'rated',
+  'cancelled',
+  'disputed',
+];
+
+const TRANSITIONS = {
+  posted: ['offered', 'accepted', 'cancelled'],
+  offered: ['accepted', 'cancelled'],
+  // Attendance can be marked without the worker reporting en_route/arrived first
+  accepted: ['en_route', 'arrived', 'in_progress', 'posted', 'cancelled'],
+  en_route: ['arrived', 'in_progress', 'posted', 'cancelled'],
+  arrived: ['in_progress', 'cancelled', 'disputed'],
+  in_progress: ['completed', 'disputed'],
+  completed: ['paid', 'disputed'],
+  paid: ['rated', 'disputed'],
+  rated: [],
+  cancelled: [],
+  // Admin resolution
+  disputed: ['in_progress', 'completed', 'paid', 'cancelled'],
+};
+
+// Waiting for a worker - dispatch keeps running
+const OPEN_STATES = ['posted', 'offered'];
+// Worker hired, job not finished yet - location tracking and attendance apply
+const ACTIVE_STATES = ['accepted', 'en_route', 'arrived', 'in_progress'];
+// Work was done
+const COMPLETED_STATES = ['completed', 'paid', 'rated'];
+
+const ACTOR_ROLES = ['contractor', 'worker', 'admin', 'system'];
+const SYSTEM_ACTOR = { role: 'system' };
+
+// Statuses written before the lifecycle existed
+const LEGACY_STATUS_MAP = { pending: 'posted' };
+// Before 'paid' existed a paid job stayed accepted / completed with paymentStatus 'Paid'
+const LEGACY_PAID_STATES = ['accepted', 'completed'];
+
+function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+// States a job can be in to move to `to`
+function getAllowedFrom(to) {
+  return Object.keys(TRANSITIONS).filter((from) => TRANSITIONS[from].includes(to));
+}
+
+/**
+ * Build an actor from the authenticated user
+ * @param {Object} user - req.user
+ */
+function actorFromUser(user) {
+  const role = ACTOR_ROLES.includes(user?.role) ? user.role : 'worker';
+  return { phone: user?.phone, name: user?.name, role };
+}
+
+function buildHistoryEntry(status, actor = SYSTEM_ACTOR, note) {
+  return { status, actor, note, at: new Date() };
+}
+
+/**
+ * Change status on a loaded job document (caller saves it)
+ * @returns {Boolean} false if the transition isn't allowed
+ */
+function applyTransition(job, to, actor = SYSTEM_ACTOR, note) {
+  if (job.status === to) return true;
+  if (!canTransition(job.status, to)) return false;
+  job.status = to;
+  job.statusHistory = job.statusHistory || [];
+  job.statusHistory.push(buildHistoryEntry(to, actor, note));
+  return true;
+}
+
+/**
+ * Atomically move a job to `to` if its current status allows it
+ * @param {String} jobId
+ * @param {String} to - target status
+ * @param {Object} actor - { phone, name, role }
+ * @param {Object} options - { note, from, filter, set, inc, arrayFilters }
+ *   from narrows the allowed source states, the rest are extra conditions / updates
+ * @returns {Promise<Object|null>} updated job, or null if the job wasn't in an allowed state
+ */
+async function transitionJob(jobId, to, actor = SYSTEM_ACTOR, options = {}) {
+  const { note, from, filter = {}, set = {}, inc, arrayFilters } = options;
+  const allowedFrom = getAllowedFrom(to).filter((state) => !from || from.includes(state));
+
+  const update = {
+    $set: { ...set, status: to },
+    $push: { statusHistory: buildHistoryEntry(to, actor, note) },
+  };
+  if (inc) update.$inc = inc;
+
+  const queryOptions = { new: true };
+  if (arrayFilters) queryOptions.arrayFilters = arrayFilters;
+
+  return Job.findOneAndUpdate(
+    { ...filter, _id: jobId, status: { $in: allowedFrom } },
+    update,
+    queryOptions
+  );
+}
+
+function describeInvalidTransition(from, to) {
+  return `Job is ${from.replace('_', ' ')} and can't be moved to ${to.replace('_', ' ')}`;
+}
+
+/**
+ * Move jobs stored with pre-lifecycle statuses onto the new states (run once on boot)
+ */
+async function migrateLegacyStatuses() {
+  for (const [legacy, status] of Object.entries(LEGACY_STATUS_MAP)) {
+    const result = await Job.updateMany(
+      { status: legacy },
+      { $set: { status }, $push: { statusHistory: buildHistoryEntry(status, SYSTEM_ACTOR, `migrated from ${legacy}`) } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`♻️ Migrated ${result.modifiedCount} jobs from status '${legacy}' to '${status}'`);
+    }
+  }
+
+  for (const legacy of LEGACY_PAID_STATES) {
+    const result = await Job.updateMany(
+      { status: legacy, paymentStatus: 'Paid' },
+      { $set: { status: 'paid' }, $push: { statusHistory: buildHistoryEntry('paid', SYSTEM_ACTOR, `migrated from ${legacy} (already paid)`) } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`♻️ Migrated ${result.modifiedCount} paid jobs from status '${legacy}' to 'paid'`);
+    }
+  }
+}
+
+module.exports = {
+  JOB_STATES,
+  TRANSITIONS,
+  OPEN_STATES,
+  ACTIVE_STATES,
+  COMPLETED_STATES,
+  SYSTEM_ACTOR,
+  canTransition,
+  getAllowedFrom,
+  actorFromUser,
+  buildHistoryEntry,
+  applyTransition,
+  transitionJob,
+  describeInvalidTransition,
+  migrateLegacyStatuses,
+};
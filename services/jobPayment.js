@@ -0,0 +1,119 @@
+/**
+ * Job Payment
+ * Paying a hired worker, however the contractor pays - from their wallet (/jobs/pay) or
+ * through Razorpay (services/paymentSettlement.js, which first puts the gateway money in
+ * the contractor's wallet). Both go through the same checks and settle through escrow
+ * (services/jobEscrow.js): the held -> settling claim on the worker's escrow record means
+ * a worker is paid once, whichever way the payments arrive.
+ */
+
+const { releaseEscrow } = require('./jobEscrow');
+const { applyTransition, describeInvalidTransition } = require('./jobLifecycle');
+const { requiresConfirmation, isPayableConfirmed, getPayAmount } = require('./jobPricing');
+const { allSlotsPaid, isMultiWorkerJob } = require('../utils/jobSlots');
+
+// Work has started (or is done) and the job hasn't been paid
+const PAYABLE_STATES = ['in_progress', 'completed'];
+// An admin settling a dispute in the worker's favour
+const DISPUTE_PAYABLE_STATES = [...PAYABLE_STATES, 'disputed'];
+
+/**
+ * Why a worker can't be paid right now
+ * @param {Object} job
+ * @param {Object} assignment - job or slot (see utils/jobSlots.js)
+ * @param {Array} states - job statuses that allow payment
+ * @returns {Object|null} { error, statusCode }, or null if they can be paid
+ */
+function getPaymentBlocker(job, assignment, states = PAYABLE_STATES) {
+  if (assignment.paymentStatus === 'Paid' || ['settling', 'released'].includes(assignment.escrow?.status)) {
+    return { error: 'This worker has already been paid', statusCode: 409 };
+  }
+  if (assignment.attendanceStatus !== 'Present') {
+    return { error: 'Payment allowed only for PRESENT workers', statusCode: 400 };
+  }
+  if (!states.includes(job.status)) {
+    return { error: describeInvalidTransition(job.status, 'paid'), statusCode: 400 };
+  }
+  // Hourly / daily / per-unit jobs settle the amount both sides confirmed
+  if (requiresConfirmation(job) && !isPayableConfirmed(assignment)) {
+    return { error: 'The payable amount must be confirmed by both the contractor and the worker', statusCode: 400 };
+  }
+  return null;
+}
+
+/**
+ * Pay a worker: release the held amount to them (minus the platform fee, a shortfall comes
+ * from the contractor's wallet) and mark them - and once everyone is paid, the job - paid.
+ * Saves the job.
+ * @param {Object} job - job document
+ * @param {Object} assignment - job or slot
+ * @param {Object} options - { mode, actor, createdBy, states } states: job statuses that allow payment
+ * @returns {Promise<Object>} { escrow, payAmount } or { error, statusCode }
+ */
+async function payWorker(job, assignment, { mode, actor, createdBy, states }) {
+  const blocker = getPaymentBlocker(job, assignment, states);
+  if (blocker) return blocker;
+  const payAmount = Number(getPayAmount(job, assignment));
+
+  const { escrow, error, statusCode } = await releaseEscrow(job, assignment, payAmount, createdBy);
+  if (error) return { error, statusCode };
+  assignment.escrow = escrow;
+
+  assignment.paymentStatus = 'Paid';
+  assignment.paymentMode = mode;
+  assignment.paymentTime = new Date();
+
+  // Calculate time spent from acceptance to payment
+  if (assignment.acceptedAt) {
+    const timeSpentMs = assignment.paymentTime - assignment.acceptedAt;
+    assignment.timeSpentMinutes = Math.round(timeSpentMs / 60000); // Convert milliseconds to minutes
+  }
+
+  // Paying the worker closes the work; a multi-worker job counts as paid once every filled slot is paid
+  applyTransition(job, 'completed', actor);
+  if (assignment === job) {
+    applyTransition(job, 'paid', actor, mode);
+  } else if (allSlotsPaid(job)) {
+    job.paymentStatus = 'Paid';
+    job.paymentMode = mode;
+    job.paymentTime = new Date();
+    applyTransition(job, 'paid', actor, mode);
+  }
+
+  await job.save();
+  return { escrow, payAmount };
+}
+
+/**
+ * Resolve a dispute as paid: every hired worker who hasn't been paid is paid through escrow,
+ * exactly as if the contractor had paid them, and the job ends up 'paid'. Saves the job.
+ * @param {Object} job - job document in 'disputed'
+ * @param {Object} options - { actor, createdBy }
+ * @returns {Promise<Object>} { paid: [workerPhone] } or { error, statusCode, paid }
+ */
+async function payDisputedJob(job, { actor, createdBy }) {
+  if (job.status !== 'disputed') return { error: 'Job not found or not disputed', statusCode: 400, paid: [] };
+
+  const assignments = isMultiWorkerJob(job) ? (job.slots || []).filter((s) => s.acceptedBy) : [job];
+  const paid = [];
+  for (const assignment of assignments) {
+    if (assignment.paymentStatus === 'Paid') continue;
+    // After the first payment the job has moved on to completed
+    const { error, statusCode } = await payWorker(job, assignment, { mode: 'wallet', actor, createdBy, states: DISPUTE_PAYABLE_STATES });
+    if (error) return { error, statusCode, paid };
+    paid.push(assignment.acceptedBy);
+  }
+
+  // Everyone was paid before the dispute was raised - only the status changes
+  if (job.status === 'disputed') {
+    applyTransition(job, 'paid', actor, 'dispute resolved');
+    await job.save();
+  }
+  return { paid };
+}
+
+module.exports = {
+  getPaymentBlocker,
+  payWorker,
+  payDisputedJob,
+};
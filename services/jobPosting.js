@@ -0,0 +1,150 @@
+/**
+ * Job Posting
+ * Validates a job, charges the contractor's posting fee and creates the Job document.
+ * Shared by POST /jobs/post and the recurring job template scheduler so both
+ * charge and validate the same way. Starting dispatch is left to the caller.
+ */
+
+const Job = require('../models/Jobs');
+const User = require('../models/User');
+const { isValidStrategy, DISPATCH_MODES } = require('./dispatchEngine');
+const { buildHistoryEntry } = require('./jobLifecycle');
+const { parseJobStart, getDispatchStartTime, getReminderTimes } = require('./jobScheduling');
+const { MAX_WORKERS_PER_JOB, buildSlots } = require('../utils/jobSlots');
+const { resolveDirectOfferWorkers } = require('./favoriteWorkers');
+const { parsePricing, estimateAmount } = require('./jobPricing');
+const { getWalletBalance, chargeJobPostFee, refundJobPostFee, getWalletView } = require('./walletOperations');
+
+const JOB_POST_FEE = 25; // ₹ charged to contractor per job posted
+const MIN_POST_BALANCE = 200; // ₹ wallet balance required to post
+const DEFAULT_DIRECT_OFFER_SECONDS = Number(process.env.DIRECT_OFFER_TIMEOUT_SECONDS) || 120;
+const MAX_DIRECT_OFFER_SECONDS = 30 * 60;
+
+/**
+ * Check job fields from a request (or template)
+ * @returns {Object} { values } normalised fields, or { error }
+ */
+function validateJobInput(input = {}) {
+  const { title, description, workerType, amount, lat, lon, date, dispatchStrategy, dispatchMode, broadcastSize } = input;
+  const workersNeeded = Number(input.workersNeeded) || 1;
+
+  if (!title || !lat || !lon)
+    return { error: 'Missing required fields' };
+
+  if (dispatchStrategy && !isValidStrategy(dispatchStrategy))
+    return { error: `Unknown dispatch strategy: ${dispatchStrategy}` };
+
+  if (dispatchMode && !DISPATCH_MODES.includes(dispatchMode))
+    return { error: `Unknown dispatch mode: ${dispatchMode}` };
+
+  if (!Number.isInteger(workersNeeded) || workersNeeded < 1 || workersNeeded > MAX_WORKERS_PER_JOB)
+    return { error: `workersNeeded must be between 1 and ${MAX_WORKERS_PER_JOB}` };
+
+  // ✅ Hourly / daily / per-unit jobs: amount becomes the estimate, the payable is confirmed at completion
+  const { pricing, error: pricingError } = parsePricing(input.pricing);
+  if (pricingError)
+    return { error: pricingError };
+
+  // ✅ Flat jobs need an amount; priced jobs may leave it to the estimate
+  const jobAmount = amount ?? estimateAmount(pricing);
+  if (jobAmount === undefined && !pricing)
+    return { error: 'Missing required fields' };
+  if (jobAmount !== undefined && !(Number.isFinite(Number(jobAmount)) && Number(jobAmount) > 0))
+    return { error: 'amount must be a positive number' };
+
+  // ✅ Future-dated jobs stay dormant until the dispatch lead time before their start
+  const { startAt, error: dateError } = parseJobStart(date);
+  if (dateError)
+    return { error: dateError };
+
+  return {
+    values: {
+      title, description, workerType, amount: jobAmount === undefined ? undefined : Number(jobAmount), pricing,
+      lat, lon, dispatchStrategy, dispatchMode, broadcastSize, workersNeeded, startAt,
+    },
+  };
+}
+
+// ✅ Bulk hiring (more than one worker per job) is a premium feature
+function canHireInBulk(contractor) {
+  return Boolean(contractor?.premiumPlan?.expiryDate && contractor.premiumPlan.expiryDate > new Date());
+}
+
+/**
+ * Validate, charge the posting fee and save a new job
+ * @param {Object} user - { phone, name, role } of the contractor
+ * @param {Object} input - job fields as accepted by POST /jobs/post
+ * @param {Object} extra - { actor, fields } history actor (defaults to the contractor) and extra Job fields
+ * @returns {Promise<Object>} { job, wallet } (wallet as getWalletView) or { error, statusCode }
+ */
+async function postJob(user, input, extra = {}) {
+  const { values, error } = validateJobInput(input);
+  if (error) return { error, statusCode: 400 };
+
+  // ✅ Contractor city is used to pick the city's dispatch strategy
+  const contractor = await User.findOne({ phone: user.phone }).select('city premiumPlan');
+
+  if (values.workersNeeded > 1 && !canHireInBulk(contractor))
+    return { error: 'Bulk hiring requires an active premium plan', statusCode: 403 };
+
+  // ✅ Rehire: favourite workers get the job first (directOfferTo: [phones] or preferFavorites: true)
+  const { workerPhones: directOfferPhones, error: directOfferError } = await resolveDirectOfferWorkers(user.phone, input);
+  if (directOfferError)
+    return { error: directOfferError, statusCode: 400 };
+  const directOfferSeconds = Math.min(Number(input.directOfferSeconds) || DEFAULT_DIRECT_OFFER_SECONDS, MAX_DIRECT_OFFER_SECONDS);
+
+  if (await getWalletBalance(user.phone) < MIN_POST_BALANCE)
+    return { error: `Insufficient wallet balance to post job (min ₹${MIN_POST_BALANCE} required)`, statusCode: 400 };
+
+  const job = new Job({
+    // ✅ MongoDB auto-generates _id - no need for custom id field
+    title: values.title,
+    description: values.description,
+    workerType: values.workerType,
+    amount: values.amount,
+    pricing: values.pricing,
+    contractorName: user.name,
+    contractorPhone: user.phone, // ✅ Also store phone for reference
+    lat: values.lat,
+    lon: values.lon,
+    city: contractor?.city || '',
+    dispatchStrategy: values.dispatchStrategy,
+    dispatchMode: values.dispatchMode,
+    broadcastSize: values.broadcastSize,
+    directOffer: directOfferPhones.length > 0
+      ? { workerPhones: directOfferPhones, timeoutSeconds: directOfferSeconds, status: 'pending' }
+      : undefined,
+    workersNeeded: values.workersNeeded,
+    slots: values.workersNeeded > 1 ? buildSlots(values.workersNeeded) : undefined,
+    date: values.startAt,
+    dispatchStartsAt: getDispatchStartTime(values.startAt),
+    reminders: getReminderTimes(values.startAt),
+    status: 'posted',
+    statusHistory: [buildHistoryEntry('posted', extra.actor || { phone: user.phone, name: user.name, role: 'contractor' })],
+    declinedBy: [],
+    ...extra.fields,
+  });
+
+  // _id exists before save, so the fee entry can point at the job
+  const { error: feeError } = await chargeJobPostFee(user.phone, JOB_POST_FEE, { jobId: job._id.toString(), description: `Job post fee: ${job.title}` });
+  if (feeError)
+    return { error: `Insufficient wallet balance to post job (min ₹${MIN_POST_BALANCE} required)`, statusCode: 400 };
+
+  // ✅ No job, no fee
+  try {
+    await job.save();
+  } catch (err) {
+    await refundJobPostFee(user.phone, JOB_POST_FEE, { jobId: job._id.toString(), description: `Refund: job post fee (job not saved): ${job.title}` });
+    throw err;
+  }
+
+  return { job, wallet: await getWalletView(user.phone, { limit: 20 }) };
+}
+
+module.exports = {
+  JOB_POST_FEE,
+  MIN_POST_BALANCE,
+  validateJobInput,
+  canHireInBulk,
+  postJob,
+};
@@ -0,0 +1,152 @@
+/**
+ * Job Pricing
+ * Jobs are paid a flat amount (the default), per hour, per day with overtime,
+ * or per unit of work (e.g. ₹500 per 100 bricks). For anything but flat jobs the
+ * payable amount is computed at completion from tracked hours or counted units,
+ * and both the contractor and the worker must confirm it before payment.
+ *
+ * job.amount stays the per-worker estimate shown on offers.
+ */
+
+const PRICING_MODELS = ['fixed', 'hourly', 'daily', 'per_unit'];
+const DEFAULT_HOURS_PER_DAY = 8;
+const DEFAULT_OVERTIME_MULTIPLIER = 1.5;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Validate pricing from a job request
+ * @param {Object} input - { model, rate, unitSize, unitLabel, hoursPerDay, overtimeRate, estimatedQuantity }
+ * @returns {Object} { pricing } (undefined for flat jobs) or { error }
+ */
+function parsePricing(input) {
+  if (!input || !input.model || input.model === 'fixed') return { pricing: undefined };
+
+  const { model, unitLabel } = input;
+  if (!PRICING_MODELS.includes(model)) {
+    return { error: `pricing.model must be one of: ${PRICING_MODELS.join(', ')}` };
+  }
+
+  const rate = Number(input.rate);
+  if (!isPositive(rate)) return { error: 'pricing.rate must be a positive number' };
+
+  const pricing = { model, rate };
+  if (input.estimatedQuantity !== undefined) {
+    const estimatedQuantity = Number(input.estimatedQuantity);
+    if (!isPositive(estimatedQuantity)) return { error: 'pricing.estimatedQuantity must be a positive number' };
+    pricing.estimatedQuantity = estimatedQuantity;
+  }
+
+  if (model === 'daily') {
+    pricing.hoursPerDay = Number(input.hoursPerDay) || DEFAULT_HOURS_PER_DAY;
+    pricing.overtimeRate = input.overtimeRate !== undefined
+      ? Number(input.overtimeRate)
+      : roundMoney((rate / pricing.hoursPerDay) * DEFAULT_OVERTIME_MULTIPLIER);
+    if (!isPositive(pricing.hoursPerDay) || pricing.hoursPerDay > 24 || !(pricing.overtimeRate >= 0)) {
+      return { error: 'pricing.hoursPerDay must be 1-24 and pricing.overtimeRate non-negative' };
+    }
+  }
+
+  if (model === 'per_unit') {
+    pricing.unitSize = Number(input.unitSize) || 1;
+    pricing.unitLabel = unitLabel || 'unit';
+    if (!isPositive(pricing.unitSize)) return { error: 'pricing.unitSize must be a positive number' };
+  }
+
+  return { pricing };
+}
+
+/**
+ * Per-worker estimate for offers when the contractor gives no flat amount
+ */
+function estimateAmount(pricing) {
+  if (!pricing?.estimatedQuantity) return undefined;
+  return computePayable(pricing, { quantity: pricing.estimatedQuantity }).amount;
+}
+
+/**
+ * Work out what a worker is owed
+ * @param {Object} pricing - job.pricing
+ * @param {Object} work - { quantity } hours, days or units; daily also takes { overtimeHours }
+ * @returns {Object} { amount, quantity, overtimeHours, breakdown }
+ */
+function computePayable(pricing, work) {
+  const quantity = Number(work.quantity);
+
+  if (pricing.model === 'hourly') {
+    return { amount: roundMoney(quantity * pricing.rate), quantity, breakdown: `${quantity}h × ₹${pricing.rate}` };
+  }
+
+  if (pricing.model === 'daily') {
+    const overtimeHours = Number(work.overtimeHours) || 0;
+    const amount = roundMoney(quantity * pricing.rate + overtimeHours * pricing.overtimeRate);
+    const overtimeText = overtimeHours > 0 ? ` + ${overtimeHours}h OT × ₹${pricing.overtimeRate}` : '';
+    return { amount, quantity, overtimeHours, breakdown: `${quantity} day(s) × ₹${pricing.rate}${overtimeText}` };
+  }
+
+  // per_unit
+  const amount = roundMoney((quantity / pricing.unitSize) * pricing.rate);
+  return { amount, quantity, breakdown: `${quantity} ${pricing.unitLabel} × ₹${pricing.rate}/${pricing.unitSize}` };
+}
+
+/**
+ * Quantities for a proposal: explicit values from the request, else tracked check-in/out hours
+ * @param {Object} pricing - job.pricing
+ * @param {Object} assignment - job or slot (hoursWorked from check-in/out)
+ * @param {Object} body - { quantity, overtimeHours }
+ * @returns {Object} { quantity, overtimeHours } or { error }
+ */
+function resolveWorkQuantities(pricing, assignment, body = {}) {
+  const tracked = assignment.hoursWorked;
+
+  if (pricing.model === 'per_unit') {
+    const quantity = Number(body.quantity);
+    if (!isPositive(quantity)) return { error: `quantity (${pricing.unitLabel} completed) is required` };
+    return { quantity };
+  }
+
+  if (pricing.model === 'hourly') {
+    const quantity = body.quantity !== undefined ? Number(body.quantity) : tracked;
+    if (!isPositive(quantity)) return { error: 'quantity (hours) is required when no check-in/out hours are tracked' };
+    return { quantity };
+  }
+
+  // daily: one day unless told otherwise, overtime from tracked hours beyond the standard day
+  const quantity = body.quantity !== undefined ? Number(body.quantity) : 1;
+  if (!isPositive(quantity)) return { error: 'quantity (days) must be a positive number' };
+  const overtimeHours = body.overtimeHours !== undefined
+    ? Number(body.overtimeHours)
+    : Math.max(0, roundMoney((tracked || 0) - quantity * pricing.hoursPerDay));
+  if (!(overtimeHours >= 0)) return { error: 'overtimeHours must be zero or more' };
+  return { quantity, overtimeHours };
+}
+
+/**
+ * Flat jobs pay job.amount; priced jobs need a payable amount both sides confirmed
+ */
+function requiresConfirmation(job) {
+  return Boolean(job.pricing?.model && job.pricing.model !== 'fixed');
+}
+
+function isPayableConfirmed(assignment) {
+  return Boolean(assignment.payable?.contractorConfirmedAt && assignment.payable?.workerConfirmedAt);
+}
+
+/**
+ * Amount to settle for a job or slot
+ */
+function getPayAmount(job, assignment) {
+  return requiresConfirmation(job) ? assignment.payable?.amount : job.amount;
+}
+
+module.exports = {
+  PRICING_MODELS,
+  parsePricing,
+  estimateAmount,
+  computePayable,
+  resolveWorkQuantities,
+  requiresConfirmation,
+  isPayableConfirmed,
+  getPayAmount,
+};
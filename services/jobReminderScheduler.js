@@ -0,0 +1,128 @@
+/**
+ * Job Reminder Scheduler
+ * Sends the hired worker(s) of a scheduled job a reminder the evening before
+ * and shortly before the start (times are stored on the job at posting).
+ * Sent reminders are stamped on the job, so a restart never sends one twice.
+ */
+
+const Job = require('../models/Jobs');
+const NotificationHistory = require('../models/NotificationHistory');
+const { getAcceptedPhones } = require('../utils/jobSlots');
+const { REMINDER_LEAD_MS } = require('./jobScheduling');
+
+let jobReminderSchedulerRunning = false;
+const SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+// Reminders only make sense while the worker still has to show up
+const REMINDABLE_STATES = ['accepted', 'en_route'];
+
+const REMINDERS = [
+  {
+    key: 'eveningBefore',
+    title: (job) => `Tomorrow: ${job.title}`,
+    body: (job) => `Reminder: your ₹${job.amount} job starts tomorrow at ${formatTime(job.date)}.`,
+  },
+  {
+    key: 'hourBefore',
+    title: (job) => `Starting soon: ${job.title}`,
+    body: (job) => `Your ₹${job.amount} job starts in ${Math.round(REMINDER_LEAD_MS / 60000)} minutes at ${formatTime(job.date)}.`,
+  },
+];
+
+function formatTime(date) {
+  return new Date(date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Send every reminder that is due
+ * @param {Function} emitToWorker - (phone, event, payload) => Promise, socket push to a worker
+ */
+async function sendDueReminders(emitToWorker) {
+  const now = new Date();
+
+  for (const reminder of REMINDERS) {
+    const dueField = `reminders.${reminder.key}At`;
+    const sentField = `reminders.${reminder.key}SentAt`;
+
+    const dueJobs = await Job.find({
+      status: { $in: REMINDABLE_STATES },
+      [dueField]: { $lte: now },
+      [sentField]: null,
+    });
+
+    for (const job of dueJobs) {
+      // Claim the reminder first so two processes never both send it
+      const claimed = await Job.updateOne(
+        { _id: job._id, [sentField]: null },
+        { $set: { [sentField]: now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      // Accepted too late for the evening reminder - the hour-before one is enough
+      if (reminder.key === 'eveningBefore' && job.reminders?.hourBeforeAt && job.reminders.hourBeforeAt <= now) {
+        continue;
+      }
+
+      const jobId = job._id.toString();
+      for (const phone of getAcceptedPhones(job)) {
+        try {
+          await NotificationHistory.create({
+            recipientPhone: phone,
+            senderPhone: job.contractorPhone,
+            senderName: job.contractorName || 'Contractor',
+            type: 'job_reminder',
+            title: reminder.title(job),
+            body: reminder.body(job),
+            jobId,
+            metadata: {
+              jobTitle: job.title,
+              amount: job.amount,
+              actionRequired: false,
+            },
+            deepLink: `worker/jobs/${jobId}`,
+            pushNotificationSent: false,
+          });
+          await emitToWorker(phone, 'jobReminder', { jobId, reminder: reminder.key, startsAt: job.date, title: job.title });
+        } catch (err) {
+          console.error(`[Reminders] ❌ Error sending ${reminder.key} reminder for job ${jobId}:`, err.message);
+        }
+      }
+      console.log(`[Reminders] ⏰ Sent ${reminder.key} reminder for job ${jobId}`);
+    }
+  }
+}
+
+/**
+ * Start the reminder scheduler
+ * @param {Object} options - { emitToWorker }
+ */
+function startJobReminderScheduler({ emitToWorker }) {
+  if (jobReminderSchedulerRunning) {
+    console.log('[Reminders] Scheduler already running');
+    return;
+  }
+  jobReminderSchedulerRunning = true;
+
+  console.log('[Reminders] 🚀 Starting scheduler (interval: 1 minute)...');
+
+  let sweeping = false;
+  const sweep = async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      await sendDueReminders(emitToWorker);
+    } catch (err) {
+      console.error('[Reminders] Sweep error:', err);
+    } finally {
+      sweeping = false;
+    }
+  };
+
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL);
+}
+
+module.exports = {
+  startJobReminderScheduler,
+  sendDueReminders,
+};
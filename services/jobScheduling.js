@@ -0,0 +1,85 @@
+/**
+ * Job Scheduling
+ * Future-dated jobs stay dormant (status 'posted', no offers) until a lead time
+ * before their start, then dispatch begins like any other job.
+ *
+ * Config:
+ * - SCHEDULED_DISPATCH_LEAD_HOURS: start dispatching this long before job.date (default 12)
+ * - MAX_SCHEDULE_DAYS:             how far ahead a job can be posted (default 30)
+ * - JOB_REMINDER_EVENING_HOUR:     hour (server local time) of the evening-before reminder (default 20)
+ * - JOB_REMINDER_LEAD_MINUTES:     second reminder this long before the start (default 60)
+ * - JOB_START_SKEW_MINUTES:        a start this far in the past still counts as now, for client clock skew (default 5)
+ */
+
+const DISPATCH_LEAD_MS = (Number(process.env.SCHEDULED_DISPATCH_LEAD_HOURS) || 12) * 60 * 60 * 1000;
+const MAX_SCHEDULE_DAYS = Number(process.env.MAX_SCHEDULE_DAYS) || 30;
+const REMINDER_EVENING_HOUR = Number(process.env.JOB_REMINDER_EVENING_HOUR) || 20;
+const REMINDER_LEAD_MS = (Number(process.env.JOB_REMINDER_LEAD_MINUTES) || 60) * 60 * 1000;
+const START_SKEW_MS = (Number(process.env.JOB_START_SKEW_MINUTES) || 5) * 60 * 1000;
+
+/**
+ * Validate a requested job start
+ * @param {*} date - value from the request body (optional)
+ * @returns {Object} { startAt } or { error }
+ */
+function parseJobStart(date, now = new Date()) {
+  if (!date) return { startAt: now };
+
+  const startAt = new Date(date);
+  if (isNaN(startAt.getTime())) {
+    return { error: 'Invalid job date' };
+  }
+  if (now.getTime() - startAt.getTime() > START_SKEW_MS) {
+    return { error: 'Job date is in the past' };
+  }
+  if (startAt.getTime() - now.getTime() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Jobs can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+  // A start within the skew allowance is treated as "now"
+  return { startAt: startAt < now ? now : startAt };
+}
+
+/**
+ * When dispatch should start for a job starting at startAt (never in the past)
+ */
+function getDispatchStartTime(startAt, now = new Date()) {
+  return new Date(Math.max(startAt.getTime() - DISPATCH_LEAD_MS, now.getTime()));
+}
+
+// True when dispatch for the job hasn't started yet
+function isDormant(job, now = new Date()) {
+  return Boolean(job.dispatchStartsAt && job.dispatchStartsAt > now);
+}
+
+// Query condition for jobs that aren't dormant (for atomic updates that must not touch dormant jobs)
+function dispatchStartedFilter(now = new Date()) {
+  return { $or: [{ dispatchStartsAt: null }, { dispatchStartsAt: { $lte: now } }] };
+}
+
+/**
+ * Reminder times for the hired worker(s); reminders already in the past are left out
+ * @returns {Object} { eveningBeforeAt, hourBeforeAt } - either may be null
+ */
+function getReminderTimes(startAt, now = new Date()) {
+  const eveningBefore = new Date(startAt);
+  eveningBefore.setDate(eveningBefore.getDate() - 1);
+  eveningBefore.setHours(REMINDER_EVENING_HOUR, 0, 0, 0);
+
+  const hourBefore = new Date(startAt.getTime() - REMINDER_LEAD_MS);
+
+  return {
+    eveningBeforeAt: eveningBefore > now ? eveningBefore : null,
+    hourBeforeAt: hourBefore > now ? hourBefore : null,
+  };
+}
+
+module.exports = {
+  DISPATCH_LEAD_MS,
+  MAX_SCHEDULE_DAYS,
+  REMINDER_LEAD_MS,
+  parseJobStart,
+  getDispatchStartTime,
+  isDormant,
+  dispatchStartedFilter,
+  getReminderTimes,
+};
@@ -0,0 +1,189 @@
+/**
+ * Job Template Scheduler
+ * Posts a real Job for each occurrence of an active recurring template,
+ * RECURRING_POST_AHEAD_HOURS (default 24) before the occurrence starts.
+ * Jobs are posted through the same service as POST /jobs/post, so the posting
+ * fee and validation are identical; the job then waits for its dispatch time
+ * like any scheduled job.
+ *
+ * An occurrence that can't be posted (e.g. low wallet balance) is skipped and the
+ * contractor is told; after MAX_CONSECUTIVE_FAILURES skips the series is paused.
+ */
+
+const JobTemplate = require('../models/JobTemplate');
+const NotificationHistory = require('../models/NotificationHistory');
+const { postJob } = require('./jobPosting');
+const { SYSTEM_ACTOR } = require('./jobLifecycle');
+const { getNextOccurrence } = require('../utils/recurrence');
+
+let jobTemplateSchedulerRunning = false;
+const SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const POST_AHEAD_MS = (Number(process.env.RECURRING_POST_AHEAD_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+/**
+ * Next occurrence for a template from now on (never before the last one posted)
+ */
+function computeNextOccurrence(template, now = new Date()) {
+  const after = template.lastOccurrenceAt && template.lastOccurrenceAt > now ? template.lastOccurrenceAt : now;
+  return getNextOccurrence(template.recurrence, after);
+}
+
+async function notifyContractor(template, title, body) {
+  try {
+    await NotificationHistory.create({
+      recipientPhone: template.contractorPhone,
+      type: 'account_warning',
+      title,
+      body,
+      metadata: {
+        jobTitle: template.title,
+        amount: template.amount,
+        actionRequired: true,
+      },
+      deepLink: `contractor/job-templates/${template._id.toString()}`,
+      pushNotificationSent: false,
+    });
+  } catch (err) {
+    console.error('[Templates] Error notifying contractor:', err.message);
+  }
+}
+
+/**
+ * Post the job for one due occurrence of a template
+ * @param {Object} template - JobTemplate document
+ * @param {Function} startJobDispatch - (job) => Promise, starts (or schedules) dispatch
+ */
+async function postOccurrence(template, startJobDispatch) {
+  const now = new Date();
+  const occurrence = template.nextOccurrenceAt;
+  // Occurrences missed while the server was down are skipped in one go
+  const next = getNextOccurrence(template.recurrence, occurrence > now ? occurrence : now);
+
+  // Claim the occurrence first so two processes never post it twice
+  const claimed = await JobTemplate.findOneAndUpdate(
+    { _id: template._id, status: 'active', nextOccurrenceAt: occurrence },
+    {
+      $set: {
+        lastOccurrenceAt: occurrence,
+        nextOccurrenceAt: next,
+        ...(next ? {} : { status: 'ended', endedAt: now }),
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  // Missed while the server was down - don't post a job that already should have started
+  if (occurrence <= now) {
+    await JobTemplate.updateOne({ _id: template._id }, { $inc: { skippedOccurrences: 1 } });
+    console.log(`[Templates] ⏭️ Skipped past occurrence ${occurrence.toISOString()} of template ${template._id}`);
+    return;
+  }
+
+  const { job, error } = await postJob(
+    { phone: template.contractorPhone, name: template.contractorName },
+    {
+      title: template.title,
+      description: template.description,
+      workerType: template.workerType,
+      amount: template.amount,
+      pricing: template.pricing,
+      lat: template.lat,
+      lon: template.lon,
+      workersNeeded: template.workersNeeded,
+      dispatchStrategy: template.dispatchStrategy,
+      dispatchMode: template.dispatchMode,
+      broadcastSize: template.broadcastSize,
+      date: occurrence,
+    },
+    { actor: SYSTEM_ACTOR, fields: { templateId: template._id.toString() } }
+  );
+
+  if (error) {
+    const failures = (template.consecutiveFailures || 0) + 1;
+    const pause = failures >= MAX_CONSECUTIVE_FAILURES && claimed.status === 'active';
+    await JobTemplate.updateOne(
+      { _id: template._id },
+      {
+        $set: { lastError: error, consecutiveFailures: failures, ...(pause ? { status: 'paused' } : {}) },
+        $inc: { skippedOccurrences: 1 },
+      }
+    );
+    await notifyContractor(
+      template,
+      pause ? `Recurring Job Paused: ${template.title}` : `Recurring Job Skipped: ${template.title}`,
+      pause
+        ? `We couldn't post this job ${failures} times in a row (${error}). The series is paused - resume it once fixed.`
+        : `We couldn't post the job for ${occurrence.toLocaleString('en-IN')}: ${error}`
+    );
+    console.log(`[Templates] ❌ Could not post occurrence of template ${template._id}: ${error}`);
+    return;
+  }
+
+  await JobTemplate.updateOne(
+    { _id: template._id },
+    { $set: { lastJobId: job._id.toString(), lastError: null, consecutiveFailures: 0 }, $inc: { jobsPosted: 1 } }
+  );
+  console.log(`[Templates] 📢 Posted job ${job._id} from template ${template._id} for ${occurrence.toISOString()}`);
+
+  try {
+    await startJobDispatch(job);
+  } catch (err) {
+    console.error(`[Templates] Error starting dispatch for job ${job._id}:`, err.message);
+  }
+}
+
+/**
+ * Post jobs for every template occurrence that is within the post-ahead window
+ */
+async function postDueOccurrences(startJobDispatch) {
+  const dueTemplates = await JobTemplate.find({
+    status: 'active',
+    nextOccurrenceAt: { $ne: null, $lte: new Date(Date.now() + POST_AHEAD_MS) },
+  });
+
+  for (const template of dueTemplates) {
+    try {
+      await postOccurrence(template, startJobDispatch);
+    } catch (err) {
+      console.error(`[Templates] ❌ Error posting template ${template._id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Start the template scheduler
+ * @param {Object} options - { startJobDispatch }
+ */
+function startJobTemplateScheduler({ startJobDispatch }) {
+  if (jobTemplateSchedulerRunning) {
+    console.log('[Templates] Scheduler already running');
+    return;
+  }
+  jobTemplateSchedulerRunning = true;
+
+  console.log('[Templates] 🚀 Starting scheduler (interval: 5 minutes)...');
+
+  let sweeping = false;
+  const sweep = async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      await postDueOccurrences(startJobDispatch);
+    } catch (err) {
+      console.error('[Templates] Sweep error:', err);
+    } finally {
+      sweeping = false;
+    }
+  };
+
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL);
+}
+
+module.exports = {
+  startJobTemplateScheduler,
+  postDueOccurrences,
+  computeNextOccurrence,
+};
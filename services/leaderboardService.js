@@ -1,5 +1,7 @@
 const User = require('../models/User');
 const Job = require('../models/Jobs');
+const { COMPLETED_STATES } = require('./jobLifecycle');
+const { collectContractorRatings } = require('./contractorReputation');
 
 /**
  * Calculate leaderboard score for a contractor
@@ -78,15 +80,15 @@ async function getContractorStats(userId) {
     const jobs = await Job.find({ contractorPhone: user.phone });
 
     const totalJobsPosted = jobs.length;
-    const completedJobs = jobs.filter((j) => j.status === 'completed').length;
+    const completedJobs = jobs.filter((j) => COMPLETED_STATES.includes(j.status)).length;
     const cancelledJobs = jobs.filter((j) => j.status === 'cancelled').length;
 
     const completionRate = totalJobsPosted > 0 ? (completedJobs / totalJobsPosted) * 100 : 0;
 
-    // Calculate average rating from completed jobs with reviews
-    const jobsWithRatings = jobs.filter((j) => j.rating && j.rating.stars && j.rating.stars > 0);
-    const avgRating = jobsWithRatings.length > 0
-      ? jobsWithRatings.reduce((sum, j) => sum + j.rating.stars, 0) / jobsWithRatings.length
+    // Average of the ratings workers gave this contractor (job.rating is the contractor's rating of the worker)
+    const contractorRatings = collectContractorRatings(jobs);
+    const avgRating = contractorRatings.length > 0
+      ? contractorRatings.reduce((sum, r) => sum + r.stars, 0) / contractorRatings.length
       : 0;
 
     // Estimate average response time (default to 24 hours if not tracked)
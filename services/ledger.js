@@ -0,0 +1,399 @@
+/**
+ * Ledger
+ * Double-entry bookkeeping for every rupee that moves through the platform.
+ * Each money movement is one immutable LedgerEntry whose postings balance
+ * (total debits = total credits). Account balances are cached on LedgerAccount
+ * and can always be recomputed from the postings.
+ *
+ * Accounts:
+ * - user:<phone>              a user's wallet (credit-normal: money we owe the user)
+ * - platform:fees             posting fees, subscriptions, commission (revenue)
+ * - platform:escrow           job amounts held between acceptance and payment
+ * - platform:payout_clearing  withdrawals waiting to be paid out to a bank
+ * - external:gateway          money held at the payment gateway / bank (asset, debit-normal)
+ * - platform:opening_balances wallet balances carried over from before the ledger
+ * - platform:suspense         credits with no funding source yet, kept visible for reconciliation
+ *
+ * Amounts are stored as integer paise; the public helpers take and return rupees.
+ *
+ * Concurrency: an entry and its balance changes are written in one MongoDB transaction
+ * (so MongoDB must run as a replica set - Atlas does; locally start mongod with --replSet).
+ * Wallets and escrow can never go negative: their debits are conditional updates
+ * ({ balancePaise: { $gte: amount } }), so two requests racing for the same rupees can't
+ * both succeed - the loser gets an INSUFFICIENT_BALANCE error and nothing it posted lands.
+ *
+ * Entries caused by gateway events carry a dedupeKey (unique), so a payment or refund
+ * reported twice - by the client and by a webhook, or by a redelivered webhook - is
+ * booked once; the second attempt gets a DUPLICATE_ENTRY error and moves nothing.
+ */
+
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerEntry = require('../models/LedgerEntry');
+
+const ACCOUNTS = {
+  PLATFORM_FEES: 'platform:fees',
+  ESCROW: 'platform:escrow',
+  PAYOUT_CLEARING: 'platform:payout_clearing',
+  GATEWAY: 'external:gateway',
+  OPENING_BALANCES: 'platform:opening_balances',
+  SUSPENSE: 'platform:suspense',
+};
+
+// Kinds whose balance must never drop below zero
+const NON_NEGATIVE_KINDS = ['user', 'escrow'];
+
+const INSUFFICIENT_BALANCE = 'INSUFFICIENT_BALANCE';
+const DUPLICATE_ENTRY = 'DUPLICATE_ENTRY';
+
+const SYSTEM_ACCOUNTS = {
+  [ACCOUNTS.PLATFORM_FEES]: { kind: 'platform_fee', normalSide: 'credit' },
+  [ACCOUNTS.ESCROW]: { kind: 'escrow', normalSide: 'credit' },
+  [ACCOUNTS.PAYOUT_CLEARING]: { kind: 'payout_clearing', normalSide: 'credit' },
+  [ACCOUNTS.GATEWAY]: { kind: 'gateway', normalSide: 'debit' },
+  [ACCOUNTS.OPENING_BALANCES]: { kind: 'opening_balance', normalSide: 'credit' },
+  [ACCOUNTS.SUSPENSE]: { kind: 'suspense', normalSide: 'debit' },
+};
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+const toRupees = (paise) => (paise || 0) / 100;
+
+function userAccountCode(phone) {
+  return `user:${phone}`;
+}
+
+/**
+ * Kind and normal side for an account code
+ */
+function describeAccount(code) {
+  if (code.startsWith('user:')) {
+    return { kind: 'user', normalSide: 'credit', ownerPhone: code.slice('user:'.length) };
+  }
+  const system = SYSTEM_ACCOUNTS[code];
+  if (!system) throw new Error(`Unknown ledger account: ${code}`);
+  return system;
+}
+
+// How a posting moves the account's balance
+function signedAmount(normalSide, posting) {
+  return posting.side === normalSide ? posting.amountPaise : -posting.amountPaise;
+}
+
+async function ensureAccount(code) {
+  const upsert = () => LedgerAccount.findOneAndUpdate(
+    { code },
+    { $setOnInsert: { code, ...describeAccount(code) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  try {
+    return await upsert();
+  } catch (err) {
+    // Two first postings raced to create the account - the other one won, just read it
+    if (err.code === 11000) return upsert();
+    throw err;
+  }
+}
+
+/**
+ * Turn rupee postings into paise and check they balance
+ * @param {Array} postings - [{ account, side: 'debit'|'credit', amount }] amounts in rupees
+ * @returns {Object} { postings } or { error }
+ */
+function normalizePostings(postings = []) {
+  const normalized = postings.map((p) => ({ accountCode: p.account, side: p.side, amountPaise: toPaise(p.amount) }));
+
+  if (normalized.length < 2) return { error: 'A ledger entry needs at least two postings' };
+  if (normalized.some((p) => !p.accountCode || !['debit', 'credit'].includes(p.side) || !(p.amountPaise > 0))) {
+    return { error: 'Every posting needs an account, a side and a positive amount' };
+  }
+  const total = (side) => normalized.filter((p) => p.side === side).reduce((sum, p) => sum + p.amountPaise, 0);
+  if (total('debit') !== total('credit')) {
+    return { error: `Postings don't balance (debits ${total('debit')} ≠ credits ${total('credit')} paise)` };
+  }
+  return { postings: normalized };
+}
+
+function insufficientBalanceError(code) {
+  const err = new Error(`Insufficient balance in ${code}`);
+  err.code = INSUFFICIENT_BALANCE;
+  err.accountCode = code;
+  return err;
+}
+
+function duplicateEntryError(dedupeKey) {
+  const err = new Error(`Ledger entry ${dedupeKey} was already posted`);
+  err.code = DUPLICATE_ENTRY;
+  err.dedupeKey = dedupeKey;
+  return err;
+}
+
+/**
+ * Record a journal entry and move the account balances.
+ * The entry and every balance change are written in one transaction, so either all of them
+ * land or none do. Guarded decreases (wallets, escrow) only apply if the money is there;
+ * a concurrent posting to the same account makes MongoDB retry the transaction, which then
+ * sees the new balance.
+ * @param {Object} entry - { type, description, postings, reference, createdBy, reversalOf, dedupeKey }
+ * @returns {Promise<Object>} the saved LedgerEntry
+ * @throws {Error} err.code === INSUFFICIENT_BALANCE when a guarded account would go negative,
+ *   err.code === DUPLICATE_ENTRY when an entry with the same dedupeKey exists
+ */
+async function postEntry(entry) {
+  const { postings, error } = normalizePostings(entry.postings);
+  if (error) throw new Error(error);
+  if (entry.dedupeKey && await LedgerEntry.exists({ dedupeKey: entry.dedupeKey })) {
+    throw duplicateEntryError(entry.dedupeKey);
+  }
+
+  const accounts = await Promise.all([...new Set(postings.map((p) => p.accountCode))].map(ensureAccount));
+
+  // Net change per account (an account can appear on both sides)
+  const changes = accounts.map((account) => ({
+    code: account.code,
+    guarded: NON_NEGATIVE_KINDS.includes(account.kind),
+    deltaPaise: postings
+      .filter((p) => p.accountCode === account.code)
+      .reduce((sum, p) => sum + signedAmount(account.normalSide, p), 0),
+  })).filter((c) => c.deltaPaise !== 0);
+
+  try {
+    return await mongoose.connection.transaction(async (session) => {
+      const [saved] = await LedgerEntry.create([{
+        type: entry.type,
+        description: entry.description,
+        postings,
+        reference: entry.reference,
+        reversalOf: entry.reversalOf,
+        dedupeKey: entry.dedupeKey,
+        createdBy: entry.createdBy || 'system',
+      }], { session });
+
+      for (const change of changes) {
+        const filter = { code: change.code };
+        if (change.guarded && change.deltaPaise < 0) filter.balancePaise = { $gte: -change.deltaPaise };
+        const result = await LedgerAccount.updateOne(
+          filter,
+          { $inc: { balancePaise: change.deltaPaise, version: 1 }, $set: { lastEntryAt: saved.createdAt } },
+          { session }
+        );
+        if (result.modifiedCount === 0) throw insufficientBalanceError(change.code);
+      }
+      return saved;
+    });
+  } catch (err) {
+    // Lost a race with the same event (the check above only catches the common case)
+    if (err.code === 11000 && entry.dedupeKey && err.keyPattern?.dedupeKey) throw duplicateEntryError(entry.dedupeKey);
+    throw err;
+  }
+}
+
+/**
+ * Two-legged entry: debit one account, credit another
+ * @param {String} type - LedgerEntry type
+ * @param {Object} details - { debit, credit, amount (rupees), description, reference, createdBy, dedupeKey }
+ */
+async function transfer(type, details) {
+  return postEntry({
+    type,
+    description: details.description,
+    reference: details.reference,
+    createdBy: details.createdBy,
+    dedupeKey: details.dedupeKey,
+    postings: [
+      { account: details.debit, side: 'debit', amount: details.amount },
+      { account: details.credit, side: 'credit', amount: details.amount },
+    ],
+  });
+}
+
+/**
+ * Undo an entry by posting the opposite sides
+ * @param {Object} options - { description, createdBy, dedupeKey }
+ */
+async function reverseEntry(entryId, { description, createdBy, dedupeKey } = {}) {
+  const original = await LedgerEntry.findById(entryId).lean();
+  if (!original) return null;
+
+  return postEntry({
+    type: 'reversal',
+    description: description || `Reversal of ${original.type}: ${original.description || ''}`.trim(),
+    reference: original.reference,
+    reversalOf: original._id,
+    createdBy,
+    dedupeKey,
+    postings: original.postings.map((p) => ({
+      account: p.accountCode,
+      side: p.side === 'debit' ? 'credit' : 'debit',
+      amount: toRupees(p.amountPaise),
+    })),
+  });
+}
+
+/**
+ * Cached balance of an account, in rupees
+ */
+async function getAccountBalance(code) {
+  const account = await LedgerAccount.findOne({ code }).select('balancePaise').lean();
+  return toRupees(account?.balancePaise);
+}
+
+async function getUserBalance(phone) {
+  return getAccountBalance(userAccountCode(phone));
+}
+
+/**
+ * Cached balances for many users
+ * @returns {Promise<Map>} phone -> balance (rupees)
+ */
+async function getUserBalances(phones) {
+  const accounts = await LedgerAccount.find({ code: { $in: phones.map(userAccountCode) } })
+    .select('ownerPhone balancePaise')
+    .lean();
+  const balances = new Map(phones.map((p) => [p, 0]));
+  accounts.forEach((a) => balances.set(a.ownerPhone, toRupees(a.balancePaise)));
+  return balances;
+}
+
+/**
+ * Balance of an account computed from its postings (ignores the cache)
+ * @returns {Promise<Number>} paise
+ */
+async function deriveBalancePaise(code) {
+  const { normalSide } = describeAccount(code);
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: { 'postings.accountCode': code } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.accountCode': code } },
+    {
+      $group: {
+        _id: null,
+        debits: { $sum: { $cond: [{ $eq: ['$postings.side', 'debit'] }, '$postings.amountPaise', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$postings.side', 'credit'] }, '$postings.amountPaise', 0] } },
+      },
+    },
+  ]);
+  if (!totals) return 0;
+  return normalSide === 'credit' ? totals.credits - totals.debits : totals.debits - totals.credits;
+}
+
+/**
+ * Recompute an account's balance from the ledger and repair the cache if it drifted
+ * @returns {Promise<Object>} { code, cached, derived, repaired } in rupees
+ */
+async function recomputeBalance(code) {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const account = await ensureAccount(code);
+    const derivedPaise = await deriveBalancePaise(code);
+    if (derivedPaise === account.balancePaise) {
+      return { code, cached: toRupees(account.balancePaise), derived: toRupees(derivedPaise), repaired: false };
+    }
+
+    // Only overwrite if nothing was posted while we were summing
+    const result = await LedgerAccount.updateOne(
+      { code, version: account.version },
+      { $set: { balancePaise: derivedPaise }, $inc: { version: 1 } }
+    );
+    if (result.modifiedCount === 1) {
+      return { code, cached: toRupees(account.balancePaise), derived: toRupees(derivedPaise), repaired: true };
+    }
+  }
+  throw new Error(`Ledger account ${code} kept changing - try the recompute again`);
+}
+
+/**
+ * Net effect on an account per entry type (e.g. total deposited, total withdrawn)
+ * @returns {Promise<Object>} { [type]: rupees }
+ */
+async function getAccountTotalsByType(code) {
+  const { normalSide } = describeAccount(code);
+  const rows = await LedgerEntry.aggregate([
+    { $match: { 'postings.accountCode': code } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.accountCode': code } },
+    {
+      $group: {
+        _id: '$type',
+        net: {
+          $sum: {
+            $cond: [{ $eq: ['$postings.side', normalSide] }, '$postings.amountPaise', { $multiply: ['$postings.amountPaise', -1] }],
+          },
+        },
+      },
+    },
+  ]);
+  return Object.fromEntries(rows.map((r) => [r._id, toRupees(r.net)]));
+}
+
+/**
+ * Sum of all debits and credits across the ledger - they must be equal
+ */
+async function getTrialBalance() {
+  const [totals] = await LedgerEntry.aggregate([
+    { $unwind: '$postings' },
+    {
+      $group: {
+        _id: null,
+        debits: { $sum: { $cond: [{ $eq: ['$postings.side', 'debit'] }, '$postings.amountPaise', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$postings.side', 'credit'] }, '$postings.amountPaise', 0] } },
+      },
+    },
+  ]);
+  const debits = totals?.debits || 0;
+  const credits = totals?.credits || 0;
+  const accounts = await LedgerAccount.find().select('code kind balancePaise').sort({ code: 1 }).lean();
+  return {
+    balanced: debits === credits,
+    totalDebits: toRupees(debits),
+    totalCredits: toRupees(credits),
+    accounts: accounts.map((a) => ({ code: a.code, kind: a.kind, balance: toRupees(a.balancePaise) })),
+  };
+}
+
+/**
+ * Entries touching an account, newest first, with the amount as seen by that account
+ * @param {String} code
+ * @param {Object} options - { limit, before }
+ * @returns {Promise<Array>} [{ id, type, description, side, amount, balanceEffect, date, reference }]
+ */
+async function getStatement(code, options = {}) {
+  const { normalSide } = describeAccount(code);
+  const filter = { 'postings.accountCode': code };
+  if (options.before) filter.createdAt = { $lt: new Date(options.before) };
+
+  const entries = await LedgerEntry.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Number(options.limit) || 100, 500))
+    .lean();
+
+  return entries.flatMap((entry) => entry.postings
+    .filter((p) => p.accountCode === code)
+    .map((p) => ({
+      id: entry._id,
+      type: entry.type,
+      description: entry.description,
+      side: p.side,
+      amount: toRupees(p.amountPaise),
+      balanceEffect: toRupees(signedAmount(normalSide, p)),
+      date: entry.createdAt,
+      reference: entry.reference,
+    })));
+}
+
+module.exports = {
+  ACCOUNTS,
+  INSUFFICIENT_BALANCE,
+  DUPLICATE_ENTRY,
+  toPaise,
+  toRupees,
+  userAccountCode,
+  postEntry,
+  transfer,
+  reverseEntry,
+  getAccountBalance,
+  getUserBalance,
+  getUserBalances,
+  recomputeBalance,
+  getAccountTotalsByType,
+  getTrialBalance,
+  getStatement,
+};
@@ -0,0 +1,109 @@
+/**
+ * Location Trail
+ * Keeps a time series of a worker's location for every active job they are
+ * hired on (nothing is stored while they are idle), so support can see where
+ * a worker was during a disputed job. Points expire after the retention window.
+ *
+ * Config:
+ * - LOCATION_TRAIL_RETENTION_DAYS:       how long points are kept (default 30)
+ * - LOCATION_TRAIL_MIN_INTERVAL_SECONDS: at most one point per worker this often (default 15)
+ */
+
+const LocationPoint = require('../models/LocationPoint');
+const Job = require('../models/Jobs');
+const { ACTIVE_STATES } = require('./jobLifecycle');
+
+const RETENTION_MS = (Number(process.env.LOCATION_TRAIL_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MIN_INTERVAL_MS = (Number(process.env.LOCATION_TRAIL_MIN_INTERVAL_SECONDS) || 15) * 1000;
+
+// Per-process throttle: workerPhone -> last stored time (another process may store one extra point)
+const lastStoredAt = new Map();
+
+/**
+ * Store a location fix against each active job the worker holds
+ * @param {String} workerPhone
+ * @param {Object} fix - { lat, lon, accuracy }
+ * @returns {Promise<Number>} points stored
+ */
+async function recordTrailPoint(workerPhone, fix, now = new Date()) {
+  const lat = Number(fix.lat);
+  const lon = Number(fix.lon);
+  if (!workerPhone || !Number.isFinite(lat) || !Number.isFinite(lon)) return 0;
+  if (now - (lastStoredAt.get(workerPhone) || 0) < MIN_INTERVAL_MS) return 0;
+
+  const jobs = await Job.find({
+    status: { $in: ACTIVE_STATES },
+    $or: [{ acceptedBy: workerPhone }, { 'slots.acceptedBy': workerPhone }],
+  })
+    .select('_id status')
+    .lean();
+  if (jobs.length === 0) return 0;
+
+  lastStoredAt.set(workerPhone, now.getTime());
+  const accuracy = Number(fix.accuracy);
+  await LocationPoint.insertMany(jobs.map((job) => ({
+    jobId: job._id.toString(),
+    workerPhone,
+    location: { type: 'Point', coordinates: [lon, lat] },
+    accuracyMeters: Number.isFinite(accuracy) ? accuracy : undefined,
+    jobStatus: job.status,
+    recordedAt: now,
+    expiresAt: new Date(now.getTime() + RETENTION_MS),
+  })));
+  return jobs.length;
+}
+
+/**
+ * A job's trail as GeoJSON: one LineString per worker (a Point if only one fix)
+ * plus the job site
+ * @param {Object} job - needs _id, lat, lon
+ * @param {Object} options - { workerPhone } to limit to one worker
+ * @returns {Promise<Object>} FeatureCollection
+ */
+async function getTrailGeoJSON(job, options = {}) {
+  const filter = { jobId: job._id.toString() };
+  if (options.workerPhone) filter.workerPhone = options.workerPhone;
+
+  const points = await LocationPoint.find(filter).sort({ recordedAt: 1 }).lean();
+
+  const byWorker = new Map();
+  points.forEach((p) => {
+    if (!byWorker.has(p.workerPhone)) byWorker.set(p.workerPhone, []);
+    byWorker.get(p.workerPhone).push(p);
+  });
+
+  const features = [...byWorker.entries()].map(([workerPhone, trail]) => {
+    const coordinates = trail.map((p) => p.location.coordinates);
+    return {
+      type: 'Feature',
+      geometry: coordinates.length > 1
+        ? { type: 'LineString', coordinates }
+        : { type: 'Point', coordinates: coordinates[0] },
+      properties: {
+        workerPhone,
+        pointCount: trail.length,
+        startedAt: trail[0].recordedAt,
+        endedAt: trail[trail.length - 1].recordedAt,
+        // Parallel to the coordinates
+        timestamps: trail.map((p) => p.recordedAt),
+        jobStatuses: trail.map((p) => p.jobStatus),
+        accuracyMeters: trail.map((p) => p.accuracyMeters ?? null),
+      },
+    };
+  });
+
+  if (job.lat !== undefined && job.lon !== undefined) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [job.lon, job.lat] },
+      properties: { kind: 'job_site' },
+    });
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+module.exports = {
+  recordTrailPoint,
+  getTrailGeoJSON,
+};
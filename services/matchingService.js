@@ -1,89 +1,68 @@
-const { getDistanceFromLatLonInKm } = require("../utils/distance");
+const Worker = require("../models/Worker");
+
+const DEFAULT_RADIUS_KM = 5;
+const DEFAULT_CANDIDATE_LIMIT = Number(process.env.DISPATCH_CANDIDATE_LIMIT) || 50;
+
+// Escape user-provided text before using it inside a RegExp
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
 /**
- * Find nearby workers within 5km radius of the job location
+ * Find nearby workers within a radius of the job location
+ * Uses $geoNear on the Worker collection (2dsphere index) so candidate selection
+ * doesn't depend on which server process the worker's socket is connected to.
+ *
+ * Filters:
+ * - worker is available and has a live socket
+ * - worker has the job's workerType as a skill (workers with no skills listed are treated as general labour)
+ *
  * @param {Object} jobLocation - { lat, lon, workerType }
- * @param {Map} connectedWorkers - Map of connected workers with their locations
- * @returns {Array} Array of nearby workers sorted by distance
+ * @param {Number} radiusKm - search radius (defaults to 5km)
+ * @param {Object} options - { limit, excludePhones }
+ * @returns {Promise<Array>} Array of nearby workers sorted by distance
  */
-exports.findNearbyWorkers = (jobLocation, connectedWorkers) => {
-  const RADIUS_KM = 5; // 5km radius
-  const nearbyWorkers = [];
-  const skippedWorkers = [];
-
-  for (const [socketId, worker] of connectedWorkers.entries()) {
-    // Skip if worker data is incomplete
-    if (!worker.lat || !worker.lon || !worker.name) {
-      skippedWorkers.push(`${worker.name || 'unknown'} (incomplete location data)`);
-      continue;
-    }
-
-    // ✅ Skip if worker is OFFLINE (isAvailable = false)
-    if (worker.isAvailable === false) {
-      skippedWorkers.push(`${worker.name} (offline)`);
-      continue;
-    }
+exports.findNearbyWorkers = async (jobLocation, radiusKm = DEFAULT_RADIUS_KM, options = {}) => {
+  const { limit = DEFAULT_CANDIDATE_LIMIT, excludePhones = [] } = options;
 
-    // Calculate distance from job location to worker location
-    const distKm = getDistanceFromLatLonInKm(
-      jobLocation.lat,
-      jobLocation.lon,
-      worker.lat,
-      worker.lon
-    );
-
-    // ✅ DEBUG: Log all workers and distances
-    console.log(`📍 Worker: ${worker.name} at (${worker.lat}, ${worker.lon}) → Distance: ${distKm.toFixed(2)}km`);
-
-    // Only include workers within 5km radius
-    if (distKm <= RADIUS_KM) {
-      console.log(`✅ MATCHED: ${worker.name} (${distKm.toFixed(2)}km away)`);
-      nearbyWorkers.push({
-        socketId,
-        name: worker.name,
-        phone: worker.phone,
-        workerType: worker.workerType,
-        lat: worker.lat,
-        lon: worker.lon,
-        distance: Math.round(distKm * 10) / 10, // Round to 1 decimal
-      });
-    } else {
-      console.log(`❌ TOO FAR: ${worker.name} (${distKm.toFixed(2)}km away) - exceeds 5km radius`);
-    }
+  const query = {
+    isAvailable: true,
+    socketId: { $nin: ["", null] },
+  };
+  if (excludePhones.length > 0) {
+    query.phone = { $nin: excludePhones };
   }
-
-  // Log skipped workers for debugging
-  if (skippedWorkers.length > 0) {
-    console.log(`🔴 Skipped offline workers: ${skippedWorkers.join(', ')}`);
+  if (jobLocation.workerType) {
+    query.$or = [
+      { skills: { $regex: `^${escapeRegex(jobLocation.workerType)}$`, $options: "i" } },
+      { skills: { $size: 0 } },
+    ];
   }
 
-  // Sort by distance (nearest first)
-  return nearbyWorkers.sort((a, b) => a.distance - b.distance);
-};
+  const workers = await Worker.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: [Number(jobLocation.lon), Number(jobLocation.lat)] },
+        distanceField: "distanceMeters",
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query,
+      },
+    },
+    { $limit: limit },
+  ]);
 
-/**
- * Find best workers with scoring (kept for potential future use)
- */
-exports.findBestWorkers = (jobLocation, job, connectedWorkers) => {
-  const workerList = [];
-
-  for (const [phone, worker] of connectedWorkers.entries()) {
-    const distKm = getDistanceFromLatLonInKm(
-      jobLocation.lat,
-      jobLocation.lon,
-      worker.lat,
-      worker.lon
-    );
-
-    if (distKm > 5) continue; // skip far workers
-
-    const score =
-      (job.workerType && worker.skills?.includes(job.workerType) ? 40 : 0) + // skill match
-      (5 - distKm) * 10 + // distance score
-      (worker.rating || 3) * 10; // rating weight
-
-    workerList.push({ phone, score, distKm, ...worker });
-  }
+  console.log(`📍 $geoNear: ${workers.length} available workers within ${radiusKm}km`);
 
-  return workerList.sort((a, b) => b.score - a.score).slice(0, 10); // Top 10 workers
+  // Already sorted by distance (nearest first)
+  return workers.map((worker) => ({
+    socketId: worker.socketId,
+    name: worker.name || worker.phone,
+    phone: worker.phone,
+    workerType: worker.skills && worker.skills[0],
+    skills: worker.skills || [],
+    lat: worker.location.coordinates[1],
+    lon: worker.location.coordinates[0],
+    distance: Math.round((worker.distanceMeters / 1000) * 10) / 10, // km, rounded to 1 decimal
+  }));
 };
@@ -0,0 +1,382 @@
+/**
+ * Payment Reconciliation
+ * Runs daily (RECONCILIATION_HOUR, default 02:00) over the previous day and compares wallet
+ * deposits with what Razorpay actually received, through the gateway client
+ * (services/razorpayClient.js). Job payments count as deposits: they are paid into the
+ * contractor's wallet before the worker is paid from it (services/paymentSettlement.js).
+ * - each captured deposit payment must have exactly one wallet credit of the same amount
+ *   (matched by paymentId, the order telling us whose wallet)
+ * - each wallet deposit credit must be backed by a captured Razorpay payment
+ * - each captured payment must appear in a Razorpay settlement within SETTLEMENT_GRACE_DAYS
+ * Every mismatch becomes an item on a ReconciliationReport, with a suggested fix an admin
+ * can apply in one click (resolveItem): credit the missing deposit, reverse the unbacked
+ * credit, adjust the amount, or acknowledge. Items can also be dismissed.
+ *
+ * Config:
+ * - RECONCILIATION_HOUR (default 2) - local hour the daily run starts
+ * - SETTLEMENT_GRACE_DAYS (default 3) - days Razorpay may take to settle a payment
+ */
+
+const LedgerEntry = require('../models/LedgerEntry');
+const PaymentOrder = require('../models/PaymentOrder');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { toPaise, toRupees } = require('./ledger');
+const { reverseWalletCredit, adjustWalletToGateway } = require('./walletOperations');
+const { settleDeposit } = require('./paymentSettlement');
+const { getRazorpayClient } = require('./razorpayClient');
+
+const envNumber = (name, fallback) => (process.env[name] !== undefined && Number.isFinite(Number(process.env[name])) ? Number(process.env[name]) : fallback);
+
+const RECONCILIATION_HOUR = envNumber('RECONCILIATION_HOUR', 2);
+const SETTLEMENT_GRACE_DAYS = envNumber('SETTLEMENT_GRACE_DAYS', 3);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CAPTURED_STATUSES = ['captured', 'refunded']; // a refunded payment was captured first
+
+let reconciliationSchedulerRunning = false;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const createdAt = (payment) => new Date(payment.created_at * 1000);
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+// Whose wallet a deposit credit went to, and how much
+function walletCredit(entry) {
+  const posting = entry.postings.find((p) => p.side === 'credit' && p.accountCode.startsWith('user:'));
+  return posting
+    ? { phone: posting.accountCode.slice('user:'.length), amount: toRupees(posting.amountPaise) }
+    : { phone: null, amount: 0 };
+}
+
+/**
+ * Which gateway payments were paid into a wallet (deposits and job payments), and whose
+ * @returns {Promise<Map>} paymentId -> payer phone
+ */
+async function findDepositPayers(payments) {
+  const orderIds = [...new Set(payments.map((p) => p.order_id).filter(Boolean))];
+  const orders = await PaymentOrder.find({ orderId: { $in: orderIds } }).select('orderId purpose phone').lean();
+  const ordersById = new Map(orders.map((o) => [o.orderId, o]));
+
+  const payers = new Map();
+  for (const payment of payments) {
+    const order = ordersById.get(payment.order_id);
+    if (order) {
+      if (order.phone) payers.set(payment.id, order.phone);
+    } else if (payment.notes?.type === 'wallet_deposit' && payment.notes.phone) {
+      payers.set(payment.id, payment.notes.phone); // order created before we recorded orders
+    }
+  }
+  return payers;
+}
+
+async function fetchPaymentOrNull(client, paymentId) {
+  try {
+    return await client.fetchPayment(paymentId);
+  } catch (err) {
+    if (err.statusCode === 400 || err.statusCode === 404) return null; // Razorpay doesn't know it
+    throw err;
+  }
+}
+
+/**
+ * Compare one period's deposits with the gateway
+ * @returns {Promise<Object>} { items, summary }
+ */
+async function reconcilePeriod(periodStart, periodEnd, client) {
+  const settlementStart = addDays(periodStart, -SETTLEMENT_GRACE_DAYS);
+  const settlementEnd = addDays(periodEnd, -SETTLEMENT_GRACE_DAYS);
+  const inPeriod = (date) => date >= periodStart && date < periodEnd;
+
+  // One listing covers both the period and the older window due for settlement
+  const payments = await client.listPayments({ from: settlementStart, to: periodEnd });
+  const payers = await findDepositPayers(payments);
+  const deposits = payments.filter((p) => payers.has(p.id));
+  const captured = deposits.filter((p) => inPeriod(createdAt(p)) && CAPTURED_STATUSES.includes(p.status));
+  const capturedIds = new Set(captured.map((p) => p.id));
+  const depositsById = new Map(deposits.map((p) => [p.id, p]));
+
+  // Credits for those payments (whenever they were made) and every credit made in the period
+  const entries = await LedgerEntry.find({
+    type: 'deposit',
+    $or: [{ 'reference.paymentId': { $in: [...capturedIds] } }, { createdAt: { $gte: periodStart, $lt: periodEnd } }],
+  }).sort({ createdAt: 1 }).lean();
+  const creditsByPayment = new Map();
+  entries.forEach((entry) => {
+    const paymentId = entry.reference?.paymentId;
+    if (paymentId) creditsByPayment.set(paymentId, [...(creditsByPayment.get(paymentId) || []), entry]);
+  });
+
+  const items = [];
+  let matched = 0;
+
+  // Gateway side: every captured deposit credited once, for the right amount
+  for (const payment of captured) {
+    const base = { phone: payers.get(payment.id), orderId: payment.order_id, paymentId: payment.id, gatewayStatus: payment.status, gatewayAmount: toRupees(payment.amount) };
+    const [credit, ...extraCredits] = creditsByPayment.get(payment.id) || [];
+
+    if (!credit) {
+      items.push({ ...base, type: 'missing_credit', walletAmount: 0, suggestedAction: 'credit', detail: `₹${base.gatewayAmount} captured at Razorpay but never credited to the wallet` });
+      continue;
+    }
+    for (const extra of extraCredits) {
+      const { phone, amount } = walletCredit(extra);
+      items.push({ ...base, phone, type: 'duplicate_credit', ledgerEntryId: extra._id, walletAmount: amount, suggestedAction: 'reverse', detail: `Payment credited ${extraCredits.length + 1} times` });
+    }
+    const { phone, amount } = walletCredit(credit);
+    if (toPaise(amount) !== payment.amount) {
+      items.push({ ...base, phone, type: 'amount_mismatch', ledgerEntryId: credit._id, walletAmount: amount, suggestedAction: 'adjust', detail: `Razorpay captured ₹${base.gatewayAmount}, wallet credited ₹${amount}` });
+    } else if (!extraCredits.length) {
+      matched += 1;
+    }
+  }
+
+  // Wallet side: every credit in the period backed by a captured payment
+  const periodEntries = entries.filter((e) => inPeriod(e.createdAt));
+  for (const entry of periodEntries) {
+    const paymentId = entry.reference?.paymentId;
+    if (capturedIds.has(paymentId)) continue; // checked above
+    const { phone, amount } = walletCredit(entry);
+    const base = { phone, orderId: entry.reference?.orderId, paymentId, ledgerEntryId: entry._id, walletAmount: amount, suggestedAction: 'reverse' };
+
+    if (!paymentId) {
+      items.push({ ...base, type: 'no_gateway_payment', detail: `${entry.description || 'Deposit'} of ₹${amount} has no Razorpay payment` });
+      continue;
+    }
+    // Not in the listing: captured outside the period (checked in its own period) or not captured at all
+    const payment = depositsById.get(paymentId) || await fetchPaymentOrNull(client, paymentId);
+    if (!payment || !CAPTURED_STATUSES.includes(payment.status)) {
+      const gatewayStatus = payment?.status || 'not_found';
+      items.push({ ...base, type: 'not_captured', gatewayStatus, gatewayAmount: payment ? toRupees(payment.amount) : 0, detail: `Wallet credited ₹${amount} but the Razorpay payment is ${gatewayStatus}` });
+    }
+  }
+
+  // Settlement: captured payments older than the grace period must have been settled
+  const dueForSettlement = deposits.filter((p) => p.status === 'captured' && createdAt(p) >= settlementStart && createdAt(p) < settlementEnd);
+  let settled = 0;
+  let settledFeesPaise = 0;
+  if (dueForSettlement.length) {
+    const settlementItems = await client.listSettlementItems({ from: settlementStart, to: new Date() });
+    const settledPayments = new Map(settlementItems.filter((i) => i.type === 'payment').map((i) => [i.entityId, i]));
+    for (const payment of dueForSettlement) {
+      const item = settledPayments.get(payment.id);
+      if (item) {
+        settled += 1;
+        settledFeesPaise += (item.fee || 0) + (item.tax || 0);
+        continue;
+      }
+      items.push({
+        type: 'not_settled',
+        phone: payers.get(payment.id),
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        gatewayStatus: payment.status,
+        gatewayAmount: toRupees(payment.amount),
+        suggestedAction: 'acknowledge',
+        detail: `Captured on ${createdAt(payment).toISOString().slice(0, 10)}, not settled after ${SETTLEMENT_GRACE_DAYS} days`,
+      });
+    }
+  }
+
+  const sum = (list, amountOf) => toRupees(list.reduce((total, x) => total + amountOf(x), 0));
+  return {
+    items,
+    summary: {
+      gatewayPayments: captured.length,
+      gatewayAmount: sum(captured, (p) => p.amount),
+      walletDeposits: periodEntries.length,
+      walletAmount: sum(periodEntries, (e) => toPaise(walletCredit(e).amount)),
+      matched,
+      settlementChecked: dueForSettlement.length,
+      settled,
+      settledFees: toRupees(settledFeesPaise),
+      discrepancies: items.length,
+    },
+  };
+}
+
+/**
+ * Create the report for a period, or take over a failed scheduled one
+ * @returns {Promise<Object|null>} the report, or null if that scheduled period is done / running
+ */
+async function openReport(periodStart, periodEnd, trigger, triggeredBy) {
+  try {
+    return await ReconciliationReport.create({ periodStart, periodEnd, trigger, triggeredBy });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+  return ReconciliationReport.findOneAndUpdate(
+    { periodStart, periodEnd, trigger: 'scheduled', status: 'failed' },
+    { $set: { status: 'running', error: null, items: [], startedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Reconcile deposits made in [periodStart, periodEnd)
+ * @param {Object} options - { periodStart, periodEnd, trigger: 'scheduled' | 'manual', triggeredBy }
+ * @returns {Promise<Object>} { report } or { error, statusCode }
+ */
+async function runReconciliation({ periodStart, periodEnd, trigger = 'manual', triggeredBy } = {}) {
+  if (!(periodStart < periodEnd)) return { error: 'The period must start before it ends', statusCode: 400 };
+
+  const report = await openReport(periodStart, periodEnd, trigger, triggeredBy);
+  if (!report) return { error: 'This period has already been reconciled', statusCode: 409 };
+
+  try {
+    const { items, summary } = await reconcilePeriod(periodStart, periodEnd, getRazorpayClient());
+    const completed = await ReconciliationReport.findByIdAndUpdate(
+      report._id,
+      { $set: { status: 'completed', items, summary, completedAt: new Date() } },
+      { new: true }
+    );
+    console.log(`[Reconciliation] ✅ ${periodStart.toISOString()} - ${periodEnd.toISOString()}: ${summary.matched} matched, ${summary.discrepancies} discrepancies`);
+    return { report: completed };
+  } catch (err) {
+    console.error('[Reconciliation] ❌ Run failed:', err.error?.description || err.message);
+    const failed = await ReconciliationReport.findByIdAndUpdate(
+      report._id,
+      { $set: { status: 'failed', error: err.error?.description || err.message, completedAt: new Date() } },
+      { new: true }
+    );
+    return { report: failed };
+  }
+}
+
+/**
+ * Post the fix for an item
+ * @returns {Promise<Object>} { ledgerEntryId } or { error }
+ */
+async function applyFix(action, item, resolvedBy) {
+  const description = `Reconciliation: ${item.detail}`;
+
+  if (action === 'credit') {
+    await settleDeposit({ orderId: item.orderId, paymentId: item.paymentId, phone: item.phone, amount: item.gatewayAmount, via: 'reconciliation' });
+    const entry = await LedgerEntry.findOne({ type: 'deposit', 'reference.paymentId': item.paymentId }).select('_id').lean();
+    return { ledgerEntryId: entry?._id };
+  }
+
+  if (action === 'reverse') {
+    const result = await reverseWalletCredit(item.phone, item.ledgerEntryId, {
+      description,
+      createdBy: resolvedBy,
+      dedupeKey: `reconciliation:reverse:${item.ledgerEntryId}`,
+    });
+    if (result.error) return { error: result.balance !== undefined ? `The wallet only holds ₹${result.balance} - recover the rest manually and dismiss this item` : result.error };
+    return { ledgerEntryId: result.entry?._id };
+  }
+
+  if (action === 'adjust') {
+    const difference = toRupees(toPaise(item.gatewayAmount) - toPaise(item.walletAmount));
+    const result = await adjustWalletToGateway(item.phone, difference, {
+      orderId: item.orderId,
+      paymentId: item.paymentId,
+      description,
+      createdBy: resolvedBy,
+      dedupeKey: `reconciliation:adjust:${item._id}`,
+    });
+    if (result.error) return { error: `The wallet only holds ₹${result.balance} - recover the rest manually and dismiss this item` };
+    return { ledgerEntryId: result.entry?._id };
+  }
+
+  return {}; // acknowledge / dismiss: nothing to post
+}
+
+/**
+ * Resolve a report item with its suggested fix (or dismiss it)
+ * @param {Object} options - { action (defaults to the suggested one, or 'dismiss'), note, resolvedBy }
+ * @returns {Promise<Object>} { item } or { error, statusCode }
+ */
+async function resolveItem(reportId, itemId, { action, note, resolvedBy } = {}) {
+  const report = await ReconciliationReport.findOne({ _id: reportId, 'items._id': itemId }, { 'items.$': 1 }).lean();
+  if (!report) return { error: 'Reconciliation item not found', statusCode: 404 };
+  const item = report.items[0];
+
+  const chosen = action || item.suggestedAction;
+  if (chosen !== 'dismiss' && chosen !== item.suggestedAction) {
+    return { error: `This item can only be resolved with "${item.suggestedAction}" or dismissed`, statusCode: 400 };
+  }
+
+  // Claim it, so two admins clicking at once can't post the fix twice
+  const claimed = await ReconciliationReport.updateOne(
+    { _id: reportId, items: { $elemMatch: { _id: itemId, status: 'open' } } },
+    { $set: { 'items.$.status': 'resolving' } }
+  );
+  if (claimed.modifiedCount === 0) return { error: 'This item is already resolved', statusCode: 409 };
+
+  let fix;
+  try {
+    fix = await applyFix(chosen, item, resolvedBy);
+  } catch (err) {
+    fix = { error: err.message };
+  }
+  const setStatus = (status, resolution) => ReconciliationReport.findOneAndUpdate(
+    { _id: reportId, 'items._id': itemId },
+    { $set: { 'items.$.status': status, ...(resolution && { 'items.$.resolution': resolution }) } },
+    { new: true, projection: { items: { $elemMatch: { _id: itemId } } } }
+  );
+
+  if (fix.error) {
+    await setStatus('open');
+    return { error: fix.error, statusCode: 400 };
+  }
+
+  const updated = await setStatus(chosen === 'dismiss' ? 'dismissed' : 'resolved', {
+    action: chosen,
+    note,
+    resolvedBy,
+    resolvedAt: new Date(),
+    ledgerEntryId: fix.ledgerEntryId,
+  });
+  console.log(`[Reconciliation] ${item.type} ${item.paymentId || item.ledgerEntryId}: ${chosen} by ${resolvedBy}`);
+  return { item: updated.items[0] };
+}
+
+/**
+ * Reconcile yesterday (scheduled runs are recorded once per day)
+ */
+async function runScheduledReconciliation() {
+  try {
+    const periodEnd = startOfDay(new Date());
+    const { error } = await runReconciliation({ periodStart: addDays(periodEnd, -1), periodEnd, trigger: 'scheduled' });
+    if (error) console.log(`[Reconciliation] Skipped: ${error}`);
+  } catch (err) {
+    console.error('[Reconciliation] Fatal error:', err);
+  }
+}
+
+function msUntilNextRun(now = new Date()) {
+  const next = new Date(now);
+  next.setHours(RECONCILIATION_HOUR, 0, 0, 0);
+  return (next > now ? next : addDays(next, 1)) - now;
+}
+
+/**
+ * Start the daily reconciliation. If today's run time has already passed (server was
+ * down), yesterday is reconciled straight away.
+ */
+function startReconciliationScheduler() {
+  if (reconciliationSchedulerRunning) {
+    console.log('[Reconciliation] Scheduler already running');
+    return;
+  }
+  reconciliationSchedulerRunning = true;
+  console.log(`[Reconciliation] 🚀 Starting scheduler (daily at ${String(RECONCILIATION_HOUR).padStart(2, '0')}:00)...`);
+
+  if (new Date().getHours() >= RECONCILIATION_HOUR) runScheduledReconciliation();
+
+  const scheduleNext = () => setTimeout(async () => {
+    await runScheduledReconciliation();
+    scheduleNext();
+  }, msUntilNextRun());
+  scheduleNext();
+}
+
+module.exports = {
+  startOfDay,
+  runReconciliation,
+  resolveItem,
+  startReconciliationScheduler,
+};
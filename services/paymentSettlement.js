@@ -0,0 +1,292 @@
+/**
+ * Payment Settlement
+ * Books Razorpay payments, failures and refunds. A captured payment can be reported by the
+ * app (verify routes) and by Razorpay's webhook, in any order and more than once; the ledger
+ * entry for it carries the payment id as its dedupeKey, so whichever report arrives first
+ * moves the money and runs the side effects, and the rest are no-ops.
+ *
+ * Orders are recorded when we create them (PaymentOrder), so a webhook knows who paid
+ * and what for. Orders created before that fall back to the notes on the Razorpay order.
+ */
+
+const Job = require('../models/Jobs');
+const PaymentOrder = require('../models/PaymentOrder');
+const WorkerEarnings = require('../models/WorkerEarnings');
+const ActivityLog = require('../models/ActivityLog');
+const NotificationHistory = require('../models/NotificationHistory');
+const { toPaise, toRupees } = require('./ledger');
+const { creditDeposit, recordGatewayRefund, getWalletBalance } = require('./walletOperations');
+const { payWorker } = require('./jobPayment');
+const { getAssignment } = require('../utils/jobSlots');
+
+const paymentDedupeKey = (paymentId) => `razorpay:payment:${paymentId}`;
+const refundDedupeKey = (refundId) => `razorpay:refund:${refundId}`;
+
+/**
+ * Remember an order we just created at Razorpay
+ * @param {Object} order - Razorpay order ({ id, amount (paise), currency })
+ * @param {Object} details - { purpose, phone, jobId, workerPhone }
+ */
+async function recordOrder(order, details) {
+  return PaymentOrder.create({
+    orderId: order.id,
+    amount: toRupees(order.amount),
+    currency: order.currency,
+    ...details,
+  });
+}
+
+/**
+ * What an order pays for: our record, or the Razorpay notes for older orders
+ * @param {String} orderId
+ * @param {Object} notes - notes from the payment / order entity
+ * @returns {Promise<Object|null>} { orderId, purpose, phone, jobId, workerPhone, amount }
+ */
+async function findOrder(orderId, notes = {}) {
+  const order = orderId ? await PaymentOrder.findOne({ orderId }).lean() : null;
+  if (order) return order;
+
+  if (notes.type === 'wallet_deposit' && notes.phone) {
+    return { orderId, purpose: 'wallet_deposit', phone: notes.phone };
+  }
+  if (notes.jobId && notes.workerPhone) {
+    return { orderId, purpose: 'job_payment', jobId: notes.jobId, workerPhone: notes.workerPhone };
+  }
+  return null;
+}
+
+async function markOrderPaid(orderId, paymentId, via) {
+  if (!orderId) return;
+  await PaymentOrder.updateOne(
+    { orderId, status: { $ne: 'paid' } },
+    { $set: { status: 'paid', paymentId, paidAt: new Date(), settledVia: via } }
+  );
+}
+
+// Week a job payment is paid out in (weekly payout batches)
+function getPayoutWeek(date = new Date()) {
+  const week = Math.ceil((date.getDate() + new Date(date.getFullYear(), 0, 1).getDay()) / 7);
+  const startDate = new Date(date);
+  startDate.setDate(date.getDate() - date.getDay());
+  const endDate = new Date(startDate);
+  endDate.setDate(startDate.getDate() + 6);
+  return { year: date.getFullYear(), week, startDate, endDate };
+}
+
+/**
+ * Credit a wallet deposit paid through Razorpay
+ * @param {Object} payment - { orderId, paymentId, phone, amount, via }
+ * @returns {Promise<Object>} { credited, walletBalance } (credited false if already booked)
+ */
+async function settleDeposit(payment) {
+  const { orderId, paymentId, phone, amount, via = 'client' } = payment;
+  const { duplicate } = await creditDeposit(phone, amount, {
+    orderId,
+    paymentId,
+    description: 'Wallet deposit via Razorpay',
+    dedupeKey: paymentDedupeKey(paymentId),
+  });
+  await markOrderPaid(orderId, paymentId, via);
+
+  if (!duplicate) {
+    await ActivityLog.create({
+      userId: phone,
+      phone,
+      action: 'wallet_deposit',
+      description: `Deposited ₹${amount} via Razorpay`,
+      status: 'success',
+      metadata: { amount, orderId, paymentId, via },
+    });
+    console.log(`✅ Wallet updated: ${phone} deposited ₹${amount} (${via})`);
+  }
+  return { credited: !duplicate, walletBalance: await getWalletBalance(phone) };
+}
+
+/**
+ * Pay a worker for a job the contractor paid through Razorpay. The payment is deposited
+ * in the contractor's wallet (once per payment id) and the worker is then paid exactly like
+ * a wallet payment (services/jobPayment.js): same checks, escrow release, platform fee and
+ * status change. If the worker can't be paid - already paid, job cancelled, amount not
+ * confirmed - the money stays in the contractor's wallet.
+ * @param {Object} payment - { orderId, paymentId, jobId, workerPhone, amount, via, createdBy }
+ * @param {Object} options - { io } to notify the worker live
+ * @returns {Promise<Object>} { paid, workerPhone, walletBalance, notificationId }, { paid: false, reason }
+ *   when the worker couldn't be paid, or { error, statusCode }
+ */
+async function settleJobPayment(payment, options = {}) {
+  const { orderId, paymentId, jobId, amount, via = 'client', createdBy = 'system' } = payment;
+  const job = await Job.findById(jobId);
+  if (!job) return { error: 'Job not found', statusCode: 404 };
+
+  const { duplicate } = await creditDeposit(job.contractorPhone, amount, {
+    orderId,
+    paymentId,
+    description: `Razorpay payment for: ${job.title}`,
+    createdBy,
+    dedupeKey: paymentDedupeKey(paymentId),
+  });
+  await markOrderPaid(orderId, paymentId, via);
+
+  const assignment = getAssignment(job, payment.workerPhone);
+  const workerPhone = assignment?.acceptedBy;
+  const paid = workerPhone
+    ? await payWorker(job, assignment, {
+      mode: 'razorpay',
+      actor: { phone: job.contractorPhone, name: job.contractorName, role: 'contractor' },
+      createdBy,
+    })
+    : { error: 'The worker on this payment no longer holds the job' };
+
+  if (paid.error) {
+    // The same payment reported again: the first report paid (or is paying) the worker
+    if (duplicate && paid.statusCode === 409) {
+      return { paid: false, workerPhone, walletBalance: await getWalletBalance(workerPhone) };
+    }
+    console.warn(`⚠️ Razorpay payment ${paymentId} for job ${jobId} kept in ${job.contractorPhone}'s wallet: ${paid.error}`);
+    return { paid: false, reason: `${paid.error}. The ₹${amount} paid was added to your wallet.` };
+  }
+  const { escrow } = paid;
+
+  const earning = await WorkerEarnings.create({
+    workerPhone,
+    jobId,
+    amount: escrow.workerAmount,
+    status: 'earned',
+    earnedAt: new Date(),
+    payoutWeek: getPayoutWeek(),
+    contractorName: job.contractorName,
+    contractorPhone: job.contractorPhone,
+    jobTitle: job.title,
+  });
+  console.log(`💰 WorkerEarnings record created:`, earning._id);
+
+  const walletBalance = await getWalletBalance(workerPhone);
+  console.log(`✅ Worker wallet updated: ${workerPhone} received ₹${escrow.workerAmount} (${via})`);
+
+  await ActivityLog.create({
+    userId: workerPhone,
+    phone: workerPhone,
+    action: 'payment_received',
+    description: `Received ₹${escrow.workerAmount} for job: ${job.title}`,
+    jobId: String(jobId),
+    status: 'success',
+    metadata: { amount: escrow.workerAmount, orderId, paymentId, via },
+  });
+
+  const notification = await NotificationHistory.create({
+    recipientPhone: workerPhone,
+    type: 'payment_received',
+    title: 'Payment Received',
+    body: `You received ₹${escrow.workerAmount} for job: ${job.title} (₹${escrow.paidAmount} less ₹${escrow.platformFee} platform fee)`,
+    isRead: false,
+    timestamp: new Date(),
+  });
+
+  if (options.io) {
+    const room = options.io.to(`user:${workerPhone}`);
+    room.emit('walletUpdated', { phone: workerPhone, balance: walletBalance, message: `Payment received: ₹${escrow.workerAmount}` });
+    room.emit('notificationReceived', { recipientPhone: workerPhone, notification });
+  }
+  console.log(`📬 Notification created for ${workerPhone}:`, notification._id);
+
+  return { paid: true, workerPhone, walletBalance, notificationId: notification._id };
+}
+
+/**
+ * Settle a captured payment reported by the webhook
+ * @param {Object} entity - Razorpay payment entity
+ * @param {Object} options - { io }
+ * @returns {Promise<Object>} { outcome } or { error }
+ */
+async function settleCapturedPayment(entity, options = {}) {
+  const order = await findOrder(entity.order_id, entity.notes);
+  if (!order) return { outcome: `No order on record for ${entity.order_id || entity.id} - not settled` };
+  // Same rule as the verify routes: only a payment of exactly the recorded amount is credited
+  if (order.amount !== undefined && toPaise(order.amount) !== entity.amount) {
+    return { error: `Captured ${entity.amount} paise but order ${entity.order_id} is for ${toPaise(order.amount)} paise` };
+  }
+
+  const payment = {
+    orderId: entity.order_id,
+    paymentId: entity.id,
+    amount: toRupees(entity.amount),
+    via: 'webhook',
+  };
+
+  if (order.purpose === 'wallet_deposit') {
+    const { credited } = await settleDeposit({ ...payment, phone: order.phone });
+    return { outcome: credited ? `Deposit credited to ${order.phone}` : 'Deposit already credited' };
+  }
+
+  const result = await settleJobPayment(
+    { ...payment, jobId: order.jobId, workerPhone: order.workerPhone, createdBy: order.phone || 'system' },
+    options
+  );
+  if (result.error) return { error: result.error };
+  if (result.reason) return { outcome: `Kept in the contractor's wallet: ${result.reason}` };
+  return { outcome: result.paid ? `Job payment made to ${result.workerPhone}` : 'Job payment already made' };
+}
+
+/**
+ * Record a failed payment attempt on its order (the order stays payable, nothing is booked)
+ */
+async function markPaymentFailed(entity) {
+  const reason = entity.error_description || entity.error_reason || 'Payment failed';
+  const result = await PaymentOrder.updateOne(
+    { orderId: entity.order_id, status: { $ne: 'paid' } },
+    { $set: { status: 'failed', paymentId: entity.id, failureReason: reason, failedAt: new Date() } }
+  );
+  console.log(`⚠️ Razorpay payment ${entity.id} failed: ${reason}`);
+  return { outcome: result.modifiedCount ? `Order ${entity.order_id} marked failed` : 'Order already paid or unknown' };
+}
+
+/**
+ * Book a processed refund: deposits and job payments both went into the payer's wallet,
+ * so the refund is taken back out of it
+ * @param {Object} entity - Razorpay refund entity
+ */
+async function applyRefund(entity) {
+  const order = await PaymentOrder.findOne({ paymentId: entity.payment_id }).lean();
+  const amount = toRupees(entity.amount);
+  const fromWallet = Boolean(order?.phone);
+
+  const result = await recordGatewayRefund({
+    phone: order?.phone,
+    amount,
+    fromWallet,
+    orderId: order?.orderId,
+    paymentId: entity.payment_id,
+    description: order?.purpose === 'wallet_deposit' ? 'Deposit refunded to bank' : `Refund of payment ${entity.payment_id}`,
+    dedupeKey: refundDedupeKey(entity.id),
+  });
+  if (result.duplicate) return { outcome: 'Refund already booked' };
+
+  if (order) {
+    await PaymentOrder.updateOne(
+      { _id: order._id },
+      { $push: { refunds: { refundId: entity.id, amount, processedAt: new Date() } } }
+    );
+    await ActivityLog.create({
+      userId: order.phone,
+      phone: order.phone,
+      action: 'refund_processed',
+      description: `Refund of ₹${amount} processed by Razorpay`,
+      jobId: order.jobId,
+      status: 'success',
+      metadata: { amount, refundId: entity.id, paymentId: entity.payment_id, fromWallet: result.fromWallet },
+    });
+  }
+  console.log(`↩️ Razorpay refund ${entity.id}: ₹${amount} for payment ${entity.payment_id}${result.fromWallet ? ` from ${order.phone}'s wallet` : ' booked to suspense'}`);
+  return { outcome: result.fromWallet ? `₹${amount} taken from ${order.phone}'s wallet` : `₹${amount} booked to suspense` };
+}
+
+module.exports = {
+  recordOrder,
+  findOrder,
+  getPayoutWeek,
+  settleDeposit,
+  settleJobPayment,
+  settleCapturedPayment,
+  markPaymentFailed,
+  applyRefund,
+};
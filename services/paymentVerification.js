@@ -0,0 +1,58 @@
+/**
+ * Payment Verification
+ * Checks a payment the app reports after Checkout before anything is credited. Nothing
+ * the client sends is trusted beyond the ids: the signature must match, the order must be
+ * one we recorded for this user and purpose, and Razorpay must confirm the payment was
+ * captured against that order for the full recorded amount. What gets credited (and to
+ * whom) comes from our order record - see services/paymentSettlement.js.
+ */
+
+const PaymentOrder = require('../models/PaymentOrder');
+const { toPaise } = require('./ledger');
+const { getRazorpayClient } = require('./razorpayClient');
+
+/**
+ * @param {Object} request - { orderId, paymentId, signature, phone, purpose }
+ *   phone: the authenticated user; purpose: 'wallet_deposit' | 'job_payment'
+ * @returns {Promise<Object>} { order, payment } (our PaymentOrder and Razorpay's payment entity)
+ *   or { error, statusCode }
+ */
+async function verifyPayment({ orderId, paymentId, signature, phone, purpose }) {
+  if (!orderId || !paymentId || !signature) {
+    return { error: 'orderId, paymentId and signature are required', statusCode: 400 };
+  }
+
+  const client = getRazorpayClient();
+  if (!client.verifyPaymentSignature({ orderId, paymentId, signature })) {
+    return { error: 'Invalid payment signature', statusCode: 400 };
+  }
+
+  const order = await PaymentOrder.findOne({ orderId }).lean();
+  if (!order || order.purpose !== purpose) return { error: 'Payment order not found', statusCode: 404 };
+  if (order.phone !== phone) return { error: 'This payment order belongs to another user', statusCode: 403 };
+
+  let gatewayOrder;
+  let payment;
+  try {
+    [gatewayOrder, payment] = await Promise.all([client.fetchOrder(orderId), client.fetchPayment(paymentId)]);
+  } catch (err) {
+    console.error(`❌ Razorpay lookup failed for ${orderId}/${paymentId}:`, err.error?.description || err.message);
+    return { error: 'Could not confirm the payment with Razorpay, please retry', statusCode: 502 };
+  }
+
+  if (payment.order_id !== orderId) return { error: 'Payment does not belong to this order', statusCode: 400 };
+  if (payment.status !== 'captured') {
+    return { error: `Payment is ${payment.status}, not captured yet`, statusCode: 409 };
+  }
+  const expectedPaise = toPaise(order.amount);
+  if (gatewayOrder.amount !== expectedPaise || payment.amount !== expectedPaise) {
+    console.error(`❌ Amount mismatch on ${orderId}: recorded ${expectedPaise}, order ${gatewayOrder.amount}, payment ${payment.amount} paise`);
+    return { error: 'Payment amount does not match the order', statusCode: 400 };
+  }
+
+  return { order, payment };
+}
+
+module.exports = {
+  verifyPayment,
+};
@@ -0,0 +1,404 @@
+/**
+ * Payout Processor
+ * Pays a weekly PayoutBatch out to workers' bank accounts through the payout provider
+ * (services/payoutProvider.js):
+ *   batch:  pending -> processing -> completed | partially_failed
+ *   line:   pending -> processing -> success | failed -> (retry) ... -> manual_review
+ * Each worker line is sent on its own. A failed line is retried automatically with backoff
+ * (PAYOUT_RETRY_MINUTES, doubling) until PAYOUT_MAX_ATTEMPTS, then left for manual review;
+ * an admin can retry failed and manual_review lines at any time. Only the earnings of a
+ * line the provider reports as processed are marked payout_completed.
+ *
+ * Workers are paid from their wallet: each attempt first moves the line's amount from
+ * "user:<phone>" to payout clearing (a guarded debit, so a wallet that was spent since
+ * can't be paid out again). A processed attempt moves it on from clearing to the gateway
+ * (the money has left the platform); a failed or reversed attempt puts it back in the wallet.
+ *
+ * A line is claimed with a conditional update before it is sent (status + attempt count),
+ * so concurrent runs (admin click, scheduler, webhook) never send the same attempt twice,
+ * and each attempt's referenceId is the provider's idempotency key.
+ *
+ * Config:
+ * - PAYOUT_MAX_ATTEMPTS (default 3)
+ * - PAYOUT_RETRY_MINUTES (default 30) - wait before the first automatic retry
+ */
+
+const PayoutBatch = require('../models/PayoutBatch');
+const WorkerEarnings = require('../models/WorkerEarnings');
+const BankAccount = require('../models/BankAccount');
+const NotificationHistory = require('../models/NotificationHistory');
+const { toPaise } = require('./ledger');
+const { getPayoutProvider } = require('./payoutProvider');
+const { holdPayout, settlePayout, returnPayout } = require('./walletOperations');
+
+const envNumber = (name, fallback) => (process.env[name] !== undefined && Number.isFinite(Number(process.env[name])) ? Number(process.env[name]) : fallback);
+
+const PAYOUT_MAX_ATTEMPTS = envNumber('PAYOUT_MAX_ATTEMPTS', 3);
+const PAYOUT_RETRY_MINUTES = envNumber('PAYOUT_RETRY_MINUTES', 30);
+const SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const STALE_SEND_MS = 10 * 60 * 1000; // a line "processing" this long with no payout id was never sent (crash)
+
+const PAID_STATUSES = ['processed'];
+const FAILED_STATUSES = ['failed', 'rejected', 'reversed'];
+const SENDABLE_BATCH_STATUSES = ['pending', 'processing', 'partially_failed', 'failed'];
+
+let payoutSchedulerRunning = false;
+let sweepInProgress = false;
+
+/**
+ * Update one line of a batch if it still matches `condition`
+ * @returns {Promise<Boolean>} true if the line was updated
+ */
+async function updateLine(batchId, lineId, condition, fields, unset = []) {
+  const update = { $set: {} };
+  Object.entries(fields).forEach(([key, value]) => { update.$set[`workers.$.${key}`] = value; });
+  if (unset.length) update.$unset = Object.fromEntries(unset.map((key) => [`workers.$.${key}`, '']));
+  const result = await PayoutBatch.updateOne({ _id: batchId, workers: { $elemMatch: { _id: lineId, ...condition } } }, update);
+  return result.modifiedCount === 1;
+}
+
+async function loadBankDetails(workerPhone) {
+  const account = await BankAccount.findOne({ phone: workerPhone, isVerified: true }).lean();
+  if (!account) return null;
+  return {
+    accountName: account.accountHolderName,
+    accountNumber: account.accountNumber,
+    ifscCode: account.ifscCode,
+    bankName: account.bankName,
+  };
+}
+
+function retryDelayMs(attempts) {
+  return PAYOUT_RETRY_MINUTES * 60 * 1000 * 2 ** Math.max(attempts - 1, 0);
+}
+
+// Earnings a line pays: the ones recorded on it, or (older batches) the worker's earnings for the week
+function earningsFilter(batch, line) {
+  if (line.earningIds?.length) return { _id: { $in: line.earningIds } };
+  return { workerPhone: line.workerPhone, 'payoutWeek.year': batch.payoutWeek.year, 'payoutWeek.week': batch.payoutWeek.week };
+}
+
+async function markEarningsPaid(batch, line, payout, bankDetails) {
+  await WorkerEarnings.updateMany(
+    { ...earningsFilter(batch, line), status: { $in: ['earned', 'payout_requested'] } },
+    {
+      $set: {
+        status: 'payout_completed',
+        payoutCompletedAt: new Date(),
+        payoutDetails: { batchId: batch.batchId, transactionId: payout.id, bankDetails: bankDetails || line.bankDetails },
+      },
+    }
+  );
+
+  await NotificationHistory.create({
+    recipientPhone: line.workerPhone,
+    type: 'payout_completed',
+    title: 'Payout Completed',
+    body: `You received ₹${line.netAmount} in your bank account. Transaction ID: ${payout.utr || payout.id}`,
+    isRead: false,
+    timestamp: new Date(),
+  });
+}
+
+/**
+ * Record what the provider said about a line's payout
+ * @param {Object} batch
+ * @param {Object} line - the line as it was sent (attempts = the attempt this payout belongs to)
+ * @param {Object} payout - { id, status, utr, failureReason }
+ * @param {Object} condition - matches the line only while it still belongs to this payout
+ * @returns {Promise<String>} the line's new status, or null if the line had moved on
+ */
+async function applyOutcome(batch, line, payout, condition, bankDetails) {
+  const now = new Date();
+
+  if (PAID_STATUSES.includes(payout.status)) {
+    const updated = await updateLine(batch._id, line._id, { ...condition, status: { $ne: 'success' } }, {
+      status: 'success',
+      transactionId: payout.id,
+      utr: payout.utr,
+      paidAt: now,
+    }, ['failureReason', 'nextRetryAt']);
+    if (!updated) return null;
+    await settlePayout(line.referenceId, { description: `Payout ${payout.id} to ${line.workerPhone}` });
+    await markEarningsPaid(batch, line, payout, bankDetails);
+    console.log(`💸 Payout ${batch.batchId}: ₹${line.netAmount} to ${line.workerPhone} paid (${payout.id})`);
+    return 'success';
+  }
+
+  if (FAILED_STATUSES.includes(payout.status)) {
+    const reason = payout.failureReason || `Payout ${payout.status}`;
+    const attempts = line.attempts || 0;
+    // rejected: the provider refused the request itself (e.g. invalid account) - retrying won't help
+    const outOfRetries = attempts >= PAYOUT_MAX_ATTEMPTS || payout.status === 'rejected';
+    const status = outOfRetries ? 'manual_review' : 'failed';
+    const updated = await updateLine(batch._id, line._id, condition, {
+      status,
+      failureReason: reason,
+      ...(payout.id && { transactionId: payout.id }),
+      ...(!outOfRetries && { nextRetryAt: new Date(now.getTime() + retryDelayMs(attempts)) }),
+    }, outOfRetries ? ['nextRetryAt', 'paidAt'] : ['paidAt']);
+    if (!updated) return null;
+
+    await returnPayout(line.referenceId, { description: `Payout returned: ${reason}` });
+    // A reversed payout came back to us - the worker is owed again
+    if (payout.id) {
+      await WorkerEarnings.updateMany(
+        { 'payoutDetails.transactionId': payout.id, status: 'payout_completed' },
+        { $set: { status: 'earned' }, $unset: { payoutCompletedAt: '' } }
+      );
+    }
+    console.warn(`⚠️ Payout ${batch.batchId}: ${line.workerPhone} ${status} after attempt ${attempts} - ${reason}`);
+    return status;
+  }
+
+  // queued / pending / processing: wait for the webhook or the next sweep
+  if (payout.id) await updateLine(batch._id, line._id, condition, { status: 'processing', transactionId: payout.id });
+  return 'processing';
+}
+
+/**
+ * Send one line to the provider as a new attempt (or resend an attempt that never got a reply)
+ * @param {Object} options - { resend } reuse the line's current attempt and referenceId
+ */
+async function sendLine(batch, line, { resend = false } = {}) {
+  const now = new Date();
+  const previous = line.attempts || 0; // lines from before retries have no count
+  const attempts = resend ? previous : previous + 1;
+  const referenceId = resend ? line.referenceId : `${batch.batchId}-${line._id.toString().slice(-8)}-${attempts}`;
+
+  // Claim the line as it is now, so nobody else sends this attempt
+  // (null also matches a missing field)
+  const claimed = await updateLine(batch._id, line._id, { status: line.status, attempts: line.attempts ?? null, lastAttemptAt: line.lastAttemptAt || null }, {
+    status: 'processing',
+    attempts,
+    referenceId,
+    lastAttemptAt: now,
+  }, resend ? [] : ['transactionId', 'utr']);
+  if (!claimed) return null;
+
+  const sent = { ...line, attempts, referenceId };
+  const condition = { referenceId };
+  if (!(line.netAmount > 0)) {
+    await updateLine(batch._id, line._id, condition, { status: 'manual_review', failureReason: 'Nothing to pay' });
+    return 'manual_review';
+  }
+  const bankDetails = await loadBankDetails(line.workerPhone);
+  if (!bankDetails) {
+    await updateLine(batch._id, line._id, condition, { status: 'manual_review', failureReason: 'Worker has no verified bank account' }, ['nextRetryAt']);
+    return 'manual_review';
+  }
+  await updateLine(batch._id, line._id, condition, { bankDetails });
+
+  const hold = await holdPayout(line.workerPhone, line.netAmount, { referenceId, batchId: batch.batchId, description: `Payout ${batch.batchId}` });
+  if (hold.error) {
+    await updateLine(batch._id, line._id, condition, {
+      status: 'manual_review',
+      failureReason: `Wallet balance ₹${hold.balance} does not cover the payout`,
+    }, ['nextRetryAt']);
+    return 'manual_review';
+  }
+
+  let payout;
+  try {
+    payout = await getPayoutProvider().createPayout({
+      referenceId,
+      amount: toPaise(line.netAmount),
+      workerPhone: line.workerPhone,
+      bankDetails,
+      narration: `Weekly payout ${batch.batchId}`.slice(0, 30),
+    });
+  } catch (err) {
+    // Provider unreachable or refused the request - counts as a failed attempt
+    const reason = err.response?.data?.error?.description || err.message;
+    payout = { status: 'failed', failureReason: reason };
+  }
+  return applyOutcome(batch, sent, payout, condition, bankDetails);
+}
+
+/**
+ * Ask the provider about a line that is waiting on it
+ */
+async function pollLine(batch, line) {
+  const payout = await getPayoutProvider().fetchPayout(line.transactionId);
+  return applyOutcome(batch, line, payout, { transactionId: line.transactionId, status: 'processing' });
+}
+
+/**
+ * What a run should do with each line right now
+ * @returns {Array} [{ line, action: 'send' | 'resend' | 'poll' }]
+ */
+function planLines(batch, now = new Date()) {
+  return batch.workers.flatMap((line) => {
+    if (line.status === 'pending') return [{ line, action: 'send' }];
+    if (line.status === 'failed' && (line.attempts || 0) < PAYOUT_MAX_ATTEMPTS && (!line.nextRetryAt || line.nextRetryAt <= now)) {
+      return [{ line, action: 'send' }];
+    }
+    if (line.status === 'processing') {
+      if (line.transactionId) return [{ line, action: 'poll' }];
+      if (line.lastAttemptAt && now - line.lastAttemptAt > STALE_SEND_MS) return [{ line, action: 'resend' }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Set the batch status from its lines
+ */
+async function finalizeBatch(batchId) {
+  const batch = await PayoutBatch.findById(batchId).select('workers.status').lean();
+  const statuses = batch.workers.map((w) => w.status);
+  let status = 'partially_failed';
+  if (statuses.some((s) => ['pending', 'processing'].includes(s))) status = 'processing';
+  else if (statuses.every((s) => s === 'success')) status = 'completed';
+
+  await PayoutBatch.updateOne(
+    { _id: batchId, status: { $ne: 'cancelled' } },
+    { $set: { status, ...(status === 'completed' && { completedAt: new Date() }) } }
+  );
+  return status;
+}
+
+function summarize(batch) {
+  const counts = {};
+  batch.workers.forEach((w) => { counts[w.status] = (counts[w.status] || 0) + 1; });
+  return {
+    batchId: batch.batchId,
+    status: batch.status,
+    totalAmount: batch.totalAmount,
+    totalWorkers: batch.totalWorkers,
+    lines: counts,
+    processedAt: batch.processedAt,
+    completedAt: batch.completedAt,
+  };
+}
+
+async function runLines(batch, plan) {
+  for (const { line, action } of plan) {
+    try {
+      if (action === 'poll') await pollLine(batch, line);
+      else await sendLine(batch, line, { resend: action === 'resend' });
+    } catch (err) {
+      // Leave the line as it is; the next run picks it up again
+      console.error(`❌ Payout ${batch.batchId}: ${line.workerPhone} (${action}) failed:`, err.message);
+    }
+  }
+}
+
+/**
+ * Pay out a batch: send pending lines, retry failed lines that are due, check on lines
+ * waiting for the provider
+ * @param {String} batchId
+ * @param {Object} options - { processedBy }
+ * @returns {Promise<Object>} { batch } (summary) or { error, statusCode }
+ */
+async function processBatch(batchId, { processedBy } = {}) {
+  const batch = await PayoutBatch.findOne({ batchId }).lean();
+  if (!batch) return { error: 'Payout batch not found', statusCode: 404 };
+  if (!SENDABLE_BATCH_STATUSES.includes(batch.status)) {
+    return { error: `Payout batch is ${batch.status}`, statusCode: 409 };
+  }
+  getPayoutProvider(); // fail before touching the batch if payouts aren't configured
+
+  const plan = planLines(batch);
+  if (plan.length) {
+    await PayoutBatch.updateOne(
+      { _id: batch._id, status: { $in: SENDABLE_BATCH_STATUSES } },
+      { $set: { status: 'processing', processedAt: batch.processedAt || new Date(), ...(processedBy && { processedBy }) } }
+    );
+    await runLines(batch, plan);
+  }
+  await finalizeBatch(batch._id);
+
+  const updated = await PayoutBatch.findById(batch._id).lean();
+  console.log(`💸 Payout batch ${batchId}: ${updated.status} (${plan.length} line(s) handled)`);
+  return { batch: summarize(updated) };
+}
+
+/**
+ * Send failed lines again now, ignoring the backoff (and the attempt limit for manual_review lines)
+ * @param {Object} options - { workerPhones (default: all), includeManualReview, processedBy }
+ * @returns {Promise<Object>} { batch, retried } or { error, statusCode }
+ */
+async function retryLines(batchId, { workerPhones, includeManualReview = false, processedBy } = {}) {
+  const batch = await PayoutBatch.findOne({ batchId }).lean();
+  if (!batch) return { error: 'Payout batch not found', statusCode: 404 };
+  if (!SENDABLE_BATCH_STATUSES.includes(batch.status)) {
+    return { error: `Payout batch is ${batch.status}`, statusCode: 409 };
+  }
+  getPayoutProvider();
+
+  const statuses = includeManualReview ? ['failed', 'manual_review'] : ['failed'];
+  const plan = batch.workers
+    .filter((line) => statuses.includes(line.status) && (!workerPhones?.length || workerPhones.includes(line.workerPhone)))
+    .map((line) => ({ line, action: 'send' }));
+  if (!plan.length) return { error: 'No lines to retry', statusCode: 400 };
+
+  await PayoutBatch.updateOne(
+    { _id: batch._id, status: { $in: SENDABLE_BATCH_STATUSES } },
+    { $set: { status: 'processing', ...(processedBy && { processedBy }) } }
+  );
+  await runLines(batch, plan);
+  await finalizeBatch(batch._id);
+
+  return { batch: summarize(await PayoutBatch.findById(batch._id).lean()), retried: plan.length };
+}
+
+/**
+ * Apply a payout status pushed by the provider (webhook)
+ * @param {Object} payout - { id, status, utr, failureReason }
+ * @returns {Promise<Object>} { ignored, outcome }
+ */
+async function applyProviderUpdate(payout) {
+  const batch = await PayoutBatch.findOne({ 'workers.transactionId': payout.id }).lean();
+  if (!batch) return { ignored: true, outcome: `No payout batch line for ${payout.id}` };
+  const line = batch.workers.find((w) => w.transactionId === payout.id);
+
+  if (![...PAID_STATUSES, ...FAILED_STATUSES].includes(payout.status)) {
+    return { ignored: true, outcome: `Payout ${payout.id} is ${payout.status}` };
+  }
+  // reversed can follow processed, so a successful line may still change
+  const status = await applyOutcome(batch, line, payout, { transactionId: payout.id });
+  if (!status) return { ignored: true, outcome: `Payout ${payout.id} already recorded` };
+
+  await finalizeBatch(batch._id);
+  return { outcome: `Payout ${payout.id} to ${line.workerPhone}: ${status}` };
+}
+
+/**
+ * Retry due lines and check on pending payouts for every batch in flight
+ */
+async function sweepPayouts() {
+  if (sweepInProgress) return;
+  sweepInProgress = true;
+  try {
+    const batches = await PayoutBatch.find({ status: { $in: ['processing', 'partially_failed'] } }).select('batchId workers').lean();
+    for (const batch of batches) {
+      if (planLines(batch).length) await processBatch(batch.batchId);
+    }
+  } catch (err) {
+    console.error('[Payouts] Sweep error:', err.message);
+  } finally {
+    sweepInProgress = false;
+  }
+}
+
+/**
+ * Start the payout sweep (every 10 minutes)
+ */
+function startPayoutScheduler() {
+  if (payoutSchedulerRunning) {
+    console.log('[Payouts] Scheduler already running');
+    return;
+  }
+  payoutSchedulerRunning = true;
+  console.log('[Payouts] 🚀 Starting scheduler (interval: 10 minutes)...');
+  setInterval(sweepPayouts, SWEEP_INTERVAL);
+}
+
+module.exports = {
+  PAYOUT_MAX_ATTEMPTS,
+  processBatch,
+  retryLines,
+  applyProviderUpdate,
+  startPayoutScheduler,
+};
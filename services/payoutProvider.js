@@ -0,0 +1,151 @@
+/**
+ * Payout Provider
+ * Sends money to a worker's bank account. The payout processor only uses this interface,
+ * so the provider can be swapped (RazorpayX in production, the simulator elsewhere):
+ *   name
+ *   createPayout({ referenceId, amount (paise), workerPhone, bankDetails, narration }) -> payout
+ *   fetchPayout(payoutId) -> payout
+ * where payout = { id, status, utr, failureReason } and status is one of
+ * queued | pending | processing | processed | failed | rejected | reversed (RazorpayX statuses).
+ * referenceId is unique per attempt and doubles as the idempotency key, so resending the
+ * same attempt after a crash can't pay twice.
+ *
+ * Config:
+ * - PAYOUT_PROVIDER: "razorpayx" (default) or "simulator" (refused when NODE_ENV=production)
+ * - RAZORPAYX_ACCOUNT_NUMBER: the RazorpayX account payouts are made from
+ * - RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET: API keys (shared with payments)
+ * - PAYOUT_MODE: transfer mode, default IMPS
+ */
+
+const axios = require('axios');
+
+const RAZORPAYX_API = 'https://api.razorpay.com/v1';
+
+function createRazorpayXProvider({ keyId, keySecret, accountNumber, mode = 'IMPS' }) {
+  const api = axios.create({
+    baseURL: RAZORPAYX_API,
+    auth: { username: keyId, password: keySecret },
+    timeout: 30000,
+  });
+  const toPayout = (data) => ({
+    id: data.id,
+    status: data.status,
+    utr: data.utr || undefined,
+    failureReason: data.status_details?.description || data.failure_reason || undefined,
+  });
+
+  return {
+    name: 'razorpayx',
+
+    async createPayout({ referenceId, amount, workerPhone, bankDetails, narration }) {
+      const { data } = await api.post('/payouts', {
+        account_number: accountNumber,
+        amount,
+        currency: 'INR',
+        mode,
+        purpose: 'payout',
+        queue_if_low_balance: true,
+        reference_id: referenceId,
+        narration,
+        fund_account: {
+          account_type: 'bank_account',
+          bank_account: {
+            name: bankDetails.accountName,
+            ifsc: bankDetails.ifscCode,
+            account_number: bankDetails.accountNumber,
+          },
+          contact: { name: bankDetails.accountName, contact: workerPhone, type: 'employee', reference_id: workerPhone },
+        },
+      }, { headers: { 'X-Payout-Idempotency': referenceId } });
+      return toPayout(data);
+    },
+
+    async fetchPayout(payoutId) {
+      const { data } = await api.get(`/payouts/${payoutId}`);
+      return toPayout(data);
+    },
+  };
+}
+
+/**
+ * Local stand-in for RazorpayX. The outcome depends on the account number, so every
+ * path can be exercised by hand:
+ * - ending in 0000: rejected (invalid account)
+ * - ending in 1111: fails on the first attempt, succeeds on retries
+ * - ending in 2222: stays processing until fetched (like a slow bank)
+ * - anything else: processed immediately
+ */
+function createPayoutSimulator() {
+  const payouts = new Map();
+  const byReference = new Map();
+  const attemptsByAccount = new Map();
+  let sequence = 0;
+
+  return {
+    name: 'simulator',
+
+    async createPayout({ referenceId, amount, bankDetails }) {
+      if (byReference.has(referenceId)) return { ...payouts.get(byReference.get(referenceId)) }; // idempotent
+
+      const account = String(bankDetails?.accountNumber || '');
+      const attempt = (attemptsByAccount.get(account) || 0) + 1;
+      attemptsByAccount.set(account, attempt);
+
+      const id = `pout_sim${Date.now().toString(36)}${(sequence += 1)}`;
+      let payout = { id, amount, status: 'processed', utr: `SIMUTR${sequence}` };
+      if (account.endsWith('0000')) payout = { id, amount, status: 'rejected', failureReason: 'Invalid beneficiary account number' };
+      else if (account.endsWith('1111') && attempt === 1) payout = { id, amount, status: 'failed', failureReason: 'Beneficiary bank was offline' };
+      else if (account.endsWith('2222')) payout = { id, amount, status: 'processing' };
+
+      payouts.set(id, payout);
+      byReference.set(referenceId, id);
+      return { ...payout };
+    },
+
+    async fetchPayout(payoutId) {
+      const payout = payouts.get(payoutId);
+      if (!payout) throw new Error(`Payout ${payoutId} does not exist`);
+      if (payout.status === 'processing') Object.assign(payout, { status: 'processed', utr: `SIMUTR${payoutId.slice(-4)}` });
+      return { ...payout };
+    },
+  };
+}
+
+let provider = null;
+
+function createProviderFromConfig() {
+  const name = process.env.PAYOUT_PROVIDER || 'razorpayx';
+  if (name === 'simulator') {
+    if (process.env.NODE_ENV === 'production') throw new Error('PAYOUT_PROVIDER=simulator is not allowed in production');
+    console.log('🧪 Payouts: using the payout simulator');
+    return createPayoutSimulator();
+  }
+  if (name !== 'razorpayx') throw new Error(`Unknown PAYOUT_PROVIDER "${name}" (expected "razorpayx" or "simulator")`);
+
+  const { RAZORPAY_KEY_ID: keyId, RAZORPAY_KEY_SECRET: keySecret, RAZORPAYX_ACCOUNT_NUMBER: accountNumber } = process.env;
+  if (!keyId || !keySecret || !accountNumber) {
+    throw new Error('Payouts are not configured: set RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAYX_ACCOUNT_NUMBER');
+  }
+  return createRazorpayXProvider({ keyId, keySecret, accountNumber, mode: process.env.PAYOUT_MODE });
+}
+
+/**
+ * The configured provider (created on first use)
+ */
+function getPayoutProvider() {
+  if (!provider) provider = createProviderFromConfig();
+  return provider;
+}
+
+/**
+ * Replace the provider (tests, scripts)
+ */
+function setPayoutProvider(replacement) {
+  provider = replacement;
+}
+
+module.exports = {
+  createPayoutSimulator,
+  getPayoutProvider,
+  setPayoutProvider,
+};
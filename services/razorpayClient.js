@@ -0,0 +1,228 @@
+/**
+ * Razorpay Client
+ * The one place the server talks to Razorpay. Routes and services call getRazorpayClient()
+ * and use this small interface instead of the SDK, so the gateway can be swapped for the
+ * in-memory fake in development and tests:
+ *   mode, keyId
+ *   createOrder({ amount (paise), currency, receipt, notes }) -> order entity
+ *   fetchOrder(orderId) -> order entity
+ *   fetchPayment(paymentId) -> payment entity
+ *   verifyPaymentSignature({ orderId, paymentId, signature }) -> Boolean
+ *   listPayments({ from, to }) -> every payment entity created in [from, to)
+ *   listSettlementItems({ from, to }) -> settled transactions for settlement days in [from, to]:
+ *     [{ entityId, type ('payment' | 'refund' | ...), amount, fee, tax (paise), settlementId, settledAt }]
+ * The fake also has capturePayment(orderId), which pays an order the way Checkout would, and
+ * settlePayments(), which settles every captured payment.
+ *
+ * Config (nothing is hardcoded - use Razorpay test keys for their sandbox):
+ * - RAZORPAY_MODE: "live" (default, real API) or "fake" (in-memory, refused when NODE_ENV=production)
+ * - RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET: required in live mode
+ */
+
+const crypto = require('crypto');
+
+const PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toUnix = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Constant-time check of a hex HMAC-SHA256 signature
+ * @param {Buffer|String} body - signed content
+ * @param {String} signature - hex digest to check
+ * @param {String} secret
+ * @returns {Boolean}
+ */
+function signatureMatches(body, signature, secret) {
+  if (!signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  const given = Buffer.from(String(signature), 'utf8');
+  return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected, 'utf8'));
+}
+
+// Read every page of a Razorpay list endpoint
+async function fetchAllPages(fetchPage) {
+  const items = [];
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await fetchPage({ count: PAGE_SIZE, skip });
+    items.push(...(page.items || []));
+    if (!page.items || page.items.length < PAGE_SIZE) return items;
+  }
+}
+
+function createLiveRazorpayClient({ keyId, keySecret }) {
+  const Razorpay = require('razorpay');
+  const razorpay = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+  // Settlement recon is reported per settlement day
+  async function listSettlementItems({ from, to }) {
+    const items = [];
+    for (let day = new Date(from); day <= new Date(to); day = new Date(day.getTime() + DAY_MS)) {
+      const date = { year: day.getFullYear(), month: day.getMonth() + 1, day: day.getDate() };
+      const rows = await fetchAllPages((page) => razorpay.settlements.settlementRecon({ ...date, ...page }));
+      items.push(...rows.map((row) => ({
+        entityId: row.entity_id,
+        type: row.type,
+        amount: row.amount,
+        fee: row.fee,
+        tax: row.tax,
+        settlementId: row.settlement_id,
+        settledAt: row.settled_at ? new Date(row.settled_at * 1000) : null,
+      })));
+    }
+    return items;
+  }
+
+  return {
+    mode: 'live',
+    keyId,
+    createOrder: (params) => razorpay.orders.create(params),
+    fetchOrder: (orderId) => razorpay.orders.fetch(orderId),
+    fetchPayment: (paymentId) => razorpay.payments.fetch(paymentId),
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+      signatureMatches(`${orderId}|${paymentId}`, signature, keySecret),
+    listPayments: ({ from, to }) =>
+      fetchAllPages((page) => razorpay.payments.all({ from: toUnix(from), to: toUnix(to) - 1, ...page })),
+    listSettlementItems,
+  };
+}
+
+/**
+ * In-memory stand-in for Razorpay: orders and payments live in this process only
+ * @param {Object} options - { keySecret } secret the fake signs payments with
+ */
+function createFakeRazorpayClient({ keySecret = 'fake_razorpay_secret' } = {}) {
+  const orders = new Map();
+  const payments = new Map();
+  const settlementItems = [];
+  let sequence = 0;
+  const nextId = (prefix) => `${prefix}_fake${Date.now().toString(36)}${(sequence += 1)}`;
+  const notFound = (what, id) => Object.assign(new Error(`${what} ${id} does not exist`), { statusCode: 400 });
+
+  return {
+    mode: 'fake',
+    keyId: 'rzp_fake',
+
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      const order = {
+        id: nextId('order'),
+        entity: 'order',
+        amount,
+        amount_paid: 0,
+        amount_due: amount,
+        currency,
+        receipt,
+        notes,
+        status: 'created',
+        created_at: Math.floor(Date.now() / 1000),
+      };
+      orders.set(order.id, order);
+      return { ...order };
+    },
+
+    async fetchOrder(orderId) {
+      if (!orders.has(orderId)) throw notFound('Order', orderId);
+      return { ...orders.get(orderId) };
+    },
+
+    async fetchPayment(paymentId) {
+      if (!payments.has(paymentId)) throw notFound('Payment', paymentId);
+      return { ...payments.get(paymentId) };
+    },
+
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+      signatureMatches(`${orderId}|${paymentId}`, signature, keySecret),
+
+    async listPayments({ from, to }) {
+      return [...payments.values()]
+        .filter((p) => p.created_at >= toUnix(from) && p.created_at < toUnix(to))
+        .map((p) => ({ ...p }));
+    },
+
+    async listSettlementItems({ from, to }) {
+      const start = new Date(from).setHours(0, 0, 0, 0);
+      const end = new Date(to).setHours(23, 59, 59, 999);
+      return settlementItems.filter((i) => i.settledAt >= start && i.settledAt <= end).map((i) => ({ ...i }));
+    },
+
+    /**
+     * Settle every captured payment not settled yet (fake fee: 2%)
+     * @returns {Promise<String>} the settlement id
+     */
+    async settlePayments() {
+      const settled = new Set(settlementItems.map((i) => i.entityId));
+      const settlementId = nextId('setl');
+      for (const payment of payments.values()) {
+        if (payment.status !== 'captured' || settled.has(payment.id)) continue;
+        const fee = Math.round(payment.amount * 0.02);
+        settlementItems.push({ entityId: payment.id, type: 'payment', amount: payment.amount, fee, tax: 0, settlementId, settledAt: new Date() });
+      }
+      return settlementId;
+    },
+
+    /**
+     * Pay an order in full
+     * @returns {Promise<Object>} { payment, signature } as Checkout hands them to the app
+     */
+    async capturePayment(orderId, { method = 'upi' } = {}) {
+      const order = orders.get(orderId);
+      if (!order) throw notFound('Order', orderId);
+      const payment = {
+        id: nextId('pay'),
+        entity: 'payment',
+        order_id: orderId,
+        amount: order.amount,
+        currency: order.currency,
+        status: 'captured',
+        captured: true,
+        method,
+        notes: order.notes,
+        created_at: Math.floor(Date.now() / 1000),
+      };
+      payments.set(payment.id, payment);
+      Object.assign(order, { status: 'paid', amount_paid: order.amount, amount_due: 0 });
+
+      const signature = crypto.createHmac('sha256', keySecret).update(`${orderId}|${payment.id}`).digest('hex');
+      return { payment: { ...payment }, signature };
+    },
+  };
+}
+
+let client = null;
+
+function createClientFromConfig() {
+  const mode = process.env.RAZORPAY_MODE || 'live';
+  if (mode === 'fake') {
+    if (process.env.NODE_ENV === 'production') throw new Error('RAZORPAY_MODE=fake is not allowed in production');
+    console.log('🧪 Razorpay: using the in-memory fake gateway');
+    return createFakeRazorpayClient();
+  }
+  if (mode !== 'live') throw new Error(`Unknown RAZORPAY_MODE "${mode}" (expected "live" or "fake")`);
+
+  const { RAZORPAY_KEY_ID: keyId, RAZORPAY_KEY_SECRET: keySecret } = process.env;
+  if (!keyId || !keySecret) throw new Error('Razorpay is not configured: set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET');
+  console.log('✅ Razorpay initialized with Key ID:', keyId.substring(0, 15) + '...');
+  return createLiveRazorpayClient({ keyId, keySecret });
+}
+
+/**
+ * The configured client (created on first use, so a misconfigured gateway fails payment
+ * requests rather than server startup)
+ */
+function getRazorpayClient() {
+  if (!client) client = createClientFromConfig();
+  return client;
+}
+
+/**
+ * Replace the client (tests, scripts)
+ */
+function setRazorpayClient(replacement) {
+  client = replacement;
+}
+
+module.exports = {
+  signatureMatches,
+  createFakeRazorpayClient,
+  getRazorpayClient,
+  setRazorpayClient,
+};
@@ -0,0 +1,135 @@
+/**
+ * Razorpay Webhooks
+ * Verifies and records every delivery to /webhooks/razorpay, then applies it:
+ * - payment.captured  -> settle the payment (wallet deposit or job payment)
+ * - payment.failed    -> mark the order failed
+ * - refund.processed  -> book the refund
+ * - payout.*          -> update the worker's line in the payout batch
+ * Anything else is stored and ignored.
+ *
+ * Razorpay retries until it gets a 2xx and may deliver an event more than once, so each
+ * event is stored once per event id and every handler is idempotent: a redelivery or an
+ * admin replay of a processed event changes nothing.
+ *
+ * Config:
+ * - RAZORPAY_WEBHOOK_SECRET (required) - the secret set on the webhook in the Razorpay dashboard
+ */
+
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const { settleCapturedPayment, markPaymentFailed, applyRefund } = require('./paymentSettlement');
+const { signatureMatches } = require('./razorpayClient');
+const { applyProviderUpdate } = require('./payoutProcessor');
+
+/**
+ * Check X-Razorpay-Signature: hex HMAC-SHA256 of the raw request body with the webhook secret
+ * @param {Buffer|String} rawBody
+ * @param {String} signature
+ * @param {String} secret
+ * @returns {Boolean}
+ */
+function verifySignature(rawBody, signature, secret) {
+  return signatureMatches(rawBody, signature, secret);
+}
+
+/**
+ * Store a verified delivery (once per event id)
+ * @param {Object} delivery - { rawBody (String), signature, eventId }
+ * @returns {Promise<Object>} { event } the stored event, or { error, statusCode } for an unreadable body
+ */
+async function recordEvent({ rawBody, signature, eventId }) {
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (err) {
+    return { error: 'Webhook body is not valid JSON', statusCode: 400 };
+  }
+
+  const id = eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+  const event = await WebhookEvent.findOneAndUpdate(
+    { provider: 'razorpay', eventId: id },
+    {
+      $setOnInsert: { provider: 'razorpay', eventId: id, event: payload.event, rawBody, signature, payload, receivedAt: new Date() },
+      $inc: { deliveries: 1 },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).catch((err) => {
+    if (err.code === 11000) return WebhookEvent.findOne({ provider: 'razorpay', eventId: id }); // concurrent delivery
+    throw err;
+  });
+  return { event };
+}
+
+/**
+ * Update a worker's payout line from a payout.* event. Payouts are matched on the
+ * payout id stored on the batch line when it was sent - see services/payoutProcessor.js
+ */
+async function applyPayoutEvent(eventName, entity) {
+  const status = eventName.slice('payout.'.length); // processed, failed, rejected, reversed, queued...
+  return applyProviderUpdate({
+    id: entity.id,
+    status,
+    utr: entity.utr || undefined,
+    failureReason: entity.status_details?.description || entity.failure_reason || undefined,
+  });
+}
+
+/**
+ * Run the handler for a stored event
+ * @returns {Promise<Object>} { ignored, outcome } or { error }
+ */
+async function dispatch(name, payload, options) {
+  const entity = (key) => payload?.payload?.[key]?.entity;
+
+  switch (name) {
+    case 'payment.captured':
+      return settleCapturedPayment(entity('payment'), options);
+    case 'payment.failed':
+      return markPaymentFailed(entity('payment'));
+    case 'refund.processed':
+      return applyRefund(entity('refund'));
+    default:
+      if (name?.startsWith('payout.')) return applyPayoutEvent(name, entity('payout'));
+      return { ignored: true, outcome: `Event ${name} is not handled` };
+  }
+}
+
+/**
+ * Apply a stored event and record the result on it. Safe to call again for the same event.
+ * @param {Object} event - WebhookEvent document
+ * @param {Object} options - { io }
+ * @returns {Promise<Object>} the updated event
+ */
+async function processEvent(event, options = {}) {
+  let result;
+  try {
+    result = await dispatch(event.event, event.payload, options);
+  } catch (err) {
+    result = { error: err.message };
+  }
+
+  const update = result.error
+    ? { status: 'failed', lastError: result.error }
+    : { status: result.ignored ? 'ignored' : 'processed', outcome: result.outcome, processedAt: new Date(), lastError: null };
+  if (result.error) console.error(`❌ Razorpay webhook ${event.event} (${event.eventId}) failed:`, result.error);
+  else console.log(`🔔 Razorpay webhook ${event.event}: ${result.outcome}`);
+
+  return WebhookEvent.findByIdAndUpdate(event._id, { $set: update, $inc: { attempts: 1 } }, { new: true });
+}
+
+/**
+ * Re-run a stored event (admin replay after a fix, or a failed delivery)
+ * @returns {Promise<Object>} { event } or { error, statusCode }
+ */
+async function replayEvent(id, options = {}) {
+  const event = await WebhookEvent.findById(id);
+  if (!event) return { error: 'Webhook event not found', statusCode: 404 };
+  return { event: await processEvent(event, options) };
+}
+
+module.exports = {
+  verifySignature,
+  recordEvent,
+  processEvent,
+  replayEvent,
+};
@@ -0,0 +1,142 @@
+/**
+ * Tracking Sessions
+ * While a hired worker travels to the job, their location updates are turned
+ * into straight-line distance and an ETA from recent speed, for the job's
+ * contractor only. A session starts on accept, emits "arriving" once the
+ * worker is close and "arrived" when they enter the job geofence, and ends on
+ * arrival, attendance, decline or cancel (or after TRACK_MINUTES).
+ *
+ * Config:
+ * - TRACK_MINUTES:            longest a session forwards locations (default 120)
+ * - TRACKING_ARRIVING_METERS: "worker arriving" within this distance (default 1000)
+ * - TRACKING_ARRIVING_ETA_MINUTES: ...or when the ETA drops below this (default 5)
+ */
+
+const TrackingSession = require('../models/TrackingSession');
+const { getDistanceFromLatLonInKm } = require('../utils/distance');
+const { GEOFENCE_RADIUS_METERS } = require('./attendanceGeofence');
+
+const TRACK_MS = (Number(process.env.TRACK_MINUTES) || 120) * 60 * 1000;
+const ARRIVING_METERS = Number(process.env.TRACKING_ARRIVING_METERS) || 1000;
+const ARRIVING_ETA_SECONDS = (Number(process.env.TRACKING_ARRIVING_ETA_MINUTES) || 5) * 60;
+const SPEED_WINDOW_MS = 5 * 60 * 1000; // speed is averaged over the last 5 minutes of fixes
+const MAX_RECENT_POINTS = 10;
+const MIN_SPEED_SAMPLE_SECONDS = 10;
+const MIN_MOVING_SPEED_MPS = 0.5; // slower than this counts as stopped (no ETA)
+
+const metersBetween = (a, b) => getDistanceFromLatLonInKm(a.lat, a.lon, b.lat, b.lon) * 1000;
+
+/**
+ * Average speed over a set of timestamped points (null when there's too little data)
+ */
+function estimateSpeed(points) {
+  if (points.length < 2) return null;
+  const elapsedSeconds = (new Date(points[points.length - 1].at) - new Date(points[0].at)) / 1000;
+  if (elapsedSeconds < MIN_SPEED_SAMPLE_SECONDS) return null;
+
+  let travelled = 0;
+  for (let i = 1; i < points.length; i++) travelled += metersBetween(points[i - 1], points[i]);
+  return travelled / elapsedSeconds;
+}
+
+/**
+ * Start (or restart) tracking a worker on a job
+ */
+async function startTrackingSession(job, workerPhone) {
+  const now = new Date();
+  return TrackingSession.findOneAndUpdate(
+    { jobId: job._id.toString(), workerPhone },
+    {
+      $set: {
+        contractorPhone: job.contractorPhone,
+        status: 'active',
+        startedAt: now,
+        expiresAt: new Date(now.getTime() + TRACK_MS),
+        recentPoints: [],
+        etaSeconds: null,
+        speedMps: null,
+      },
+      $unset: { arrivingNotifiedAt: 1, arrivedAt: 1, endedAt: 1, endReason: 1 },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Stop tracking - one worker, or everyone on the job when workerPhone is omitted
+ */
+async function endTrackingSession(jobId, workerPhone, reason) {
+  const filter = { jobId: jobId.toString(), status: 'active' };
+  if (workerPhone) filter.workerPhone = workerPhone;
+  await TrackingSession.updateMany(filter, { $set: { status: 'ended', endedAt: new Date(), endReason: reason } });
+}
+
+/**
+ * Sessions currently forwarding this worker's location
+ */
+async function getActiveSessions(workerPhone) {
+  return TrackingSession.find({ workerPhone, status: 'active', expiresAt: { $gt: new Date() } }).lean();
+}
+
+/**
+ * Apply a location fix to a session
+ * @param {Object} session - active TrackingSession
+ * @param {Object} job - needs lat/lon
+ * @param {Object} location - { lat, lon }
+ * @returns {Promise<Object|null>} { session, arriving, arrived } or null if the session ended meanwhile
+ */
+async function recordSessionLocation(session, job, location, now = new Date()) {
+  const point = { lat: Number(location.lat), lon: Number(location.lon), at: now };
+  const distanceMeters = Math.round(metersBetween({ lat: job.lat, lon: job.lon }, point));
+
+  const recentPoints = [...(session.recentPoints || []), point]
+    .filter((p) => now - new Date(p.at) <= SPEED_WINDOW_MS)
+    .slice(-MAX_RECENT_POINTS);
+  const speed = estimateSpeed(recentPoints) ?? session.speedMps ?? null;
+  const etaSeconds = speed !== null && speed >= MIN_MOVING_SPEED_MPS ? Math.round(distanceMeters / speed) : null;
+
+  const updated = await TrackingSession.findOneAndUpdate(
+    { _id: session._id, status: 'active' },
+    {
+      $set: {
+        lastLocation: point,
+        recentPoints,
+        distanceMeters,
+        speedMps: speed !== null ? Math.round(speed * 10) / 10 : null,
+        etaSeconds,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  // Claim each event atomically so a worker connected to two processes doesn't trigger it twice
+  if (distanceMeters <= GEOFENCE_RADIUS_METERS) {
+    const arrived = await TrackingSession.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      { $set: { status: 'arrived', arrivedAt: now, endedAt: now, endReason: 'arrived' } },
+      { new: true }
+    );
+    return { session: arrived || updated, arriving: false, arrived: Boolean(arrived) };
+  }
+
+  const isClose = distanceMeters <= ARRIVING_METERS || (etaSeconds !== null && etaSeconds <= ARRIVING_ETA_SECONDS);
+  if (isClose && !updated.arrivingNotifiedAt) {
+    const arriving = await TrackingSession.findOneAndUpdate(
+      { _id: session._id, arrivingNotifiedAt: null },
+      { $set: { arrivingNotifiedAt: now } },
+      { new: true }
+    );
+    return { session: arriving || updated, arriving: Boolean(arriving), arrived: false };
+  }
+
+  return { session: updated, arriving: false, arrived: false };
+}
+
+module.exports = {
+  startTrackingSession,
+  endTrackingSession,
+  getActiveSessions,
+  recordSessionLocation,
+  estimateSpeed,
+};
@@ -0,0 +1,499 @@
+/**
+ * Wallet Operations
+ * Every wallet money movement as a ledger entry (see services/ledger.js).
+ * Routes call these instead of touching balances; a user's wallet balance is
+ * the balance of their "user:<phone>" ledger account.
+ *
+ * Debit helpers return { error } instead of posting when the wallet is short. The
+ * check is made by the ledger in the same conditional update that takes the money
+ * (never a separate read), so concurrent requests can't overdraw a wallet.
+ *
+ * Gateway-driven helpers (deposits, gateway job payments, refunds) take a dedupeKey and
+ * return { duplicate: true } when that gateway event was already booked.
+ */
+
+const Wallet = require('../models/Wallet');
+const LedgerEntry = require('../models/LedgerEntry');
+const {
+  ACCOUNTS,
+  INSUFFICIENT_BALANCE,
+  DUPLICATE_ENTRY,
+  userAccountCode,
+  toPaise,
+  toRupees,
+  postEntry,
+  transfer,
+  reverseEntry,
+  getUserBalance,
+  getAccountTotalsByType,
+  getStatement,
+} = require('./ledger');
+
+const ENTRY_LABELS = {
+  opening_balance: 'Opening balance',
+  deposit: 'Deposit',
+  withdrawal: 'Withdrawal',
+  job_post_fee: 'Job post fee',
+  job_post_fee_refund: 'Refund',
+  premium_subscription: 'Premium subscription',
+  job_payment: 'Job payment',
+  gateway_refund: 'Refund to bank',
+  reconciliation_adjustment: 'Adjustment',
+  payout: 'Payout to bank',
+  escrow_hold: 'Job amount held',
+  escrow_release: 'Job payment',
+  escrow_refund: 'Job amount returned',
+  reversal: 'Reversal',
+};
+
+const payoutHoldKey = (referenceId) => `payout:${referenceId}`;
+const payoutSettledKey = (referenceId) => `${payoutHoldKey(referenceId)}:settled`;
+
+// Wallet documents only hold the bank link now, but every user still gets one
+async function ensureWallet(phone) {
+  const upsert = () => Wallet.findOneAndUpdate(
+    { phone },
+    { $setOnInsert: { phone, ledgerMigratedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+  try {
+    return await upsert();
+  } catch (err) {
+    if (err.code === 11000) return upsert(); // created by a concurrent request
+    throw err;
+  }
+}
+
+async function getWalletBalance(phone) {
+  return getUserBalance(phone);
+}
+
+/**
+ * Post a debit, turning the ledger's insufficient-balance refusal into { error, balance }
+ * @param {String} phone - wallet being debited (for the balance in the error)
+ * @param {Function} post - posts the entry
+ * @returns {Promise<Object>} { entry } or { error, balance }
+ */
+async function postDebit(phone, post) {
+  try {
+    return { entry: await post() };
+  } catch (err) {
+    if (err.code !== INSUFFICIENT_BALANCE) throw err;
+    return { error: 'Insufficient balance', balance: await getWalletBalance(phone) };
+  }
+}
+
+/**
+ * Post an entry for a gateway event, turning the ledger's duplicate refusal into { duplicate: true }
+ * @returns {Promise<Object>} { entry } or { duplicate: true }
+ */
+async function postOnce(post) {
+  try {
+    return { entry: await post() };
+  } catch (err) {
+    if (err.code !== DUPLICATE_ENTRY) throw err;
+    return { duplicate: true };
+  }
+}
+
+/**
+ * postDebit + postOnce: a guarded, deduplicated debit
+ * @returns {Promise<Object>} { entry }, { duplicate: true } or { error, balance }
+ */
+async function postGuardedOnce(phone, post) {
+  const result = await postDebit(phone, () => postOnce(post));
+  return result.error ? result : result.entry;
+}
+
+/**
+ * Wallet history from the ledger, newest first
+ */
+async function getWalletTransactions(phone, options = {}) {
+  const lines = await getStatement(userAccountCode(phone), options);
+  return lines.map((line) => ({
+    id: line.id,
+    type: line.type === 'job_post_fee_refund' ? 'refund' : line.balanceEffect > 0 ? 'credit' : 'debit',
+    entryType: line.type,
+    description: line.description || ENTRY_LABELS[line.type] || line.type,
+    amount: line.amount,
+    date: line.date,
+    reference: line.reference,
+    status: 'completed',
+  }));
+}
+
+/**
+ * The wallet as the app expects it: balance, totals and recent transactions
+ */
+async function getWalletView(phone, options = {}) {
+  const wallet = await ensureWallet(phone);
+  const [balance, totals, transactions] = await Promise.all([
+    getWalletBalance(phone),
+    getAccountTotalsByType(userAccountCode(phone)),
+    getWalletTransactions(phone, options),
+  ]);
+
+  return {
+    phone,
+    balance,
+    bankAccountId: wallet.bankAccountId,
+    totalDeposited: totals.deposit || 0,
+    totalWithdrawn: Math.abs(totals.withdrawal || 0),
+    totalEarned: totals.job_payment || 0,
+    transactions,
+    createdAt: wallet.createdAt,
+    updatedAt: wallet.updatedAt,
+  };
+}
+
+/**
+ * Money received through the payment gateway into a user's wallet
+ * @returns {Promise<Object>} { entry } or { duplicate: true } (details.dedupeKey already booked)
+ */
+async function creditDeposit(phone, amount, details = {}) {
+  await ensureWallet(phone);
+  return postOnce(() => transfer('deposit', {
+    debit: ACCOUNTS.GATEWAY,
+    credit: userAccountCode(phone),
+    amount,
+    description: details.description || 'Wallet deposit',
+    reference: { orderId: details.orderId, paymentId: details.paymentId },
+    createdBy: details.createdBy || phone,
+    dedupeKey: details.dedupeKey,
+  }));
+}
+
+/**
+ * A payment refunded through the gateway. A refunded deposit comes out of the payer's
+ * wallet; if the wallet no longer covers it (or the payment was for a job) the refund
+ * is booked against suspense for reconciliation.
+ * @param {Object} details - { phone, amount, fromWallet, orderId, paymentId, description, dedupeKey }
+ * @returns {Promise<Object>} { entry, fromWallet } or { duplicate: true }
+ */
+async function recordGatewayRefund(details) {
+  const post = (debit) => transfer('gateway_refund', {
+    debit,
+    credit: ACCOUNTS.GATEWAY,
+    amount: details.amount,
+    description: details.description || 'Refund to bank',
+    reference: { orderId: details.orderId, paymentId: details.paymentId },
+    createdBy: 'system',
+    dedupeKey: details.dedupeKey,
+  });
+
+  if (details.fromWallet && details.phone) {
+    const result = await postGuardedOnce(details.phone, () => post(userAccountCode(details.phone)));
+    if (!result.error) return { ...result, fromWallet: true };
+  }
+  return { ...(await postOnce(() => post(ACCOUNTS.SUSPENSE))), fromWallet: false };
+}
+
+/**
+ * Take a payout line's amount out of the worker's wallet while it is sent to their bank.
+ * One hold per attempt (keyed on the attempt's referenceId), so a resend can't take it twice.
+ * @param {Object} details - { referenceId, batchId, description }
+ * @returns {Promise<Object>} { entry }, { duplicate: true } or { error, balance }
+ */
+async function holdPayout(phone, amount, details) {
+  return postGuardedOnce(phone, () => transfer('payout', {
+    debit: userAccountCode(phone),
+    credit: ACCOUNTS.PAYOUT_CLEARING,
+    amount,
+    description: details.description || 'Payout to bank account',
+    reference: { payoutBatchId: details.batchId, workerPhone: phone },
+    createdBy: 'system',
+    dedupeKey: payoutHoldKey(details.referenceId),
+  }));
+}
+
+/**
+ * A payout hold reached the worker's bank: the money leaves the platform (payout clearing -> gateway)
+ * @param {String} referenceId - the payout attempt, as passed to holdPayout
+ * @returns {Promise<Object>} { entry } ({ entry: null } if nothing was held), or { duplicate: true }
+ */
+async function settlePayout(referenceId, details = {}) {
+  const hold = await LedgerEntry.findOne({ dedupeKey: payoutHoldKey(referenceId) }).lean();
+  if (!hold) return { entry: null };
+  return postOnce(() => transfer('payout_settlement', {
+    debit: ACCOUNTS.PAYOUT_CLEARING,
+    credit: ACCOUNTS.GATEWAY,
+    amount: toRupees(hold.postings[0].amountPaise),
+    description: details.description || 'Payout paid to bank account',
+    reference: hold.reference,
+    createdBy: 'system',
+    dedupeKey: payoutSettledKey(referenceId),
+  }));
+}
+
+/**
+ * Put a payout attempt's hold back in the wallet (the bank transfer failed or was reversed)
+ * @returns {Promise<Object>} { entry }, { duplicate: true } or { entry: null } (nothing was held)
+ */
+async function returnPayout(referenceId, details = {}) {
+  const hold = await LedgerEntry.findOne({ dedupeKey: payoutHoldKey(referenceId) }).select('_id').lean();
+  if (!hold) return { entry: null };
+  // Reversed after it reached the bank: the money comes back in from the gateway first
+  const settlement = await LedgerEntry.findOne({ dedupeKey: payoutSettledKey(referenceId) }).select('_id').lean();
+  if (settlement) {
+    await postOnce(() => reverseEntry(settlement._id, {
+      description: details.description || 'Payout returned by the bank',
+      createdBy: 'system',
+      dedupeKey: `${payoutSettledKey(referenceId)}:returned`,
+    }));
+  }
+  return postOnce(() => reverseEntry(hold._id, {
+    description: details.description || 'Payout returned to wallet',
+    createdBy: 'system',
+    dedupeKey: `${payoutHoldKey(referenceId)}:returned`,
+  }));
+}
+
+/**
+ * Take back a wallet credit that shouldn't have happened (e.g. a deposit the gateway
+ * never received) by reversing its ledger entry
+ * @param {String} phone - wallet the credit went to
+ * @param {String} entryId - LedgerEntry to reverse
+ * @param {Object} details - { description, createdBy, dedupeKey }
+ * @returns {Promise<Object>} { entry }, { duplicate: true } or { error, balance } (wallet no longer holds it)
+ */
+async function reverseWalletCredit(phone, entryId, details = {}) {
+  const result = await postGuardedOnce(phone, () => reverseEntry(entryId, details));
+  if (result.entry === null) return { error: 'Ledger entry not found' };
+  return result;
+}
+
+/**
+ * Correct a wallet by the difference between what the gateway captured and what was
+ * credited (positive: credit the wallet, negative: debit it)
+ * @param {Object} details - { orderId, paymentId, description, createdBy, dedupeKey }
+ * @returns {Promise<Object>} { entry }, { duplicate: true } or { error, balance }
+ */
+async function adjustWalletToGateway(phone, difference, details = {}) {
+  await ensureWallet(phone);
+  const wallet = userAccountCode(phone);
+  return postGuardedOnce(phone, () => transfer('reconciliation_adjustment', {
+    debit: difference > 0 ? ACCOUNTS.GATEWAY : wallet,
+    credit: difference > 0 ? wallet : ACCOUNTS.GATEWAY,
+    amount: Math.abs(difference),
+    description: details.description || 'Adjustment to match the payment gateway',
+    reference: { orderId: details.orderId, paymentId: details.paymentId },
+    createdBy: details.createdBy || 'system',
+    dedupeKey: details.dedupeKey,
+  }));
+}
+
+/**
+ * Move money out of the wallet to the payout clearing account (bank transfer pending)
+ */
+async function debitWithdrawal(phone, amount, details = {}) {
+  const result = await postDebit(phone, () => transfer('withdrawal', {
+    debit: userAccountCode(phone),
+    credit: ACCOUNTS.PAYOUT_CLEARING,
+    amount,
+    description: details.description || 'Withdrawal to bank account',
+    createdBy: details.createdBy || phone,
+  }));
+  if (result.error) return result;
+  return { entry: result.entry, balance: await getWalletBalance(phone) };
+}
+
+async function chargeJobPostFee(phone, amount, details = {}) {
+  return postDebit(phone, () => transfer('job_post_fee', {
+    debit: userAccountCode(phone),
+    credit: ACCOUNTS.PLATFORM_FEES,
+    amount,
+    description: details.description || 'Job post fee',
+    reference: { jobId: details.jobId },
+    createdBy: details.createdBy || phone,
+  }));
+}
+
+async function refundJobPostFee(phone, amount, details = {}) {
+  await ensureWallet(phone);
+  return transfer('job_post_fee_refund', {
+    debit: ACCOUNTS.PLATFORM_FEES,
+    credit: userAccountCode(phone),
+    amount,
+    description: details.description || 'Refund: job post fee',
+    reference: { jobId: details.jobId },
+    createdBy: details.createdBy || 'system',
+  });
+}
+
+async function chargePremiumSubscription(phone, amount, details = {}) {
+  return postDebit(phone, () => transfer('premium_subscription', {
+    debit: userAccountCode(phone),
+    credit: ACCOUNTS.PLATFORM_FEES,
+    amount,
+    description: details.description || `Premium subscription (${details.planId})`,
+    reference: { planId: details.planId },
+    createdBy: phone,
+  }));
+}
+
+/**
+ * Credit a worker for a job. fundedBy 'gateway' when the contractor paid through
+ * the payment gateway; otherwise the credit is booked against suspense until
+ * it is funded from the contractor.
+ * @returns {Promise<Object>} { entry } or { duplicate: true } (details.dedupeKey already booked)
+ */
+async function creditJobPayment(workerPhone, amount, details = {}) {
+  await ensureWallet(workerPhone);
+  return postOnce(() => transfer('job_payment', {
+    debit: details.fundedBy === 'gateway' ? ACCOUNTS.GATEWAY : ACCOUNTS.SUSPENSE,
+    credit: userAccountCode(workerPhone),
+    amount,
+    description: details.description || 'Job payment',
+    reference: { jobId: details.jobId, orderId: details.orderId, paymentId: details.paymentId },
+    createdBy: details.createdBy || 'system',
+    dedupeKey: details.dedupeKey,
+  }));
+}
+
+/**
+ * Hold a job amount from the contractor's wallet until the job is paid or cancelled
+ */
+async function holdJobEscrow(contractorPhone, amount, details = {}) {
+  return postDebit(contractorPhone, () => transfer('escrow_hold', {
+    debit: userAccountCode(contractorPhone),
+    credit: ACCOUNTS.ESCROW,
+    amount,
+    description: details.description || 'Job amount held',
+    reference: { jobId: details.jobId, workerPhone: details.workerPhone },
+    createdBy: details.createdBy || 'system',
+  }));
+}
+
+/**
+ * Pay a worker out of escrow. The payout can differ from what was held (hourly,
+ * daily and per-unit jobs): a shortfall is taken from the contractor's wallet,
+ * anything left over goes back to them.
+ * @param {Object} details - { contractorPhone, workerPhone, heldAmount, payAmount, platformFee, jobId, description, createdBy }
+ * @returns {Promise<Object>} { entry } or { error, balance }
+ */
+async function releaseJobEscrow(details) {
+  const heldPaise = toPaise(details.heldAmount || 0);
+  const payPaise = toPaise(details.payAmount);
+  const feePaise = toPaise(details.platformFee || 0);
+  const contractorAccount = userAccountCode(details.contractorPhone);
+  await ensureWallet(details.workerPhone);
+
+  const postings = [
+    { account: ACCOUNTS.ESCROW, side: 'debit', paise: heldPaise },
+    { account: contractorAccount, side: 'debit', paise: payPaise - heldPaise },
+    { account: userAccountCode(details.workerPhone), side: 'credit', paise: payPaise - feePaise },
+    { account: ACCOUNTS.PLATFORM_FEES, side: 'credit', paise: feePaise },
+    { account: contractorAccount, side: 'credit', paise: heldPaise - payPaise },
+  ];
+  if (heldPaise === 0 && payPaise === 0) return { entry: null }; // nothing held, nothing owed
+
+  // A shortfall is taken from the contractor in the same guarded entry
+  return postDebit(details.contractorPhone, () => postEntry({
+    type: 'escrow_release',
+    description: details.description || 'Job payment',
+    reference: { jobId: details.jobId, workerPhone: details.workerPhone },
+    createdBy: details.createdBy || 'system',
+    postings: postings
+      .filter((p) => p.paise > 0)
+      .map((p) => ({ account: p.account, side: p.side, amount: toRupees(p.paise) })),
+  }));
+}
+
+/**
+ * Return a held job amount to the contractor, less any compensation owed to the worker
+ * @param {Object} details - { contractorPhone, workerPhone, amount, workerCompensation, jobId, description, createdBy }
+ */
+async function refundJobEscrow(details) {
+  const amountPaise = toPaise(details.amount);
+  const compensationPaise = Math.min(toPaise(details.workerCompensation || 0), amountPaise);
+  if (compensationPaise > 0) await ensureWallet(details.workerPhone);
+
+  const postings = [
+    { account: ACCOUNTS.ESCROW, side: 'debit', paise: amountPaise },
+    { account: userAccountCode(details.contractorPhone), side: 'credit', paise: amountPaise - compensationPaise },
+    { account: userAccountCode(details.workerPhone), side: 'credit', paise: compensationPaise },
+  ];
+
+  return postEntry({
+    type: 'escrow_refund',
+    description: details.description || 'Job amount returned',
+    reference: { jobId: details.jobId, workerPhone: details.workerPhone },
+    createdBy: details.createdBy || 'system',
+    postings: postings
+      .filter((p) => p.paise > 0)
+      .map((p) => ({ account: p.account, side: p.side, amount: toRupees(p.paise) })),
+  });
+}
+
+/**
+ * One-off: carry each pre-ledger wallet balance into the ledger as an opening balance.
+ * A wallet can't go negative in the ledger, so a negative old balance (money the user owed)
+ * is booked to suspense for an admin to settle and the wallet starts at zero.
+ * @returns {Promise<Number>} wallets migrated
+ */
+async function migrateWalletBalances() {
+  const pending = await Wallet.find({ ledgerMigratedAt: null }).lean();
+  let migrated = 0;
+
+  for (const wallet of pending) {
+    // Claim first so two processes never post the same opening balance
+    const claimed = await Wallet.updateOne({ _id: wallet._id, ledgerMigratedAt: null }, { $set: { ledgerMigratedAt: new Date() } });
+    if (claimed.modifiedCount === 0) continue;
+
+    const legacyBalance = Number(wallet.balance) || 0; // pre-ledger field, no longer in the schema
+    // One opening balance per wallet, even if a failed run is retried after the entry was posted
+    const dedupeKey = `opening_balance:${wallet.phone}`;
+    try {
+      if (legacyBalance > 0) {
+        await postOnce(() => transfer('opening_balance', {
+          debit: ACCOUNTS.OPENING_BALANCES,
+          credit: userAccountCode(wallet.phone),
+          amount: legacyBalance,
+          description: 'Balance carried over from the old wallet',
+          dedupeKey,
+        }));
+      } else if (legacyBalance < 0) {
+        await postOnce(() => transfer('opening_balance', {
+          debit: ACCOUNTS.SUSPENSE,
+          credit: ACCOUNTS.OPENING_BALANCES,
+          amount: -legacyBalance,
+          description: `Negative balance of the old wallet of ${wallet.phone} - owed by the user`,
+          dedupeKey,
+        }));
+        console.warn(`⚠️ Ledger: ${wallet.phone} had a negative wallet balance (₹${legacyBalance}), booked to suspense`);
+      }
+    } catch (err) {
+      // Not carried over - release the claim so the next start tries again
+      await Wallet.updateOne({ _id: wallet._id }, { $set: { ledgerMigratedAt: null } });
+      console.error(`❌ Ledger: could not carry over the wallet balance of ${wallet.phone}, will retry:`, err.message);
+      continue;
+    }
+    migrated += 1;
+  }
+
+  if (migrated > 0) console.log(`📒 Ledger: carried over ${migrated} wallet balance(s)`);
+  return migrated;
+}
+
+module.exports = {
+  ensureWallet,
+  getWalletBalance,
+  getWalletTransactions,
+  getWalletView,
+  creditDeposit,
+  recordGatewayRefund,
+  reverseWalletCredit,
+  adjustWalletToGateway,
+  holdPayout,
+  settlePayout,
+  returnPayout,
+  debitWithdrawal,
+  chargeJobPostFee,
+  refundJobPostFee,
+  chargePremiumSubscription,
+  creditJobPayment,
+  holdJobEscrow,
+  releaseJobEscrow,
+  refundJobEscrow,
+  migrateWalletBalances,
+};
@@ -0,0 +1,135 @@
+/**
+ * Worker Reputation
+ * Rolling rating average, completion rate, no-shows and cancellation rate,
+ * kept on the Worker document and updated incrementally by the rate,
+ * attendance and cancel routes. Worker.rating mirrors the average so the
+ * dispatch engine ranks on real ratings.
+ *
+ * Completion and cancellation rates are out of the jobs the worker was held to:
+ * attended + no-shows + cancellations.
+ */
+
+const Worker = require('../models/Worker');
+const Job = require('../models/Jobs');
+const CancellationLog = require('../models/CancellationLog');
+
+const COUNTERS = ['ratingTotal', 'ratingCount', 'jobsCompleted', 'noShowCount', 'cancellationCount'];
+
+const counter = (field) => ({ $ifNull: [`$reputation.${field}`, 0] });
+const percentOf = (part, total) => ({
+  $cond: [{ $gt: [total, 0] }, { $round: [{ $multiply: [{ $divide: [part, total] }, 100] }, 1] }, 0],
+});
+
+/**
+ * Pipeline stage recomputing the derived fields from the counters
+ */
+function derivedFieldsStage() {
+  const heldTo = { $add: [counter('jobsCompleted'), counter('noShowCount'), counter('cancellationCount')] };
+  const avgRating = {
+    $cond: [
+      { $gt: [counter('ratingCount'), 0] },
+      { $round: [{ $divide: [counter('ratingTotal'), counter('ratingCount')] }, 2] },
+      null,
+    ],
+  };
+  return {
+    $set: {
+      'reputation.avgRating': avgRating,
+      'reputation.completionRate': percentOf(counter('jobsCompleted'), heldTo),
+      'reputation.cancellationRate': percentOf(counter('cancellationCount'), heldTo),
+      'reputation.updatedAt': '$$NOW',
+      rating: { $ifNull: [avgRating, '$rating'] },
+    },
+  };
+}
+
+/**
+ * Atomically add to the reputation counters (never below zero) and refresh derived fields
+ * @param {String} phone - worker phone
+ * @param {Object} deltas - e.g. { ratingTotal: 4, ratingCount: 1 }
+ */
+async function applyCounters(phone, deltas) {
+  const increments = {};
+  for (const [field, delta] of Object.entries(deltas)) {
+    if (!COUNTERS.includes(field) || !delta) continue;
+    increments[`reputation.${field}`] = { $max: [0, { $add: [counter(field), delta] }] };
+  }
+  if (!phone || Object.keys(increments).length === 0) return null;
+
+  return Worker.findOneAndUpdate(
+    { phone },
+    [{ $set: increments }, derivedFieldsStage()],
+    { new: true, updatePipeline: true }
+  );
+}
+
+/**
+ * A contractor rated the worker (previousStars set when an existing rating is changed)
+ */
+async function recordWorkerRating(phone, stars, previousStars = null) {
+  if (previousStars) {
+    return applyCounters(phone, { ratingTotal: stars - previousStars });
+  }
+  return applyCounters(phone, { ratingTotal: stars, ratingCount: 1 });
+}
+
+/**
+ * Attendance marked or corrected. Present counts as a completed job, anything else as a no-show.
+ */
+async function recordAttendance(phone, status, previousStatus = null) {
+  const bucket = (s) => (s === 'Present' ? 'jobsCompleted' : 'noShowCount');
+  if (previousStatus && bucket(previousStatus) === bucket(status)) return null;
+
+  const deltas = { [bucket(status)]: 1 };
+  if (previousStatus) deltas[bucket(previousStatus)] = -1;
+  return applyCounters(phone, deltas);
+}
+
+/**
+ * The worker cancelled a job they had accepted
+ */
+async function recordWorkerCancellation(phone) {
+  return applyCounters(phone, { cancellationCount: 1 });
+}
+
+/**
+ * Rebuild a worker's counters from job and cancellation history
+ * (fixes drift and backfills workers rated before reputation was tracked)
+ */
+async function recalculateWorkerReputation(phone) {
+  const [jobs, cancellationCount] = await Promise.all([
+    Job.find({ $or: [{ acceptedBy: phone }, { 'slots.acceptedBy': phone }] })
+      .select('acceptedBy attendanceStatus rating slots')
+      .lean(),
+    CancellationLog.countDocuments({ cancelledBy: 'worker', workerPhone: phone }),
+  ]);
+
+  const counts = { ratingTotal: 0, ratingCount: 0, jobsCompleted: 0, noShowCount: 0, cancellationCount };
+  const addAssignment = (assignment) => {
+    if (assignment.rating?.stars) {
+      counts.ratingTotal += assignment.rating.stars;
+      counts.ratingCount += 1;
+    }
+    if (assignment.attendanceStatus === 'Present') counts.jobsCompleted += 1;
+    else if (assignment.attendanceStatus) counts.noShowCount += 1;
+  };
+
+  for (const job of jobs) {
+    if (job.acceptedBy === phone) addAssignment(job);
+    (job.slots || []).filter((s) => s.acceptedBy === phone).forEach(addAssignment);
+  }
+
+  const reset = Object.fromEntries(COUNTERS.map((field) => [`reputation.${field}`, counts[field]]));
+  return Worker.findOneAndUpdate(
+    { phone },
+    [{ $set: reset }, derivedFieldsStage()],
+    { new: true, updatePipeline: true }
+  );
+}
+
+module.exports = {
+  recordWorkerRating,
+  recordAttendance,
+  recordWorkerCancellation,
+  recalculateWorkerReputation,
+};
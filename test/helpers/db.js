@@ -0,0 +1,59 @@
+/**
+ * Test database
+ * An in-memory single-node MongoDB replica set (so transactions are available), or the
+ * server in MONGODB_TEST_URI. mongodb-memory-server downloads the
+ * mongod binary on first use; where neither is available the database tests skip
+ * themselves instead of failing.
+ */
+
+const { before, after, beforeEach, it } = require('node:test');
+const mongoose = require('mongoose');
+
+let replSet = null;
+
+async function startDatabase() {
+  try {
+    let uri = process.env.MONGODB_TEST_URI;
+    if (!uri) {
+      const { MongoMemoryReplSet } = require('mongodb-memory-server');
+      replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+      uri = replSet.getUri();
+    }
+    await mongoose.connect(uri, { dbName: `kaamwale_test_${process.pid}` });
+    // Unique indexes (dedupeKey, batchId...) must exist before the first test races on them
+    await mongoose.connection.syncIndexes();
+    return true;
+  } catch (err) {
+    console.warn(`⚠️ No test database, skipping database tests: ${err.message.split('\n')[0]}`);
+    return false;
+  }
+}
+
+async function stopDatabase() {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+}
+
+async function clearDatabase() {
+  // Straight to the collections: the LedgerEntry model refuses deletes
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+}
+
+/**
+ * Connect for this test file and start every test from an empty database
+ * @returns {Function} test(name, fn) - like it(), skipped when there is no database
+ */
+function useDatabase() {
+  let available = false;
+  before(async () => { available = await startDatabase(); });
+  after(async () => { if (available) await stopDatabase(); });
+  beforeEach(async () => { if (available) await clearDatabase(); });
+
+  return (name, fn) => it(name, async (t) => {
+    if (!available) return t.skip('no MongoDB available');
+    return fn(t);
+  });
+}
+
+module.exports = { useDatabase };
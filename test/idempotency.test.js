@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const { describe, before, after } = require('node:test');
+const express = require('express');
+
+// A short lock so a "slow" request outlives it within the test
+process.env.IDEMPOTENCY_LOCK_SECONDS = '1';
+
+const { useDatabase } = require('./helpers/db');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../utils/idempotency');
+
+const test = useDatabase();
+
+let server;
+let baseUrl;
+let runs = 0;
+
+// Wait for the release/store that runs after the response went out
+const settled = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+async function post(path, key) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify({ amount: 100 }),
+  });
+  await res.text();
+  await settled();
+  return res;
+}
+
+describe('idempotent middleware', () => {
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => { req.user = { phone: '9000000050' }; next(); });
+    app.post('/json', idempotent, (req, res) => { runs += 1; res.json({ success: true, run: runs }); });
+    app.post('/end', idempotent, (req, res) => { runs += 1; res.status(202).end(); });
+    app.post('/throws', idempotent, () => { runs += 1; throw new Error('boom'); });
+    app.post('/slow', idempotent, async (req, res) => {
+      runs += 1;
+      await new Promise((resolve) => setTimeout(resolve, 2500));
+      res.json({ success: true, run: runs });
+    });
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('a JSON response is stored and replayed', async () => {
+    runs = 0;
+    await post('/json', 'key-json');
+    const retry = await post('/json', 'key-json');
+
+    assert.equal(runs, 1);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  });
+
+  test('a response sent with res.end releases the key', async () => {
+    runs = 0;
+    await post('/end', 'key-end');
+
+    assert.equal(await IdempotencyKey.countDocuments({ key: 'key-end' }), 0);
+    await post('/end', 'key-end');
+    assert.equal(runs, 2);
+  });
+
+  test('an error handled by Express releases the key', async () => {
+    runs = 0;
+    const res = await post('/throws', 'key-throws');
+
+    assert.equal(res.status, 500);
+    assert.equal(await IdempotencyKey.countDocuments({ key: 'key-throws' }), 0);
+    const retry = await post('/throws', 'key-throws');
+    assert.equal(retry.status, 500); // ran again rather than 409 "still being processed"
+    assert.equal(runs, 2);
+  });
+
+  test('a request running longer than the lock is not taken over by a retry', async () => {
+    runs = 0;
+    const first = post('/slow', 'key-slow');
+    await new Promise((resolve) => setTimeout(resolve, 1500)); // past IDEMPOTENCY_LOCK_SECONDS
+
+    const retry = await post('/slow', 'key-slow');
+    assert.equal(retry.status, 409);
+
+    assert.equal((await first).status, 200);
+    assert.equal(runs, 1);
+  });
+});
@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const { describe } = require('node:test');
+
+const { useDatabase } = require('./helpers/db');
+const Job = require('../models/Jobs');
+const LedgerEntry = require('../models/LedgerEntry');
+const { holdEscrow, releaseEscrow, refundEscrow } = require('../services/jobEscrow');
+const { creditDeposit, getWalletBalance } = require('../services/walletOperations');
+
+const test = useDatabase();
+
+const CONTRACTOR = '9000000070';
+const WORKER = '9000000071';
+
+// A ₹1000 job with the amount held for the hired worker
+async function createHeldJob() {
+  await creditDeposit(CONTRACTOR, 1000);
+  const job = new Job({
+    title: 'Fix the roof',
+    contractorPhone: CONTRACTOR,
+    amount: 1000,
+    acceptedBy: WORKER,
+    acceptedAt: new Date(),
+    status: 'in_progress',
+  });
+  const { escrow } = await holdEscrow(job, WORKER);
+  job.escrow = escrow;
+  return job.save();
+}
+
+// The ledger fails the way a dropped connection or an aborted transaction does
+const breakLedger = (t) => t.mock.method(LedgerEntry, 'create', async () => { throw new Error('connection reset'); });
+
+const escrowStatus = async (job) => (await Job.findById(job._id).lean()).escrow.status;
+
+describe('job escrow', () => {
+  test('a payment the ledger fails on leaves the amount held and can be retried', async (t) => {
+    const job = await createHeldJob();
+
+    const mock = breakLedger(t);
+    await assert.rejects(releaseEscrow(job, job, 1000, CONTRACTOR), /connection reset/);
+    assert.equal(await escrowStatus(job), 'held');
+
+    mock.mock.restore();
+    const { escrow, error } = await releaseEscrow(job, job, 1000, CONTRACTOR);
+    assert.equal(error, undefined);
+    assert.equal(escrow.status, 'released');
+    assert.equal(await getWalletBalance(WORKER), 900);
+  });
+
+  test('a refund the ledger fails on leaves the amount held and can be retried', async (t) => {
+    const job = await createHeldJob();
+
+    const mock = breakLedger(t);
+    await assert.rejects(refundEscrow(job, job, { cancelledBy: 'contractor' }), /connection reset/);
+    assert.equal(await escrowStatus(job), 'held');
+
+    mock.mock.restore();
+    const refunded = await refundEscrow(job, job, { cancelledBy: 'contractor' });
+    assert.equal(refunded.escrow.status, 'refunded');
+    assert.equal(await getWalletBalance(CONTRACTOR) + await getWalletBalance(WORKER), 1000);
+  });
+});
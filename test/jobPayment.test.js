@@ -0,0 +1,70 @@
+const assert = require('node:assert/strict');
+const { describe } = require('node:test');
+
+const { useDatabase } = require('./helpers/db');
+const Job = require('../models/Jobs');
+const { holdEscrow } = require('../services/jobEscrow');
+const { payDisputedJob } = require('../services/jobPayment');
+const { creditDeposit, getWalletBalance } = require('../services/walletOperations');
+const { ACCOUNTS, getAccountBalance } = require('../services/ledger');
+
+const test = useDatabase();
+
+const CONTRACTOR = '9000000060';
+const WORKER = '9000000061';
+const ADMIN = { phone: '9000000069', role: 'admin' };
+
+// A ₹1000 job, held in escrow when the worker accepted, that went into dispute after work started
+async function createDisputedJob(fields = {}) {
+  await creditDeposit(CONTRACTOR, 1000);
+  const job = new Job({
+    title: 'Tile the kitchen',
+    contractorPhone: CONTRACTOR,
+    amount: 1000,
+    acceptedBy: WORKER,
+    acceptedAt: new Date(),
+    attendanceStatus: 'Present',
+    status: 'disputed',
+    ...fields,
+  });
+  const { escrow } = await holdEscrow(job, WORKER);
+  job.escrow = escrow;
+  return job.save();
+}
+
+describe('resolving a dispute as paid', () => {
+  test('pays the worker from escrow and marks the job paid', async () => {
+    const job = await createDisputedJob();
+
+    const result = await payDisputedJob(job, { actor: ADMIN, createdBy: ADMIN.phone });
+
+    assert.deepEqual(result, { paid: [WORKER] });
+    const saved = await Job.findById(job._id).lean();
+    assert.equal(saved.status, 'paid');
+    assert.equal(saved.paymentStatus, 'Paid');
+    assert.equal(saved.escrow.status, 'released');
+    assert.equal(await getWalletBalance(WORKER), 900);
+    assert.equal(await getAccountBalance(ACCOUNTS.ESCROW), 0);
+  });
+
+  test('a job paid before the dispute only changes status', async () => {
+    const job = await createDisputedJob();
+    await payDisputedJob(job, { actor: ADMIN, createdBy: ADMIN.phone });
+    await Job.updateOne({ _id: job._id }, { $set: { status: 'disputed' } });
+
+    const result = await payDisputedJob(await Job.findById(job._id), { actor: ADMIN, createdBy: ADMIN.phone });
+
+    assert.deepEqual(result, { paid: [] });
+    assert.equal((await Job.findById(job._id).lean()).status, 'paid');
+    assert.equal(await getWalletBalance(WORKER), 900);
+  });
+
+  test('a job that is not disputed is refused', async () => {
+    const job = await createDisputedJob({ status: 'arrived' });
+
+    const result = await payDisputedJob(job, { actor: ADMIN, createdBy: ADMIN.phone });
+
+    assert.equal(result.statusCode, 400);
+    assert.equal(await getWalletBalance(WORKER), 0);
+  });
+});
@@ -0,0 +1,28 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { validateJobInput } = require('../services/jobPosting');
+
+const job = (fields) => ({ title: 'Unload a truck', lat: 19.07, lon: 72.87, amount: 800, ...fields });
+
+describe('validateJobInput', () => {
+  it('accepts a positive amount', () => {
+    assert.equal(validateJobInput(job({ amount: '800' })).values.amount, 800);
+  });
+
+  it('rejects amounts that are not positive and finite', () => {
+    for (const amount of [0, -50, 'abc', '', Infinity, NaN]) {
+      assert.equal(validateJobInput(job({ amount })).error, 'amount must be a positive number', `amount ${amount}`);
+    }
+  });
+
+  it('needs an amount for a flat job', () => {
+    assert.ok(validateJobInput(job({ amount: undefined })).error);
+  });
+
+  it('lets a priced job go without an amount', () => {
+    const { values, error } = validateJobInput(job({ amount: undefined, pricing: { model: 'hourly', rate: 150 } }));
+    assert.equal(error, undefined);
+    assert.equal(values.amount, undefined);
+  });
+});
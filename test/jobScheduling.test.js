@@ -0,0 +1,33 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { parseJobStart, MAX_SCHEDULE_DAYS } = require('../services/jobScheduling');
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+const minutes = (n) => new Date(NOW.getTime() + n * 60 * 1000);
+
+describe('parseJobStart', () => {
+  it('starts now when no date is given', () => {
+    assert.deepEqual(parseJobStart(undefined, NOW), { startAt: NOW });
+  });
+
+  it('accepts a future start', () => {
+    assert.deepEqual(parseJobStart(minutes(90).toISOString(), NOW), { startAt: minutes(90) });
+  });
+
+  it('treats a start a moment ago as now (client clock skew)', () => {
+    assert.deepEqual(parseJobStart(minutes(-2).toISOString(), NOW), { startAt: NOW });
+  });
+
+  it('rejects a start in the past', () => {
+    assert.equal(parseJobStart(minutes(-60).toISOString(), NOW).error, 'Job date is in the past');
+  });
+
+  it('rejects a start too far ahead', () => {
+    assert.ok(parseJobStart(minutes((MAX_SCHEDULE_DAYS + 1) * 24 * 60).toISOString(), NOW).error);
+  });
+
+  it('rejects a date it cannot read', () => {
+    assert.equal(parseJobStart('next tuesday-ish', NOW).error, 'Invalid job date');
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const { describe } = require('node:test');
+
+const { useDatabase } = require('./helpers/db');
+const LedgerEntry = require('../models/LedgerEntry');
+const {
+  ACCOUNTS,
+  INSUFFICIENT_BALANCE,
+  DUPLICATE_ENTRY,
+  userAccountCode,
+  postEntry,
+  transfer,
+  getUserBalance,
+  getAccountBalance,
+  recomputeBalance,
+  getTrialBalance,
+} = require('../services/ledger');
+
+const test = useDatabase();
+
+const PHONE = '9000000020';
+const WALLET = userAccountCode(PHONE);
+
+const deposit = (amount, dedupeKey) => transfer('deposit', { debit: ACCOUNTS.GATEWAY, credit: WALLET, amount, dedupeKey });
+const withdraw = (amount) => transfer('withdrawal', { debit: WALLET, credit: ACCOUNTS.PAYOUT_CLEARING, amount });
+
+// Run every posting at once; count how each one ended
+async function settleAll(postings) {
+  const results = await Promise.allSettled(postings);
+  const rejected = results.filter((r) => r.status === 'rejected').map((r) => r.reason);
+  return { posted: results.length - rejected.length, rejected };
+}
+
+describe('ledger', () => {
+  test('parallel debits never overdraw a wallet', async () => {
+    await deposit(1000);
+
+    // Ten ₹300 withdrawals racing for ₹1000: exactly three fit
+    const { posted, rejected } = await settleAll(Array.from({ length: 10 }, () => withdraw(300)));
+
+    assert.equal(posted, 3);
+    assert.ok(rejected.every((err) => err.code === INSUFFICIENT_BALANCE));
+    assert.equal(await getUserBalance(PHONE), 100);
+    assert.equal(await LedgerEntry.countDocuments({ type: 'withdrawal' }), 3);
+    assert.equal((await recomputeBalance(WALLET)).repaired, false);
+  });
+
+  test('a refused debit leaves no entry and moves no balance', async () => {
+    await deposit(100);
+
+    // Pays two accounts: the wallet debit fails, so the escrow credit must not land either
+    await assert.rejects(postEntry({
+      type: 'escrow_hold',
+      postings: [
+        { account: WALLET, side: 'debit', amount: 150 },
+        { account: ACCOUNTS.ESCROW, side: 'credit', amount: 150 },
+      ],
+    }), { code: INSUFFICIENT_BALANCE });
+
+    assert.equal(await getUserBalance(PHONE), 100);
+    assert.equal(await getAccountBalance(ACCOUNTS.ESCROW), 0);
+    assert.equal(await LedgerEntry.countDocuments({ type: 'escrow_hold' }), 0);
+  });
+
+  test('an event replayed with the same dedupeKey is booked once', async () => {
+    await deposit(500, 'razorpay:payment:pay_1');
+
+    await assert.rejects(deposit(500, 'razorpay:payment:pay_1'), { code: DUPLICATE_ENTRY });
+
+    assert.equal(await getUserBalance(PHONE), 500);
+    assert.equal(await LedgerEntry.countDocuments({ dedupeKey: 'razorpay:payment:pay_1' }), 1);
+  });
+
+  test('the same event delivered concurrently is booked once', async () => {
+    const { posted, rejected } = await settleAll(Array.from({ length: 5 }, () => deposit(500, 'razorpay:payment:pay_2')));
+
+    assert.equal(posted, 1);
+    assert.ok(rejected.every((err) => err.code === DUPLICATE_ENTRY));
+    assert.equal(await getUserBalance(PHONE), 500);
+    assert.equal(await getAccountBalance(ACCOUNTS.GATEWAY), 500);
+    assert.equal((await getTrialBalance()).balanced, true);
+  });
+});
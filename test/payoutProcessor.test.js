@@ -0,0 +1,126 @@
+const assert = require('node:assert/strict');
+const { describe, beforeEach } = require('node:test');
+const mongoose = require('mongoose');
+
+const { useDatabase } = require('./helpers/db');
+const BankAccount = require('../models/BankAccount');
+const PayoutBatch = require('../models/PayoutBatch');
+const WorkerEarnings = require('../models/WorkerEarnings');
+const { createPayoutSimulator, setPayoutProvider } = require('../services/payoutProvider');
+const { processBatch, retryLines, applyProviderUpdate } = require('../services/payoutProcessor');
+const { creditJobPayment, chargeJobPostFee, getWalletBalance } = require('../services/walletOperations');
+const { ACCOUNTS, getAccountBalance } = require('../services/ledger');
+
+const test = useDatabase();
+
+const WORKER = '9000000001';
+const BATCH_ID = 'PAYOUT_2026_W40';
+
+// A worker with ₹500 earned (in their wallet) and a batch line paying it out
+async function setUpWorker(accountNumber) {
+  await BankAccount.create({
+    phone: WORKER,
+    accountHolderName: 'Test Worker',
+    accountNumber,
+    accountNumberConfirm: accountNumber,
+    ifscCode: 'HDFC0000001',
+    bankName: 'HDFC',
+    isVerified: true,
+  });
+  const jobId = new mongoose.Types.ObjectId();
+  await creditJobPayment(WORKER, 500, { jobId: String(jobId) });
+  const earning = await WorkerEarnings.create({
+    workerPhone: WORKER,
+    jobId,
+    amount: 500,
+    status: 'earned',
+    payoutWeek: { year: 2026, week: 40 },
+  });
+  await PayoutBatch.create({
+    batchId: BATCH_ID,
+    payoutWeek: { year: 2026, week: 40 },
+    totalAmount: 500,
+    totalWorkers: 1,
+    workers: [{ workerPhone: WORKER, earningsAmount: 500, deductions: 0, netAmount: 500, earningIds: [earning._id] }],
+  });
+  return earning;
+}
+
+const earningStatus = async (earning) => (await WorkerEarnings.findById(earning._id).lean()).status;
+const line = async () => (await PayoutBatch.findOne({ batchId: BATCH_ID }).lean()).workers[0];
+// Nothing should be left waiting in payout clearing once a line is settled either way
+const clearing = () => getAccountBalance(ACCOUNTS.PAYOUT_CLEARING);
+
+describe('payout processor', () => {
+  beforeEach(() => setPayoutProvider(createPayoutSimulator()));
+
+  test('a paid line takes the amount out of the wallet once', async () => {
+    const earning = await setUpWorker('12341234');
+
+    const result = await processBatch(BATCH_ID);
+
+    assert.equal(result.batch.status, 'completed');
+    assert.equal(await getWalletBalance(WORKER), 0);
+    assert.equal(await earningStatus(earning), 'payout_completed');
+    assert.equal(await clearing(), 0);
+    assert.equal(await getAccountBalance(ACCOUNTS.GATEWAY), -500); // ₹500 left the platform
+
+    // Running the batch again sends nothing and takes nothing
+    await processBatch(BATCH_ID);
+    assert.equal(await getWalletBalance(WORKER), 0);
+    assert.equal(await clearing(), 0);
+  });
+
+  test('a rejected line leaves the money in the wallet', async () => {
+    const earning = await setUpWorker('99990000');
+
+    const result = await processBatch(BATCH_ID);
+
+    assert.equal(result.batch.status, 'partially_failed');
+    assert.equal((await line()).status, 'manual_review');
+    assert.equal(await getWalletBalance(WORKER), 500);
+    assert.equal(await earningStatus(earning), 'earned');
+    assert.equal(await clearing(), 0);
+  });
+
+  test('a failed attempt is returned to the wallet and taken again on retry', async () => {
+    const earning = await setUpWorker('55551111');
+
+    await processBatch(BATCH_ID);
+    assert.equal((await line()).status, 'failed');
+    assert.equal(await getWalletBalance(WORKER), 500);
+
+    const retried = await retryLines(BATCH_ID);
+    assert.equal(retried.batch.status, 'completed');
+    assert.equal(await getWalletBalance(WORKER), 0);
+    assert.equal(await clearing(), 0);
+    assert.equal(await earningStatus(earning), 'payout_completed');
+  });
+
+  test('an earning already spent from the wallet is not paid out again', async () => {
+    const earning = await setUpWorker('12341234');
+    await chargeJobPostFee(WORKER, 500);
+
+    await processBatch(BATCH_ID);
+
+    assert.equal((await line()).status, 'manual_review');
+    assert.match((await line()).failureReason, /does not cover/);
+    assert.equal(await getWalletBalance(WORKER), 0);
+    assert.equal(await earningStatus(earning), 'earned');
+  });
+
+  test('a reversed payout goes back to the wallet', async () => {
+    const earning = await setUpWorker('12341234');
+    await processBatch(BATCH_ID);
+    const { transactionId } = await line();
+
+    await applyProviderUpdate({ id: transactionId, status: 'reversed', failureReason: 'Account closed' });
+    // The webhook can be delivered twice
+    await applyProviderUpdate({ id: transactionId, status: 'reversed', failureReason: 'Account closed' });
+
+    assert.equal(await getWalletBalance(WORKER), 500);
+    assert.equal(await earningStatus(earning), 'earned');
+    assert.equal(await clearing(), 0);
+    assert.equal(await getAccountBalance(ACCOUNTS.GATEWAY), 0);
+  });
+});
@@ -0,0 +1,119 @@
+const assert = require('node:assert/strict');
+const { describe, before, after, beforeEach } = require('node:test');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const { useDatabase } = require('./helpers/db');
+const Job = require('../models/Jobs');
+const { JWT_SECRET } = require('../utils/auth');
+const walletRoutes = require('../routes/wallet');
+const razorpayRoutes = require('../routes/razorpay');
+const { createFakeRazorpayClient, setRazorpayClient } = require('../services/razorpayClient');
+const { getWalletBalance } = require('../services/walletOperations');
+
+const test = useDatabase();
+
+const CONTRACTOR = '9000000010';
+const WORKER = '9000000011';
+
+let server;
+let baseUrl;
+
+// Post as a signed-in user, the way the app does
+async function post(path, body, { phone = CONTRACTOR, role = 'contractor' } = {}) {
+  const token = jwt.sign({ name: 'Test User', phone, role }, JWT_SECRET);
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Create an order, pay it in the fake gateway and hand back what Checkout would
+async function payOrder(createPath, body) {
+  const order = await post(createPath, body);
+  assert.equal(order.status, 200, order.body.message);
+  const paid = await post('/api/payment/sandbox/pay', { orderId: order.body.orderId });
+  assert.equal(paid.status, 200, paid.body.message);
+  return paid.body;
+}
+
+// A ₹1000 job the worker turned up for, nothing held in escrow
+const createWorkedJob = () => Job.create({
+  title: 'Paint the gate',
+  contractorPhone: CONTRACTOR,
+  amount: 1000,
+  status: 'in_progress',
+  acceptedBy: WORKER,
+  acceptedAt: new Date(),
+  attendanceStatus: 'Present',
+});
+
+describe('payments through the fake Razorpay gateway', () => {
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/wallet', walletRoutes);
+    app.use('/api/payment', razorpayRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+  beforeEach(() => setRazorpayClient(createFakeRazorpayClient()));
+
+  test('a deposit is credited once however often it is verified', async () => {
+    const payment = await payOrder('/wallet/deposit/create-order', { amount: 500 });
+
+    const first = await post('/wallet/deposit/verify', payment);
+    assert.equal(first.status, 200, first.body.message);
+    assert.equal(first.body.walletBalance, 500);
+
+    await post('/wallet/deposit/verify', payment);
+    assert.equal(await getWalletBalance(CONTRACTOR), 500);
+  });
+
+  test('a tampered signature credits nothing', async () => {
+    const payment = await payOrder('/wallet/deposit/create-order', { amount: 500 });
+
+    const res = await post('/wallet/deposit/verify', { ...payment, signature: '0'.repeat(64) });
+
+    assert.equal(res.status, 400);
+    assert.equal(await getWalletBalance(CONTRACTOR), 0);
+  });
+
+  test('paying a worker through the gateway releases the job amount minus the platform fee', async () => {
+    const job = await createWorkedJob();
+    const payment = await payOrder('/api/payment/create-order', { jobId: String(job._id), amount: 1000, workerPhone: WORKER });
+
+    const res = await post('/api/payment/verify-payment', payment);
+
+    assert.equal(res.status, 200, res.body.message);
+    assert.equal(await getWalletBalance(WORKER), 900);
+    assert.equal(await getWalletBalance(CONTRACTOR), 0);
+    assert.equal((await Job.findById(job._id).lean()).status, 'paid');
+
+    // Verifying again pays nobody twice
+    await post('/api/payment/verify-payment', payment);
+    assert.equal(await getWalletBalance(WORKER), 900);
+  });
+
+  test('an order for a different amount than the job pays is refused', async () => {
+    const job = await createWorkedJob();
+
+    const res = await post('/api/payment/create-order', { jobId: String(job._id), amount: 5000, workerPhone: WORKER });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /₹1000/);
+  });
+
+  test('a worker already paid from the wallet gets no gateway order', async () => {
+    const job = await createWorkedJob();
+    await Job.updateOne({ _id: job._id }, { $set: { paymentStatus: 'Paid', status: 'paid' } });
+
+    const res = await post('/api/payment/create-order', { jobId: String(job._id), amount: 1000, workerPhone: WORKER });
+
+    assert.equal(res.status, 409);
+  });
+});
@@ -0,0 +1,211 @@
+const assert = require('node:assert/strict');
+const { describe, before, after, beforeEach } = require('node:test');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const { useDatabase } = require('./helpers/db');
+const BankAccount = require('../models/BankAccount');
+const PaymentOrder = require('../models/PaymentOrder');
+const PayoutBatch = require('../models/PayoutBatch');
+const WebhookEvent = require('../models/WebhookEvent');
+const WorkerEarnings = require('../models/WorkerEarnings');
+const webhookRoutes = require('../routes/webhooks');
+const { replayEvent } = require('../services/razorpayWebhooks');
+const { createPayoutSimulator, setPayoutProvider } = require('../services/payoutProvider');
+const { processBatch } = require('../services/payoutProcessor');
+const { creditJobPayment, getWalletBalance } = require('../services/walletOperations');
+
+const test = useDatabase();
+
+const SECRET = 'test_webhook_secret';
+const CONTRACTOR = '9000000030'; // the payer in the recorded payment events
+const WORKER = '9000000031';
+
+// Recorded Razorpay deliveries, sent byte for byte as Razorpay sent them
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'razorpay', `${name}.json`), 'utf8');
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+let server;
+let baseUrl;
+
+async function deliver(name, { eventId = `evt_${name}`, signature } = {}) {
+  const body = fixture(name);
+  const res = await fetch(`${baseUrl}/webhooks/razorpay`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': signature ?? sign(body),
+      'X-Razorpay-Event-Id': eventId,
+    },
+    body,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// The ₹500 deposit order the recorded payment events pay
+const recordDepositOrder = (amount = 500) => PaymentOrder.create({
+  orderId: 'order_DESlLckIVRkHWj',
+  purpose: 'wallet_deposit',
+  phone: CONTRACTOR,
+  amount,
+});
+
+// A worker's ₹500 line, sent and waiting on the provider as the recorded payout
+async function sendPayoutLine() {
+  await BankAccount.create({
+    phone: WORKER,
+    accountHolderName: 'Test Worker',
+    accountNumber: '44442222', // the simulator leaves payouts to ...2222 processing
+    accountNumberConfirm: '44442222',
+    ifscCode: 'HDFC0000001',
+    bankName: 'HDFC',
+    isVerified: true,
+  });
+  const jobId = new mongoose.Types.ObjectId();
+  await creditJobPayment(WORKER, 500, { jobId: String(jobId) });
+  const earning = await WorkerEarnings.create({ workerPhone: WORKER, jobId, amount: 500, status: 'earned', payoutWeek: { year: 2026, week: 41 } });
+  await PayoutBatch.create({
+    batchId: 'PAYOUT_2026_W41',
+    payoutWeek: { year: 2026, week: 41 },
+    totalAmount: 500,
+    totalWorkers: 1,
+    workers: [{ workerPhone: WORKER, earningsAmount: 500, deductions: 0, netAmount: 500, earningIds: [earning._id] }],
+  });
+  await processBatch('PAYOUT_2026_W41');
+  // Point the line at the payout id in the recordings
+  await PayoutBatch.updateOne({ batchId: 'PAYOUT_2026_W41' }, { $set: { 'workers.0.transactionId': 'pout_00000000000001' } });
+  return earning;
+}
+
+describe('Razorpay webhooks', () => {
+  before(async () => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+    const app = express();
+    app.use('/webhooks', webhookRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+  beforeEach(() => setPayoutProvider(createPayoutSimulator()));
+
+  test('payment.captured credits the deposit', async () => {
+    await recordDepositOrder();
+
+    const res = await deliver('payment.captured');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'processed');
+    assert.equal(await getWalletBalance(CONTRACTOR), 500);
+    assert.equal((await PaymentOrder.findOne({ orderId: 'order_DESlLckIVRkHWj' }).lean()).settledVia, 'webhook');
+  });
+
+  test('a delivery with a bad signature is rejected and not stored', async () => {
+    await recordDepositOrder();
+
+    const wrongSecret = await deliver('payment.captured', { signature: sign(fixture('payment.captured'), 'another_secret') });
+    const missing = await deliver('payment.captured', { signature: '' });
+
+    assert.equal(wrongSecret.status, 400);
+    assert.equal(missing.status, 400);
+    assert.equal(await WebhookEvent.countDocuments(), 0);
+    assert.equal(await getWalletBalance(CONTRACTOR), 0);
+  });
+
+  test('a redelivered event id is acknowledged without being applied again', async () => {
+    await recordDepositOrder();
+
+    await deliver('payment.captured');
+    const again = await deliver('payment.captured');
+
+    assert.equal(again.status, 200);
+    assert.equal(again.body.duplicate, true);
+    assert.equal(await getWalletBalance(CONTRACTOR), 500);
+    assert.equal((await WebhookEvent.findOne({ eventId: 'evt_payment.captured' }).lean()).deliveries, 2);
+  });
+
+  test('the same payment under a new event id is credited once', async () => {
+    await recordDepositOrder();
+
+    await deliver('payment.captured', { eventId: 'evt_first' });
+    const second = await deliver('payment.captured', { eventId: 'evt_second' });
+
+    assert.equal(second.status, 200);
+    assert.equal(await getWalletBalance(CONTRACTOR), 500);
+  });
+
+  test('a failed event is retried by Razorpay and can be replayed once fixed', async () => {
+    await recordDepositOrder(400); // our record disagrees with the captured amount
+
+    const res = await deliver('payment.captured');
+    assert.equal(res.status, 500);
+    const stored = await WebhookEvent.findOne({ eventId: 'evt_payment.captured' });
+    assert.equal(stored.status, 'failed');
+    assert.equal(await getWalletBalance(CONTRACTOR), 0);
+
+    await PaymentOrder.updateOne({ orderId: 'order_DESlLckIVRkHWj' }, { $set: { amount: 500 } });
+    const { event } = await replayEvent(stored._id);
+    assert.equal(event.status, 'processed');
+    assert.equal(await getWalletBalance(CONTRACTOR), 500);
+
+    // Replaying a processed event changes nothing
+    await replayEvent(stored._id);
+    assert.equal(await getWalletBalance(CONTRACTOR), 500);
+  });
+
+  test('payment.failed marks an unpaid order failed', async () => {
+    await recordDepositOrder();
+
+    const res = await deliver('payment.failed');
+
+    assert.equal(res.status, 200);
+    const order = await PaymentOrder.findOne({ orderId: 'order_DESlLckIVRkHWj' }).lean();
+    assert.equal(order.status, 'failed');
+    assert.match(order.failureReason, /UPI app was closed/);
+    assert.equal(await getWalletBalance(CONTRACTOR), 0);
+  });
+
+  test('payment.failed after the order was paid leaves it paid', async () => {
+    await recordDepositOrder();
+
+    await deliver('payment.captured');
+    await deliver('payment.failed');
+
+    assert.equal((await PaymentOrder.findOne({ orderId: 'order_DESlLckIVRkHWj' }).lean()).status, 'paid');
+    assert.equal(await getWalletBalance(CONTRACTOR), 500);
+  });
+
+  test('refund.processed takes the refund from the wallet once', async () => {
+    await recordDepositOrder();
+    await deliver('payment.captured');
+
+    await deliver('refund.processed');
+    await deliver('refund.processed', { eventId: 'evt_refund_redelivered' });
+
+    assert.equal(await getWalletBalance(CONTRACTOR), 300);
+    const order = await PaymentOrder.findOne({ orderId: 'order_DESlLckIVRkHWj' }).lean();
+    assert.deepEqual(order.refunds.map((r) => r.refundId), ['rfnd_DGN1x4ohMrDGWM']);
+  });
+
+  test('payout.processed completes the line and payout.reversed returns the money', async () => {
+    const earning = await sendPayoutLine();
+    assert.equal(await getWalletBalance(WORKER), 0);
+
+    await deliver('payout.processed');
+    let line = (await PayoutBatch.findOne({ batchId: 'PAYOUT_2026_W41' }).lean()).workers[0];
+    assert.equal(line.status, 'success');
+    assert.equal(line.utr, 'HDFCN00000000001');
+    assert.equal((await WorkerEarnings.findById(earning._id).lean()).status, 'payout_completed');
+
+    await deliver('payout.reversed');
+    await deliver('payout.reversed', { eventId: 'evt_payout_reversed_redelivered' });
+    line = (await PayoutBatch.findOne({ batchId: 'PAYOUT_2026_W41' }).lean()).workers[0];
+    assert.notEqual(line.status, 'success');
+    assert.match(line.failureReason, /account is closed/);
+    assert.equal(await getWalletBalance(WORKER), 500);
+    assert.equal((await WorkerEarnings.findById(earning._id).lean()).status, 'earned');
+  });
+});
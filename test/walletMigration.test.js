@@ -0,0 +1,46 @@
+const assert = require('node:assert/strict');
+const { describe } = require('node:test');
+
+const { useDatabase } = require('./helpers/db');
+const Wallet = require('../models/Wallet');
+const LedgerEntry = require('../models/LedgerEntry');
+const { migrateWalletBalances, getWalletBalance } = require('../services/walletOperations');
+const { ACCOUNTS, getAccountBalance, getTrialBalance } = require('../services/ledger');
+
+const test = useDatabase();
+
+// Wallets as the pre-ledger server stored them (balance is no longer in the schema)
+const insertOldWallets = (wallets) => Wallet.collection.insertMany(wallets.map((w) => ({ ...w, createdAt: new Date() })));
+
+describe('wallet balance migration', () => {
+  test('carries old balances over once, negative ones to suspense', async () => {
+    await insertOldWallets([
+      { phone: '9000000040', balance: 750 },
+      { phone: '9000000041', balance: -120 },
+      { phone: '9000000042', balance: 0 },
+    ]);
+
+    assert.equal(await migrateWalletBalances(), 3);
+    assert.equal(await migrateWalletBalances(), 0);
+
+    assert.equal(await getWalletBalance('9000000040'), 750);
+    assert.equal(await getWalletBalance('9000000041'), 0);
+    assert.equal(await getWalletBalance('9000000042'), 0);
+    assert.equal(await getAccountBalance(ACCOUNTS.SUSPENSE), 120);
+    assert.equal(await getAccountBalance(ACCOUNTS.OPENING_BALANCES), -630);
+    assert.equal((await getTrialBalance()).balanced, true);
+    assert.equal(await Wallet.countDocuments({ ledgerMigratedAt: null }), 0);
+  });
+
+  test('a wallet whose opening balance fails to post is carried over on the next run', async (t) => {
+    await insertOldWallets([{ phone: '9000000043', balance: 300 }]);
+
+    const mock = t.mock.method(LedgerEntry, 'create', async () => { throw new Error('connection reset'); });
+    assert.equal(await migrateWalletBalances(), 0);
+    assert.equal(await Wallet.countDocuments({ ledgerMigratedAt: null }), 1);
+
+    mock.mock.restore();
+    assert.equal(await migrateWalletBalances(), 1);
+    assert.equal(await getWalletBalance('9000000043'), 300);
+  });
+});
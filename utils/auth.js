@@ -15,4 +15,12 @@ function authenticateToken(req, res, next) {
   });
 }
 
-module.exports = { authenticateToken, JWT_SECRET };
+// Only admins past this point (use after authenticateToken)
+function checkAdmin(req, res, next) {
+  if (!req.user || req.user.role !== "admin") {
+    return res.status(403).json({ success: false, message: "Admin access required" });
+  }
+  next();
+}
+
+module.exports = { authenticateToken, checkAdmin, JWT_SECRET };
@@ -0,0 +1,169 @@
+// utils/idempotency.js
+// Idempotency keys for money-moving requests. A client sends an `Idempotency-Key` header
+// (any unique string, e.g. a UUID per user action) and may retry the request as often as it
+// likes: the first attempt runs, its response is stored for IDEMPOTENCY_KEY_TTL_HOURS and
+// every repeat gets that response replayed instead of charging / crediting again.
+//
+// - same key, different body or route -> 422
+// - same key while the first attempt is still running -> 409 (retry shortly)
+// - 5xx responses aren't stored, so the client can retry them with the same key
+// - neither are responses sent without res.json (Express error pages, res.end): the key is released
+// - a running attempt renews its lock, however long it takes; only an abandoned one (server
+//   restart) is taken over, once its lock is older than IDEMPOTENCY_LOCK_SECONDS
+// Keys are scoped to the authenticated user, so `idempotent` must come after authenticateToken.
+
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+const IDEMPOTENCY_HEADER = "idempotency-key";
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const IDEMPOTENCY_LOCK_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+const MAX_KEY_LENGTH = 255;
+
+function hashRequest(body) {
+  return crypto.createHash("sha256").update(JSON.stringify(body ?? {})).digest("hex");
+}
+
+/**
+ * Start (or replay) a request under an idempotency key
+ * @param {Object} request - { key, scope, method, path, body }
+ * @returns {Promise<Object>} { record } to run the request, { replay: { status, body } },
+ *   or { error, statusCode }
+ */
+async function beginIdempotentRequest({ key, scope, method, path, body }) {
+  if (typeof key !== "string" || !key.trim() || key.length > MAX_KEY_LENGTH) {
+    return { error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, statusCode: 400 };
+  }
+
+  const requestHash = hashRequest(body);
+  const now = new Date();
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      scope,
+      method,
+      path,
+      requestHash,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+    });
+    return { record };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyKey.findOne({ scope, key }).lean();
+  if (!existing) return beginIdempotentRequest({ key, scope, method, path, body }); // expired in between
+
+  if (existing.method !== method || existing.path !== path || existing.requestHash !== requestHash) {
+    return { error: "This Idempotency-Key was already used for a different request", statusCode: 422 };
+  }
+  if (existing.status === "completed") {
+    return { replay: { status: existing.responseStatus, body: existing.responseBody } };
+  }
+
+  // Still running - unless the attempt holding it died, in which case take it over
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: "in_progress", lockedAt: { $lt: new Date(now.getTime() - IDEMPOTENCY_LOCK_SECONDS * 1000) } },
+    { $set: { lockedAt: now } },
+    { new: true }
+  );
+  if (takenOver) return { record: takenOver };
+  return { error: "A request with this Idempotency-Key is still being processed", statusCode: 409 };
+}
+
+/**
+ * Keep an attempt's lock fresh while it runs, so a slow request is never taken over by a retry
+ * @returns {Function} stop renewing
+ */
+function keepLocked(record) {
+  const renew = setInterval(() => {
+    IdempotencyKey.updateOne({ _id: record._id, status: "in_progress" }, { $set: { lockedAt: new Date() } })
+      .catch((e) => console.error("❌ Failed to renew idempotency lock:", e));
+  }, (IDEMPOTENCY_LOCK_SECONDS * 1000) / 3);
+  renew.unref();
+  return () => clearInterval(renew);
+}
+
+/**
+ * Free a key whose attempt left nothing to replay, so the client can retry with it
+ */
+async function releaseIdempotentRequest(record) {
+  await IdempotencyKey.deleteOne({ _id: record._id, status: "in_progress" });
+}
+
+/**
+ * Store the response for replay, or release the key if the request failed on our side
+ */
+async function finishIdempotentRequest(record, status, body) {
+  if (status >= 500) {
+    await releaseIdempotentRequest(record);
+    return;
+  }
+  await IdempotencyKey.updateOne(
+    { _id: record._id },
+    // Stored exactly as the client received it (documents become plain JSON)
+    { $set: { status: "completed", responseStatus: status, responseBody: JSON.parse(JSON.stringify(body ?? null)), completedAt: new Date() } }
+  );
+}
+
+/**
+ * Express middleware: run the route once per Idempotency-Key, replay its response after that.
+ * Requests without the header run as before.
+ */
+async function idempotent(req, res, next) {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) return next();
+
+  try {
+    const { record, replay, error, statusCode } = await beginIdempotentRequest({
+      key,
+      scope: req.user?.phone || "anonymous",
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body,
+    });
+    if (error) return res.status(statusCode).json({ success: false, message: error });
+    if (replay) {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(replay.status).json(replay.body);
+    }
+
+    const stopRenewing = keepLocked(record);
+
+    // Store the route's JSON response before sending it, so a retry after a response always replays
+    let recorded = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      recorded = true;
+      stopRenewing();
+      finishIdempotentRequest(record, res.statusCode, body)
+        .catch((e) => console.error("❌ Failed to store idempotent response:", e))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // A response that didn't go through res.json (or a connection dropped mid-response) has
+    // nothing to replay - don't leave the key in_progress until the lock times out
+    const releaseUnrecorded = () => {
+      if (recorded) return;
+      recorded = true;
+      stopRenewing();
+      releaseIdempotentRequest(record).catch((e) => console.error("❌ Failed to release idempotency key:", e));
+    };
+    res.once("finish", releaseUnrecorded);
+    res.once("close", () => { if (res.headersSent) releaseUnrecorded(); });
+    next();
+  } catch (err) {
+    console.error("Idempotency check failed:", err);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  beginIdempotentRequest,
+  finishIdempotentRequest,
+  releaseIdempotentRequest,
+  idempotent,
+};
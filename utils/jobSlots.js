@@ -0,0 +1,62 @@
+// utils/jobSlots.js
+// Helpers for multi-worker (bulk hiring) jobs.
+// A job with workersNeeded > 1 keeps one slot per worker; each slot carries the same
+// per-worker fields a single-worker job keeps at the top level (acceptedBy, attendanceStatus,
+// paymentStatus, rating, ...), so routes can work on either through getAssignment().
+
+const { OPEN_STATES } = require("../services/jobLifecycle");
+
+const MAX_WORKERS_PER_JOB = 50;
+
+function isMultiWorkerJob(job) {
+  return (job.workersNeeded || 1) > 1;
+}
+
+function buildSlots(workersNeeded) {
+  return Array.from({ length: workersNeeded }, (_, i) => ({ slotNumber: i + 1, status: "open" }));
+}
+
+function getOpenSlotCount(job) {
+  if (!isMultiWorkerJob(job)) return OPEN_STATES.includes(job.status) ? 1 : 0;
+  return (job.slots || []).filter((s) => s.status === "open").length;
+}
+
+/**
+ * Phones of every worker holding this job (single worker or filled slots)
+ */
+function getAcceptedPhones(job) {
+  if (!isMultiWorkerJob(job)) return job.acceptedBy ? [job.acceptedBy] : [];
+  return (job.slots || []).filter((s) => s.acceptedBy).map((s) => s.acceptedBy);
+}
+
+/**
+ * The record holding a worker's per-job fields: the job itself for single-worker jobs,
+ * the worker's slot for multi-worker jobs. Returns null if the worker doesn't hold the job.
+ * @param {Object} job - Job document
+ * @param {String} workerPhone - required for multi-worker jobs
+ */
+function getAssignment(job, workerPhone) {
+  if (!isMultiWorkerJob(job)) {
+    return !workerPhone || job.acceptedBy === workerPhone ? job : null;
+  }
+  if (!workerPhone) return null;
+  return (job.slots || []).find((s) => s.acceptedBy === workerPhone) || null;
+}
+
+/**
+ * True once every filled slot is paid (and at least one slot was filled)
+ */
+function allSlotsPaid(job) {
+  const filled = (job.slots || []).filter((s) => s.acceptedBy);
+  return filled.length > 0 && filled.every((s) => s.paymentStatus === "Paid");
+}
+
+module.exports = {
+  MAX_WORKERS_PER_JOB,
+  isMultiWorkerJob,
+  buildSlots,
+  getOpenSlotCount,
+  getAcceptedPhones,
+  getAssignment,
+  allSlotsPaid,
+};
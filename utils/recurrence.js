@@ -0,0 +1,83 @@
+// utils/recurrence.js
+// Recurrence rules for job templates.
+// A rule is { frequency, daysOfWeek, startTime, startDate, until }:
+// - frequency: "daily" | "weekdays" (Mon-Fri) | "weekly" (on daysOfWeek, 0 = Sunday)
+// - startTime: "HH:mm" in server local time
+// - startDate / until: first and last day the series may run on (until is optional)
+
+const FREQUENCIES = ["daily", "weekdays", "weekly"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Validate and normalise a recurrence rule from a request
+ * @returns {Object} { rule } or { error }
+ */
+function parseRecurrence(input = {}, now = new Date()) {
+  const { frequency, startTime } = input;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `frequency must be one of: ${FREQUENCIES.join(", ")}` };
+  }
+  if (!TIME_PATTERN.test(startTime || "")) {
+    return { error: "startTime must be HH:mm" };
+  }
+
+  let daysOfWeek = [];
+  if (frequency === "weekly") {
+    daysOfWeek = [...new Set((input.daysOfWeek || []).map(Number))].filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+    if (daysOfWeek.length === 0) {
+      return { error: "daysOfWeek (0-6, 0 = Sunday) required for weekly recurrence" };
+    }
+    daysOfWeek.sort();
+  }
+
+  const startDate = input.startDate ? new Date(input.startDate) : now;
+  const until = input.until ? new Date(input.until) : null;
+  if (isNaN(startDate.getTime()) || (until && isNaN(until.getTime()))) {
+    return { error: "Invalid startDate or until" };
+  }
+  if (until && until < startDate) {
+    return { error: "until must be after startDate" };
+  }
+
+  return { rule: { frequency, daysOfWeek, startTime, startDate, until } };
+}
+
+function runsOnDay(rule, day) {
+  const weekday = day.getDay();
+  if (rule.frequency === "weekdays") return weekday >= 1 && weekday <= 5;
+  if (rule.frequency === "weekly") return (rule.daysOfWeek || []).includes(weekday);
+  return true;
+}
+
+/**
+ * First occurrence strictly after `after`, or null once the series is over
+ * @param {Object} rule - recurrence rule
+ * @param {Date} after
+ */
+function getNextOccurrence(rule, after) {
+  const [hours, minutes] = rule.startTime.split(":").map(Number);
+
+  const lastDay = rule.until ? new Date(rule.until) : null;
+  if (lastDay) lastDay.setHours(23, 59, 59, 999);
+
+  const day = new Date(Math.max(after.getTime(), new Date(rule.startDate).getTime()));
+  day.setHours(0, 0, 0, 0);
+
+  // A weekly rule always matches within 7 days
+  for (let i = 0; i <= 7; i++) {
+    const occurrence = new Date(day);
+    occurrence.setDate(day.getDate() + i);
+    occurrence.setHours(hours, minutes, 0, 0);
+
+    if (lastDay && occurrence > lastDay) return null;
+    if (occurrence > after && runsOnDay(rule, occurrence)) return occurrence;
+  }
+  return null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  parseRecurrence,
+  getNextOccurrence,
+};